@@ -95,16 +95,26 @@ export default [
         AmbientSoundLayer: 'writable',
         EnhancedAudioPlayer: 'writable',
         WaveformVisualizer: 'writable',
+        WaveformGenerator: 'writable',
         LyricsSync: 'writable',
+        LyricsTimingEditor: 'writable',
         EnhancedVideoPlayer: 'writable',
         HLSLoader: 'writable',
+        WatchProgress: 'writable',
+        OfflineMedia: 'writable',
         MediaURLResolver: 'writable',
+        MediaSessionController: 'writable',
         ContentRegistry: 'writable',
+        QueryParser: 'writable',
         SearchEngine: 'writable',
         FilterSystem: 'writable',
         RelatedWorksEngine: 'writable',
         ShareLinks: 'writable',
+        SavedSearches: 'writable',
+        SearchAnalytics: 'writable',
         DiscoveryController: 'writable',
+        CommandRegistry: 'readonly',
+        IDBStore: 'readonly',
         MorphingImageSystem: 'writable',
         AnimatedContentSystem: 'writable',
         LabyrinthGenerator: 'writable',
@@ -113,6 +123,8 @@ export default [
         ExhibitPortal: 'writable',
         ExhibitBridge: 'writable',
         PlaylistManager: 'writable',
+        PlaylistStore: 'writable',
+        PlayHistory: 'writable',
         PinakothekeGenerator: 'writable',
         KhronosTimeline: 'writable',
         BibliothekePoetry: 'writable',
@@ -136,6 +148,7 @@ export default [
         CustomEvent: 'readonly',
         sessionStorage: 'readonly',
         showNewSection: 'readonly',
+        getPageName: 'readonly',
       },
     },
     rules: {
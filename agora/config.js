@@ -128,6 +128,26 @@ const AGORA_CONFIG = {
         tags: ['justice', 'society'],
         excerpt: 'Critique is love in its most rigorous form. To examine, to question, to demand better—this is not destruction but reconstruction.',
         content: 'Critique is love in its most rigorous form. To examine, to question, to demand better—this is not destruction but reconstruction. We manifest: criticism is care. Let the structures that fail us fall. Let the language that constrains us dissolve. From the rubble, new speech. From the silence, new sound.'
+      },
+      {
+        id: 'manifesto-digital-freedom',
+        title: 'Digital Freedom',
+        date: '2026-01-28',
+        section: 'manifestos',
+        topic: 'POWER',
+        tags: ['power', 'justice'],
+        excerpt: 'The right to an open, decentralized, liberated web. Reclaim your right to an open internet.',
+        document: 'agora/manifestos/digital-freedom.html'
+      },
+      {
+        id: 'manifesto-creative-resistance',
+        title: 'Creative Resistance',
+        date: '2026-01-27',
+        section: 'manifestos',
+        topic: 'IDEOLOGY',
+        tags: ['ideology', 'society'],
+        excerpt: 'Against algorithmic conformity and the colonization of imagination.',
+        document: 'agora/manifestos/creative-resistance.html'
       }
     ]
   },
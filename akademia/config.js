@@ -44,6 +44,22 @@ const akademiaConfig = {
           subtitle: 'How p5.js and WebGL reshape the relationship between artist and algorithm',
           readTime: '12 min',
         },
+        {
+          id: 'digital-aesthetics-web-art',
+          title: 'Digital Aesthetics and the Evolution of Web Art',
+          subtitle: 'How digital mediums transformed aesthetic practice and made web art a legitimate discipline',
+          date: '2024',
+          category: 'Digital Culture',
+          document: 'akademia/essays/digital-aesthetics.html',
+        },
+        {
+          id: 'generative-art-creative-partners',
+          title: 'Generative Art: Algorithms as Creative Partners',
+          subtitle: 'Authorship, intention and agency when algorithms collaborate with the artist',
+          date: '2024',
+          category: 'Creative Coding',
+          document: 'akademia/essays/generative-art.html',
+        },
       ],
     },
 
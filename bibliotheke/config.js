@@ -41,6 +41,11 @@ const bibliothekeConfig = {
           date: '2024',
           status: 'coming-soon',
           content: '/bibliotheke/poetry/',
+          document: [
+            'bibliotheke/poetry/echoes.html',
+            'bibliotheke/poetry/fragments.html',
+            'bibliotheke/poetry/whispers.html',
+          ],
         },
       ],
     },
@@ -8,6 +8,11 @@
  * - Stem Zone Routing: Walking toward zones increases stem volumes
  * - Distance-Based Reverb: Reverb intensity based on listener distance
  * - Doppler/Movement Effects: Pitch shift and wind sounds when moving
+ *
+ * MEDIA SESSION:
+ * - Publishes the track title and OGOD cover art to the OS while playing
+ * - Lock-screen controls and media keys play, pause and seek; next/previous
+ *   are delegated to the page through onNextTrack/onPreviousTrack
  */
 
 'use strict';
@@ -66,6 +71,9 @@ class OGODAudioEngine {
    * @param {ReverbConfig} [options.reverb] - Reverb configuration
    * @param {DopplerConfig} [options.doppler] - Doppler effect configuration
    * @param {boolean} [options.enableAnalysis=true] - Enable audio analysis for visual reactivity
+   * @param {boolean} [options.mediaSession=true] - Publish to the Media Session API
+   * @param {Function} [options.onNextTrack] - Called for the next-track media key
+   * @param {Function} [options.onPreviousTrack] - Called for the previous-track media key
    */
   constructor(options = {}) {
     const config =
@@ -171,6 +179,14 @@ class OGODAudioEngine {
     this.isPlaying = false;
     this.usingSingleFile = false;
 
+    // Playback position: players started at Tone time _startedAt from offset 0,
+    // or will resume from _startOffset (s) on the next start()
+    this._startedAt = 0;
+    this._startOffset = 0;
+
+    /** @type {MediaSessionController|null} OS media controls */
+    this.mediaSession = this._createMediaSession(options);
+
     // Listener state (camera position/orientation)
     this.listenerPosition = { x: 0, y: 2, z: 0 };
     this.listenerVelocity = { x: 0, y: 0, z: 0 };
@@ -586,18 +602,9 @@ class OGODAudioEngine {
     this._prevTime = Tone.now();
     this._prevListenerPosition = { ...this.listenerPosition };
 
-    // Start all players
+    // Start all players, resuming from a pause or seek
     const now = Tone.now();
-
-    if (this.usingSingleFile) {
-      this.players.master?.player.start(now);
-    } else {
-      for (const stem of this.stemNames) {
-        if (this.players[stem]) {
-          this.players[stem].player.start(now);
-        }
-      }
-    }
+    this._startPlayers(now, this._startOffset);
 
     // Start wind noise if enabled
     if (this.windNoise && this.dopplerConfig.windEnabled) {
@@ -605,16 +612,93 @@ class OGODAudioEngine {
     }
 
     this.isPlaying = true;
+
+    if (this.mediaSession) {
+      this.mediaSession.activate();
+      this.mediaSession.setMetadata(this._getMediaMetadata());
+      this.mediaSession.setPlaybackState('playing');
+      this.mediaSession.updatePositionState();
+    }
   }
 
   /**
-   * Stop audio playback
+   * Stop audio playback and rewind to the start
    */
   stop() {
     if (!this.isPlaying) {
+      this._startOffset = 0;
       return;
     }
 
+    this._stopPlayers();
+    this._startOffset = 0;
+    this.isPlaying = false;
+    this.mediaSession?.setPlaybackState('paused');
+  }
+
+  /**
+   * Pause audio playback, keeping the position for the next start()
+   */
+  pause() {
+    if (!this.isPlaying) {
+      return;
+    }
+
+    this._startOffset = this.getPosition();
+    this._stopPlayers();
+    this.isPlaying = false;
+
+    if (this.mediaSession) {
+      this.mediaSession.setPlaybackState('paused');
+      this.mediaSession.updatePositionState();
+    }
+  }
+
+  /**
+   * Seek to a position in the track
+   * @param {number} seconds - Position in seconds (wraps around the loop)
+   */
+  seek(seconds) {
+    const duration = this.getDuration();
+    const position =
+      duration > 0 ? ((seconds % duration) + duration) % duration : 0;
+
+    if (this.isPlaying) {
+      const now = Tone.now();
+      this._stopPlayers(false);
+      this._startPlayers(now, position);
+    } else {
+      this._startOffset = position;
+    }
+
+    this.mediaSession?.updatePositionState();
+  }
+
+  /**
+   * Start the track players
+   * @private
+   * @param {number} time - Tone.js time to start at
+   * @param {number} offset - Position in the track (s)
+   */
+  _startPlayers(time, offset) {
+    if (this.usingSingleFile) {
+      this.players.master?.player.start(time, offset);
+    } else {
+      for (const stem of this.stemNames) {
+        if (this.players[stem]) {
+          this.players[stem].player.start(time, offset);
+        }
+      }
+    }
+    this._startedAt = time - offset;
+  }
+
+  /**
+   * Stop the track players
+   * @private
+   * @param {boolean} [includeWind=true] - Also stop the wind noise
+   */
+  _stopPlayers(includeWind = true) {
     if (this.usingSingleFile) {
       this.players.master?.player.stop();
     } else {
@@ -626,11 +710,64 @@ class OGODAudioEngine {
     }
 
     // Stop wind noise
-    if (this.windNoise) {
+    if (includeWind && this.windNoise) {
       this.windNoise.stop();
     }
+  }
 
-    this.isPlaying = false;
+  /**
+   * Wire the Media Session API to the engine
+   * @private
+   * @param {Object} options - Constructor options
+   * @returns {MediaSessionController|null}
+   */
+  _createMediaSession(options) {
+    if (
+      options.mediaSession === false ||
+      typeof MediaSessionController === 'undefined' ||
+      !MediaSessionController.isSupported()
+    ) {
+      return null;
+    }
+
+    const handlers = {
+      play: () => this.start(),
+      pause: () => this.pause(),
+      stop: () => this.stop(),
+      seekto: ({ seekTime }) => this.seek(seekTime),
+    };
+    if (options.onNextTrack) {
+      handlers.nexttrack = () => options.onNextTrack();
+    }
+    if (options.onPreviousTrack) {
+      handlers.previoustrack = () => options.onPreviousTrack();
+    }
+
+    return new MediaSessionController({
+      handlers,
+      getPosition: () => this.getPosition(),
+      getDuration: () => this.getDuration(),
+    });
+  }
+
+  /**
+   * Now-playing metadata for the current track
+   * @private
+   * @returns {Object}
+   */
+  _getMediaMetadata() {
+    const album =
+      typeof ETCETER4_CONFIG !== 'undefined'
+        ? ETCETER4_CONFIG.media?.albums?.ogod
+        : null;
+    const track = album?.tracks?.[this.trackNumber - 1];
+
+    return {
+      title: track?.title || `OGOD ${this._getTrackFilename()}`,
+      artist: album?.artist || 'ET CETER4',
+      album: album?.title || 'OGOD',
+      albumId: 'ogod',
+    };
   }
 
   /**
@@ -1310,16 +1447,28 @@ class OGODAudioEngine {
 
   /**
    * Get current playback position
-   * @returns {number} - Current position in seconds
+   * @returns {number} - Current position in seconds (within the loop)
    */
   getPosition() {
-    if (this.usingSingleFile) {
-      return this.players.master?.player.toSeconds() || 0;
+    if (!this.isPlaying) {
+      return this._startOffset;
     }
 
+    const elapsed = Tone.now() - this._startedAt;
+    const duration = this.getDuration();
+    return duration > 0 ? elapsed % duration : elapsed;
+  }
+
+  /**
+   * Get the track duration
+   * @returns {number} - Duration in seconds, 0 until loaded
+   */
+  getDuration() {
     // Use first stem as reference
-    const firstStem = this.stemNames[0];
-    return this.players[firstStem]?.player.toSeconds() || 0;
+    const reference = this.usingSingleFile
+      ? this.players.master
+      : this.players[this.stemNames[0]];
+    return reference?.player.buffer?.duration || 0;
   }
 
   /**
@@ -1335,6 +1484,8 @@ class OGODAudioEngine {
    */
   dispose() {
     this.stop();
+    this.mediaSession?.dispose();
+    this.mediaSession = null;
 
     // Dispose players
     if (this.usingSingleFile) {
@@ -1406,13 +1557,19 @@ window.OGODAudioEngine = OGODAudioEngine;
  * @param {Object} options
  * @param {HTMLElement} options.container - Container element
  * @param {number} options.trackNumber - Track number (1-29)
+ * @param {Function} [options.onNextTrack] - Next-track media key handler
+ * @param {Function} [options.onPreviousTrack] - Previous-track media key handler
  * @returns {Promise<Object>} - Object with sceneManager and audioEngine
  */
 async function createOGODExperience(options = {}) {
-  const { container, trackNumber = 1 } = options;
+  const { container, trackNumber = 1, onNextTrack, onPreviousTrack } = options;
 
   // Create audio engine
-  const audioEngine = new OGODAudioEngine({ trackNumber });
+  const audioEngine = new OGODAudioEngine({
+    trackNumber,
+    onNextTrack,
+    onPreviousTrack,
+  });
   await audioEngine.initialize();
 
   // Create scene manager with audio engine
@@ -2,6 +2,7 @@
  * @file SettingsPanel.js
  * @description Settings panel overlay for OGOD 3D experience
  * ESC key toggles panel with smooth slide-in/out animation
+ * Styles: css/settings-panel.css
  */
 
 'use strict';
@@ -17,12 +18,15 @@ class SettingsPanel {
    * @param {Object} [options.audioEngine] - OGODAudioEngine instance
    * @param {Object} [options.sessionManager] - SessionManager instance
    * @param {Function} [options.onSettingsChange] - Callback when settings change
+   * @param {boolean} [options.toggleOnEscape=true] - ESC opens as well as closes
+   *   the panel (disable where ESC already has other meanings, e.g. the SPA)
    */
   constructor(options = {}) {
     this.sceneManager = options.sceneManager || null;
     this.audioEngine = options.audioEngine || null;
     this.sessionManager = options.sessionManager || null;
     this.onSettingsChange = options.onSettingsChange || null;
+    this.toggleOnEscape = options.toggleOnEscape !== false;
 
     // Default settings
     this.settings = {
@@ -311,10 +315,11 @@ class SettingsPanel {
     if (e.key === 'Escape') {
       if (this.isOpen) {
         this.close();
-      } else {
+        e.preventDefault();
+      } else if (this.toggleOnEscape) {
         this.open();
+        e.preventDefault();
       }
-      e.preventDefault();
     }
 
     // Trap focus when panel is open
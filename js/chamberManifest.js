@@ -75,12 +75,19 @@
       IMAGES,
       'odeion/config.js',
       'js/media/MediaURLResolver.js',
+      'js/media/MediaSessionController.js',
       'js/media/audio/EnhancedAudioPlayer.js',
+      'js/modules/IDBStore.js',
+      'js/media/audio/WaveformGenerator.js',
       'js/media/audio/WaveformVisualizer.js',
+      'js/media/audio/PlaylistStore.js',
+      'js/media/audio/PlayHistory.js',
+      'js/media/cache/OfflineMedia.js',
       'js/media/audio/PlaylistManager.js',
       'js/media/audio/LyricsSync.js',
+      'js/media/audio/LyricsTimingEditor.js',
     ],
-    styles: [],
+    styles: ['css/lyrics-sync.css'],
   });
 
   loader.register('theatron', {
@@ -127,9 +134,12 @@
       'js/3d/ogod/environments/LayeredColorsEnv.js',
       'js/3d/ogod/environments/GlitchDigitalEnv.js',
       'js/3d/ogod/OGODSceneManager.js',
+      'js/media/MediaURLResolver.js',
+      'js/media/MediaSessionController.js',
       'js/3d/ogod/OGODAudioEngine.js',
+      'js/3d/ui/SettingsPanel.js',
     ],
-    styles: [],
+    styles: ['css/settings-panel.css'],
   });
 
   loader.register('ogod-viewer', {
@@ -159,11 +169,28 @@
         integrity:
           'sha384-rRCYclMbrsKo/chuOGq3NDyd5hQBuqHqdrEqDGfxCc3MQhs9ucV4TQZ1bZvXCweg',
       },
+      // Chamber configs indexed by ContentRegistry (keep in sync with
+      // CHAMBER_CONFIGS in scripts/lib/registry-sandbox.js)
+      'akademia/config.js',
+      'bibliotheke/config.js',
+      'pinakotheke/config.js',
+      'odeion/config.js',
+      'agora/config.js',
+      'symposion/config.js',
+      'theatron/config.js',
+      'ergasterion/config.js',
+      'khronos/config.js',
+      // Watched / in-progress badges on video results
+      'js/media/video/WatchProgress.js',
       'js/discovery/ContentRegistry.js',
+      'js/discovery/QueryParser.js',
       'js/discovery/SearchEngine.js',
       'js/discovery/FilterSystem.js',
       'js/discovery/RelatedWorksEngine.js',
       'js/discovery/ShareLinks.js',
+      'js/discovery/SavedSearches.js',
+      'js/modules/IDBStore.js',
+      'js/discovery/SearchAnalytics.js',
       'js/discovery/DiscoveryController.js',
     ],
     styles: [],
@@ -198,6 +225,8 @@
           'sha384-miJUhTuRucSoqFe3/VSB2sRghSMoev6wpPoEyj5fhF0PARehD+naPBsAkl5NqwPO',
       },
       'js/media/video/HLSLoader.js',
+      'js/media/video/WatchProgress.js',
+      'js/media/cache/OfflineMedia.js',
       'js/media/video/EnhancedVideoPlayer.js',
     ],
     styles: [],
@@ -378,16 +378,87 @@ const ETCETER4_CONFIG = {
         primaryColor: '#00FFFF',
         secondaryColor: '#FF00FF',
         progressColor: '#FFFFFF',
+        // Chapter marker ticks
+        markerColor: '#FFD700',
         backgroundColor: 'transparent',
+        // Deepest zoom (1 = whole track); scroll or pinch to zoom in
+        maxZoom: 64,
+        // Page a zoomed view along with the playhead
+        followPlayhead: true,
+        // Generate a waveform in the browser when no precomputed JSON exists
+        clientFallback: true,
+        generator: {
+          // IndexedDB database caching generated waveforms by audio URL
+          dbName: 'etceter4-waveforms',
+          // Decode rate; with 128 samples per pixel this matches the
+          // 256 @ 44.1kHz resolution of scripts/generate-waveforms.js
+          sampleRate: 22050,
+          samplesPerPixel: 128,
+          minLevelLength: 256,
+          pixels: 1000,
+          // Defaults to WaveformWorker.js next to WaveformGenerator.js
+          workerUrl: null,
+        },
       },
       // Crossfade duration between tracks (ms)
       crossfadeDuration: 1000,
+      // Crossfade gain curve (Web Audio engine): 'equal-power' keeps perceived
+      // loudness constant through the fade, 'linear' dips in the middle
+      crossfadeCurve: 'equal-power',
+      // Web Audio engine: decode the next queued track while the current one
+      // plays and start it on the AudioContext clock, so albums play gapless.
+      // Whole tracks are decoded into memory (about 10 MB per stereo minute)
+      // and the audio CDN must send CORS headers. Howler.js streams the audio
+      // when disabled, unsupported or on low-memory devices.
+      gapless: {
+        enabled: true,
+        // Overlap between consecutive tracks (ms); 0 joins them sample-accurately
+        overlap: 0,
+        // Stream with Howler.js when navigator.deviceMemory (GB) is below this
+        minDeviceMemory: 2,
+      },
+      // Lock-screen / notification controls and hardware media keys
+      mediaSession: {
+        enabled: true,
+        // Seconds skipped by the seek backward/forward buttons
+        seekOffset: 10,
+      },
+      // Loudness normalization from metadata.json (scripts/analyze-loudness.js)
+      normalization: {
+        // 'off', 'track' or 'album' (the listener's choice is remembered)
+        mode: 'album',
+        // Extra gain on top of the ReplayGain-style gains (dB)
+        preampDb: 0,
+        // Lower the gain when it would push the true peak over the ceiling
+        preventClipping: true,
+        ceilingDbtp: -1,
+      },
       // Volume settings
       defaultVolume: 0.8,
       fadeOutDuration: 500,
       fadeInDuration: 500,
     },
 
+    // User playlists and the saved play queue (Odeion PlaylistManager)
+    playlists: {
+      // IndexedDB database holding playlists and the queue
+      dbName: 'etceter4-playlists',
+    },
+
+    // Local listening statistics (PlayHistory)
+    history: {
+      // IndexedDB database holding per-track totals and listening sessions
+      dbName: 'etceter4-play-history',
+      // Seconds heard before a session counts as a play (half the track if shorter)
+      playSeconds: 30,
+      // Leaving a track before this share of it was heard counts as a skip
+      completeThreshold: 0.9,
+      // Listening sessions kept for export; older ones are dropped
+      maxPlays: 5000,
+      // Tracks shown per history view in the Odeion
+      viewLimit: 20,
+    },
+
     // Video player settings
     video: {
       // Quality preference order
@@ -406,6 +477,53 @@ const ETCETER4_CONFIG = {
         enableWorker: true,
         lowLatencyMode: false,
       },
+      // Adaptive bitrate policy (HLSLoader). The user's own cap is kept in localStorage.
+      abr: {
+        // Cap quality when the browser asks to save data or the connection is metered or slow
+        dataSaver: true,
+        // Maximum height (px) under the data-saver policy
+        dataSaverMaxHeight: 480,
+        // navigator.connection.type values treated as metered
+        meteredConnectionTypes: ['cellular'],
+        // navigator.connection.effectiveType values treated as slow
+        slowEffectiveTypes: ['slow-2g', '2g'],
+      },
+      // Per-video resume positions (WatchProgress)
+      resume: {
+        enabled: true,
+        // localStorage key holding positions by video id
+        storageKey: 'etceter4-watch-progress',
+        // Seconds of playback between saves (also saved on pause and page hide)
+        saveInterval: 5,
+        // Positions earlier than this are not offered for resuming
+        minPosition: 10,
+        // Share of the duration after which a video counts as watched
+        watchedThreshold: 0.95,
+        // How long the "Resume from 12:34?" prompt stays up (ms, 0 = until answered)
+        promptTimeout: 15000,
+        // Videos remembered; the least recently watched are dropped
+        maxEntries: 200,
+      },
+      // Subtitle display (EnhancedVideoPlayer). The viewer's language and style are kept in localStorage.
+      subtitleDisplay: {
+        // Draw cues in the player instead of the browser, so styling is the same everywhere
+        customRenderer: true,
+        // Default style: size 'small' | 'medium' | 'large' | 'x-large',
+        // background 'none' | 'translucent' | 'opaque', position 'bottom' | 'top'
+        size: 'medium',
+        background: 'translucent',
+        position: 'bottom',
+      },
+    },
+
+    // Albums, playlists and videos saved for offline (OfflineMedia, MediaServiceWorker)
+    offline: {
+      // Video variant downloaded when saving a video
+      videoQuality: '720p',
+      // Site service worker, registered on pages that do not register it themselves
+      serviceWorkerUrl: '/sw.js',
+      // Ask the browser to keep saved media under storage pressure
+      persist: true,
     },
 
     // Album metadata
@@ -783,6 +901,19 @@ const ETCETER4_CONFIG = {
       },
       // Maximum results to return
       maxResults: 50,
+      // Prebuilt index snapshot (npm run build:search-index)
+      prebuiltIndex: {
+        enabled: true,
+        url: 'json/search-index.json',
+      },
+    },
+
+    // Full-text indexing of essay, poetry and manifesto bodies.
+    // Items opt in with a `document` path (or array of paths) in their chamber config.
+    fullText: {
+      enabled: true,
+      // Maximum characters kept per document
+      maxLength: 20000,
     },
 
     // Filter configuration
@@ -800,6 +931,52 @@ const ETCETER4_CONFIG = {
       },
     },
 
+    // Per-item share cards (npm run build:share-cards): static HTML stubs with
+    // Open Graph/Twitter meta tags plus oEmbed JSON, used by ShareLinks.getItemUrl()
+    shareCards: {
+      enabled: true,
+      // Absolute site URL for og:url, canonical links and oEmbed
+      siteUrl: 'https://etceter4.com',
+      // Output directory (relative to the site root)
+      path: 'share',
+      // Card image for items without their own (same as index.html)
+      defaultImage: {
+        url: 'https://etceter4.com/img/og-image.jpg',
+        width: 1200,
+        height: 630,
+      },
+    },
+
+    // Saved searches (named query + filter presets)
+    savedSearches: {
+      // localStorage key
+      storageKey: 'etceter4-saved-searches',
+      // Maximum number of saved searches
+      maxSaved: 50,
+    },
+
+    // Local search log (IndexedDB, never sent anywhere)
+    analytics: {
+      // Record searches and result clicks
+      enabled: true,
+      // IndexedDB database name
+      dbName: 'etceter4-search-analytics',
+      // Oldest entries are pruned beyond this
+      maxEntries: 500,
+      // Longer queries are truncated before logging
+      maxQueryLength: 100,
+      // Refinements of the previous query within this window replace it (ms)
+      mergeWindowMs: 5000,
+    },
+
+    // Command palette (type the prefix in the Cmd+K search modal)
+    commandPalette: {
+      // Query prefix that switches the modal from content search to commands
+      prefix: '>',
+      // Maximum commands listed at once
+      maxResults: 12,
+    },
+
     // Related works configuration
     relatedWorks: {
       // Maximum related items to show
@@ -808,13 +985,27 @@ const ETCETER4_CONFIG = {
       scoreThreshold: 0.15,
       // Scoring weights
       weights: {
-        tagOverlap: 0.4, // Jaccard similarity of tags
-        sameSection: 0.15, // Same section within chamber
+        tagOverlap: 0.3, // Jaccard similarity of tags
+        textSimilarity: 0.2, // TF-IDF cosine of title, description and body text
+        sameSection: 0.1, // Same section within chamber
         sameChamber: 0.1, // Same chamber
         sameWing: 0.05, // Same wing
-        temporal: 0.15, // Temporal proximity (same year/period)
+        temporal: 0.1, // Temporal proximity (same year/period)
         typeMatch: 0.15, // Same content type
       },
+      // Text similarity vectors
+      text: {
+        minTermLength: 3, // Ignore shorter words
+        titleBoost: 2, // Title words count this many times
+        maxSharedTerms: 3, // Shared terms listed in the match reason
+      },
+      // "Continue exploring" shelf driven by JourneyTracker history
+      personalization: {
+        maxSeeds: 5, // Recently viewed items used as seeds
+        seedItemsPerChamber: 2, // Seeds per visited chamber when no items were viewed
+        familiarityPenalty: 0.5, // Down-weight for chambers seen many times
+        shelfSize: 6, // Items shown on the shelf
+      },
     },
 
     // Pagination configuration
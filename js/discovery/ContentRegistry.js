@@ -8,6 +8,9 @@
  * - Builds multiple indexes for efficient lookup (byTag, byChamber, byType, byDate)
  * - Normalizes different config formats into unified item structure
  * - Provides search(), filter(), getAllTags(), getItem() API
+ * - Optional full-text loading of essay, poetry and manifesto bodies
+ *   (items declare `document: 'path.html'` or an array of paths)
+ * - Watched / in-progress state of video items via getWatchProgress()
  *
  * Usage:
  * ------
@@ -109,11 +112,17 @@ class ContentRegistry {
       this._collectFromPinakothekeConfig();
       this._collectFromOdeionConfig();
       this._collectFromAgoraConfig();
+      this._collectFromTheatronConfig();
       this._collectFromOtherChambers();
 
       // Build all indexes
       this._buildIndexes();
 
+      // Fetch document bodies into item.content
+      if (this.config.fullText?.enabled) {
+        await this.loadFullText();
+      }
+
       this.isInitialized = true;
       console.info(`ContentRegistry: Initialized with ${this.items.length} items`);
 
@@ -286,7 +295,40 @@ class ContentRegistry {
   }
 
   /**
-   * Collect from other chamber configs (symposion, oikos, theatron, ergasterion, khronos)
+   * Collect items from THEATRON_CONFIG (video arrays: performances, rehearsals)
+   * @private
+   */
+  _collectFromTheatronConfig() {
+    if (typeof THEATRON_CONFIG === 'undefined') {
+      return;
+    }
+
+    const config = THEATRON_CONFIG;
+    const chamberId = config.chamber?.id || 'theatron';
+    const chamberMeta = this.chambers[chamberId] || {};
+    const chamberColor = config.chamber?.color || chamberMeta.color;
+    const chamberName = config.chamber?.name || 'THEATRON';
+    const wing = config.wing?.id || chamberMeta.wing || 'south';
+
+    ['performances', 'rehearsals'].forEach(section => {
+      if (config[section] && Array.isArray(config[section])) {
+        config[section].forEach(item => {
+          this.items.push(this._normalizeItem(item, {
+            chamber: chamberId,
+            chamberName,
+            chamberColor,
+            section,
+            sectionTitle: config.sections?.[section]?.name,
+            wing,
+            type: 'video',
+          }));
+        });
+      }
+    });
+  }
+
+  /**
+   * Collect from other chamber configs (symposion, oikos, ergasterion, khronos)
    * These may have different patterns or be empty/placeholder
    * @private
    */
@@ -301,11 +343,6 @@ class ContentRegistry {
       this._collectGenericConfig(OIKOS_CONFIG, 'oikos', 'text');
     }
 
-    // Theatron
-    if (typeof THEATRON_CONFIG !== 'undefined') {
-      this._collectGenericConfig(THEATRON_CONFIG, 'theatron', 'video');
-    }
-
     // Ergasterion
     if (typeof ERGASTERION_CONFIG !== 'undefined') {
       this._collectGenericConfig(ERGASTERION_CONFIG, 'ergasterion', 'code');
@@ -438,8 +475,10 @@ class ContentRegistry {
       tags,
 
       // Media references
-      image: item.image || item.coverArt?.medium || item.coverArt?.small || null,
+      image: item.image || item.coverArt?.medium || item.coverArt?.small || item.thumbnail || null,
       content: item.content || null,
+      documents: this._normalizeDocuments(item.document),
+      fullText: [],
       wordCount: item.wordCount || null,
       readTime: item.readTime || null,
       trackCount: item.trackCount || null,
@@ -450,6 +489,19 @@ class ContentRegistry {
     };
   }
 
+  /**
+   * Normalize an item's `document` field into an array of paths
+   * @private
+   * @param {string|string[]|undefined} document - Path or paths to HTML bodies
+   * @returns {string[]}
+   */
+  _normalizeDocuments(document) {
+    if (!document) {
+      return [];
+    }
+    return (Array.isArray(document) ? document : [document]).filter(Boolean);
+  }
+
   /**
    * Infer content type from section and item
    * @private
@@ -553,6 +605,102 @@ class ContentRegistry {
     index.get(key).add(item);
   }
 
+  /**
+   * Fetch and strip the HTML documents referenced by items into their
+   * searchable `content` field. Per-document bodies are kept in `fullText`
+   * so search snippets can link back to the matching document.
+   * @returns {Promise<number>} Number of documents loaded
+   */
+  async loadFullText() {
+    const maxLength = this.config.fullText?.maxLength || 20000;
+    const itemsWithDocuments = this.items.filter(item => item.documents.length > 0);
+    let loadedCount = 0;
+
+    await Promise.all(itemsWithDocuments.map(async item => {
+      const texts = await Promise.all(
+        item.documents.map(url => this._fetchDocumentText(url, maxLength))
+      );
+
+      item.fullText = item.documents
+        .map((url, i) => ({ url, text: texts[i] }))
+        .filter(doc => doc.text);
+
+      if (item.fullText.length > 0) {
+        item.content = item.fullText.map(doc => doc.text).join('\n\n');
+        loadedCount += item.fullText.length;
+      }
+    }));
+
+    return loadedCount;
+  }
+
+  /**
+   * Fetch a single HTML document and extract its readable text
+   * @private
+   * @param {string} url - Document path
+   * @param {number} maxLength - Maximum characters to keep
+   * @returns {Promise<string>} Plain text, or '' on failure
+   */
+  async _fetchDocumentText(url, maxLength) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        console.warn(`ContentRegistry: Could not load ${url} (${response.status})`);
+        return '';
+      }
+      const html = await response.text();
+      return ContentRegistry.extractText(html).substring(0, maxLength);
+    } catch (error) {
+      console.warn(`ContentRegistry: Could not load ${url}:`, error);
+      return '';
+    }
+  }
+
+  /**
+   * Strip an HTML document down to its readable body text.
+   * Uses <main> when present and drops scripts, styles and site chrome.
+   * Kept DOM-free so the search index build script produces identical text.
+   * @static
+   * @param {string} html - HTML source
+   * @returns {string} Plain text with collapsed whitespace
+   */
+  static extractText(html) {
+    if (!html) {
+      return '';
+    }
+
+    const mainMatch = html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i);
+    const bodyMatch = html.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i);
+    let text = mainMatch ? mainMatch[1] : bodyMatch ? bodyMatch[1] : html;
+
+    const entities = {
+      amp: '&',
+      lt: '<',
+      gt: '>',
+      quot: '"',
+      apos: "'",
+      nbsp: ' ',
+      mdash: '\u2014',
+      ndash: '\u2013',
+      hellip: '\u2026',
+      bull: '\u2022',
+      rsquo: '\u2019',
+      lsquo: '\u2018',
+      rdquo: '\u201d',
+      ldquo: '\u201c',
+    };
+
+    text = text
+      .replace(/<!--[\s\S]*?-->/g, ' ')
+      .replace(/<(script|style|noscript|template|svg|nav|header|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+      .replace(/&([a-z]+);/gi, (match, name) => entities[name.toLowerCase()] ?? match);
+
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
   /**
    * Get all items
    * @returns {Array} All registered items
@@ -570,6 +718,30 @@ class ContentRegistry {
     return this.indexes.byId.get(id) || null;
   }
 
+  /**
+   * Get a video item's watch progress (saved by the video player through
+   * WatchProgress, when that script is loaded)
+   * @param {string} id - Item ID
+   * @returns {Object|null} { status: 'watched'|'in-progress', percent, position } or null if unwatched
+   */
+  getWatchProgress(id) {
+    const item = this.getItem(id);
+    if (!item || item.type !== 'video' || typeof WatchProgress === 'undefined') {
+      return null;
+    }
+
+    const progress = WatchProgress.getInstance();
+    const status = progress.getStatus(id);
+    if (!status) {
+      return null;
+    }
+    return {
+      status,
+      percent: progress.getPercent(id),
+      position: progress.getResumePosition(id),
+    };
+  }
+
   /**
    * Get all unique tags sorted by frequency
    * @param {number} [limit] - Maximum number of tags to return
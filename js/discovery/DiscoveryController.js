@@ -7,6 +7,8 @@
  * - Orchestrates ContentRegistry, SearchEngine, FilterSystem, RelatedWorksEngine, ShareLinks
  * - Renders search results with pagination
  * - Handles global search modal (Cmd+K)
+ * - Command palette mode (">" prefix) listing CommandRegistry actions
+ * - Search insights dashboard (local SearchAnalytics log)
  * - Tag cloud generation
  * - Quick filter buttons
  * - Keyboard navigation
@@ -65,6 +67,8 @@ class DiscoveryController {
     this.filterSystem = null;
     this.relatedWorks = null;
     this.shareLinks = null;
+    this.savedSearches = null;
+    this.searchAnalytics = null;
 
     // UI state
     this.currentPage = 1;
@@ -72,6 +76,7 @@ class DiscoveryController {
     this.currentSearchQuery = '';
     this.isSearchModalOpen = false;
     this.selectedResultIndex = -1;
+    this._quickFilterPresets = null;
 
     // DOM element references (cached after init)
     this.elements = {};
@@ -84,6 +89,7 @@ class DiscoveryController {
     this._onFilterChange = this._onFilterChange.bind(this);
     this._onKeyDown = this._onKeyDown.bind(this);
     this._onGlobalSearchInput = this._onGlobalSearchInput.bind(this);
+    this._renderSavedSearches = this._renderSavedSearches.bind(this);
   }
 
   /**
@@ -111,6 +117,11 @@ class DiscoveryController {
 
       this.shareLinks = ShareLinks.getInstance();
 
+      this.savedSearches = SavedSearches.getInstance();
+
+      this.searchAnalytics = SearchAnalytics.getInstance();
+      this.searchAnalytics.attach(this.searchEngine);
+
       // Cache DOM elements
       this._cacheElements();
 
@@ -121,6 +132,8 @@ class DiscoveryController {
       this._renderTagCloud();
       this._renderQuickFilters();
       this._renderResults();
+      this._renderRecommendations();
+      this._renderSavedSearches();
 
       // Check for shared item in URL
       this._checkForSharedItem();
@@ -143,6 +156,7 @@ class DiscoveryController {
     this.elements = {
       // Discovery page elements
       searchInput: document.getElementById('discoverySearchInput'),
+      searchQueryChips: document.getElementById('searchQueryChips'),
       resultsGrid: document.getElementById('resultsGrid'),
       pagination: document.getElementById('pagination'),
       tagCloud: document.getElementById('tagCloud'),
@@ -157,11 +171,24 @@ class DiscoveryController {
       filterSummary: document.getElementById('filterSummary'),
       resultCount: document.getElementById('resultCount'),
       sortSelect: document.getElementById('sortSelect'),
+      savedSearchNameInput: document.getElementById('savedSearchNameInput'),
+      saveSearchBtn: document.getElementById('saveSearchBtn'),
+      exportSearchesBtn: document.getElementById('exportSearchesBtn'),
+      importSearchesInput: document.getElementById('importSearchesInput'),
+      savedSearchesList: document.getElementById('savedSearchesList'),
       recommendations: document.getElementById('recommendationsGrid'),
+      searchInsights: document.getElementById('searchInsights'),
+      searchInsightsSummary: document.getElementById('searchInsightsSummary'),
+      searchInsightsZero: document.getElementById('searchInsightsZero'),
+      searchInsightsTop: document.getElementById('searchInsightsTop'),
+      searchInsightsPositions: document.getElementById('searchInsightsPositions'),
+      exportSearchLogBtn: document.getElementById('exportSearchLogBtn'),
+      clearSearchLogBtn: document.getElementById('clearSearchLogBtn'),
 
       // Global search modal elements
       searchModal: document.getElementById('searchModal'),
       globalSearchInput: document.getElementById('globalSearchInput'),
+      globalSearchQueryChips: document.getElementById('globalSearchQueryChips'),
       globalSearchResults: document.getElementById('globalSearchResults'),
     };
   }
@@ -225,6 +252,48 @@ class DiscoveryController {
       });
     }
 
+    // Saved searches
+    this.savedSearches.onChange(this._renderSavedSearches);
+
+    if (this.elements.saveSearchBtn) {
+      this.elements.saveSearchBtn.addEventListener('click', () => this._saveCurrentSearch());
+    }
+    if (this.elements.savedSearchNameInput) {
+      this.elements.savedSearchNameInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this._saveCurrentSearch();
+        }
+      });
+    }
+    if (this.elements.exportSearchesBtn) {
+      this.elements.exportSearchesBtn.addEventListener('click', () => this._exportSavedSearches());
+    }
+    if (this.elements.importSearchesInput) {
+      this.elements.importSearchesInput.addEventListener('change', e => {
+        const file = e.target.files && e.target.files[0];
+        if (file) {
+          this._importSavedSearches(file);
+        }
+        e.target.value = '';
+      });
+    }
+
+    // Search insights (rendered when opened)
+    if (this.elements.searchInsights) {
+      this.elements.searchInsights.addEventListener('toggle', () => {
+        if (this.elements.searchInsights.open) {
+          this._renderSearchInsights();
+        }
+      });
+    }
+    if (this.elements.exportSearchLogBtn) {
+      this.elements.exportSearchLogBtn.addEventListener('click', () => this._exportSearchLog());
+    }
+    if (this.elements.clearSearchLogBtn) {
+      this.elements.clearSearchLogBtn.addEventListener('click', () => this._clearSearchLog());
+    }
+
     // Modal close on backdrop click
     if (this.elements.searchModal) {
       this.elements.searchModal.addEventListener('click', e => {
@@ -244,14 +313,18 @@ class DiscoveryController {
     this.currentSearchQuery = query;
     this.currentPage = 1;
 
+    this._renderQueryChips(this.elements.searchQueryChips, query);
+
     if (query.length >= (this.config.search?.minQueryLength || 2)) {
       const results = await this.searchEngine.searchDebounced(query);
       this.currentResults = results.map(r => r.item);
       this._renderResults();
+      this._updateFacetCounts();
     } else if (query.length === 0) {
       // Show filtered results
       this.currentResults = this.filterSystem.getFilteredItems();
       this._renderResults();
+      this._updateFacetCounts();
     }
   }
 
@@ -275,6 +348,7 @@ class DiscoveryController {
 
     this._renderResults();
     this._updateFilterUI(state);
+    this._updateFacetCounts();
   }
 
   /**
@@ -320,14 +394,79 @@ class DiscoveryController {
   async _onGlobalSearchInput(e) {
     const query = e.target.value.trim();
 
+    if (this._isCommandQuery(query)) {
+      this._renderQueryChips(this.elements.globalSearchQueryChips, '');
+      this._renderCommandResults(query);
+      return;
+    }
+
+    this._renderQueryChips(this.elements.globalSearchQueryChips, query);
+
     if (query.length >= (this.config.search?.minQueryLength || 2)) {
       const results = await this.searchEngine.searchDebounced(query, { limit: 8 });
-      this._renderGlobalSearchResults(results);
+
+      // The input may have switched to command mode while debouncing
+      if (this._isCommandQuery(this.elements.globalSearchInput?.value.trim() || '')) {
+        return;
+      }
+      this._renderGlobalSearchResults(results, query);
     } else {
       this._renderGlobalSearchResults([]);
     }
   }
 
+  /**
+   * Whether a modal query is a command palette query (starts with ">")
+   * @private
+   * @param {string} query
+   * @returns {boolean}
+   */
+  _isCommandQuery(query) {
+    const prefix = this.config.commandPalette?.prefix || '>';
+    return typeof CommandRegistry !== 'undefined' && query.startsWith(prefix);
+  }
+
+  /**
+   * Render command palette matches in the global search modal. The first
+   * match is preselected so Enter runs it.
+   * @private
+   * @param {string} query - Query including the prefix
+   */
+  _renderCommandResults(query) {
+    const container = this.elements.globalSearchResults;
+    if (!container) {
+      return;
+    }
+
+    const palette = this.config.commandPalette || {};
+    const commands = CommandRegistry.getInstance().search(
+      query.slice((palette.prefix || '>').length),
+      palette.maxResults || 12
+    );
+
+    this.selectedResultIndex = commands.length > 0 ? 0 : -1;
+
+    if (commands.length === 0) {
+      container.innerHTML = '<p class="search-empty tc pa3 dark-gray">No matching commands</p>';
+      return;
+    }
+
+    container.innerHTML = commands.map((command, i) => `
+        <div class="search-result-item ${i === this.selectedResultIndex ? 'selected' : ''}" data-command-id="${this._escapeHtml(command.id)}" tabindex="0">
+          <div class="search-result-chamber search-result-chamber--command">
+            ${this._escapeHtml(command.category || 'Command')}
+          </div>
+          <div class="search-result-content">
+            <div class="search-result-title">${this._escapeHtml(command.title)}</div>
+          </div>
+        </div>
+      `).join('');
+
+    container.querySelectorAll('.search-result-item').forEach((el, i) => {
+      el.addEventListener('click', () => this._selectResult(i));
+    });
+  }
+
   /**
    * Open global search modal
    */
@@ -348,6 +487,7 @@ class DiscoveryController {
     }
 
     // Clear previous results
+    this._renderQueryChips(this.elements.globalSearchQueryChips, '');
     this._renderGlobalSearchResults([]);
 
     // Prevent body scroll
@@ -416,12 +556,36 @@ class DiscoveryController {
     const items = container.querySelectorAll('.search-result-item');
     const item = items[index];
 
-    if (item && item.dataset.itemId) {
+    if (item && item.dataset.commandId) {
+      this.closeSearchModal();
+      CommandRegistry.getInstance().execute(item.dataset.commandId);
+    } else if (item && item.dataset.documentUrl) {
+      // Full-text match: open the document scrolled to the matched phrase
+      this._recordResultClick(this.elements.globalSearchInput?.value, index, item.dataset.itemId);
+      this.closeSearchModal();
+      this._recordItemView(this.registry.getItem(item.dataset.itemId));
+      window.location.href = item.dataset.documentUrl;
+    } else if (item && item.dataset.itemId) {
+      this._recordResultClick(this.elements.globalSearchInput?.value, index, item.dataset.itemId);
       this.closeSearchModal();
       this._navigateToItem(item.dataset.itemId);
     }
   }
 
+  /**
+   * Log a click on a search result
+   * @private
+   * @param {string} query - Query that produced the result
+   * @param {number} position - Zero-based result position
+   * @param {string} itemId - Clicked item ID
+   */
+  _recordResultClick(query, position, itemId) {
+    if (this.searchAnalytics && query) {
+      this.searchAnalytics.recordClick(query, position, itemId)
+        .catch(error => console.warn('DiscoveryController: failed to log click', error.message));
+    }
+  }
+
   /**
    * Navigate to an item
    * @private
@@ -432,6 +596,8 @@ class DiscoveryController {
       return;
     }
 
+    this._recordItemView(item);
+
     // Navigate to item's chamber with item highlighted
     const chamberHash = `#${item.chamber}`;
 
@@ -446,6 +612,375 @@ class DiscoveryController {
     }
   }
 
+  /**
+   * Record an item opened from discovery in the visitor's journey, which
+   * seeds the personalized "continue exploring" shelf
+   * @private
+   * @param {Object|null} item - Registry item
+   */
+  _recordItemView(item) {
+    if (!item || typeof JourneyTracker === 'undefined') {
+      return;
+    }
+
+    JourneyTracker.getInstance().recordInteraction(item.chamber, 'item_viewed', { itemId: item.id });
+    this._renderRecommendations();
+  }
+
+  /**
+   * Render the personalized "continue exploring" shelf
+   * @private
+   */
+  _renderRecommendations() {
+    const container = this.elements.recommendations;
+    if (!container) {
+      return;
+    }
+
+    const shelfSize = this.config.relatedWorks?.personalization?.shelfSize || 6;
+    const recommendations = this.relatedWorks.getPersonalized(shelfSize);
+
+    if (recommendations.length === 0) {
+      container.innerHTML = '<p class="f6 gray">Open a few works and suggestions for where to go next will appear here.</p>';
+      return;
+    }
+
+    container.innerHTML = recommendations.map(({ item, reasons }) => {
+      const reason = reasons.find(r => r.type === 'text' || r.type === 'tags') || reasons[0];
+      return this._renderResultCard(item, reason ? reason.detail : '');
+    }).join('');
+
+    container.querySelectorAll('.result-card').forEach(card => {
+      card.addEventListener('click', () => this._navigateToItem(card.dataset.itemId));
+
+      const shareBtn = card.querySelector('.share-btn');
+      if (shareBtn) {
+        shareBtn.addEventListener('click', e => {
+          e.stopPropagation();
+          this.shareLinks.shareItem(card.dataset.itemId);
+        });
+      }
+    });
+  }
+
+  /**
+   * Save the current query and filters under the name in the name input
+   * @private
+   */
+  _saveCurrentSearch() {
+    const input = this.elements.savedSearchNameInput;
+    const name = input ? input.value.trim() : '';
+
+    if (!name) {
+      if (input) {
+        input.focus();
+      }
+      this.shareLinks.showToast('Give the search a name first', 'error');
+      return;
+    }
+
+    try {
+      this.savedSearches.save(name, this.currentSearchQuery, this.filterSystem.getState());
+      input.value = '';
+      this.shareLinks.showToast(`Saved "${name}"`, 'success');
+    } catch (error) {
+      this.shareLinks.showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Apply a saved search: restore its query and filter state
+   * @private
+   * @param {string} id - Saved search ID
+   */
+  _applySavedSearch(id) {
+    const search = this.savedSearches.get(id);
+    if (!search) {
+      return;
+    }
+
+    this.currentSearchQuery = search.query;
+    this.currentPage = 1;
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = search.query;
+    }
+    if (this.elements.sortSelect) {
+      this.elements.sortSelect.value = `${search.state.sortBy}-${search.state.sortOrder}`;
+    }
+    this._renderQueryChips(this.elements.searchQueryChips, search.query);
+
+    // Emits a change, which re-runs the search with the restored filters
+    this.filterSystem.setState(search.state);
+  }
+
+  /**
+   * Render the saved searches manager list
+   * @private
+   */
+  _renderSavedSearches() {
+    const container = this.elements.savedSearchesList;
+    if (!container) {
+      return;
+    }
+
+    const searches = this.savedSearches.getAll();
+
+    if (this.elements.exportSearchesBtn) {
+      this.elements.exportSearchesBtn.disabled = searches.length === 0;
+    }
+
+    if (searches.length === 0) {
+      container.innerHTML = '<li class="f6 gray">No saved searches yet.</li>';
+      return;
+    }
+
+    container.innerHTML = searches.map((search, i) => `
+      <li class="saved-search flex items-center gap2 pv2 bb b--light-gray" data-search-id="${this._escapeHtml(search.id)}">
+        <button class="saved-search__apply flex-auto tl bn bg-transparent pointer pa0" data-action="apply">
+          <span class="saved-search__name db fw6">${this._escapeHtml(search.name)}</span>
+          <span class="saved-search__summary db f7 gray">${this._escapeHtml(this._describeSavedSearch(search))}</span>
+        </button>
+        <button class="saved-search__btn" data-action="up" aria-label="Move ${this._escapeHtml(search.name)} up" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button class="saved-search__btn" data-action="down" aria-label="Move ${this._escapeHtml(search.name)} down" ${i === searches.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="saved-search__btn" data-action="rename">Rename</button>
+        <button class="saved-search__btn" data-action="delete">Delete</button>
+      </li>
+    `).join('');
+
+    container.querySelectorAll('.saved-search').forEach((row, i) => {
+      const id = row.dataset.searchId;
+
+      row.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          switch (btn.dataset.action) {
+            case 'apply':
+              this._applySavedSearch(id);
+              break;
+            case 'up':
+              this.savedSearches.move(id, i - 1);
+              break;
+            case 'down':
+              this.savedSearches.move(id, i + 1);
+              break;
+            case 'rename':
+              this._startRenameSavedSearch(row, id);
+              break;
+            case 'delete':
+              this.savedSearches.remove(id);
+              break;
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Swap a saved search's name for an inline input (Enter saves, Escape cancels)
+   * @private
+   * @param {HTMLElement} row - List row
+   * @param {string} id - Saved search ID
+   */
+  _startRenameSavedSearch(row, id) {
+    const search = this.savedSearches.get(id);
+    const nameEl = row.querySelector('.saved-search__name');
+    if (!search || !nameEl) {
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'saved-search__rename pa1 ba b--light-gray br2 f6 w-100';
+    input.value = search.name;
+    input.setAttribute('aria-label', 'New name');
+
+    let done = false;
+    const finish = commit => {
+      if (done) {
+        return;
+      }
+      done = true;
+      if (!commit || !this.savedSearches.rename(id, input.value)) {
+        this._renderSavedSearches();
+      }
+    };
+
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', e => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * One-line description of a saved search's query and filters
+   * @private
+   * @param {Object} search - Saved search
+   * @returns {string}
+   */
+  _describeSavedSearch(search) {
+    const { state } = search;
+    const parts = [];
+
+    if (search.query) {
+      parts.push(`"${search.query}"`);
+    }
+    ['types', 'chambers', 'wings', 'tags', 'statuses'].forEach(key => {
+      if (state[key].length > 0) {
+        parts.push(`${key}: ${state[key].join(', ')}`);
+      }
+    });
+    if (state.fromYear || state.toYear) {
+      parts.push(state.fromYear === state.toYear
+        ? `year: ${state.fromYear}`
+        : `years: ${state.fromYear || '...'} - ${state.toYear || '...'}`);
+    }
+
+    return parts.length > 0 ? parts.join(' | ') : 'Everything';
+  }
+
+  /**
+   * Download all saved searches as a JSON preset file
+   * @private
+   */
+  _exportSavedSearches() {
+    this._downloadFile(this.savedSearches.exportJSON(), 'etceter4-saved-searches.json');
+  }
+
+  /**
+   * Offer text content as a file download
+   * @private
+   * @param {string} content - File content
+   * @param {string} fileName - Download file name
+   * @param {string} [type='application/json'] - MIME type
+   */
+  _downloadFile(content, fileName, type = 'application/json') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Render the search insights dashboard from the local search log
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _renderSearchInsights() {
+    const { searchInsightsSummary, searchInsightsZero, searchInsightsTop, searchInsightsPositions } = this.elements;
+    if (!searchInsightsSummary) {
+      return;
+    }
+
+    const report = await this.searchAnalytics.getReport();
+    const percent = value => `${Math.round(value * 100)}%`;
+
+    searchInsightsSummary.innerHTML = [
+      ['Searches', report.totalSearches],
+      ['Unique queries', report.uniqueQueries],
+      ['No results', `${report.zeroResultSearches} (${percent(report.zeroResultRate)})`],
+      ['Queries clicked', percent(report.clickThroughRate)],
+      ['Avg. click position', report.averageClickPosition ? report.averageClickPosition.toFixed(1) : '–'],
+    ].map(([label, value]) => `
+      <div class="search-insights__stat">
+        <span class="search-insights__value">${this._escapeHtml(String(value))}</span>
+        <span class="search-insights__label">${label}</span>
+      </div>
+    `).join('');
+
+    const renderQueries = (container, queries, describe) => {
+      if (!container) {
+        return;
+      }
+      container.innerHTML = queries.length > 0
+        ? queries.map(q => `
+            <li class="search-insights__query">
+              <span class="search-insights__query-text">${this._escapeHtml(q.query)}</span>
+              <span class="search-insights__query-count">${describe(q)}</span>
+            </li>
+          `).join('')
+        : '<li class="search-insights__empty f7 gray">Nothing logged yet</li>';
+    };
+
+    renderQueries(searchInsightsZero, report.zeroResultQueries, q =>
+      `${q.count}× · last ${new Date(q.lastSeen).toLocaleDateString()}`);
+    renderQueries(searchInsightsTop, report.topQueries, q =>
+      `${q.count}× · ${Math.round(q.averageResults)} results`);
+
+    if (searchInsightsPositions) {
+      const positions = Object.entries(report.clickPositions).sort((a, b) => a[0] - b[0]);
+      const max = Math.max(1, ...positions.map(([, count]) => count));
+
+      searchInsightsPositions.innerHTML = positions.length > 0
+        ? positions.map(([position, count]) => `
+            <div class="search-insights__bar" title="${count} click${count === 1 ? '' : 's'} on result ${position}">
+              <span class="search-insights__bar-label">#${position}</span>
+              <span class="search-insights__bar-fill" style="width: ${(count / max) * 100}%"></span>
+              <span class="search-insights__bar-count">${count}</span>
+            </div>
+          `).join('')
+        : '<p class="search-insights__empty f7 gray">No result clicks logged yet</p>';
+    }
+  }
+
+  /**
+   * Download the search log as JSON
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _exportSearchLog() {
+    try {
+      this._downloadFile(await this.searchAnalytics.exportJSON(), 'etceter4-search-log.json');
+    } catch (error) {
+      this.shareLinks.showToast(error.message, 'error');
+    }
+  }
+
+  /**
+   * Delete the search log after confirmation
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _clearSearchLog() {
+    if (!window.confirm('Delete the search log stored in this browser?')) {
+      return;
+    }
+    await this.searchAnalytics.clear();
+    this.shareLinks.showToast('Search log cleared');
+    this._renderSearchInsights();
+  }
+
+  /**
+   * Import saved searches from a JSON preset file
+   * @private
+   * @param {File} file - Selected file
+   */
+  async _importSavedSearches(file) {
+    try {
+      const added = this.savedSearches.importJSON(await file.text());
+      this.shareLinks.showToast(
+        added > 0 ? `Imported ${added} saved search${added === 1 ? '' : 'es'}` : 'Nothing new to import',
+        'success'
+      );
+    } catch (error) {
+      this.shareLinks.showToast(error.message, 'error');
+    }
+  }
+
   /**
    * Render tag cloud
    * @private
@@ -488,6 +1023,8 @@ class DiscoveryController {
       `;
     }).join('');
 
+    this._updateFacetCounts();
+
     // Add click handlers
     container.querySelectorAll('.tag-btn').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -521,9 +1058,13 @@ class DiscoveryController {
         data-filter-id="${preset.id}"
       >
         ${this._escapeHtml(preset.label)}
+        <span class="quick-filter-count"></span>
       </button>
     `).join('');
 
+    this._quickFilterPresets = presets;
+    this._updateFacetCounts();
+
     // Add click handlers
     container.querySelectorAll('.quick-filter-btn').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -551,6 +1092,76 @@ class DiscoveryController {
     });
   }
 
+  /**
+   * Items matching the current search query, ignoring filters
+   * (null when there is no active query)
+   * @private
+   * @returns {Array|null}
+   */
+  _getQueryItems() {
+    const query = this.currentSearchQuery || '';
+    if (query.length < (this.config.search?.minQueryLength || 2)) {
+      return null;
+    }
+    // Count every match, not just the first page of maxResults
+    return this.searchEngine.search(query, { limit: Infinity }).map(r => r.item);
+  }
+
+  /**
+   * Refresh facet counts on the tag cloud and quick filters, disabling
+   * options that would return no results
+   * @private
+   */
+  _updateFacetCounts() {
+    if (!this.filterSystem || !this.elements) {
+      return;
+    }
+
+    const queryItems = this._getQueryItems();
+    const counts = this.filterSystem.getFacetCounts(queryItems);
+    const state = this.filterSystem.getState();
+
+    if (this.elements.tagCloud) {
+      this.elements.tagCloud.querySelectorAll('.tag-btn').forEach(btn => {
+        const tag = btn.dataset.tag;
+        const isActive = state.tags.includes(tag);
+        // Active tags keep the current total so they can still be removed
+        const count = isActive ? counts.total : counts.tags[tag] || 0;
+        this._setFacetButtonCount(btn, btn.querySelector('.tag-count'), count, isActive);
+      });
+    }
+
+    if (this.elements.quickFilters && this._quickFilterPresets) {
+      this.elements.quickFilters.querySelectorAll('.quick-filter-btn').forEach(btn => {
+        const preset = this._quickFilterPresets.find(p => p.id === btn.dataset.filterId);
+        if (!preset) {
+          return;
+        }
+        // Presets replace the active filters, so count them on their own
+        const count = this.filterSystem.countMatching(preset.criteria, queryItems);
+        this._setFacetButtonCount(btn, btn.querySelector('.quick-filter-count'), count, preset.id === 'all');
+      });
+    }
+  }
+
+  /**
+   * Show a facet count on a button and disable it when empty
+   * @private
+   * @param {HTMLButtonElement} btn - Facet button
+   * @param {HTMLElement|null} countEl - Count badge
+   * @param {number} count - Results the option would give
+   * @param {boolean} [keepEnabled=false] - Never disable (active/reset options)
+   */
+  _setFacetButtonCount(btn, countEl, count, keepEnabled = false) {
+    if (countEl) {
+      countEl.textContent = count;
+    }
+
+    const disabled = count === 0 && !keepEnabled;
+    btn.disabled = disabled;
+    btn.classList.toggle('facet-btn--empty', disabled);
+  }
+
   /**
    * Render search/filter results
    * @private
@@ -588,9 +1199,10 @@ class DiscoveryController {
     container.innerHTML = paginatedResults.map(item => this._renderResultCard(item)).join('');
 
     // Add click handlers
-    container.querySelectorAll('.result-card').forEach(card => {
+    container.querySelectorAll('.result-card').forEach((card, i) => {
       card.addEventListener('click', () => {
         const itemId = card.dataset.itemId;
+        this._recordResultClick(this.currentSearchQuery, startIndex + i, itemId);
         this._navigateToItem(itemId);
       });
 
@@ -612,8 +1224,10 @@ class DiscoveryController {
   /**
    * Render a single result card
    * @private
+   * @param {Object} item - Registry item
+   * @param {string} [reason] - Why the item is suggested (recommendation shelf)
    */
-  _renderResultCard(item) {
+  _renderResultCard(item, reason = '') {
     const chamberColor = item.chamberColor || '#000';
     const typeIcon = this._getTypeIcon(item.type);
 
@@ -629,7 +1243,9 @@ class DiscoveryController {
         <div class="result-card__body">
           <h3 class="result-card__title">${this._escapeHtml(item.title)}</h3>
           ${item.subtitle ? `<p class="result-card__subtitle">${this._escapeHtml(item.subtitle)}</p>` : ''}
+          ${this._renderWatchBadge(item)}
           ${item.description ? `<p class="result-card__desc">${this._escapeHtml(this._truncate(item.description, 100))}</p>` : ''}
+          ${reason ? `<p class="result-card__reason">${this._escapeHtml(reason)}</p>` : ''}
         </div>
         <div class="result-card__footer">
           <div class="result-card__tags">
@@ -650,8 +1266,10 @@ class DiscoveryController {
   /**
    * Render global search modal results
    * @private
+   * @param {Array} results - Search results
+   * @param {string} [query] - Query used, for linking into document bodies
    */
-  _renderGlobalSearchResults(results) {
+  _renderGlobalSearchResults(results, query = '') {
     const container = this.elements.globalSearchResults;
     if (!container) {
       return;
@@ -665,15 +1283,19 @@ class DiscoveryController {
     container.innerHTML = results.map((result, i) => {
       const item = result.item;
       const highlights = result.highlights || {};
+      const documentUrl = highlights.contentUrl
+        ? this._getDocumentLink(highlights.contentUrl, query)
+        : '';
 
       return `
-        <div class="search-result-item ${i === this.selectedResultIndex ? 'selected' : ''}" data-item-id="${this._escapeHtml(item.id)}" tabindex="0">
+        <div class="search-result-item ${i === this.selectedResultIndex ? 'selected' : ''}" data-item-id="${this._escapeHtml(item.id)}"${documentUrl ? ` data-document-url="${this._escapeHtml(documentUrl)}"` : ''} tabindex="0">
           <div class="search-result-chamber" style="background-color: ${item.chamberColor || '#000'}">
             ${this._escapeHtml(item.chamberName || item.chamber)}
           </div>
           <div class="search-result-content">
             <div class="search-result-title">${highlights.title || this._escapeHtml(item.title)}</div>
             ${highlights.description ? `<div class="search-result-desc">${highlights.description}</div>` : ''}
+            ${highlights.content ? `<div class="search-result-desc search-result-snippet">${highlights.content}</div>` : ''}
           </div>
         </div>
       `;
@@ -685,6 +1307,54 @@ class DiscoveryController {
     });
   }
 
+  /**
+   * Build a link into a full-text document using a text fragment
+   * (#:~:text=) so supporting browsers scroll to the matched phrase
+   * @private
+   * @param {string} url - Document path
+   * @param {string} query - Search query
+   * @returns {string}
+   */
+  _getDocumentLink(url, query) {
+    const parsed = this.searchEngine.parseQuery(query || '');
+    const phrase = (parsed.isAdvanced
+      ? parsed.phrases[0] || parsed.fieldQueries[0]?.value || parsed.text
+      : query || ''
+    ).trim();
+    return phrase ? `${url}#:~:text=${encodeURIComponent(phrase)}` : url;
+  }
+
+  /**
+   * Render parsed query chips (filters, phrases, exclusions), syntax errors
+   * and warnings below a search input
+   * @private
+   * @param {HTMLElement} container - Chip container
+   * @param {string} query - Current query
+   */
+  _renderQueryChips(container, query) {
+    if (!container) {
+      return;
+    }
+
+    const parsed = this.searchEngine.parseQuery(query);
+
+    const chips = parsed.chips.map(chip => `
+      <span class="search-query-chip search-query-chip--${chip.kind}${chip.negated ? ' search-query-chip--negated' : ''} f7 ph2 pv1 br-pill">
+        ${this._escapeHtml(chip.label)}
+      </span>
+    `).join('');
+
+    const errors = parsed.errors.map(error => `
+      <p class="search-query-error f7 ma0 w-100" role="alert">${this._escapeHtml(error.message)}</p>
+    `).join('');
+
+    const warnings = parsed.warnings.map(warning => `
+      <p class="search-query-warning f7 ma0 w-100" role="status">${this._escapeHtml(warning.message)}</p>
+    `).join('');
+
+    container.innerHTML = chips + errors + warnings;
+  }
+
   /**
    * Render pagination controls
    * @private
@@ -818,6 +1488,24 @@ class DiscoveryController {
     }
   }
 
+  /**
+   * Render the watched / in-progress badge of a video item
+   * @private
+   * @param {Object} item - Registry item
+   * @returns {string} Badge HTML, empty when unwatched
+   */
+  _renderWatchBadge(item) {
+    const watch = this.registry?.getWatchProgress(item.id);
+    if (!watch) {
+      return '';
+    }
+
+    const label = watch.status === 'watched'
+      ? 'Watched'
+      : `${Math.round(watch.percent * 100)}% watched`;
+    return `<span class="result-card__watch result-card__watch--${watch.status}">${label}</span>`;
+  }
+
   /**
    * Get icon for content type
    * @private
@@ -890,6 +1578,8 @@ class DiscoveryController {
     }
 
     this.filterSystem.offChange(this._onFilterChange);
+    this.savedSearches.offChange(this._renderSavedSearches);
+    this.searchAnalytics.detach();
 
     // Clear state
     this.currentResults = [];
@@ -6,6 +6,7 @@
  * Features:
  * - Multi-select tags, chambers, content types
  * - Date range filtering
+ * - Live facet counts (disjunctive faceting) for the current query
  * - URL parameter serialization (?tags=a,b&chambers=x&from=2024)
  * - Observer pattern for UI updates
  * - Browser history integration
@@ -24,6 +25,10 @@
  *
  * // Get filtered results
  * const results = filters.getFilteredItems();
+ *
+ * // Counts per facet value for the current query's items
+ * const counts = filters.getFacetCounts(searchResultItems);
+ * // counts.types.audio -> items you would get by also selecting "audio"
  */
 
 'use strict';
@@ -33,6 +38,20 @@
  * @class
  */
 class FilterSystem {
+  /**
+   * Facet state keys mapped to the item property they count.
+   * Tags combine with AND in ContentRegistry.filter(); the others with OR.
+   * @static
+   * @type {Object<string, string>}
+   */
+  static FACETS = {
+    tags: 'tags',
+    chambers: 'chamber',
+    types: 'type',
+    wings: 'wing',
+    statuses: 'status',
+  };
+
   /**
    * Get or create the singleton instance
    * @static
@@ -369,23 +388,95 @@ class FilterSystem {
       return [];
     }
 
-    // Build filter criteria
-    const criteria = {};
+    // Get filtered items
+    let items = registry.filter(this._buildCriteria());
 
-    if (this.state.tags.length > 0) {
-      criteria.tags = this.state.tags;
+    // Apply sorting
+    items = this._sortItems(items);
+
+    return items;
+  }
+
+  /**
+   * Compute live facet counts using disjunctive faceting: each OR facet
+   * (chambers, types, wings, statuses) is counted against the query plus
+   * every *other* active filter, so selecting another value in the same
+   * group adds exactly that many items. Tags are conjunctive, so their
+   * counts come from the fully filtered set.
+   * @param {Array|null} [queryItems=null] - Items matching the current search
+   *   query, or null for the whole registry
+   * @returns {Object} { total, tags, chambers, types, wings, statuses },
+   *   each facet an object of value -> count
+   */
+  getFacetCounts(queryItems = null) {
+    const registry = ContentRegistry.getInstance();
+    const counts = { total: 0 };
+
+    for (const facet of Object.keys(FilterSystem.FACETS)) {
+      counts[facet] = {};
     }
-    if (this.state.chambers.length > 0) {
-      criteria.chambers = this.state.chambers;
+
+    if (!registry.isInitialized) {
+      return counts;
     }
-    if (this.state.types.length > 0) {
-      criteria.types = this.state.types;
+
+    const queryIds = queryItems ? new Set(queryItems.map(item => item.id)) : null;
+    const inQuery = item => !queryIds || queryIds.has(item.id);
+
+    counts.total = registry.filter(this._buildCriteria()).filter(inQuery).length;
+
+    for (const [facet, field] of Object.entries(FilterSystem.FACETS)) {
+      const excludeOwn = facet !== 'tags';
+      const items = registry.filter(this._buildCriteria(excludeOwn ? facet : null)).filter(inQuery);
+      const facetCounts = counts[facet];
+
+      items.forEach(item => {
+        const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+        values.filter(Boolean).forEach(value => {
+          facetCounts[value] = (facetCounts[value] || 0) + 1;
+        });
+      });
     }
-    if (this.state.wings.length > 0) {
-      criteria.wings = this.state.wings;
+
+    return counts;
+  }
+
+  /**
+   * Count the query items matching a set of criteria on their own
+   * (e.g. a quick filter preset, which replaces the active filters)
+   * @param {Object} criteria - ContentRegistry.filter() criteria
+   * @param {Array|null} [queryItems=null] - Items matching the current query
+   * @returns {number}
+   */
+  countMatching(criteria, queryItems = null) {
+    const registry = ContentRegistry.getInstance();
+
+    if (!registry.isInitialized) {
+      return 0;
+    }
+
+    const matches = registry.filter(criteria || {});
+    if (!queryItems) {
+      return matches.length;
     }
-    if (this.state.statuses.length > 0) {
-      criteria.statuses = this.state.statuses;
+
+    const queryIds = new Set(queryItems.map(item => item.id));
+    return matches.filter(item => queryIds.has(item.id)).length;
+  }
+
+  /**
+   * Build ContentRegistry.filter() criteria from the current state
+   * @private
+   * @param {string|null} [omitFacet=null] - Facet key to leave out
+   * @returns {Object}
+   */
+  _buildCriteria(omitFacet = null) {
+    const criteria = {};
+
+    for (const facet of Object.keys(FilterSystem.FACETS)) {
+      if (facet !== omitFacet && this.state[facet].length > 0) {
+        criteria[facet] = this.state[facet];
+      }
     }
     if (this.state.fromYear) {
       criteria.fromYear = this.state.fromYear;
@@ -394,13 +485,7 @@ class FilterSystem {
       criteria.toYear = this.state.toYear;
     }
 
-    // Get filtered items
-    let items = registry.filter(criteria);
-
-    // Apply sorting
-    items = this._sortItems(items);
-
-    return items;
+    return criteria;
   }
 
   /**
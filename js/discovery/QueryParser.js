@@ -0,0 +1,418 @@
+/**
+ * @file QueryParser.js
+ * @description Parser for the advanced discovery query syntax.
+ * Turns field-scoped and boolean tokens into MiniSearch sub-queries and
+ * FilterSystem-style criteria.
+ *
+ * Syntax:
+ * - free text              digital temple
+ * - exact phrase           "sacred space"
+ * - field-scoped text      title:temple  description:"web art"
+ * - filters                tag:glitch chamber:odeion type:audio wing:south status:published
+ * - year / year range      year:2020  year:2019..2022  year:..2020  year:2019..
+ * - exclusion              -draft  -tag:demo  -"working title"
+ *
+ * Unknown prefixes (author:anthony, tga:glitch) are searched as free text with
+ * a warning; URLs (https://...) are free text without one.
+ *
+ * Usage:
+ * ------
+ * const parsed = QueryParser.parse('tag:glitch year:2019..2022 -draft "exact phrase"');
+ * if (parsed.errors.length === 0) {
+ *   // parsed.criteria    -> { tags: ['glitch'], fromYear: 2019, toYear: 2022 }
+ *   // parsed.phrases     -> ['exact phrase']
+ *   // parsed.excludeTerms -> ['draft']
+ * }
+ */
+
+'use strict';
+
+/**
+ * QueryParser - Advanced search query parser (static utility)
+ * @class
+ */
+class QueryParser {
+  /**
+   * Field prefixes that scope free text to a MiniSearch field
+   * @static
+   * @type {Object<string, string>}
+   */
+  static TEXT_FIELDS = {
+    title: 'title',
+    subtitle: 'subtitle',
+    description: 'description',
+    desc: 'description',
+    content: 'content',
+    body: 'content',
+  };
+
+  /**
+   * Field prefixes that map to ContentRegistry.filter() criteria
+   * @static
+   * @type {Object<string, string>}
+   */
+  static FILTER_FIELDS = {
+    tag: 'tags',
+    tags: 'tags',
+    chamber: 'chambers',
+    type: 'types',
+    wing: 'wings',
+    status: 'statuses',
+  };
+
+  /**
+   * Parse a query string
+   * @static
+   * @param {string} query - Raw query from the search box
+   * @returns {Object} Parsed query:
+   *   { text, terms, phrases, fieldQueries, excludeTerms, criteria,
+   *     excludeCriteria, chips, errors, warnings, isAdvanced }.
+   *   Errors stop the search; warnings (e.g. a mistyped field) do not.
+   */
+  static parse(query) {
+    const parsed = {
+      text: '',
+      terms: [],
+      phrases: [],
+      fieldQueries: [],
+      excludeTerms: [],
+      criteria: {},
+      excludeCriteria: {},
+      chips: [],
+      errors: [],
+      warnings: [],
+      isAdvanced: false,
+    };
+
+    const tokens = QueryParser._tokenize(
+      query || '',
+      parsed.errors,
+      parsed.warnings
+    );
+
+    tokens.forEach(token => {
+      if (token.field) {
+        QueryParser._applyFieldToken(token, parsed);
+      } else if (token.negated) {
+        parsed.excludeTerms.push(token.value.toLowerCase());
+        parsed.chips.push({
+          kind: 'exclude',
+          label: `-${token.raw.replace(/^-/, '')}`,
+          negated: true,
+        });
+        parsed.isAdvanced = true;
+      } else if (token.quoted) {
+        parsed.phrases.push(token.value);
+        parsed.chips.push({
+          kind: 'phrase',
+          label: `"${token.value}"`,
+          negated: false,
+        });
+        parsed.isAdvanced = true;
+      } else {
+        parsed.terms.push(token.value);
+      }
+    });
+
+    parsed.text = parsed.terms.join(' ');
+
+    return parsed;
+  }
+
+  /**
+   * Words to highlight in results for a parsed query
+   * @static
+   * @param {Object} parsed - Result of parse()
+   * @returns {string[]}
+   */
+  static getHighlightTerms(parsed) {
+    const words = [
+      ...parsed.terms,
+      ...parsed.phrases,
+      ...parsed.fieldQueries.map(fq => fq.value),
+    ].join(' ');
+
+    return words.split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Split a query into tokens, honouring quotes and `-` / `field:` prefixes
+   * @private
+   * @static
+   * @param {string} query - Raw query
+   * @param {Array} errors - Error list to append to
+   * @param {Array} warnings - Warning list to append to
+   * @returns {Array} Tokens { raw, value, field, negated, quoted, position }
+   */
+  static _tokenize(query, errors, warnings) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      let negated = false;
+      let field = null;
+
+      if (
+        query[i] === '-' &&
+        i + 1 < query.length &&
+        !/\s/.test(query[i + 1])
+      ) {
+        negated = true;
+        i++;
+      }
+
+      // Field prefix (a known field name followed by a colon). Other prefixes
+      // stay free text: URL schemes (https://...) silently, anything else
+      // with a warning, as it is most likely a mistyped field
+      let unknownField = null;
+      const fieldMatch = query.slice(i).match(/^([a-zA-Z]+):/);
+      if (fieldMatch) {
+        const name = fieldMatch[1].toLowerCase();
+        if (QueryParser._isField(name)) {
+          field = name;
+          i += fieldMatch[0].length;
+        } else if (!query.startsWith('//', i + fieldMatch[0].length)) {
+          unknownField = name;
+        }
+      }
+
+      let value;
+      let quoted = false;
+
+      if (query[i] === '"') {
+        const closing = query.indexOf('"', i + 1);
+        if (closing === -1) {
+          errors.push({
+            message: `Missing closing quote for phrase starting at position ${i + 1}`,
+            token: query.slice(start),
+            position: start,
+          });
+          break;
+        }
+        value = query.slice(i + 1, closing).trim();
+        quoted = true;
+        i = closing + 1;
+      } else {
+        while (i < query.length && !/\s/.test(query[i])) {
+          i++;
+        }
+        value = query
+          .slice(start, i)
+          .slice((negated ? 1 : 0) + (field ? field.length + 1 : 0));
+      }
+
+      const raw = query.slice(start, i);
+
+      if (!value) {
+        errors.push({
+          message: field
+            ? `"${field}:" needs a value, e.g. ${field}:example`
+            : `Empty phrase in ${raw}`,
+          token: raw,
+          position: start,
+        });
+        continue;
+      }
+
+      tokens.push({ raw, value, field, negated, quoted, position: start });
+
+      if (unknownField && value.length > unknownField.length + 1) {
+        warnings.push({
+          message: QueryParser._unknownFieldMessage(unknownField),
+          token: raw,
+          position: start,
+        });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Apply a `field:value` token to the parsed query
+   * @private
+   * @static
+   */
+  static _applyFieldToken(token, parsed) {
+    const { field, value, negated, raw } = token;
+
+    if (field === 'year') {
+      const range = QueryParser._parseYearRange(value);
+      if (!range) {
+        parsed.errors.push({
+          message: `Invalid year "${value}". Use year:2020, year:2019..2022, year:..2020 or year:2019..`,
+          token: raw,
+          position: token.position,
+        });
+        return;
+      }
+      if (negated) {
+        parsed.errors.push({
+          message: 'Year ranges cannot be excluded',
+          token: raw,
+          position: token.position,
+        });
+        return;
+      }
+      if (range.fromYear) {
+        parsed.criteria.fromYear = range.fromYear;
+      }
+      if (range.toYear) {
+        parsed.criteria.toYear = range.toYear;
+      }
+      parsed.chips.push({
+        kind: 'filter',
+        label: `year:${value}`,
+        negated: false,
+      });
+      parsed.isAdvanced = true;
+      return;
+    }
+
+    const criteriaKey = QueryParser.FILTER_FIELDS[field];
+    if (criteriaKey) {
+      const target = negated ? parsed.excludeCriteria : parsed.criteria;
+      const normalized = value.toLowerCase().trim();
+      target[criteriaKey] = [...(target[criteriaKey] || []), normalized];
+      parsed.chips.push({
+        kind: 'filter',
+        label: `${negated ? '-' : ''}${field}:${value}`,
+        negated,
+      });
+      parsed.isAdvanced = true;
+      return;
+    }
+
+    const textField = QueryParser.TEXT_FIELDS[field];
+    if (textField) {
+      if (negated) {
+        parsed.errors.push({
+          message: `"-${field}:" is not supported; exclude plain words instead (e.g. -${value})`,
+          token: raw,
+          position: token.position,
+        });
+        return;
+      }
+      parsed.fieldQueries.push({
+        field: textField,
+        value,
+        quoted: token.quoted,
+      });
+      parsed.chips.push({
+        kind: 'field',
+        label: `${field}:${token.quoted ? `"${value}"` : value}`,
+        negated: false,
+      });
+      parsed.isAdvanced = true;
+    }
+  }
+
+  /**
+   * Whether a prefix names a query field
+   * @private
+   * @static
+   * @param {string} name - Lowercase prefix without the colon
+   * @returns {boolean}
+   */
+  static _isField(name) {
+    return (
+      name === 'year' ||
+      Object.hasOwn(QueryParser.FILTER_FIELDS, name) ||
+      Object.hasOwn(QueryParser.TEXT_FIELDS, name)
+    );
+  }
+
+  /**
+   * Warning for an unknown `name:` prefix, suggesting the closest field
+   * @private
+   * @static
+   * @param {string} name - Lowercase prefix without the colon
+   * @returns {string}
+   */
+  static _unknownFieldMessage(name) {
+    const fields = [
+      ...new Set([
+        ...Object.keys(QueryParser.FILTER_FIELDS),
+        'year',
+        ...Object.keys(QueryParser.TEXT_FIELDS),
+      ]),
+    ];
+    let suggestion = null;
+    let best = 3; // Only suggest fields within two edits
+    fields.forEach(field => {
+      const distance = QueryParser._editDistance(name, field);
+      if (distance < best) {
+        best = distance;
+        suggestion = field;
+      }
+    });
+
+    return suggestion
+      ? `Unknown field "${name}:", searched as text. Did you mean ${suggestion}:?`
+      : `Unknown field "${name}:", searched as text. Fields: ${fields.join(', ')}`;
+  }
+
+  /**
+   * Levenshtein distance between two short strings
+   * @private
+   * @static
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  static _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Parse `2020`, `2019..2022`, `..2020` or `2019..`
+   * @private
+   * @static
+   * @param {string} value - Year expression
+   * @returns {Object|null} { fromYear, toYear } or null if malformed
+   */
+  static _parseYearRange(value) {
+    const match = value.match(/^(\d{4})?(\.\.)?(\d{4})?$/);
+    if (!match || (!match[1] && !match[3])) {
+      return null;
+    }
+
+    const [, from, dots, to] = match;
+
+    if (!dots) {
+      // A single year: "2020" (a lone "to" group cannot happen without dots)
+      const year = parseInt(from, 10);
+      return { fromYear: year, toYear: year };
+    }
+
+    const fromYear = from ? parseInt(from, 10) : null;
+    const toYear = to ? parseInt(to, 10) : null;
+
+    if (fromYear && toYear && fromYear > toYear) {
+      return null;
+    }
+
+    return { fromYear, toYear };
+  }
+}
+
+// Export for global scope
+window.QueryParser = QueryParser;
@@ -5,17 +5,19 @@
  *
  * Features:
  * - Tag overlap scoring (Jaccard similarity)
+ * - Text similarity (TF-IDF cosine over titles, descriptions and body text)
  * - Chamber and wing proximity
  * - Temporal proximity (same year/period)
  * - Content type matching
  * - Configurable weights
  *
  * Scoring Weights (default):
- * - tagOverlap: 40% - Jaccard similarity of tags
- * - sameSection: 15% - Same section within chamber
+ * - tagOverlap: 30% - Jaccard similarity of tags
+ * - textSimilarity: 20% - TF-IDF cosine similarity of item text
+ * - sameSection: 10% - Same section within chamber
  * - sameChamber: 10% - Same chamber
  * - sameWing: 5% - Same wing
- * - temporal: 15% - Temporal proximity
+ * - temporal: 10% - Temporal proximity
  * - typeMatch: 15% - Same content type
  *
  * Usage:
@@ -25,6 +27,9 @@
  *
  * const related = engine.getRelated('item-id', 5);
  * // Returns array of { item, score, reasons }
+ *
+ * // "Continue exploring" shelf from JourneyTracker history
+ * const shelf = engine.getPersonalized(6);
  */
 
 'use strict';
@@ -34,6 +39,23 @@
  * @class
  */
 class RelatedWorksEngine {
+  /**
+   * Common words ignored when building text vectors
+   * @static
+   * @type {Set<string>}
+   */
+  static STOP_WORDS = new Set([
+    'about', 'after', 'again', 'all', 'also', 'and', 'any', 'are', 'because',
+    'been', 'before', 'being', 'between', 'both', 'but', 'can', 'could', 'did',
+    'does', 'each', 'for', 'from', 'had', 'has', 'have', 'her', 'here', 'his',
+    'how', 'into', 'its', 'just', 'more', 'most', 'not', 'now', 'only', 'other',
+    'our', 'out', 'over', 'own', 'same', 'she', 'should', 'some', 'such', 'than',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'through', 'too', 'under', 'until', 'very', 'was', 'were', 'what',
+    'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would',
+    'you', 'your',
+  ]);
+
   /**
    * Get or create the singleton instance
    * @static
@@ -58,11 +80,12 @@ class RelatedWorksEngine {
 
     // Default weights
     this.weights = {
-      tagOverlap: 0.40,
-      sameSection: 0.15,
+      tagOverlap: 0.30,
+      textSimilarity: 0.20,
+      sameSection: 0.10,
       sameChamber: 0.10,
       sameWing: 0.05,
-      temporal: 0.15,
+      temporal: 0.10,
       typeMatch: 0.15,
       ...this.config.weights,
     };
@@ -70,6 +93,15 @@ class RelatedWorksEngine {
     // Configuration values
     this.maxItems = this.config.maxItems || 5;
     this.scoreThreshold = this.config.scoreThreshold || 0.15;
+    this.textConfig = {
+      minTermLength: 3,
+      titleBoost: 2,
+      maxSharedTerms: 3,
+      ...this.config.text,
+    };
+
+    // TF-IDF vectors by item id (built lazily from the registry)
+    this._textVectors = null;
 
     // State
     this.isInitialized = false;
@@ -226,12 +258,156 @@ class RelatedWorksEngine {
       });
     }
 
+    // Text similarity (TF-IDF cosine)
+    const { score: textScore, terms } = this._computeTextSimilarity(source, target);
+    if (textScore > 0) {
+      totalScore += textScore * this.weights.textSimilarity;
+      reasons.push({
+        type: 'text',
+        score: textScore,
+        detail: `Shared terms: ${terms.join(', ')}`,
+        terms,
+      });
+    }
+
     return {
       score: Math.min(1, totalScore), // Cap at 1.0
       reasons,
     };
   }
 
+  /**
+   * Compute cosine similarity of two items' TF-IDF vectors
+   * @private
+   * @param {Object} source - Source item
+   * @param {Object} target - Target item
+   * @returns {Object} { score, terms } where terms are the shared terms
+   *   contributing most to the score
+   */
+  _computeTextSimilarity(source, target) {
+    const vectors = this._getTextVectors();
+    const sourceVector = vectors.get(source.id);
+    const targetVector = vectors.get(target.id);
+
+    if (!sourceVector || !targetVector) {
+      return { score: 0, terms: [] };
+    }
+
+    // Iterate the smaller vector; both are unit length so the dot product
+    // is the cosine similarity
+    const [small, large] = sourceVector.size <= targetVector.size
+      ? [sourceVector, targetVector]
+      : [targetVector, sourceVector];
+
+    const contributions = [];
+    let score = 0;
+
+    small.forEach((weight, term) => {
+      const other = large.get(term);
+      if (other) {
+        const product = weight * other;
+        score += product;
+        contributions.push({ term, product });
+      }
+    });
+
+    const terms = contributions
+      .sort((a, b) => b.product - a.product)
+      .slice(0, this.textConfig.maxSharedTerms)
+      .map(c => c.term);
+
+    return { score: Math.min(1, score), terms };
+  }
+
+  /**
+   * Get (building if needed) normalized TF-IDF vectors for all registry items
+   * @private
+   * @returns {Map<string, Map<string, number>>} Item id -> term weights
+   */
+  _getTextVectors() {
+    if (this._textVectors) {
+      return this._textVectors;
+    }
+
+    const items = ContentRegistry.getInstance().getAllItems();
+    const termCounts = new Map();
+    const documentFrequency = new Map();
+
+    items.forEach(item => {
+      const counts = this._countTerms(item);
+      termCounts.set(item.id, counts);
+      counts.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    const totalDocs = items.length;
+    this._textVectors = new Map();
+
+    termCounts.forEach((counts, id) => {
+      const vector = new Map();
+      let norm = 0;
+
+      counts.forEach((count, term) => {
+        // Sublinear tf; terms found in every item carry no signal
+        const weight = (1 + Math.log(count)) * Math.log(totalDocs / documentFrequency.get(term));
+        if (weight > 0) {
+          vector.set(term, weight);
+          norm += weight * weight;
+        }
+      });
+
+      norm = Math.sqrt(norm);
+      vector.forEach((weight, term) => vector.set(term, weight / norm));
+      this._textVectors.set(id, vector);
+    });
+
+    return this._textVectors;
+  }
+
+  /**
+   * Count terms in an item's title, description and indexed body text
+   * @private
+   * @param {Object} item - Registry item
+   * @returns {Map<string, number>} Term -> (boosted) count
+   */
+  _countTerms(item) {
+    const counts = new Map();
+    const add = (text, boost) => {
+      this._tokenize(text).forEach(term => {
+        counts.set(term, (counts.get(term) || 0) + boost);
+      });
+    };
+
+    add(item.title, this.textConfig.titleBoost);
+    add(item.subtitle, 1);
+    add(item.description, 1);
+    add(item.content, 1);
+
+    return counts;
+  }
+
+  /**
+   * Split text into lowercase terms, dropping stop words and short tokens
+   * @private
+   * @param {string} text - Text to tokenize
+   * @returns {string[]}
+   */
+  _tokenize(text) {
+    if (!text) {
+      return [];
+    }
+
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term =>
+        term.length >= this.textConfig.minTermLength &&
+        !RelatedWorksEngine.STOP_WORDS.has(term) &&
+        !/^\d+$/.test(term)
+      );
+  }
+
   /**
    * Compute Jaccard similarity for tag sets
    * @private
@@ -354,6 +530,84 @@ class RelatedWorksEngine {
       .slice(0, maxResults);
   }
 
+  /**
+   * Rank a personalized "continue exploring" list from the visitor's
+   * JourneyTracker history. Items opened from discovery (`item_viewed`
+   * interactions) seed getRelatedToMultiple(); without any, the most
+   * recently visited chambers seed with their first items. Scores are then
+   * divided by chamber familiarity so chambers seen many times sink.
+   * @param {number} [limit] - Maximum items to return
+   * @param {JourneyTracker} [journey] - Journey source (defaults to the singleton)
+   * @returns {Array} Array of { item, score, reasons }
+   */
+  getPersonalized(limit, journey) {
+    const tracker = journey || (typeof JourneyTracker !== 'undefined' ? JourneyTracker.getInstance() : null);
+
+    if (!this.isInitialized || !tracker) {
+      return [];
+    }
+
+    const registry = ContentRegistry.getInstance();
+    const options = {
+      maxSeeds: 5,
+      seedItemsPerChamber: 2,
+      familiarityPenalty: 0.5,
+      ...this.config.personalization,
+    };
+
+    const summary = tracker.getSummary();
+    const visitCounts = tracker.getVisitCounts();
+
+    // Most recently viewed items first
+    const viewedIds = [...new Set(
+      summary.interactions
+        .filter(i => i.meta && i.meta.itemId)
+        .reverse()
+        .map(i => i.meta.itemId)
+    )].filter(id => registry.getItem(id));
+
+    let seedIds = viewedIds.slice(0, options.maxSeeds);
+
+    if (seedIds.length === 0) {
+      const recentChambers = [...new Set([...summary.pathSequence].reverse())];
+      seedIds = recentChambers
+        .flatMap(chamber => registry.getItemsByChamber(chamber).slice(0, options.seedItemsPerChamber))
+        .slice(0, options.maxSeeds)
+        .map(item => item.id);
+    }
+
+    if (seedIds.length === 0) {
+      return [];
+    }
+
+    const viewed = new Set(viewedIds);
+    const candidates = this.getRelatedToMultiple(seedIds, registry.getAllItems().length);
+
+    return candidates
+      .filter(({ item }) => !viewed.has(item.id))
+      .map(({ item, score, reasons }) => {
+        const visits = visitCounts[item.chamber] || 0;
+        const familiarity = 1 / (1 + options.familiarityPenalty * Math.log1p(visits));
+
+        return {
+          item,
+          score: score * familiarity,
+          reasons: [
+            ...reasons,
+            {
+              type: 'journey',
+              score: familiarity,
+              detail: visits === 0
+                ? `New chamber for you: ${item.chamberName || item.chamber}`
+                : `Visited ${item.chamberName || item.chamber} ${visits} time${visits === 1 ? '' : 's'}`,
+            },
+          ],
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit || this.maxItems);
+  }
+
   /**
    * Deduplicate reason objects
    * @private
@@ -429,6 +683,7 @@ class RelatedWorksEngine {
    */
   clearCache() {
     this._cache.clear();
+    this._textVectors = null;
   }
 
   /**
@@ -450,6 +705,7 @@ class RelatedWorksEngine {
    */
   dispose() {
     this._cache.clear();
+    this._textVectors = null;
     this.isInitialized = false;
   }
 }
@@ -0,0 +1,401 @@
+/**
+ * @file SavedSearches.js
+ * @description Named saved searches (query + filter state) for the discovery chamber.
+ * Stored in localStorage; ordered, renameable, and portable as JSON presets.
+ *
+ * Features:
+ * - Save the current query and FilterSystem state under a name
+ * - Rename, reorder and delete
+ * - JSON import/export for sharing curated presets
+ * - Observer pattern for UI updates
+ *
+ * Usage:
+ * ------
+ * const saved = SavedSearches.getInstance();
+ *
+ * saved.save('All 2020 audio in the South Wing', '', {
+ *   types: ['audio'], wings: ['south'], fromYear: 2020, toYear: 2020,
+ * });
+ *
+ * const json = saved.exportJSON();
+ * saved.importJSON(json);
+ */
+
+'use strict';
+
+/**
+ * SavedSearches - Saved search storage singleton
+ * @class
+ */
+class SavedSearches {
+  /**
+   * Export format version
+   * @static
+   * @type {number}
+   */
+  static FORMAT_VERSION = 1;
+
+  /**
+   * Filter state keys holding string arrays
+   * @static
+   * @type {string[]}
+   */
+  static LIST_KEYS = ['tags', 'chambers', 'types', 'wings', 'statuses'];
+
+  /**
+   * Get or create the singleton instance
+   * @static
+   * @returns {SavedSearches}
+   */
+  static getInstance() {
+    if (!window.savedSearchesInstance) {
+      window.savedSearchesInstance = new SavedSearches();
+    }
+    return window.savedSearchesInstance;
+  }
+
+  /**
+   * Create a new SavedSearches instance
+   * @private
+   */
+  constructor() {
+    // Configuration
+    this.config =
+      typeof ETCETER4_CONFIG !== 'undefined'
+        ? ETCETER4_CONFIG.discovery?.savedSearches || {}
+        : {};
+
+    this.storageKey = this.config.storageKey || 'etceter4-saved-searches';
+    this.maxSaved = this.config.maxSaved || 50;
+
+    // Saved searches, in display order
+    this.searches = this._load();
+
+    // Change listeners
+    this.listeners = new Set();
+  }
+
+  /**
+   * Get all saved searches in display order
+   * @returns {Array} Copies of { id, name, query, state, createdAt }
+   */
+  getAll() {
+    return this.searches.map(search => this._clone(search));
+  }
+
+  /**
+   * Get a saved search by ID
+   * @param {string} id - Saved search ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    const search = this.searches.find(s => s.id === id);
+    return search ? this._clone(search) : null;
+  }
+
+  /**
+   * Save a search
+   * @param {string} name - Display name
+   * @param {string} query - Search query (may be empty)
+   * @param {Object} state - FilterSystem state
+   * @returns {Object} The saved entry
+   * @throws {Error} If the name is empty or the limit is reached
+   */
+  save(name, query, state) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('Saved search needs a name');
+    }
+    if (this.searches.length >= this.maxSaved) {
+      throw new Error(`You can keep up to ${this.maxSaved} saved searches`);
+    }
+
+    const entry = {
+      id: this._generateId(),
+      name: trimmedName,
+      query: (query || '').trim(),
+      state: SavedSearches.normalizeState(state),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.searches.push(entry);
+    this._commit();
+
+    return this.get(entry.id);
+  }
+
+  /**
+   * Rename a saved search
+   * @param {string} id - Saved search ID
+   * @param {string} name - New name
+   * @returns {boolean} True if renamed
+   */
+  rename(id, name) {
+    const search = this.searches.find(s => s.id === id);
+    const trimmedName = (name || '').trim();
+
+    if (!search || !trimmedName || search.name === trimmedName) {
+      return false;
+    }
+
+    search.name = trimmedName;
+    this._commit();
+    return true;
+  }
+
+  /**
+   * Move a saved search to a new position
+   * @param {string} id - Saved search ID
+   * @param {number} toIndex - Target index (clamped to the list bounds)
+   * @returns {boolean} True if moved
+   */
+  move(id, toIndex) {
+    const fromIndex = this.searches.findIndex(s => s.id === id);
+    const target = Math.max(0, Math.min(this.searches.length - 1, toIndex));
+
+    if (fromIndex === -1 || fromIndex === target) {
+      return false;
+    }
+
+    const [search] = this.searches.splice(fromIndex, 1);
+    this.searches.splice(target, 0, search);
+    this._commit();
+    return true;
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    const index = this.searches.findIndex(s => s.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.searches.splice(index, 1);
+    this._commit();
+    return true;
+  }
+
+  /**
+   * Export saved searches as a JSON preset file
+   * @param {string[]} [ids] - Only export these IDs (default: all)
+   * @returns {string} JSON string
+   */
+  exportJSON(ids) {
+    const selected = ids
+      ? this.searches.filter(s => ids.includes(s.id))
+      : this.searches;
+
+    return JSON.stringify(
+      {
+        version: SavedSearches.FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        searches: selected.map(({ name, query, state }) => ({
+          name,
+          query,
+          state,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Import saved searches from a JSON preset file. Entries are appended;
+   * ones identical to an existing search (same name, query and filters)
+   * are skipped.
+   * @param {string|Object} json - JSON string or parsed object
+   * @returns {number} Number of searches added
+   * @throws {Error} If the JSON is malformed or from an unknown version
+   */
+  importJSON(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch {
+      throw new Error('Saved searches file is not valid JSON');
+    }
+
+    if (!data || !Array.isArray(data.searches)) {
+      throw new Error('Saved searches file has no "searches" list');
+    }
+    if (data.version && data.version > SavedSearches.FORMAT_VERSION) {
+      throw new Error(
+        `Saved searches file version ${data.version} is not supported`
+      );
+    }
+
+    const existing = new Set(this.searches.map(s => this._signature(s)));
+    let added = 0;
+
+    for (const raw of data.searches) {
+      if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) {
+        continue;
+      }
+      if (this.searches.length >= this.maxSaved) {
+        break;
+      }
+
+      const entry = {
+        id: this._generateId(),
+        name: raw.name.trim(),
+        query: typeof raw.query === 'string' ? raw.query.trim() : '',
+        state: SavedSearches.normalizeState(raw.state),
+        createdAt: new Date().toISOString(),
+      };
+
+      const signature = this._signature(entry);
+      if (existing.has(signature)) {
+        continue;
+      }
+
+      existing.add(signature);
+      this.searches.push(entry);
+      added++;
+    }
+
+    if (added > 0) {
+      this._commit();
+    }
+
+    return added;
+  }
+
+  /**
+   * Reduce a filter state to its persisted fields
+   * @static
+   * @param {Object} [state] - FilterSystem state (possibly from an import)
+   * @returns {Object}
+   */
+  static normalizeState(state = {}) {
+    const source = state || {};
+    const normalized = {};
+
+    for (const key of SavedSearches.LIST_KEYS) {
+      normalized[key] = Array.isArray(source[key])
+        ? source[key]
+            .filter(v => typeof v === 'string' && v.trim())
+            .map(v => v.toLowerCase().trim())
+        : [];
+    }
+
+    const fromYear = parseInt(source.fromYear, 10);
+    const toYear = parseInt(source.toYear, 10);
+    normalized.fromYear = Number.isFinite(fromYear) ? fromYear : null;
+    normalized.toYear = Number.isFinite(toYear) ? toYear : null;
+    normalized.sortBy =
+      typeof source.sortBy === 'string' ? source.sortBy : 'relevance';
+    normalized.sortOrder = source.sortOrder === 'asc' ? 'asc' : 'desc';
+
+    return normalized;
+  }
+
+  /**
+   * Register change listener
+   * @param {Function} callback - Function(searches)
+   */
+  onChange(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.add(callback);
+    }
+  }
+
+  /**
+   * Unregister change listener
+   * @param {Function} callback
+   */
+  offChange(callback) {
+    this.listeners.delete(callback);
+  }
+
+  /**
+   * Copy a stored search so callers cannot mutate it
+   * @private
+   */
+  _clone(search) {
+    return { ...search, state: SavedSearches.normalizeState(search.state) };
+  }
+
+  /**
+   * Identity of a search for duplicate detection
+   * @private
+   */
+  _signature(search) {
+    return JSON.stringify([search.name, search.query, search.state]);
+  }
+
+  /**
+   * Generate a unique ID
+   * @private
+   * @returns {string}
+   */
+  _generateId() {
+    return `search-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Persist and notify listeners
+   * @private
+   */
+  _commit() {
+    this._save();
+
+    const searches = this.getAll();
+    for (const callback of this.listeners) {
+      try {
+        callback(searches);
+      } catch (error) {
+        console.error('SavedSearches listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Load saved searches from localStorage
+   * @private
+   * @returns {Array}
+   */
+  _load() {
+    try {
+      const raw = localStorage.getItem(this.storageKey);
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) {
+          return parsed.filter(s => s && s.id && s.name);
+        }
+      }
+    } catch (error) {
+      console.warn(
+        'SavedSearches: failed to load saved searches',
+        error.message
+      );
+    }
+    return [];
+  }
+
+  /**
+   * Save to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.searches));
+    } catch (error) {
+      console.warn('SavedSearches: failed to save searches', error.message);
+    }
+  }
+
+  /**
+   * Dispose and clean up
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+}
+
+// Export for global scope
+window.SavedSearches = SavedSearches;
@@ -0,0 +1,397 @@
+/**
+ * @file SearchAnalytics.js
+ * @description Local search log for the discovery chamber.
+ * Records queries, result counts and clicked result positions in IndexedDB
+ * so the curator can see what visitors look for and fail to find.
+ *
+ * Privacy:
+ * - Nothing leaves the browser; the log is only readable via the dashboard
+ *   or an explicit export
+ * - Only the normalized query text, counts, positions and item IDs are kept
+ * - The log is bounded (oldest entries are pruned) and can be cleared
+ *
+ * Features:
+ * - Listens to SearchEngine search events
+ * - Merges keystroke-by-keystroke refinements ("gli", "glitch") into one entry
+ * - Zero-result, top query and click position reports
+ * - JSON export
+ * - In-memory fallback when IndexedDB is unavailable
+ *
+ * Usage:
+ * ------
+ * const analytics = SearchAnalytics.getInstance();
+ * analytics.attach(SearchEngine.getInstance());
+ *
+ * analytics.recordClick('glitch', 0, 'ogod-track-1');
+ *
+ * const report = await analytics.getReport();
+ * report.zeroResultQueries; // [{ query: 'vinyl', count: 4, lastSeen: ... }]
+ */
+
+'use strict';
+
+/**
+ * SearchAnalytics - Search log singleton
+ * @class
+ */
+class SearchAnalytics {
+  /**
+   * Export format version
+   * @static
+   * @type {number}
+   */
+  static FORMAT_VERSION = 1;
+
+  /**
+   * Object store holding log entries
+   * @static
+   * @type {string}
+   */
+  static STORE = 'entries';
+
+  /**
+   * Get or create the singleton instance
+   * @static
+   * @returns {SearchAnalytics}
+   */
+  static getInstance() {
+    if (!window.searchAnalyticsInstance) {
+      window.searchAnalyticsInstance = new SearchAnalytics();
+    }
+    return window.searchAnalyticsInstance;
+  }
+
+  /**
+   * Normalize a query for logging and grouping
+   * @static
+   * @param {string} query
+   * @param {number} [maxLength=100]
+   * @returns {string}
+   */
+  static normalizeQuery(query, maxLength = 100) {
+    return String(query || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  /**
+   * Create a new SearchAnalytics instance
+   * @private
+   */
+  constructor() {
+    // Configuration
+    this.config = {
+      enabled: true,
+      dbName: 'etceter4-search-analytics',
+      maxEntries: 500,
+      maxQueryLength: 100,
+      mergeWindowMs: 5000,
+      ...(typeof ETCETER4_CONFIG !== 'undefined'
+        ? ETCETER4_CONFIG.discovery?.analytics || {}
+        : {}),
+    };
+
+    // Log database (opened lazily, in memory when IndexedDB is unavailable)
+    this._db = new IDBStore({
+      name: this.config.dbName,
+      label: 'SearchAnalytics',
+      stores: {
+        [SearchAnalytics.STORE]: { keyPath: 'id', autoIncrement: true },
+      },
+    });
+
+    // Last logged search, for merging refinements
+    this._lastSearch = null;
+
+    // Serializes writes so merges see the previous entry
+    this._queue = Promise.resolve();
+
+    this._onSearch = this._onSearch.bind(this);
+    this._searchEngine = null;
+  }
+
+  /**
+   * Start logging a SearchEngine's search events
+   * @param {SearchEngine} searchEngine
+   */
+  attach(searchEngine) {
+    if (
+      !this.config.enabled ||
+      !searchEngine ||
+      this._searchEngine === searchEngine
+    ) {
+      return;
+    }
+    this.detach();
+    this._searchEngine = searchEngine;
+    searchEngine.onSearch(this._onSearch);
+  }
+
+  /**
+   * Stop logging search events
+   */
+  detach() {
+    if (this._searchEngine) {
+      this._searchEngine.offSearch(this._onSearch);
+      this._searchEngine = null;
+    }
+  }
+
+  /**
+   * Log a search. A refinement of the previous query within the merge
+   * window (one is a prefix of the other) replaces the previous entry.
+   * @param {string} query
+   * @param {number} resultCount
+   * @param {number} [timestamp=Date.now()]
+   * @returns {Promise<void>}
+   */
+  recordSearch(query, resultCount, timestamp = Date.now()) {
+    const normalized = SearchAnalytics.normalizeQuery(
+      query,
+      this.config.maxQueryLength
+    );
+    if (!this.config.enabled || !normalized) {
+      return Promise.resolve();
+    }
+
+    return this._enqueue(async () => {
+      const entry = {
+        type: 'search',
+        query: normalized,
+        resultCount,
+        timestamp,
+      };
+      const last = this._lastSearch;
+
+      if (
+        last &&
+        timestamp - last.timestamp <= this.config.mergeWindowMs &&
+        (normalized.startsWith(last.query) || last.query.startsWith(normalized))
+      ) {
+        entry.id = last.id;
+        await this._put(entry);
+      } else {
+        entry.id = await this._put(entry);
+        await this._prune();
+      }
+
+      this._lastSearch = entry;
+    });
+  }
+
+  /**
+   * Log a click on a search result
+   * @param {string} query - Query that produced the results
+   * @param {number} position - Zero-based position of the clicked result
+   * @param {string} [itemId] - Clicked item ID
+   * @returns {Promise<void>}
+   */
+  recordClick(query, position, itemId = null) {
+    const normalized = SearchAnalytics.normalizeQuery(
+      query,
+      this.config.maxQueryLength
+    );
+    if (
+      !this.config.enabled ||
+      !normalized ||
+      !Number.isInteger(position) ||
+      position < 0
+    ) {
+      return Promise.resolve();
+    }
+
+    return this._enqueue(async () => {
+      await this._put({
+        type: 'click',
+        query: normalized,
+        position,
+        itemId,
+        timestamp: Date.now(),
+      });
+      // A click ends the refinement of the current query
+      this._lastSearch = null;
+      await this._prune();
+    });
+  }
+
+  /**
+   * Get all log entries, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getEntries() {
+    await this._queue;
+    return this._db.getAll(SearchAnalytics.STORE);
+  }
+
+  /**
+   * Summarize the log
+   * @param {Object} [options]
+   * @param {number} [options.since] - Only include entries at or after this timestamp
+   * @param {number} [options.limit=10] - Length of the query lists
+   * @returns {Promise<Object>} Report
+   */
+  async getReport(options = {}) {
+    const { since = 0, limit = 10 } = options;
+    const entries = (await this.getEntries()).filter(e => e.timestamp >= since);
+    const searches = entries.filter(e => e.type === 'search');
+    const clicks = entries.filter(e => e.type === 'click');
+
+    const byQuery = new Map();
+    for (const search of searches) {
+      const stats = byQuery.get(search.query) || {
+        query: search.query,
+        count: 0,
+        totalResults: 0,
+        zeroResults: 0,
+        lastSeen: 0,
+      };
+      stats.count++;
+      stats.totalResults += search.resultCount;
+      stats.zeroResults += search.resultCount === 0 ? 1 : 0;
+      stats.lastSeen = Math.max(stats.lastSeen, search.timestamp);
+      byQuery.set(search.query, stats);
+    }
+
+    const queries = [...byQuery.values()];
+    const byCount = (a, b) => b.count - a.count || b.lastSeen - a.lastSeen;
+
+    const clickPositions = {};
+    for (const click of clicks) {
+      clickPositions[click.position + 1] =
+        (clickPositions[click.position + 1] || 0) + 1;
+    }
+
+    const zeroResultSearches = searches.filter(s => s.resultCount === 0).length;
+    const clickedQueries = new Set(clicks.map(c => c.query));
+
+    return {
+      totalSearches: searches.length,
+      uniqueQueries: queries.length,
+      zeroResultSearches,
+      zeroResultRate: searches.length
+        ? zeroResultSearches / searches.length
+        : 0,
+      totalClicks: clicks.length,
+      clickThroughRate: queries.length
+        ? queries.filter(q => clickedQueries.has(q.query)).length /
+          queries.length
+        : 0,
+      averageClickPosition: clicks.length
+        ? clicks.reduce((sum, c) => sum + c.position + 1, 0) / clicks.length
+        : null,
+      clickPositions,
+      topQueries: queries
+        .sort(byCount)
+        .slice(0, limit)
+        .map(q => ({
+          query: q.query,
+          count: q.count,
+          averageResults: q.totalResults / q.count,
+        })),
+      zeroResultQueries: queries
+        .filter(q => q.zeroResults > 0)
+        .map(q => ({
+          query: q.query,
+          count: q.zeroResults,
+          lastSeen: q.lastSeen,
+        }))
+        .sort(byCount)
+        .slice(0, limit),
+    };
+  }
+
+  /**
+   * Export the log as JSON
+   * @returns {Promise<string>}
+   */
+  async exportJSON() {
+    const entries = await this.getEntries();
+    return JSON.stringify(
+      {
+        version: SearchAnalytics.FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: entries.map(({ id: _id, ...entry }) => entry),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Delete the whole log
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._enqueue(async () => {
+      this._lastSearch = null;
+      await this._db.clear(SearchAnalytics.STORE);
+    });
+  }
+
+  /**
+   * Handle SearchEngine search events
+   * @private
+   */
+  _onSearch({ query, results, timestamp }) {
+    this.recordSearch(
+      query,
+      Array.isArray(results) ? results.length : 0,
+      timestamp
+    ).catch(error =>
+      console.warn('SearchAnalytics: failed to log search', error.message)
+    );
+  }
+
+  /**
+   * Run a task after previously queued tasks
+   * @private
+   * @param {Function} task - Async function
+   * @returns {Promise}
+   */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    // Keep the queue alive after failures
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Insert or replace an entry
+   * @private
+   * @param {Object} entry - Entry (with id to replace)
+   * @returns {Promise<number>} Entry ID
+   */
+  async _put(entry) {
+    const record = { ...entry };
+    if (!record.id) {
+      delete record.id;
+    }
+    return this._db.put(SearchAnalytics.STORE, record);
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   * @private
+   */
+  async _prune() {
+    const keys = await this._db.getAllKeys(SearchAnalytics.STORE);
+    // Keys are auto-incremented, so key order is insertion order
+    const excess = keys.length - this.config.maxEntries;
+    if (excess > 0) {
+      await this._db.delete(SearchAnalytics.STORE, keys.slice(0, excess));
+    }
+  }
+
+  /**
+   * Dispose and clean up
+   */
+  dispose() {
+    this.detach();
+    this._db.close();
+  }
+}
+
+// Export for global scope
+window.SearchAnalytics = SearchAnalytics;
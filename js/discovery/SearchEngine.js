@@ -6,9 +6,12 @@
  * Features:
  * - Full-text search with fuzzy matching
  * - Field-specific boosting (title 3x, tags 2.5x, description 2x, content 1x)
- * - Result highlighting with <mark> tags
+ * - Result highlighting with <mark> tags, including in-body snippets
  * - Debounced search for performance
  * - Integration with ContentRegistry
+ * - Prebuilt index snapshots (scripts/build-search-index.js) with live fallback
+ * - Advanced syntax via QueryParser: field:value, "phrases", -exclusions,
+ *   tag:/chamber:/type:/wing:/status: filters and year:2019..2022 ranges
  *
  * Usage:
  * ------
@@ -17,6 +20,8 @@
  *
  * const results = engine.search('digital art');
  * // Returns array of { item, score, highlights }
+ *
+ * engine.search('tag:glitch year:2019.. -draft "sacred space"');
  */
 
 'use strict';
@@ -26,6 +31,14 @@
  * @class
  */
 class SearchEngine {
+  /**
+   * Snapshot format version. Bump when document shape or index options change
+   * so that stale snapshots are rejected.
+   * @static
+   * @type {number}
+   */
+  static INDEX_VERSION = 2;
+
   /**
    * Get or create the singleton instance
    * @static
@@ -38,6 +51,78 @@ class SearchEngine {
     return window.searchEngineInstance;
   }
 
+  /**
+   * Build MiniSearch options. Shared with the build script so that a
+   * serialized snapshot can be loaded with identical options.
+   * @static
+   * @param {Object} [config] - discovery.search configuration
+   * @returns {Object} MiniSearch constructor options
+   */
+  static getIndexOptions(config = {}) {
+    const fieldWeights = config.fieldWeights || {
+      title: 3,
+      tags: 2.5,
+      description: 2,
+      content: 1,
+    };
+
+    return {
+      fields: ['title', 'subtitle', 'description', 'tagsText', 'chamberName', 'sectionTitle', 'content'],
+      storeFields: ['id'],
+      searchOptions: {
+        boost: {
+          title: fieldWeights.title,
+          tagsText: fieldWeights.tags,
+          description: fieldWeights.description,
+          subtitle: 1.5,
+          chamberName: 1,
+          sectionTitle: 1,
+          content: fieldWeights.content,
+        },
+        fuzzy: config.fuzzyThreshold || 0.3,
+        prefix: true,
+      },
+    };
+  }
+
+  /**
+   * Convert a registry item into an indexable document
+   * @static
+   * @param {Object} item - Normalized ContentRegistry item
+   * @returns {Object} MiniSearch document
+   */
+  static toDocument(item) {
+    return {
+      id: item.id,
+      title: item.title,
+      subtitle: item.subtitle || '',
+      description: item.description || '',
+      tagsText: item.tags.join(' '),
+      chamberName: item.chamberName || '',
+      sectionTitle: item.sectionTitle || '',
+      content: item.content || '',
+    };
+  }
+
+  /**
+   * Hash indexable documents (32-bit FNV-1a) so a snapshot built from
+   * different chamber configs can be detected and discarded.
+   * @static
+   * @param {Object[]} documents - Documents from toDocument()
+   * @returns {string} Hex hash
+   */
+  static hashDocuments(documents) {
+    const text = JSON.stringify(documents);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   /**
    * Create a new SearchEngine instance
    * @private
@@ -54,6 +139,10 @@ class SearchEngine {
     // State
     this.isInitialized = false;
 
+    // Index provenance ('snapshot' or 'live') and hash of indexed documents
+    this.indexSource = null;
+    this.contentHash = null;
+
     // Debounce timer
     this._debounceTimer = null;
 
@@ -87,51 +176,64 @@ class SearchEngine {
       await registry.initialize();
     }
 
-    // Configure MiniSearch
-    const fieldWeights = this.config.fieldWeights || {
-      title: 3,
-      tags: 2.5,
-      description: 2,
-      content: 1,
-    };
-
-    this.miniSearch = new MiniSearch({
-      fields: ['title', 'subtitle', 'description', 'tagsText', 'chamberName', 'sectionTitle'],
-      storeFields: ['id'],
-      searchOptions: {
-        boost: {
-          title: fieldWeights.title,
-          tagsText: fieldWeights.tags,
-          description: fieldWeights.description,
-          subtitle: 1.5,
-          chamberName: 1,
-          sectionTitle: 1,
-        },
-        fuzzy: this.config.fuzzyThreshold || 0.3,
-        prefix: true,
-      },
-    });
+    const options = SearchEngine.getIndexOptions(this.config);
+    const documents = registry.getAllItems().map(item => SearchEngine.toDocument(item));
+    this.contentHash = SearchEngine.hashDocuments(documents);
 
-    // Index all items
-    const items = registry.getAllItems();
-    const documents = items.map(item => ({
-      id: item.id,
-      title: item.title,
-      subtitle: item.subtitle || '',
-      description: item.description || '',
-      tagsText: item.tags.join(' '),
-      chamberName: item.chamberName || '',
-      sectionTitle: item.sectionTitle || '',
-    }));
+    // Prefer the prebuilt snapshot, fall back to indexing in the browser
+    this.miniSearch = await this._loadSnapshot(options, this.contentHash);
 
-    this.miniSearch.addAll(documents);
+    if (this.miniSearch) {
+      this.indexSource = 'snapshot';
+    } else {
+      this.miniSearch = new MiniSearch(options);
+      this.miniSearch.addAll(documents);
+      this.indexSource = 'live';
+    }
 
     this.isInitialized = true;
-    console.info(`SearchEngine: Initialized with ${items.length} documents`);
+    console.info(`SearchEngine: Initialized with ${documents.length} documents (${this.indexSource})`);
 
     return this;
   }
 
+  /**
+   * Load the prebuilt index snapshot if it matches the current content
+   * @private
+   * @param {Object} options - MiniSearch options
+   * @param {string} contentHash - Hash of the documents that would be indexed
+   * @returns {Promise<MiniSearch|null>} Loaded index, or null to index live
+   */
+  async _loadSnapshot(options, contentHash) {
+    const snapshotConfig = this.config.prebuiltIndex || {};
+    if (snapshotConfig.enabled === false || !snapshotConfig.url || typeof fetch === 'undefined') {
+      return null;
+    }
+
+    try {
+      const response = await fetch(snapshotConfig.url);
+      if (!response.ok) {
+        return null;
+      }
+
+      const snapshot = await response.json();
+
+      if (snapshot.version !== SearchEngine.INDEX_VERSION) {
+        console.info('SearchEngine: Snapshot version mismatch, indexing live');
+        return null;
+      }
+      if (snapshot.contentHash !== contentHash) {
+        console.info('SearchEngine: Snapshot is stale, indexing live');
+        return null;
+      }
+
+      return MiniSearch.loadJSON(snapshot.index, options);
+    } catch (error) {
+      console.warn('SearchEngine: Could not load index snapshot:', error);
+      return null;
+    }
+  }
+
   /**
    * Search for items matching query
    * @param {string} query - Search query
@@ -159,15 +261,28 @@ class SearchEngine {
       return this._searchCache.get(cacheKey);
     }
 
-    // Perform search
-    const searchResults = this.miniSearch.search(trimmedQuery, {
-      fuzzy: this.config.fuzzyThreshold || 0.3,
-      prefix: true,
-    });
-
     // Get registry for full item data
     const registry = ContentRegistry.getInstance();
 
+    // Advanced syntax (fields, filters, phrases, exclusions) - see QueryParser
+    const parsed = this.parseQuery(trimmedQuery);
+    if (parsed.errors.length > 0) {
+      return [];
+    }
+
+    let searchResults;
+    let highlightQuery = trimmedQuery;
+
+    if (parsed.isAdvanced) {
+      searchResults = this._searchAdvanced(parsed, registry);
+      highlightQuery = QueryParser.getHighlightTerms(parsed).join(' ');
+    } else {
+      searchResults = this.miniSearch.search(trimmedQuery, {
+        fuzzy: this.config.fuzzyThreshold || 0.3,
+        prefix: true,
+      });
+    }
+
     // Map results to items with highlights
     let results = searchResults.map(result => {
       const item = registry.getItem(result.id);
@@ -178,7 +293,7 @@ class SearchEngine {
       return {
         item,
         score: result.score,
-        highlights: this._generateHighlights(item, trimmedQuery),
+        highlights: this._generateHighlights(item, highlightQuery),
         matchedFields: result.match,
       };
     }).filter(Boolean);
@@ -201,6 +316,123 @@ class SearchEngine {
     return results;
   }
 
+  /**
+   * Parse a query with the advanced search syntax
+   * @param {string} query - Raw query
+   * @returns {Object} Parsed query (see QueryParser.parse)
+   */
+  parseQuery(query) {
+    return QueryParser.parse(query);
+  }
+
+  /**
+   * Run a parsed advanced query against the index and registry
+   * @private
+   * @param {Object} parsed - Result of QueryParser.parse()
+   * @param {ContentRegistry} registry - Content registry
+   * @returns {Array} MiniSearch-style results { id, score, match }
+   */
+  _searchAdvanced(parsed, registry) {
+    const clauses = [];
+
+    if (parsed.text) {
+      clauses.push({ queries: [parsed.text], combineWith: 'OR' });
+    }
+
+    parsed.phrases.forEach(phrase => {
+      clauses.push({ queries: [phrase], combineWith: 'AND', prefix: false, fuzzy: false });
+    });
+
+    parsed.fieldQueries.forEach(({ field, value, quoted }) => {
+      clauses.push({
+        queries: [value],
+        fields: [field],
+        combineWith: 'AND',
+        ...(quoted ? { prefix: false, fuzzy: false } : {}),
+      });
+    });
+
+    let results;
+
+    if (clauses.length > 0) {
+      results = this.miniSearch.search(
+        { queries: clauses, combineWith: 'AND' },
+        { fuzzy: this.config.fuzzyThreshold || 0.3, prefix: true }
+      );
+
+      // MiniSearch matches phrase words anywhere; keep only exact phrases
+      results = results.filter(result => {
+        const item = registry.getItem(result.id);
+        if (!item) {
+          return false;
+        }
+        const document = SearchEngine.toDocument(item);
+        return parsed.phrases.every(phrase => this._containsPhrase(Object.values(document), phrase)) &&
+          parsed.fieldQueries.every(({ field, value, quoted }) =>
+            !quoted || this._containsPhrase([document[field]], value)
+          );
+      });
+    } else {
+      // Filter-only query: every item is a candidate
+      results = registry.getAllItems().map(item => ({ id: item.id, score: 1, match: {} }));
+    }
+
+    const excludedIds = this._getExcludedIds(parsed, registry);
+    const allowedIds = Object.keys(parsed.criteria).length > 0
+      ? new Set(registry.filter(parsed.criteria).map(item => item.id))
+      : null;
+
+    return results.filter(result =>
+      !excludedIds.has(result.id) && (!allowedIds || allowedIds.has(result.id))
+    );
+  }
+
+  /**
+   * Collect ids removed by negated terms, phrases and filters
+   * @private
+   * @param {Object} parsed - Parsed query
+   * @param {ContentRegistry} registry - Content registry
+   * @returns {Set<string>}
+   */
+  _getExcludedIds(parsed, registry) {
+    const excluded = new Set();
+
+    parsed.excludeTerms.forEach(term => {
+      this.miniSearch
+        .search(term, { combineWith: 'AND', prefix: false, fuzzy: false })
+        .forEach(result => {
+          const item = registry.getItem(result.id);
+          if (item && this._containsPhrase(Object.values(SearchEngine.toDocument(item)), term)) {
+            excluded.add(result.id);
+          }
+        });
+    });
+
+    // Each negated filter value excludes on its own (-tag:a -tag:b drops either)
+    Object.entries(parsed.excludeCriteria).forEach(([key, values]) => {
+      values.forEach(value => {
+        registry.filter({ [key]: [value] }).forEach(item => excluded.add(item.id));
+      });
+    });
+
+    return excluded;
+  }
+
+  /**
+   * Check whether any of the texts contains a phrase (case/whitespace-insensitive)
+   * @private
+   * @param {Array<string>} texts - Texts to search
+   * @param {string} phrase - Phrase to find
+   * @returns {boolean}
+   */
+  _containsPhrase(texts, phrase) {
+    const needle = phrase.toLowerCase().replace(/\s+/g, ' ').trim();
+    return texts.some(text =>
+      typeof text === 'string' &&
+      text.toLowerCase().replace(/\s+/g, ' ').includes(needle)
+    );
+  }
+
   /**
    * Debounced search - returns a promise that resolves after debounce delay
    * @param {string} query - Search query
@@ -245,6 +477,14 @@ class SearchEngine {
       highlights.description = this._highlightText(truncated, queryTerms);
     }
 
+    // Body text highlight (full-text documents)
+    const contentMatch = this._findContentMatch(item, queryTerms);
+    if (contentMatch) {
+      const truncated = this._truncateToContext(contentMatch.text, queryTerms, 200);
+      highlights.content = this._highlightText(truncated, queryTerms);
+      highlights.contentUrl = contentMatch.url;
+    }
+
     // Tags highlight
     if (item.tags && item.tags.length > 0) {
       highlights.tags = item.tags.map(tag => {
@@ -258,6 +498,27 @@ class SearchEngine {
     return highlights;
   }
 
+  /**
+   * Find the first body text containing a query term
+   * @private
+   * @param {Object} item - Item with optional content/fullText
+   * @param {string[]} terms - Lowercased query terms
+   * @returns {Object|null} { url, text } of the matching document
+   */
+  _findContentMatch(item, terms) {
+    const documents = item.fullText && item.fullText.length > 0
+      ? item.fullText
+      : [{ url: null, text: item.content }];
+
+    return documents.find(doc => {
+      if (!doc.text) {
+        return false;
+      }
+      const lowerText = doc.text.toLowerCase();
+      return terms.some(term => term.length >= 2 && lowerText.includes(term));
+    }) || null;
+  }
+
   /**
    * Highlight matching terms in text
    * @private
@@ -392,17 +653,11 @@ class SearchEngine {
     // Clear and rebuild index
     this.miniSearch.removeAll();
 
-    const documents = items.map(item => ({
-      id: item.id,
-      title: item.title,
-      subtitle: item.subtitle || '',
-      description: item.description || '',
-      tagsText: item.tags.join(' '),
-      chamberName: item.chamberName || '',
-      sectionTitle: item.sectionTitle || '',
-    }));
+    const documents = items.map(item => SearchEngine.toDocument(item));
 
     this.miniSearch.addAll(documents);
+    this.contentHash = SearchEngine.hashDocuments(documents);
+    this.indexSource = 'live';
     this.clearCache();
 
     console.info(`SearchEngine: Reindexed ${items.length} documents`);
@@ -487,6 +742,8 @@ class SearchEngine {
       isInitialized: this.isInitialized,
       documentCount: this.miniSearch ? this.miniSearch.documentCount : 0,
       cacheSize: this._searchCache.size,
+      indexSource: this.indexSource,
+      contentHash: this.contentHash,
     };
   }
 
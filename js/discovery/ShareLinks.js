@@ -3,7 +3,8 @@
  * @description Share and copy link functionality for discovery items and filtered views.
  *
  * Features:
- * - Generate shareable URLs for individual items
+ * - Generate shareable URLs for individual items (via prebuilt share cards
+ *   with Open Graph/oEmbed metadata when enabled)
  * - Generate shareable URLs for filtered views
  * - Copy to clipboard with visual feedback
  * - Social sharing integration (optional)
@@ -29,6 +30,17 @@
  * @class
  */
 class ShareLinks {
+  /**
+   * File name (without extension) of an item's share card stub.
+   * Shared with scripts/build-share-cards.js.
+   * @static
+   * @param {string} itemId - Item ID
+   * @returns {string}
+   */
+  static getShareCardFileName(itemId) {
+    return String(itemId).replace(/[^a-zA-Z0-9_-]/g, '-');
+  }
+
   /**
    * Get or create the singleton instance
    * @static
@@ -49,6 +61,11 @@ class ShareLinks {
     // Base URL for the site
     this.baseUrl = window.location.origin;
 
+    // Share card stubs (scripts/build-share-cards.js)
+    this.shareCards = typeof ETCETER4_CONFIG !== 'undefined'
+      ? ETCETER4_CONFIG.discovery?.shareCards || {}
+      : {};
+
     // Toast notification element (created lazily)
     this._toastElement = null;
 
@@ -57,7 +74,9 @@ class ShareLinks {
   }
 
   /**
-   * Generate shareable URL for an item
+   * Generate shareable URL for an item. Points at the item's static share
+   * card stub (rich link previews, redirects to the deep link) when share
+   * cards are enabled, otherwise at the deep link itself.
    * @param {string} itemId - Item ID
    * @returns {string|null} Full URL or null if item not found
    */
@@ -70,7 +89,20 @@ class ShareLinks {
       return null;
     }
 
-    // Generate URL with item parameter
+    if (this.shareCards.enabled && this.shareCards.path) {
+      const file = `${this.shareCards.path}/${ShareLinks.getShareCardFileName(itemId)}.html`;
+      return new URL(file, `${this.baseUrl}${window.location.pathname}`).href;
+    }
+
+    return this.getItemDeepLink(itemId);
+  }
+
+  /**
+   * Generate the in-app deep link for an item (?item=id#discovery)
+   * @param {string} itemId - Item ID
+   * @returns {string}
+   */
+  getItemDeepLink(itemId) {
     const params = new URLSearchParams();
     params.set('item', itemId);
 
@@ -214,6 +246,15 @@ class ShareLinks {
     }
   }
 
+  /**
+   * Show a toast notification (shared by other discovery UI)
+   * @param {string} message - Message to show
+   * @param {string} [type='success'] - 'success' or 'error'
+   */
+  showToast(message, type = 'success') {
+    this._showToast(message, type);
+  }
+
   /**
    * Show toast notification
    * @private
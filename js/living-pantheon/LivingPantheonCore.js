@@ -10,7 +10,7 @@
  *
  * Features:
  * - Singleton pattern with lazy loading of subsystems
- * - Keyboard toggle: Ctrl+Shift+L
+ * - Keyboard toggle: Ctrl+Shift+L (also in the command palette)
  * - localStorage persistence via config.accessibility.storageKey
  * - Respects prefers-reduced-motion media query
  * - Chamber-specific initialization hooks
@@ -130,6 +130,17 @@ class LivingPantheonCore {
     document.addEventListener('keydown', this._onKeyDown);
     document.addEventListener('visibilitychange', this._onVisibilityChange);
 
+    // Expose toggle in the command palette
+    if (typeof CommandRegistry !== 'undefined') {
+      CommandRegistry.getInstance().register({
+        id: 'living-pantheon.toggle',
+        title: 'Toggle Living Pantheon',
+        category: 'Living Pantheon',
+        keywords: ['glitch', 'ambient', 'effects', 'animation', 'motion'],
+        run: () => this.toggle(),
+      });
+    }
+
     this.isInitialized = true;
     this._emitStatusChange();
 
@@ -251,6 +262,10 @@ class LivingPantheonCore {
     document.removeEventListener('keydown', this._onKeyDown);
     document.removeEventListener('visibilitychange', this._onVisibilityChange);
 
+    if (typeof CommandRegistry !== 'undefined') {
+      CommandRegistry.getInstance().unregister('living-pantheon.toggle');
+    }
+
     // Dispose all subsystems
     if (this.subsystems.glitch) {
       this.subsystems.glitch.dispose();
@@ -99,20 +99,19 @@ if ('serviceWorker' in navigator) {
         console.warn('SW registration failed:', error);
       });
 
-    // Register MediaServiceWorker for offline media caching
+    // MediaServiceWorker now runs inside sw.js. Its own registration only
+    // ever controlled /js/media/cache/, so drop it where it is left over.
     navigator.serviceWorker
-      .register('/js/media/cache/MediaServiceWorker.js')
-      .then(registration => {
-        console.log('MediaServiceWorker registered:', registration.scope);
-        // Check for updates periodically
-        setInterval(() => {
-          registration.update().catch(error => {
-            console.warn('MediaServiceWorker update check failed:', error);
-          });
-        }, 60000); // Check every 60 seconds
+      .getRegistrations()
+      .then(registrations => {
+        registrations
+          .filter(registration =>
+            registration.scope.endsWith('/js/media/cache/')
+          )
+          .forEach(registration => registration.unregister());
       })
       .catch(error => {
-        console.warn('MediaServiceWorker registration failed:', error);
+        console.warn('MediaServiceWorker cleanup failed:', error);
       });
   });
 }
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * MediaSessionController
+ * Publishes now-playing metadata, playback state and position to the OS
+ * through the Media Session API, and routes lock-screen, notification and
+ * hardware media-key actions back to a player.
+ *
+ * `navigator.mediaSession` is a single global, so the controller that most
+ * recently called activate() owns it; the others leave it alone until they
+ * are activated again (usually when their player starts playing).
+ *
+ * @class MediaSessionController
+ * @example
+ * const session = new MediaSessionController({
+ *   handlers: {
+ *     play: () => player.play(),
+ *     pause: () => player.pause(),
+ *     seekto: ({ seekTime }) => player.seekTo(seekTime),
+ *   },
+ *   getPosition: () => player.getPosition(),
+ *   getDuration: () => player.getDuration(),
+ * });
+ * player.on('play', () => {
+ *   session.activate();
+ *   session.setMetadata({ title: 'I. Overture', artist: 'ET CETER4', albumId: 'ogod' });
+ *   session.setPlaybackState('playing');
+ * });
+ */
+class MediaSessionController {
+  /** Actions the controller knows how to register */
+  static ACTIONS = [
+    'play',
+    'pause',
+    'stop',
+    'previoustrack',
+    'nexttrack',
+    'seekto',
+    'seekbackward',
+    'seekforward',
+  ];
+
+  /** Cover art sizes published as artwork, smallest first */
+  static ARTWORK_SIZES = { small: 300, medium: 600, large: 1200 };
+
+  /** Controller currently owning navigator.mediaSession */
+  static _owner = null;
+
+  /**
+   * Whether the Media Session API is available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof navigator !== 'undefined' &&
+      !!navigator.mediaSession &&
+      typeof MediaMetadata !== 'undefined'
+    );
+  }
+
+  /**
+   * Build Media Session artwork for an album's cover art
+   * @param {string} albumId - Album identifier
+   * @returns {Array<Object>} MediaImage list, empty if covers cannot be resolved
+   */
+  static resolveArtwork(albumId) {
+    if (!albumId || typeof MediaURLResolver === 'undefined') {
+      return [];
+    }
+    return Object.entries(MediaSessionController.ARTWORK_SIZES).map(
+      ([size, px]) => ({
+        src: MediaURLResolver.resolveCoverArt(albumId, size),
+        sizes: `${px}x${px}`,
+        type: 'image/jpeg',
+      })
+    );
+  }
+
+  /**
+   * Create a MediaSessionController
+   * @param {Object} options
+   * @param {Object<string, Function>} options.handlers - Action handlers keyed by action name
+   * @param {Function} [options.getPosition] - Returns the playback position in seconds
+   * @param {Function} [options.getDuration] - Returns the track duration in seconds
+   * @param {number} [options.seekOffset=10] - Default skip for seekbackward/seekforward (s)
+   */
+  constructor(options = {}) {
+    this.handlers = { ...options.handlers };
+    this.getPosition = options.getPosition || (() => 0);
+    this.getDuration = options.getDuration || (() => 0);
+    this.seekOffset = options.seekOffset ?? 10;
+
+    // Skip buttons fall back to seeking relative to the current position
+    if (this.handlers.seekto) {
+      this.handlers.seekbackward ??= details =>
+        this._seekBy(-(details?.seekOffset || this.seekOffset));
+      this.handlers.seekforward ??= details =>
+        this._seekBy(details?.seekOffset || this.seekOffset);
+    }
+
+    this.metadata = null;
+  }
+
+  /**
+   * Take over navigator.mediaSession and register this controller's handlers
+   */
+  activate() {
+    if (!MediaSessionController.isSupported() || this.isActive()) {
+      return;
+    }
+
+    MediaSessionController._owner = this;
+    MediaSessionController.ACTIONS.forEach(action => {
+      this._setActionHandler(action, this.handlers[action] || null);
+    });
+
+    if (this.metadata) {
+      navigator.mediaSession.metadata = new MediaMetadata(this.metadata);
+    }
+  }
+
+  /**
+   * Whether this controller currently owns navigator.mediaSession
+   * @returns {boolean}
+   */
+  isActive() {
+    return MediaSessionController._owner === this;
+  }
+
+  /**
+   * Publish now-playing metadata
+   * @param {Object|null} track - { title, artist?, album?, albumTitle?, albumId?, artwork? }
+   */
+  setMetadata(track) {
+    this.metadata = track
+      ? {
+          title: track.title || '',
+          artist: track.artist || '',
+          album: track.album || track.albumTitle || '',
+          artwork:
+            track.artwork ||
+            MediaSessionController.resolveArtwork(track.albumId),
+        }
+      : null;
+
+    if (this.isActive()) {
+      navigator.mediaSession.metadata = this.metadata
+        ? new MediaMetadata(this.metadata)
+        : null;
+    }
+  }
+
+  /**
+   * Publish the playback state
+   * @param {string} state - 'playing', 'paused' or 'none'
+   */
+  setPlaybackState(state) {
+    if (this.isActive()) {
+      navigator.mediaSession.playbackState = state;
+    }
+  }
+
+  /**
+   * Publish the current position so the OS can draw and extrapolate progress
+   * @param {number} [playbackRate=1]
+   */
+  updatePositionState(playbackRate = 1) {
+    if (
+      !this.isActive() ||
+      typeof navigator.mediaSession.setPositionState !== 'function'
+    ) {
+      return;
+    }
+
+    const duration = this.getDuration();
+    // Unknown or streaming durations cannot be described to the OS
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return;
+    }
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        position: Math.min(Math.max(this.getPosition() || 0, 0), duration),
+        playbackRate,
+      });
+    } catch (error) {
+      console.warn(
+        'MediaSessionController: Could not set position state',
+        error
+      );
+    }
+  }
+
+  /**
+   * Release navigator.mediaSession if this controller owns it
+   */
+  dispose() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    MediaSessionController.ACTIONS.forEach(action =>
+      this._setActionHandler(action, null)
+    );
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+    MediaSessionController._owner = null;
+  }
+
+  /**
+   * Seek relative to the current position
+   * @private
+   * @param {number} delta - Seconds to move (negative to go back)
+   */
+  _seekBy(delta) {
+    const duration = this.getDuration();
+    let seekTime = Math.max(0, this.getPosition() + delta);
+    if (Number.isFinite(duration) && duration > 0) {
+      seekTime = Math.min(seekTime, duration);
+    }
+    this.handlers.seekto({ action: 'seekto', seekTime });
+  }
+
+  /**
+   * Register an action handler, ignoring actions the browser does not support
+   * @private
+   * @param {string} action
+   * @param {Function|null} handler
+   */
+  _setActionHandler(action, handler) {
+    try {
+      navigator.mediaSession.setActionHandler(action, handler);
+    } catch {
+      // Browsers throw for actions they do not implement
+    }
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.MediaSessionController = MediaSessionController;
+}
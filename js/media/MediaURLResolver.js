@@ -138,14 +138,38 @@ class MediaURLResolver {
   }
 
   /**
-   * Resolve an album lyrics LRC file URL
+   * Resolve the URL of an album's metadata.json (track list, credits, loudness)
+   * @param {string} albumId - Album identifier
+   * @returns {string} Metadata JSON URL
+   */
+  static resolveAlbumMetadataFile(albumId) {
+    return MediaURLResolver.resolve(`albums/${albumId}/metadata.json`, 'audio');
+  }
+
+  /**
+   * Resolve a track's chapter sidecar URL
    * @param {string} albumId - Album identifier
    * @param {number|string} trackNumber - Track number
-   * @returns {string} LRC file URL
+   * @param {string} [format='json'] - Chapter format ('json' or 'cue')
+   * @returns {string} Chapters JSON or CUE sheet URL
    */
-  static resolveLyrics(albumId, trackNumber) {
+  static resolveChapters(albumId, trackNumber, format = 'json') {
     const paddedTrack = String(trackNumber).padStart(2, '0');
-    return MediaURLResolver.resolve(`albums/${albumId}/${paddedTrack}.lrc`, 'audio');
+    const file = format === 'cue' ? `${paddedTrack}.cue` : `${paddedTrack}-chapters.json`;
+    return MediaURLResolver.resolve(`albums/${albumId}/${file}`, 'audio');
+  }
+
+  /**
+   * Resolve an album lyrics file URL
+   * @param {string} albumId - Album identifier
+   * @param {number|string} trackNumber - Track number
+   * @param {string} [format='lrc'] - Lyrics format ('lrc', 'vtt', 'srt')
+   * @returns {string} Lyrics file URL
+   */
+  static resolveLyrics(albumId, trackNumber, format = 'lrc') {
+    const paddedTrack = String(trackNumber).padStart(2, '0');
+    const extension = ['lrc', 'vtt', 'srt'].includes(format) ? format : 'lrc';
+    return MediaURLResolver.resolve(`albums/${albumId}/${paddedTrack}.${extension}`, 'audio');
   }
 
   /**
@@ -190,6 +214,16 @@ class MediaURLResolver {
     return MediaURLResolver.resolve(`${videoId}/subs-${language}.vtt`, 'video');
   }
 
+  /**
+   * Resolve a video's subtitle manifest, listing its languages
+   * (see EnhancedVideoPlayer.parseSubtitleManifest)
+   * @param {string} videoId - Video identifier/path
+   * @returns {string} Subtitle manifest URL
+   */
+  static resolveVideoSubtitleManifest(videoId) {
+    return MediaURLResolver.resolve(`${videoId}/subtitles.json`, 'video');
+  }
+
   /**
    * Resolve album cover art URL
    * @param {string} albumId - Album identifier
@@ -236,6 +270,7 @@ class MediaURLResolver {
    * @param {string} [options.format='mp3'] - Audio format
    * @param {boolean} [options.includeWaveforms=true] - Include waveform URLs
    * @param {boolean} [options.includeLyrics=false] - Include lyrics URLs
+   * @param {string} [options.lyricsFormat='lrc'] - Lyrics format ('lrc', 'vtt', 'srt')
    * @returns {Array<Object>} Array of track URL objects
    */
   static resolveAlbumTracks(albumId, trackCount, options = {}) {
@@ -243,6 +278,7 @@ class MediaURLResolver {
       format = 'mp3',
       includeWaveforms = true,
       includeLyrics = false,
+      lyricsFormat = 'lrc',
     } = options;
 
     const tracks = [];
@@ -258,7 +294,7 @@ class MediaURLResolver {
       }
 
       if (includeLyrics) {
-        track.lyricsUrl = MediaURLResolver.resolveLyrics(albumId, i);
+        track.lyricsUrl = MediaURLResolver.resolveLyrics(albumId, i, lyricsFormat);
       }
 
       tracks.push(track);
@@ -289,6 +325,7 @@ class MediaURLResolver {
       tracks: MediaURLResolver.resolveAlbumTracks(albumId, albumConfig.trackCount, {
         includeWaveforms: true,
         includeLyrics: albumConfig.hasLyrics || false,
+        lyricsFormat: albumConfig.lyricsFormat,
       }),
     };
   }
@@ -2,8 +2,34 @@
 
 /**
  * EnhancedAudioPlayer
- * Self-hosted audio player using Howler.js with crossfade, volume control,
- * and event-based state management. Reads configuration from ETCETER4_CONFIG.media.audio.
+ * Self-hosted audio player with crossfade, volume control, and event-based
+ * state management. Reads configuration from ETCETER4_CONFIG.media.audio.
+ *
+ * Two playback engines:
+ * - Web Audio (default when `gapless.enabled`, AudioContext exists and the
+ *   device reports at least `gapless.minDeviceMemory` GB of memory): tracks
+ *   are fetched and decoded into AudioBuffers, and the next track in the queue
+ *   is decoded while the current one plays and started on the AudioContext
+ *   clock, so album tracks join without a gap. Crossfades are gain automation
+ *   curves ('equal-power' or 'linear', see `crossfadeCurve`). Only the current
+ *   and next buffers are kept decoded.
+ * - Howler.js: streaming HTML5/Web Audio playback with timer-based fades.
+ *
+ * Loudness normalization ('track' or 'album' mode) applies the ReplayGain-style
+ * gains that scripts/analyze-loudness.js writes into each album's metadata.json,
+ * through a GainNode per voice. Howler.js sounds that play through Web Audio
+ * are routed through a shared normalization GainNode before Howler's master
+ * gain; HTML5 Audio sounds can only be attenuated through their volume.
+ *
+ * Tracks can carry chapters (cue points inside long tracks): inline as
+ * `chapters: [{ title, time }]`, from `chaptersUrl`, or `chapters: 'json'|'cue'`
+ * for a sidecar next to the audio (see MediaURLResolver.resolveChapters).
+ * CUE sheets should describe the single audio file of the track. The player
+ * emits 'chaptersLoaded' and 'chapterchange' and can skip between chapters.
+ *
+ * When the Media Session API is available, the player publishes the current
+ * track (with album cover art) to the OS while it plays, and lock-screen
+ * controls and hardware media keys drive play/pause/next/previous/seek.
  *
  * @class EnhancedAudioPlayer
  * @example
@@ -23,14 +49,22 @@ class EnhancedAudioPlayer {
    * @param {Array<Object>} options.tracks - Array of track objects with id, title, url properties
    * @param {number} [options.volume] - Initial volume (0-1), defaults to config.defaultVolume
    * @param {number} [options.crossfadeDuration] - Crossfade duration in ms, defaults to config
+   * @param {string} [options.crossfadeCurve] - 'equal-power' or 'linear', defaults to config
+   * @param {boolean} [options.gapless] - Use the Web Audio engine, defaults to config.gapless.enabled
+   * @param {boolean} [options.mediaSession] - Publish to the Media Session API, defaults to config.mediaSession.enabled
+   * @param {string} [options.normalization] - 'off', 'track' or 'album', defaults to the saved choice or config.normalization.mode
    * @param {boolean} [options.autoPlay] - Whether to start playing automatically
    */
   constructor(options = {}) {
     this.config = window.ETCETER4_CONFIG?.media?.audio || {
       crossfadeDuration: 1000,
+      crossfadeCurve: 'equal-power',
       defaultVolume: 0.8,
       fadeOutDuration: 500,
       fadeInDuration: 500,
+      gapless: { enabled: true, overlap: 0, minDeviceMemory: 2 },
+      mediaSession: { enabled: true, seekOffset: 10 },
+      normalization: { mode: 'album', preampDb: 0, preventClipping: true, ceilingDbtp: -1 },
     };
 
     this.tracks = options.tracks || [];
@@ -41,9 +75,30 @@ class EnhancedAudioPlayer {
     // Volume state
     this.volume = options.volume ?? this.config.defaultVolume;
     this.crossfadeDuration = options.crossfadeDuration ?? this.config.crossfadeDuration;
+    this.crossfadeCurve = options.crossfadeCurve ?? this.config.crossfadeCurve ?? 'equal-power';
+
+    // Engine selection
+    this.useWebAudio =
+      (options.gapless ?? this.config.gapless?.enabled ?? false) &&
+      EnhancedAudioPlayer.isWebAudioSupported() &&
+      EnhancedAudioPlayer.hasMemoryForDecoding(this.config.gapless?.minDeviceMemory);
+    this.gaplessOverlap = this.config.gapless?.overlap ?? 0;
 
     // Howler.js sound instance
     this.sound = null;
+    this._howlerNormalization = null; // GainNode between Howler sounds and Howler.masterGain
+    this._howlerRouted = new WeakSet(); // Howler sound nodes already routed through it
+
+    // Web Audio graph state (created lazily on first play)
+    this.audioContext = null;
+    this._masterGain = null;
+    this._buffers = new Map(); // url -> Promise<AudioBuffer>
+    this._current = null; // Voice playing the current track
+    this._next = null; // Voice scheduled for the next track
+    this._retiring = new Set(); // Voices fading out
+    this._resumeOffset = 0; // Start offset (s) for the next play() without a voice
+    this._playToken = 0; // Invalidates pending async starts
+    this._transitionTimer = null;
 
     // Event listeners storage
     this.listeners = new Map();
@@ -52,6 +107,25 @@ class EnhancedAudioPlayer {
     this.isCrossfading = false;
     this.fadeTimeout = null;
 
+    // Loudness normalization
+    this.normalizationMode = EnhancedAudioPlayer.NORMALIZATION_MODES.includes(options.normalization)
+      ? options.normalization
+      : this._loadNormalizationMode();
+    this._albumMetadata = new Map(); // albumId -> metadata.json contents (null if missing)
+    this.on('trackChange', ({ track }) => this._loadAlbumMetadata(track?.albumId));
+
+    // Chapters of the current track
+    this.chapters = [];
+    this.currentChapterIndex = -1;
+    this._chaptersLoadId = 0; // Drops chapter files that arrive after a track change
+    this.on('trackChange', ({ track }) => this._loadTrackChapters(track));
+    this.on('progress', ({ position }) => this._updateChapter(position));
+
+    // OS media controls (null when disabled or unsupported)
+    this.mediaSession = this._createMediaSession(
+      options.mediaSession ?? this.config.mediaSession?.enabled ?? false
+    );
+
     // Initialize with first track if available
     if (this.tracks.length > 0) {
       this.loadTrack(0);
@@ -63,6 +137,147 @@ class EnhancedAudioPlayer {
     }
   }
 
+  /** Loudness normalization modes */
+  static NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+  /** localStorage key remembering the chosen normalization mode */
+  static NORMALIZATION_STORAGE_KEY = 'etceter4-audio-normalization';
+
+  /** Seconds into a chapter after which "previous chapter" restarts it instead */
+  static CHAPTER_RESTART_THRESHOLD = 3;
+
+  /**
+   * Parse a chapter time: seconds, or a "[hh:]mm:ss[.fff]" timestamp
+   * @param {number|string} value
+   * @returns {number} Seconds, NaN when invalid
+   */
+  static parseChapterTime(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const parts = String(value ?? '').trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) {
+      return NaN;
+    }
+    return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+  }
+
+  /**
+   * Normalize chapter JSON: an array of chapters or { chapters: [...] },
+   * each with a title and a `time` (or `start`) in seconds or as a timestamp
+   * @param {Array<Object>|Object} data
+   * @returns {Array<Object>} Chapters { title, time, ... } sorted by time
+   */
+  static parseChapters(data) {
+    const entries = Array.isArray(data) ? data : data?.chapters;
+    if (!Array.isArray(entries)) {
+      return [];
+    }
+
+    return entries
+      .map((entry, i) => ({
+        ...entry,
+        title: entry.title || `Chapter ${i + 1}`,
+        time: EnhancedAudioPlayer.parseChapterTime(entry.time ?? entry.start),
+      }))
+      .filter(chapter => Number.isFinite(chapter.time) && chapter.time >= 0)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Parse a CUE sheet into chapters, one per TRACK (INDEX 01 is the start,
+   * in mm:ss:ff with 75 frames per second)
+   * @param {string} text - CUE sheet contents
+   * @returns {Array<Object>} Chapters { title, performer?, time }
+   */
+  static parseCueSheet(text) {
+    const chapters = [];
+    let chapter = null;
+
+    String(text)
+      .split(/\r?\n/)
+      .forEach(line => {
+        const [, command, rest = ''] = line.trim().match(/^(\S+)\s*(.*)$/) || [];
+        const value = rest.replace(/^"(.*)"$/, '$1');
+
+        switch (command?.toUpperCase()) {
+          case 'TRACK':
+            chapter = { title: `Chapter ${chapters.length + 1}`, time: NaN };
+            chapters.push(chapter);
+            break;
+          case 'TITLE':
+            if (chapter) {
+              chapter.title = value;
+            }
+            break;
+          case 'PERFORMER':
+            if (chapter) {
+              chapter.performer = value;
+            }
+            break;
+          case 'INDEX': {
+            const match = rest.match(/^0*1\s+(\d+):(\d+):(\d+)$/);
+            if (chapter && match) {
+              chapter.time = Number(match[1]) * 60 + Number(match[2]) + Number(match[3]) / 75;
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      });
+
+    return EnhancedAudioPlayer.parseChapters(chapters);
+  }
+
+  /**
+   * Convert decibels to a linear gain factor
+   * @param {number} db
+   * @returns {number}
+   */
+  static dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  /**
+   * Whether the Web Audio engine can run in this browser
+   * @returns {boolean}
+   */
+  static isWebAudioSupported() {
+    return (
+      typeof window !== 'undefined' &&
+      !!(window.AudioContext || window.webkitAudioContext) &&
+      typeof fetch === 'function'
+    );
+  }
+
+  /**
+   * Whether the device has enough memory to keep decoded tracks around
+   * @param {number} [minDeviceMemory=0] - Minimum navigator.deviceMemory in GB
+   * @returns {boolean} True when the device meets it or does not report memory
+   */
+  static hasMemoryForDecoding(minDeviceMemory = 0) {
+    const reported = typeof navigator !== 'undefined' ? navigator.deviceMemory : undefined;
+    return typeof reported !== 'number' || reported >= minDeviceMemory;
+  }
+
+  /**
+   * Build a gain automation curve for a fade
+   * @param {string} type - 'equal-power' or 'linear'
+   * @param {string} direction - 'in' (0 → 1) or 'out' (1 → 0)
+   * @param {number} [steps=64] - Curve resolution
+   * @returns {Float32Array}
+   */
+  static createFadeCurve(type, direction, steps = 64) {
+    const curve = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const t = i / (steps - 1);
+      const x = direction === 'in' ? t : 1 - t;
+      curve[i] = type === 'linear' ? x : Math.sin((x * Math.PI) / 2);
+    }
+    return curve;
+  }
+
   /**
    * Load a track by index
    * @private
@@ -73,6 +288,11 @@ class EnhancedAudioPlayer {
       return;
     }
 
+    if (this.useWebAudio) {
+      this._loadTrackWebAudio(index);
+      return;
+    }
+
     // Stop and unload current sound
     if (this.sound) {
       this.sound.stop();
@@ -91,8 +311,10 @@ class EnhancedAudioPlayer {
     // Create new Howler sound instance
     this.sound = new Howl({
       src: [track.url],
-      volume: this.volume,
+      volume: this._getOutputVolume(),
       onplay: () => {
+        // Howler may have created another sound node for this play
+        this._routeHowlerNormalization();
         this.isPlaying = true;
         this.isPaused = false;
         this.emit('play', { track: this.getCurrentTrack() });
@@ -122,6 +344,9 @@ class EnhancedAudioPlayer {
       },
     });
 
+    // The initial volume was computed before the sound existed
+    this._applyNormalization();
+
     // Setup progress tracking interval
     this.setupProgressTracking();
 
@@ -142,9 +367,9 @@ class EnhancedAudioPlayer {
     }
 
     this.progressInterval = setInterval(() => {
-      if (this.sound && this.isPlaying) {
-        const position = this.sound.seek();
-        const duration = this.sound.duration();
+      if ((this.sound || this._current) && this.isPlaying) {
+        const position = this.getPosition();
+        const duration = this.getDuration();
         this.emit('progress', {
           position,
           duration,
@@ -158,9 +383,13 @@ class EnhancedAudioPlayer {
    * Play the current track
    */
   play() {
+    if (this.useWebAudio) {
+      return this._playWebAudio();
+    }
+
     if (!this.sound) {
       if (this.tracks.length > 0) {
-        this.loadTrack(0);
+        this.loadTrack(this.currentTrackIndex);
       } else {
         return;
       }
@@ -173,6 +402,11 @@ class EnhancedAudioPlayer {
    * Pause the current track
    */
   pause() {
+    if (this.useWebAudio) {
+      this._pauseWebAudio();
+      return;
+    }
+
     if (this.sound && this.isPlaying) {
       this.sound.pause();
     }
@@ -196,6 +430,15 @@ class EnhancedAudioPlayer {
     if (this.sound) {
       this.sound.stop();
     }
+    if (this.useWebAudio) {
+      this._playToken++;
+      this._stopAllVoices();
+      this._resumeOffset = 0;
+      this.isCrossfading = false;
+      if (this.isPlaying || this.isPaused) {
+        this.emit('stop', { track: this.getCurrentTrack() });
+      }
+    }
     this.isPlaying = false;
     this.isPaused = false;
   }
@@ -227,12 +470,17 @@ class EnhancedAudioPlayer {
       return;
     }
 
+    if (this.useWebAudio) {
+      this._crossfadeWebAudio(index);
+      return;
+    }
+
     this.isCrossfading = true;
     const wasPlaying = this.isPlaying;
 
     if (this.sound && this.isPlaying) {
       // Fade out current track
-      this.sound.fade(this.volume, 0, this.config.fadeOutDuration);
+      this.sound.fade(this._getOutputVolume(), 0, this.config.fadeOutDuration);
 
       // Clear existing timeout
       if (this.fadeTimeout) {
@@ -248,7 +496,7 @@ class EnhancedAudioPlayer {
           if (this.sound) {
             this.sound.volume(0);
             this.play();
-            this.sound.fade(0, this.volume, this.config.fadeInDuration);
+            this.sound.fade(0, this._getOutputVolume(), this.config.fadeInDuration);
           }
         }
 
@@ -266,9 +514,15 @@ class EnhancedAudioPlayer {
    * @param {number} position - Position as percentage (0-1)
    */
   seek(position) {
+    if (this.useWebAudio) {
+      this.seekTo(position * this.getDuration());
+      return;
+    }
+
     if (this.sound && this.sound.duration() > 0) {
       const seconds = position * this.sound.duration();
       this.sound.seek(seconds);
+      this.mediaSession?.updatePositionState();
     }
   }
 
@@ -277,9 +531,13 @@ class EnhancedAudioPlayer {
    * @param {number} seconds - Time in seconds
    */
   seekTo(seconds) {
-    if (this.sound) {
+    if (this.useWebAudio) {
+      this._seekWebAudio(seconds);
+    } else if (this.sound) {
       this.sound.seek(seconds);
     }
+
+    this.mediaSession?.updatePositionState();
   }
 
   /**
@@ -292,7 +550,10 @@ class EnhancedAudioPlayer {
     this.volume = clampedVolume;
 
     if (this.sound) {
-      this.sound.volume(clampedVolume);
+      this.sound.volume(this._getOutputVolume());
+    }
+    if (this._masterGain) {
+      this._masterGain.gain.value = clampedVolume;
     }
 
     this.emit('volumeChange', { volume: clampedVolume });
@@ -306,6 +567,180 @@ class EnhancedAudioPlayer {
     return this.volume;
   }
 
+  /**
+   * Choose loudness normalization and remember the choice
+   * @param {string} mode - 'off', 'track' or 'album'
+   */
+  setNormalizationMode(mode) {
+    if (!EnhancedAudioPlayer.NORMALIZATION_MODES.includes(mode)) {
+      console.warn(`EnhancedAudioPlayer: Unknown normalization mode "${mode}"`);
+      return;
+    }
+
+    this.normalizationMode = mode;
+    try {
+      localStorage.setItem(EnhancedAudioPlayer.NORMALIZATION_STORAGE_KEY, mode);
+    } catch {
+      // Storage unavailable (private browsing); the choice lasts for the session
+    }
+
+    this._applyNormalization();
+    this.emit('normalizationChange', { mode, gainDb: this.getNormalizationGain() });
+  }
+
+  /**
+   * Get the loudness normalization mode
+   * @returns {string} 'off', 'track' or 'album'
+   */
+  getNormalizationMode() {
+    return this.normalizationMode;
+  }
+
+  /**
+   * Gain applied to a track by the current normalization mode. Album mode
+   * falls back to the track gain for tracks without album loudness, and the
+   * gain is lowered when it would push the true peak over the ceiling.
+   * @param {Object} [track] - Track, defaults to the current one
+   * @returns {number} Gain in dB (0 when off or unmeasured)
+   */
+  getNormalizationGain(track = this.getCurrentTrack()) {
+    if (this.normalizationMode === 'off' || !track) {
+      return 0;
+    }
+
+    const metadata = this._albumMetadata.get(track.albumId);
+    const trackLoudness = track.loudness || this._findTrackMetadata(metadata, track)?.loudness;
+    const albumLoudness = track.albumLoudness || metadata?.loudness;
+    const loudness =
+      this.normalizationMode === 'album' ? albumLoudness || trackLoudness : trackLoudness;
+    if (!Number.isFinite(loudness?.gainDb)) {
+      return 0;
+    }
+
+    const settings = this.config.normalization || {};
+    let gainDb = loudness.gainDb + (settings.preampDb || 0);
+    if (settings.preventClipping !== false && Number.isFinite(loudness.truePeakDbtp)) {
+      gainDb = Math.min(gainDb, (settings.ceilingDbtp ?? -1) - loudness.truePeakDbtp);
+    }
+    return gainDb;
+  }
+
+  /**
+   * Replace the current track's chapters
+   * @param {Array<Object>|Object} chapters - Chapters { title, time } (see parseChapters)
+   */
+  setChapters(chapters) {
+    this._chaptersLoadId++;
+    this.chapters = EnhancedAudioPlayer.parseChapters(chapters);
+    this.currentChapterIndex = -1;
+    this.emit('chaptersLoaded', { chapters: this.chapters, track: this.getCurrentTrack() });
+    this._updateChapter(this.getPosition());
+  }
+
+  /**
+   * Load the current track's chapters from a JSON file or CUE sheet
+   * @async
+   * @param {string} url - Chapters URL
+   * @param {string} [format='auto'] - 'json', 'cue' or 'auto' (by extension, then content)
+   * @returns {Promise<Array<Object>>} Loaded chapters (empty on failure)
+   */
+  async loadChapters(url, format = 'auto') {
+    const loadId = ++this._chaptersLoadId;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const text = await response.text();
+      if (loadId !== this._chaptersLoadId) {
+        return this.chapters;
+      }
+
+      const isCue =
+        format === 'cue' ||
+        (format === 'auto' && (/\.cue([?#]|$)/i.test(url) || !/^\s*[[{]/.test(text)));
+      this.setChapters(
+        isCue
+          ? EnhancedAudioPlayer.parseCueSheet(text)
+          : EnhancedAudioPlayer.parseChapters(JSON.parse(text))
+      );
+    } catch (err) {
+      console.warn('EnhancedAudioPlayer: Failed to load chapters', err);
+      if (loadId === this._chaptersLoadId) {
+        this.setChapters([]);
+      }
+    }
+
+    return this.chapters;
+  }
+
+  /**
+   * Get the current track's chapters
+   * @returns {Array<Object>} Chapters { title, time, ... } sorted by time
+   */
+  getChapters() {
+    return this.chapters;
+  }
+
+  /**
+   * Get the chapter at the playback position
+   * @returns {Object|null} Current chapter, null before the first one
+   */
+  getCurrentChapter() {
+    return this.chapters[this.currentChapterIndex] || null;
+  }
+
+  /**
+   * Get the index of the chapter at the playback position
+   * @returns {number} Chapter index, -1 before the first chapter or without chapters
+   */
+  getCurrentChapterIndex() {
+    return this.currentChapterIndex;
+  }
+
+  /**
+   * Go to a specific chapter
+   * @param {number} chapterIndex - Index of the chapter
+   */
+  goToChapter(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    if (!chapter) {
+      return;
+    }
+
+    this.seekTo(chapter.time);
+    this._updateChapter(chapter.time);
+  }
+
+  /**
+   * Skip to the next chapter, or to the next track after the last one
+   */
+  nextChapter() {
+    if (this.currentChapterIndex + 1 < this.chapters.length) {
+      this.goToChapter(this.currentChapterIndex + 1);
+    } else {
+      this.next();
+    }
+  }
+
+  /**
+   * Restart the current chapter, or go to the previous one when close to its
+   * start; before the first chapter this goes to the previous track
+   */
+  previousChapter() {
+    const chapter = this.getCurrentChapter();
+    const elapsed = chapter ? this.getPosition() - chapter.time : 0;
+
+    if (chapter && elapsed > EnhancedAudioPlayer.CHAPTER_RESTART_THRESHOLD) {
+      this.goToChapter(this.currentChapterIndex);
+    } else if (this.currentChapterIndex > 0) {
+      this.goToChapter(this.currentChapterIndex - 1);
+    } else {
+      this.previous();
+    }
+  }
+
   /**
    * Get the current track object
    * @returns {Object|null} Current track or null if no tracks loaded
@@ -322,6 +757,9 @@ class EnhancedAudioPlayer {
    * @returns {number} Duration in seconds
    */
   getDuration() {
+    if (this.useWebAudio) {
+      return this._current ? this._current.buffer.duration : 0;
+    }
     return this.sound ? this.sound.duration() : 0;
   }
 
@@ -330,6 +768,13 @@ class EnhancedAudioPlayer {
    * @returns {number} Position in seconds
    */
   getPosition() {
+    if (this.useWebAudio) {
+      if (!this._current) {
+        return this._resumeOffset;
+      }
+      const elapsed = this.audioContext.currentTime - this._current.origin;
+      return Math.max(0, Math.min(elapsed, this._current.buffer.duration));
+    }
     return this.sound ? this.sound.seek() : 0;
   }
 
@@ -352,9 +797,45 @@ class EnhancedAudioPlayer {
   /**
    * Add a track to the queue
    * @param {Object} track - Track object with id, title, url
+   * @param {number} [index] - Position to insert at (defaults to the end)
    */
-  addTrack(track) {
-    this.tracks.push(track);
+  addTrack(track, index = this.tracks.length) {
+    const position = Math.max(0, Math.min(index, this.tracks.length));
+    this.tracks.splice(position, 0, track);
+
+    // Keep the current track current when inserting before it
+    if (position <= this.currentTrackIndex && this.tracks.length > 1) {
+      this.currentTrackIndex++;
+    }
+
+    this._onQueueChange();
+    this.emit('queueUpdate', { tracks: this.tracks });
+  }
+
+  /**
+   * Move a track to a new position in the queue
+   * @param {number} from - Current index of the track
+   * @param {number} to - Index the track should end up at
+   */
+  moveTrack(from, to) {
+    const last = this.tracks.length - 1;
+    if (from < 0 || from > last || to < 0 || to > last || from === to) {
+      return;
+    }
+
+    const [track] = this.tracks.splice(from, 1);
+    this.tracks.splice(to, 0, track);
+
+    // Follow the current track to its new position
+    if (from === this.currentTrackIndex) {
+      this.currentTrackIndex = to;
+    } else if (from < this.currentTrackIndex && to >= this.currentTrackIndex) {
+      this.currentTrackIndex--;
+    } else if (from > this.currentTrackIndex && to <= this.currentTrackIndex) {
+      this.currentTrackIndex++;
+    }
+
+    this._onQueueChange();
     this.emit('queueUpdate', { tracks: this.tracks });
   }
 
@@ -371,6 +852,7 @@ class EnhancedAudioPlayer {
         this.currentTrackIndex--;
       }
 
+      this._onQueueChange();
       this.emit('queueUpdate', { tracks: this.tracks });
     }
   }
@@ -393,6 +875,772 @@ class EnhancedAudioPlayer {
     return [...this.tracks];
   }
 
+  // ---------------------------------------------------------------------------
+  // Media Session
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Wire the Media Session API to this player's methods and events
+   * @private
+   * @param {boolean} enabled
+   * @returns {MediaSessionController|null}
+   */
+  _createMediaSession(enabled) {
+    if (
+      !enabled ||
+      typeof MediaSessionController === 'undefined' ||
+      !MediaSessionController.isSupported()
+    ) {
+      return null;
+    }
+
+    const session = new MediaSessionController({
+      handlers: {
+        play: () => this.play(),
+        pause: () => this.pause(),
+        stop: () => this.stop(),
+        nexttrack: () => this.next(),
+        previoustrack: () => this.previous(),
+        seekto: ({ seekTime }) => this.seekTo(seekTime),
+      },
+      getPosition: () => this.getPosition(),
+      getDuration: () => this.getDuration(),
+      seekOffset: this.config.mediaSession?.seekOffset,
+    });
+
+    this.on('play', () => {
+      session.activate();
+      session.setMetadata(this.getCurrentTrack());
+      session.setPlaybackState('playing');
+      session.updatePositionState();
+    });
+    this.on('pause', () => {
+      session.setPlaybackState('paused');
+      session.updatePositionState();
+    });
+    this.on('stop', () => session.setPlaybackState('paused'));
+    this.on('trackChange', ({ track }) => {
+      session.setMetadata(track);
+      session.updatePositionState();
+    });
+    // Howler only knows the duration once the file has loaded
+    this.on('loaded', () => session.updatePositionState());
+
+    return session;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loudness normalization
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Read the saved normalization mode, falling back to the configured one
+   * @private
+   * @returns {string}
+   */
+  _loadNormalizationMode() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(EnhancedAudioPlayer.NORMALIZATION_STORAGE_KEY);
+    } catch {
+      // Storage unavailable
+    }
+    if (EnhancedAudioPlayer.NORMALIZATION_MODES.includes(saved)) {
+      return saved;
+    }
+    return this.config.normalization?.mode || 'off';
+  }
+
+  /**
+   * Fetch an album's metadata.json once, then re-apply normalization
+   * @private
+   * @param {string} albumId - Album identifier
+   * @returns {Promise<void>}
+   */
+  async _loadAlbumMetadata(albumId) {
+    if (!albumId || this._albumMetadata.has(albumId) || typeof MediaURLResolver === 'undefined') {
+      return;
+    }
+
+    // Mark as loading so concurrent track changes do not fetch again
+    this._albumMetadata.set(albumId, null);
+    try {
+      const response = await fetch(MediaURLResolver.resolveAlbumMetadataFile(albumId));
+      if (!response.ok) {
+        return;
+      }
+      this._albumMetadata.set(albumId, await response.json());
+    } catch {
+      // Missing or invalid metadata leaves the album unnormalized
+      return;
+    }
+
+    this._applyNormalization();
+  }
+
+  /**
+   * Find a track's entry in album metadata by file name (ignoring the
+   * extension, which depends on the preferred format) or track number
+   * @private
+   * @param {Object|null} metadata - Album metadata
+   * @param {Object} track - Queue track
+   * @returns {Object|undefined}
+   */
+  _findTrackMetadata(metadata, track) {
+    if (!Array.isArray(metadata?.tracks)) {
+      return undefined;
+    }
+
+    const stem = file => (file || '').split(/[?#]/)[0].split('/').pop().replace(/\.[^.]*$/, '');
+    const file = stem(track.url);
+    const number = this._getTrackNumber(track);
+
+    return metadata.tracks.find(
+      entry => (file && entry.file && stem(entry.file) === file) || entry.number === number
+    );
+  }
+
+  /**
+   * A track's number within its album: `number`, or the digits ending its id
+   * @private
+   * @param {Object|null} track
+   * @returns {number} Track number, NaN when unknown
+   */
+  _getTrackNumber(track) {
+    return track?.number ?? parseInt(String(track?.id).match(/(\d+)$/)?.[1], 10);
+  }
+
+  /**
+   * Apply the current normalization gains to whatever is playing
+   * @private
+   */
+  _applyNormalization() {
+    if (this.sound) {
+      this.sound.volume(this._getOutputVolume());
+    }
+
+    [this._current, this._next, ...this._retiring].forEach(voice => {
+      if (voice) {
+        voice.normalization.gain.value = EnhancedAudioPlayer.dbToGain(
+          this.getNormalizationGain(voice.track)
+        );
+      }
+    });
+  }
+
+  /**
+   * Howler.js volume for the current track. When the sound plays through Web
+   * Audio the normalization gain goes on the GainNode and the volume is left
+   * alone; HTML5 Audio cannot boost past full volume, so there quiet tracks
+   * are only raised as far as 1.
+   * @private
+   * @returns {number}
+   */
+  _getOutputVolume() {
+    const gain = EnhancedAudioPlayer.dbToGain(this.getNormalizationGain());
+    if (this._routeHowlerNormalization()) {
+      this._howlerNormalization.gain.value = gain;
+      return this.volume;
+    }
+    return Math.min(1, this.volume * gain);
+  }
+
+  /**
+   * Connect the Howler.js sound's gain nodes to the normalization GainNode
+   * instead of straight to Howler.masterGain
+   * @private
+   * @returns {boolean} True when the sound plays through the GainNode
+   */
+  _routeHowlerNormalization() {
+    const ctx = typeof Howler !== 'undefined' ? Howler.ctx : null;
+    if (!this.sound?._webAudio || !ctx?.createGain || !Howler.masterGain) {
+      return false;
+    }
+
+    if (!this._howlerNormalization) {
+      this._howlerNormalization = ctx.createGain();
+      this._howlerNormalization.connect(Howler.masterGain);
+    }
+
+    (this.sound._sounds || []).forEach(({ _node: node }) => {
+      if (node && !this._howlerRouted.has(node)) {
+        node.disconnect();
+        node.connect(this._howlerNormalization);
+        this._howlerRouted.add(node);
+      }
+    });
+
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chapters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load a new track's chapters: inline, from chaptersUrl, or from the sidecar
+   * that MediaURLResolver resolves for `chapters: 'json'|'cue'`
+   * @private
+   * @param {Object|null} track
+   */
+  _loadTrackChapters(track) {
+    if (Array.isArray(track?.chapters)) {
+      this.setChapters(track.chapters);
+      return;
+    }
+
+    this.setChapters([]);
+    if (track?.chaptersUrl) {
+      this.loadChapters(track.chaptersUrl);
+      return;
+    }
+
+    const number = this._getTrackNumber(track);
+    if (
+      ['json', 'cue'].includes(track?.chapters) &&
+      track.albumId &&
+      Number.isFinite(number) &&
+      typeof MediaURLResolver !== 'undefined'
+    ) {
+      this.loadChapters(
+        MediaURLResolver.resolveChapters(track.albumId, number, track.chapters),
+        track.chapters
+      );
+    }
+  }
+
+  /**
+   * Track the chapter at a playback position and emit 'chapterchange' when it changes
+   * @private
+   * @param {number} position - Position in seconds
+   */
+  _updateChapter(position) {
+    let index = -1;
+    while (index + 1 < this.chapters.length && this.chapters[index + 1].time <= position) {
+      index++;
+    }
+    if (index === this.currentChapterIndex) {
+      return;
+    }
+
+    this.currentChapterIndex = index;
+    if (index > -1) {
+      this.emit('chapterchange', {
+        chapter: this.chapters[index],
+        index,
+        track: this.getCurrentTrack(),
+      });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Web Audio engine
+  //
+  // A voice is one AudioBufferSourceNode → GainNode pair feeding the master
+  // gain. `origin` is the context time at which the track's 0s would play, so
+  // the current position is always `audioContext.currentTime - origin`.
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create the AudioContext and master gain on first use
+   * @private
+   * @returns {AudioContext}
+   */
+  _getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass();
+      this._masterGain = this.audioContext.createGain();
+      this._masterGain.gain.value = this.volume;
+      this._masterGain.connect(this.audioContext.destination);
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * Fetch and decode a track, reusing an in-flight or finished decode
+   * @private
+   * @param {number} index - Track index
+   * @returns {Promise<AudioBuffer|null>} Null if the track is missing or failed
+   */
+  _decodeTrack(index) {
+    const track = this.tracks[index];
+    if (!track) {
+      return Promise.resolve(null);
+    }
+
+    if (!this._buffers.has(track.url)) {
+      const context = this._getAudioContext();
+      const decoding = fetch(track.url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${track.url}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then((data) => context.decodeAudioData(data));
+
+      decoding.catch(() => {
+        if (this._buffers.get(track.url) === decoding) {
+          this._buffers.delete(track.url);
+        }
+      });
+      this._buffers.set(track.url, decoding);
+    }
+
+    return this._buffers.get(track.url).catch((err) => {
+      this.emit('error', { error: err, track });
+      return null;
+    });
+  }
+
+  /**
+   * Index of the track that follows the current one, or null at the end of the queue
+   * @private
+   * @returns {number|null}
+   */
+  _getNextIndex() {
+    const nextIndex = this.currentTrackIndex + 1;
+    return nextIndex < this.getQueue().length ? nextIndex : null;
+  }
+
+  /**
+   * Start a buffer on the AudioContext clock
+   * @private
+   * @param {AudioBuffer} buffer - Decoded track
+   * @param {number} when - Context time to start at
+   * @param {number} [offset=0] - Offset into the buffer in seconds
+   * @param {number} [fadeIn=0] - Fade-in duration in seconds
+   * @param {Object} [track] - Track the buffer belongs to (for its normalization gain)
+   * @returns {Object} Voice
+   */
+  _startVoice(buffer, when, offset = 0, fadeIn = 0, track = this.getCurrentTrack()) {
+    const source = this.audioContext.createBufferSource();
+    const normalization = this.audioContext.createGain();
+    const gain = this.audioContext.createGain();
+    source.buffer = buffer;
+    normalization.gain.value = EnhancedAudioPlayer.dbToGain(this.getNormalizationGain(track));
+    source.connect(normalization);
+    normalization.connect(gain);
+    gain.connect(this._masterGain);
+
+    const voice = {
+      buffer,
+      source,
+      normalization,
+      gain,
+      track,
+      startAt: when,
+      origin: when - offset,
+      stopped: false,
+    };
+    source.onended = () => this._onVoiceEnded(voice);
+
+    if (fadeIn > 0) {
+      this._applyFade(gain.gain, 'in', when, fadeIn);
+    }
+    source.start(when, offset);
+    return voice;
+  }
+
+  /**
+   * Schedule a fade using the configured crossfade curve
+   * @private
+   * @param {AudioParam} param - Gain parameter
+   * @param {string} direction - 'in' or 'out'
+   * @param {number} when - Context time the fade starts
+   * @param {number} duration - Fade duration in seconds
+   */
+  _applyFade(param, direction, when, duration) {
+    const curve = EnhancedAudioPlayer.createFadeCurve(this.crossfadeCurve, direction);
+    if (direction === 'out') {
+      // Fade from wherever the gain currently sits
+      const level = param.value;
+      curve.forEach((value, i) => {
+        curve[i] = value * level;
+      });
+    }
+    param.cancelScheduledValues(when);
+    param.setValueCurveAtTime(curve, when, duration);
+  }
+
+  /**
+   * Stop a voice, optionally after fading it out
+   * @private
+   * @param {Object} voice
+   * @param {number} [when] - Context time to stop (or start fading) at
+   * @param {number} [fadeOut=0] - Fade-out duration in seconds
+   */
+  _stopVoice(voice, when = this.audioContext.currentTime, fadeOut = 0) {
+    if (!voice || voice.stopped) {
+      return;
+    }
+    voice.stopped = true;
+
+    if (fadeOut > 0) {
+      this._applyFade(voice.gain.gain, 'out', when, fadeOut);
+      this._retiring.add(voice);
+    }
+
+    try {
+      voice.source.stop(when + fadeOut);
+    } catch {
+      // Already stopped
+    }
+  }
+
+  /**
+   * Stop every voice and cancel the scheduled transition
+   * @private
+   */
+  _stopAllVoices() {
+    this._clearTransitionTimer();
+    [this._current, this._next, ...this._retiring].forEach((voice) => {
+      if (!voice) {
+        return;
+      }
+      voice.stopped = true;
+      try {
+        voice.source.stop();
+      } catch {
+        // Already stopped
+      }
+    });
+    this._retiring.clear();
+    this._current = null;
+    this._next = null;
+  }
+
+  /**
+   * Handle a source node finishing (naturally or after stop())
+   * @private
+   * @param {Object} voice
+   */
+  _onVoiceEnded(voice) {
+    voice.gain.disconnect();
+    this._retiring.delete(voice);
+
+    if (voice.stopped || voice !== this._current) {
+      return;
+    }
+
+    // Ended before the transition timer fired: the next voice has already
+    // started on the context clock, so hand over to it now
+    if (this._next) {
+      this._clearTransitionTimer();
+      this._completeTransition();
+      this._retiring.delete(voice);
+      return;
+    }
+
+    // Reached the end with nothing scheduled after it (end of queue)
+    this._current = null;
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.emit('ended', { track: this.getCurrentTrack() });
+    this.next();
+  }
+
+  /**
+   * Load a track in Web Audio mode; decoding starts on play()
+   * @private
+   * @param {number} index - Track index
+   */
+  _loadTrackWebAudio(index) {
+    this._playToken++;
+    this._stopAllVoices();
+
+    if (this.fadeTimeout) {
+      clearTimeout(this.fadeTimeout);
+      this.fadeTimeout = null;
+    }
+
+    this.isPlaying = false;
+    this.isPaused = false;
+    this.isCrossfading = false;
+    this.currentTrackIndex = index;
+    this._resumeOffset = 0;
+    this._evictBuffers();
+
+    this.setupProgressTracking();
+
+    this.emit('trackChange', {
+      track: this.getCurrentTrack(),
+      index: this.currentTrackIndex,
+      total: this.tracks.length,
+    });
+  }
+
+  /**
+   * Start or resume playback in Web Audio mode
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _playWebAudio() {
+    if (this.tracks.length === 0 || this.isPlaying) {
+      return;
+    }
+
+    const context = this._getAudioContext();
+
+    if (this.isPaused && this._current) {
+      await context.resume();
+      this.isPlaying = true;
+      this.isPaused = false;
+      this._armTransitionTimer();
+      this.emit('play', { track: this.getCurrentTrack() });
+      return;
+    }
+
+    const token = ++this._playToken;
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    const index = this.currentTrackIndex;
+    const buffer = await this._decodeTrack(index);
+    if (!buffer || token !== this._playToken) {
+      return;
+    }
+
+    this.emit('loaded', { track: this.getCurrentTrack() });
+    this._current = this._startVoice(buffer, context.currentTime, this._resumeOffset);
+    this._resumeOffset = 0;
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.emit('play', { track: this.getCurrentTrack() });
+
+    this._scheduleNext();
+  }
+
+  /**
+   * Pause by suspending the context, which freezes every scheduled start
+   * @private
+   */
+  _pauseWebAudio() {
+    if (!this.audioContext || !this.isPlaying) {
+      return;
+    }
+
+    this.audioContext.suspend();
+    this._clearTransitionTimer();
+    this.isPlaying = false;
+    this.isPaused = true;
+    this.emit('pause', { track: this.getCurrentTrack() });
+  }
+
+  /**
+   * Seek in Web Audio mode by restarting the current buffer at an offset
+   * @private
+   * @param {number} seconds - Time in seconds
+   */
+  _seekWebAudio(seconds) {
+    if (!this._current) {
+      this._resumeOffset = Math.max(0, seconds);
+      return;
+    }
+
+    const buffer = this._current.buffer;
+    const offset = Math.max(0, Math.min(seconds, buffer.duration));
+
+    this._cancelNext();
+    this._stopVoice(this._current);
+    this._current = this._startVoice(buffer, this.audioContext.currentTime, offset);
+    this._scheduleNext();
+  }
+
+  /**
+   * Crossfade from the current voice to another track starting now
+   * @private
+   * @param {number} index - Track index to play
+   * @returns {Promise<void>}
+   */
+  async _crossfadeWebAudio(index) {
+    if (!this.isPlaying || !this._current) {
+      this.loadTrack(index);
+      return;
+    }
+
+    this.isCrossfading = true;
+    const token = ++this._playToken;
+    const buffer = await this._decodeTrack(index);
+    if (token !== this._playToken) {
+      return;
+    }
+    if (!this._current) {
+      // The current track ran out while decoding
+      this.loadTrack(index);
+      return;
+    }
+    if (!buffer) {
+      this.isCrossfading = false;
+      return;
+    }
+
+    const now = this.audioContext.currentTime;
+    const fade = Math.max(0, this.crossfadeDuration) / 1000;
+
+    this._cancelNext();
+    this._stopVoice(this._current, now, fade);
+    this._current = this._startVoice(buffer, now, 0, fade, this.tracks[index]);
+    this.currentTrackIndex = index;
+    this._evictBuffers();
+
+    this.emit('trackChange', {
+      track: this.getCurrentTrack(),
+      index: this.currentTrackIndex,
+      total: this.tracks.length,
+    });
+
+    this._scheduleNext();
+
+    this.fadeTimeout = setTimeout(() => {
+      this.isCrossfading = false;
+      this.fadeTimeout = null;
+    }, this.crossfadeDuration);
+  }
+
+  /**
+   * Decode the next queued track and start it on the context clock exactly
+   * where the current one ends (minus the configured overlap)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _scheduleNext() {
+    const current = this._current;
+    const nextIndex = this._getNextIndex();
+    if (!current || this._next || nextIndex === null) {
+      return;
+    }
+
+    const buffer = await this._decodeTrack(nextIndex);
+    if (!buffer || current !== this._current || current.stopped || this._next) {
+      return;
+    }
+
+    const overlap = Math.min(
+      Math.max(0, this.gaplessOverlap) / 1000,
+      current.buffer.duration,
+      buffer.duration
+    );
+    const endsAt = current.origin + current.buffer.duration;
+    const when = Math.max(this.audioContext.currentTime, endsAt - overlap);
+
+    this._next = this._startVoice(buffer, when, 0, overlap, this.tracks[nextIndex]);
+    this._next.index = nextIndex;
+    if (overlap > 0) {
+      this._applyFade(current.gain.gain, 'out', when, overlap);
+    }
+
+    if (this.isPlaying) {
+      this._armTransitionTimer();
+    }
+  }
+
+  /**
+   * Drop the scheduled next voice (e.g. after a seek or queue change)
+   * @private
+   */
+  _cancelNext() {
+    this._clearTransitionTimer();
+    if (!this._next) {
+      return;
+    }
+
+    this._stopVoice(this._next);
+    this._next = null;
+    if (this._current) {
+      this._current.gain.gain.cancelScheduledValues(this.audioContext.currentTime);
+    }
+  }
+
+  /**
+   * Set a timer to update player state when the scheduled voice starts.
+   * Audio timing comes from the context clock; the timer only drives events.
+   * @private
+   */
+  _armTransitionTimer() {
+    this._clearTransitionTimer();
+    if (!this._next) {
+      return;
+    }
+
+    const delay = Math.max(0, (this._next.startAt - this.audioContext.currentTime) * 1000);
+    this._transitionTimer = setTimeout(() => this._completeTransition(), delay);
+  }
+
+  /**
+   * @private
+   */
+  _clearTransitionTimer() {
+    if (this._transitionTimer) {
+      clearTimeout(this._transitionTimer);
+      this._transitionTimer = null;
+    }
+  }
+
+  /**
+   * Promote the scheduled voice to current once it has started playing
+   * @private
+   */
+  _completeTransition() {
+    this._transitionTimer = null;
+    const previous = this._current;
+    const next = this._next;
+    if (!previous || !next) {
+      return;
+    }
+
+    // Let the previous voice finish its tail (or overlap) on its own
+    previous.stopped = true;
+    this._retiring.add(previous);
+
+    this.emit('ended', { track: this.getCurrentTrack() });
+
+    this._current = next;
+    this._next = null;
+    this.currentTrackIndex = next.index;
+    this._evictBuffers();
+
+    this.emit('trackChange', {
+      track: this.getCurrentTrack(),
+      index: this.currentTrackIndex,
+      total: this.tracks.length,
+    });
+
+    this._scheduleNext();
+  }
+
+  /**
+   * Re-plan the scheduled transition after the queue changes
+   * @private
+   */
+  _onQueueChange() {
+    if (!this.useWebAudio || !this._current) {
+      return;
+    }
+    this._cancelNext();
+    this._scheduleNext();
+  }
+
+  /**
+   * Release decoded buffers other than the current and next track's
+   * @private
+   */
+  _evictBuffers() {
+    const keep = new Set(
+      [this.currentTrackIndex, this._getNextIndex()]
+        .map((index) => this.tracks[index]?.url)
+        .filter(Boolean)
+    );
+
+    for (const url of this._buffers.keys()) {
+      if (!keep.has(url)) {
+        this._buffers.delete(url);
+      }
+    }
+  }
+
   /**
    * Register an event listener
    * @param {string} event - Event name (play, pause, ended, progress, trackChange, etc.)
@@ -448,6 +1696,20 @@ class EnhancedAudioPlayer {
       this.sound.unload();
       this.sound = null;
     }
+    if (this._howlerNormalization) {
+      this._howlerNormalization.disconnect();
+      this._howlerNormalization = null;
+    }
+
+    // Tear down the Web Audio graph
+    if (this.audioContext) {
+      this._playToken++;
+      this._stopAllVoices();
+      this._buffers.clear();
+      this.audioContext.close?.();
+      this.audioContext = null;
+      this._masterGain = null;
+    }
 
     // Clear intervals and timeouts
     if (this.progressInterval) {
@@ -460,12 +1722,19 @@ class EnhancedAudioPlayer {
       this.fadeTimeout = null;
     }
 
+    // Hand the OS media controls back
+    this.mediaSession?.dispose();
+    this.mediaSession = null;
+
     // Remove all listeners
     this.listeners.clear();
 
     // Clear tracks
     this.tracks = [];
     this.currentTrackIndex = 0;
+    this._chaptersLoadId++;
+    this.chapters = [];
+    this.currentChapterIndex = -1;
   }
 
   /**
@@ -477,9 +1746,12 @@ class EnhancedAudioPlayer {
       isPlaying: this.isPlaying,
       isPaused: this.isPaused,
       isCrossfading: this.isCrossfading,
+      engine: this.useWebAudio ? 'webaudio' : 'howler',
       currentTrackIndex: this.currentTrackIndex,
       currentTrack: this.getCurrentTrack(),
       volume: this.volume,
+      normalization: this.normalizationMode,
+      currentChapterIndex: this.currentChapterIndex,
       position: this.getPosition(),
       duration: this.getDuration(),
       totalTracks: this.tracks.length,
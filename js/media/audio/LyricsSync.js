@@ -2,10 +2,20 @@
 
 /**
  * LyricsSync
- * Synchronized lyrics display for audio playback with LRC format support.
+ * Synchronized lyrics display for audio playback with LRC, WebVTT and SRT
+ * support.
  * Integrates with EnhancedAudioPlayer to display and highlight lyrics
  * in real-time with smooth scrolling and click-to-seek functionality.
  *
+ * Enhanced LRC (A2 extension) word tags are supported for karaoke-style fill:
+ *   [00:12.00]<00:12.00>Some <00:12.40>words <00:13.10>here<00:14.00>
+ * Each word is rendered as a span whose `--et-lyrics-fill` custom property
+ * (0%-100%) tracks playback. Metadata tags [ti:], [ar:], [length:] and
+ * [offset:] are read into `metadata`; a positive offset shows lyrics earlier.
+ *
+ * WebVTT/SRT cues keep their end times, and WebVTT inline timestamps become
+ * word timing. `LyricsSync.toLRC()` / `toVTT()` serialize lyrics back out.
+ *
  * @class LyricsSync
  * @example
  * const lyricsSync = new LyricsSync({
@@ -17,12 +27,19 @@
  * lyricsSync.on('linechange', (event) => console.log('Line:', event.line, 'Index:', event.lineIndex));
  */
 class LyricsSync {
+  /** Fill time (ms) for a final word with no end tag and no following line */
+  static LAST_WORD_DURATION = 1000;
+
+  /** Display time (ms) for a final line when exporting formats with cue end times */
+  static LAST_CUE_DURATION = 4000;
+
   /**
    * Create a LyricsSync instance
    * @param {Object} options - Configuration object
    * @param {string} [options.containerSelector='#lyrics-container'] - CSS selector for lyrics container
    * @param {string} [options.currentLineClass='et-lyrics-current'] - CSS class for current line
    * @param {string} [options.lineClass='et-lyrics-line'] - CSS class for lyrics lines
+   * @param {string} [options.wordClass='et-lyrics-word'] - CSS class for word-timed spans
    * @param {number} [options.scrollOffset=100] - Pixels from top to center current line
    * @param {number} [options.scrollDuration=300] - Smooth scroll duration in ms
    * @param {boolean} [options.autoScroll=true] - Enable auto-scroll to current line
@@ -32,6 +49,7 @@ class LyricsSync {
     this.containerSelector = options.containerSelector || '#lyrics-container';
     this.currentLineClass = options.currentLineClass || 'et-lyrics-current';
     this.lineClass = options.lineClass || 'et-lyrics-line';
+    this.wordClass = options.wordClass || 'et-lyrics-word';
     this.scrollOffset = options.scrollOffset || 100;
     this.scrollDuration = options.scrollDuration || 300;
     this.autoScroll = options.autoScroll !== false;
@@ -39,7 +57,8 @@ class LyricsSync {
 
     // Lyrics data storage
     this.lyrics = [];
-    this.lyricsMap = new Map(); // timestamp -> { text, index }
+    this.lyricsMap = new Map(); // timestamp -> { text, index, words? }
+    this.metadata = LyricsSync.emptyMetadata();
 
     // Player reference
     this.player = null;
@@ -48,9 +67,11 @@ class LyricsSync {
     // DOM references
     this.container = null;
     this.lineElements = [];
+    this.wordElements = []; // line index -> word spans (word-timed lines only)
 
     // State
     this.currentLineIndex = -1;
+    this.currentWordIndex = -1;
     this.isLoaded = false;
 
     // Event listeners storage
@@ -78,37 +99,262 @@ class LyricsSync {
     this.container.classList.add('et-lyrics-container');
   }
 
+  /**
+   * Metadata defaults for a lyrics file
+   * @returns {Object} { title, artist, length, offset } (length/offset in ms)
+   */
+  static emptyMetadata() {
+    return { title: '', artist: '', length: 0, offset: 0 };
+  }
+
+  /**
+   * Guess a lyrics format from its content, falling back to a file extension
+   * @param {string} text - Raw lyrics text
+   * @param {string} [url] - Source URL or file name
+   * @returns {string} 'vtt', 'srt', 'lrc' or 'text' (untimed)
+   */
+  static detectFormat(text, url = '') {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    if (/^WEBVTT/.test(content)) {
+      return 'vtt';
+    }
+    if (/^\s*\d+\s*\r?\n\s*\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(content)) {
+      return 'srt';
+    }
+    if (/\[\d{2}:\d{2}\.\d{2,3}\]/.test(content)) {
+      return 'lrc';
+    }
+
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return ['lrc', 'vtt', 'srt'].includes(extension) ? extension : 'text';
+  }
+
+  /**
+   * Parse lyrics text without a rendering instance (no DOM side effects)
+   * @param {string} text - Raw LRC, WebVTT or SRT text
+   * @param {string} [format='auto'] - 'lrc', 'vtt', 'srt' or 'auto' to detect
+   * @returns {Object} { lyrics, metadata }
+   */
+  static parse(text, format = 'auto') {
+    // Skip the constructor, which looks up and creates the container element
+    const parser = Object.create(LyricsSync.prototype);
+    const lyrics = parser.parseLyricsText(text, format);
+    return { lyrics, metadata: parser.metadata };
+  }
+
+  /**
+   * Remove WebVTT/SRT markup tags and decode basic entities
+   * @param {string} text - Cue text
+   * @returns {string} Plain text
+   */
+  static stripCueMarkup(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Format milliseconds as an LRC timestamp body (MM:SS.cs)
+   * @param {number} ms - Time in milliseconds
+   * @returns {string}
+   */
+  static formatLRCTime(ms) {
+    const centiseconds = Math.round(Math.max(0, ms) / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    const cs = centiseconds % 100;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format milliseconds as a WebVTT timestamp (HH:MM:SS.mmm)
+   * @param {number} ms - Time in milliseconds
+   * @returns {string}
+   */
+  static formatVTTTime(ms) {
+    const total = Math.round(Math.max(0, ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+  }
+
+  /**
+   * End time of a lyric line for formats that need one
+   * @private
+   * @param {Array<Object>} lyrics - Lyrics sorted by time
+   * @param {number} index - Line index
+   * @param {Object} metadata - Metadata (length used for the last line)
+   * @returns {number} End time in milliseconds
+   */
+  static lineEndTime(lyrics, index, metadata = {}) {
+    const lyric = lyrics[index];
+    const next = lyrics[index + 1]?.time ?? (metadata.length > lyric.time ? metadata.length : null);
+    const end = lyric.endTime ?? next ?? lyric.time + LyricsSync.LAST_CUE_DURATION;
+    return Math.max(end, lyric.time + 1);
+  }
+
+  /**
+   * Serialize lyrics as (Enhanced) LRC
+   * Lines with word timing get A2 word tags; a gap before the next line
+   * (from a cue end time) is written as an empty timestamped line.
+   * @param {Array<Object>} lyrics - Array of { time, text, endTime?, words? }
+   * @param {Object} [metadata={}] - { title, artist, length }
+   * @returns {string} LRC text
+   */
+  static toLRC(lyrics, metadata = {}) {
+    const lines = [];
+    if (metadata.title) {
+      lines.push(`[ti:${metadata.title}]`);
+    }
+    if (metadata.artist) {
+      lines.push(`[ar:${metadata.artist}]`);
+    }
+    if (metadata.length) {
+      lines.push(`[length:${LyricsSync.formatLRCTime(metadata.length)}]`);
+    }
+
+    lyrics.forEach((lyric, i) => {
+      const stamp = `[${LyricsSync.formatLRCTime(lyric.time)}]`;
+      if (lyric.words?.length) {
+        const words = lyric.words.map((word) => `<${LyricsSync.formatLRCTime(word.time)}>${word.text}`);
+        const end = lyric.words[lyric.words.length - 1].endTime;
+        lines.push(`${stamp}${words.join('')}${end === undefined ? '' : `<${LyricsSync.formatLRCTime(end)}>`}`);
+      } else {
+        lines.push(`${stamp}${lyric.text}`);
+      }
+
+      const next = lyrics[i + 1];
+      if (lyric.endTime !== undefined && (!next || lyric.endTime < next.time)) {
+        lines.push(`[${LyricsSync.formatLRCTime(lyric.endTime)}]`);
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serialize lyrics as WebVTT
+   * Lines without an end time run until the next line. Word timing is
+   * written as inline cue timestamps.
+   * @param {Array<Object>} lyrics - Array of { time, text, endTime?, words? }
+   * @param {Object} [metadata={}] - { title, artist, length }
+   * @returns {string} WebVTT text
+   */
+  static toVTT(lyrics, metadata = {}) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const header = [metadata.title, metadata.artist].filter(Boolean).join(' - ');
+    const blocks = [header ? `WEBVTT - ${header}` : 'WEBVTT'];
+
+    lyrics.forEach((lyric, i) => {
+      const start = LyricsSync.formatVTTTime(lyric.time);
+      const end = LyricsSync.formatVTTTime(LyricsSync.lineEndTime(lyrics, i, metadata));
+      const text = lyric.words?.length
+        ? lyric.words
+            .map((word, w) => `${w === 0 ? '' : `<${LyricsSync.formatVTTTime(word.time)}>`}${escape(word.text)}`)
+            .join('')
+        : escape(lyric.text);
+      blocks.push(`${start} --> ${end}\n${text}`);
+    });
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
   /**
    * Parse LRC format timestamp to milliseconds
-   * LRC format: [MM:SS.cs] where cs = centiseconds
+   * LRC format: [MM:SS.cs] where cs = centiseconds; word tags use <MM:SS.cs>.
+   * Millisecond precision (3 digits) is also accepted.
    * @private
-   * @param {string} timestamp - Timestamp string like "[00:12.34]"
+   * @param {string} timestamp - Timestamp string like "[00:12.34]" or "<00:12.345>"
    * @returns {number} Time in milliseconds
    */
   parseTimestamp(timestamp) {
-    const match = timestamp.match(/\[(\d{2}):(\d{2})\.(\d{2})\]/);
+    const match = timestamp.match(/[[<](\d{2}):(\d{2})\.(\d{2,3})[\]>]/);
     if (!match) {
       return -1;
     }
 
     const minutes = parseInt(match[1], 10);
     const seconds = parseInt(match[2], 10);
-    const centiseconds = parseInt(match[3], 10);
+    const milliseconds = parseInt(match[3].padEnd(3, '0'), 10);
+
+    return (minutes * 60 + seconds) * 1000 + milliseconds;
+  }
+
+  /**
+   * Split line text on Enhanced LRC word tags
+   * A tag starts the word after it and ends the word before it, so a trailing
+   * tag marks the end of the last word. Text before the first tag has no time.
+   * @private
+   * @param {string} text - Line text with timestamps removed
+   * @returns {Array<Object>|null} Array of { text, time, endTime? }, or null without word tags
+   */
+  parseWordTags(text) {
+    const parts = text.split(/(<\d{2}:\d{2}\.\d{2,3}>)/);
+    if (parts.length === 1) {
+      return null;
+    }
 
-    return (minutes * 60 + seconds) * 1000 + centiseconds * 10;
+    const words = [];
+    let time = null;
+
+    parts.forEach((part) => {
+      const tagTime = /^</.test(part) ? this.parseTimestamp(part) : -1;
+      if (tagTime >= 0) {
+        const previous = words[words.length - 1];
+        if (previous && previous.endTime === undefined) {
+          previous.endTime = tagTime;
+        }
+        time = tagTime;
+      } else if (part) {
+        words.push({ text: part, time });
+      }
+    });
+
+    return words;
+  }
+
+  /**
+   * Read an LRC metadata tag into a metadata object
+   * @private
+   * @param {Object} metadata - Metadata object to update
+   * @param {string} key - Lowercased tag name
+   * @param {string} value - Tag value
+   */
+  applyMetadataTag(metadata, key, value) {
+    if (key === 'ti') {
+      metadata.title = value;
+    } else if (key === 'ar') {
+      metadata.artist = value;
+    } else if (key === 'offset') {
+      metadata.offset = parseInt(value, 10) || 0;
+    } else if (key === 'length') {
+      const match = value.match(/^(\d+):(\d{2})(?:\.(\d{1,3}))?$/);
+      if (match) {
+        const fraction = parseInt((match[3] || '0').padEnd(3, '0'), 10);
+        metadata.length = (parseInt(match[1], 10) * 60 + parseInt(match[2], 10)) * 1000 + fraction;
+      }
+    }
   }
 
   /**
    * Parse LRC format text content
    * Supports lines with format: [MM:SS.cs] Lyrics text
-   * Multiple timestamps on same line are supported
+   * Multiple timestamps on same line are supported, as are Enhanced LRC
+   * <MM:SS.cs> word tags. Metadata tags are stored on `this.metadata` and
+   * [offset:] is applied to every returned time.
    * @private
    * @param {string} lrcText - Raw LRC format text
-   * @returns {Array<Object>} Array of { time, text, index }
+   * @returns {Array<Object>} Array of { time, text, index, words? }
    */
   parseLRCText(lrcText) {
     const lines = lrcText.split('\n');
     const parsedLyrics = [];
+    const metadata = LyricsSync.emptyMetadata();
 
     lines.forEach((line) => {
       const trimmed = line.trim();
@@ -116,12 +362,18 @@ class LyricsSync {
         return;
       }
 
+      const tag = trimmed.match(/^\[(ti|ar|length|offset):([^\]]*)\]$/i);
+      if (tag) {
+        this.applyMetadataTag(metadata, tag[1].toLowerCase(), tag[2].trim());
+        return;
+      }
+
       // Extract all timestamps from the line
-      const timestampRegex = /\[\d{2}:\d{2}\.\d{2}\]/g;
+      const timestampRegex = /\[\d{2}:\d{2}\.\d{2,3}\]/g;
       const timestamps = trimmed.match(timestampRegex) || [];
 
       if (timestamps.length === 0) {
-        // Skip lines without timestamps (metadata like [ar:Artist])
+        // Skip lines without timestamps (other metadata like [al:Album])
         return;
       }
 
@@ -131,38 +383,173 @@ class LyricsSync {
         lyricsText = lyricsText.replace(ts, '').trim();
       });
 
+      // Word times are written for the first timestamp; repeats shift them
+      const words = this.parseWordTags(lyricsText);
+      const firstTime = this.parseTimestamp(timestamps[0]);
+      if (words) {
+        lyricsText = words.map((word) => word.text).join('').trim();
+      }
+
       // Create entry for each timestamp (handle multi-timestamp lines)
       timestamps.forEach((timestamp) => {
         const time = this.parseTimestamp(timestamp);
-        if (time >= 0) {
-          parsedLyrics.push({
-            time,
-            text: lyricsText,
-            index: parsedLyrics.length,
-          });
+        if (time < 0) {
+          return;
+        }
+
+        const entry = { time, text: lyricsText, index: parsedLyrics.length };
+        if (words) {
+          const shift = time - firstTime;
+          entry.words = words.map((word) => ({
+            text: word.text,
+            time: (word.time ?? firstTime) + shift,
+            endTime: word.endTime === undefined ? undefined : word.endTime + shift,
+          }));
         }
+        parsedLyrics.push(entry);
       });
     });
 
+    // Apply [offset:] (positive = lyrics appear sooner)
+    if (metadata.offset) {
+      const shift = (time) => Math.max(0, time - metadata.offset);
+      parsedLyrics.forEach((item) => {
+        item.time = shift(item.time);
+        item.words?.forEach((word) => {
+          word.time = shift(word.time);
+          if (word.endTime !== undefined) {
+            word.endTime = shift(word.endTime);
+          }
+        });
+      });
+    }
+
     // Sort by time
     parsedLyrics.sort((a, b) => a.time - b.time);
 
-    // Re-index after sorting
+    // Re-index after sorting and close open-ended words
+    parsedLyrics.forEach((item, idx) => {
+      item.index = idx;
+      if (item.words) {
+        const lineEnd = parsedLyrics[idx + 1]?.time ?? metadata.length;
+        item.words.forEach((word, i) => {
+          if (word.endTime === undefined) {
+            const next = item.words[i + 1]?.time ?? lineEnd;
+            word.endTime = next > word.time ? next : word.time + LyricsSync.LAST_WORD_DURATION;
+          }
+        });
+      }
+    });
+
+    this.metadata = metadata;
+    return parsedLyrics;
+  }
+
+  /**
+   * Parse a WebVTT or SRT cue timestamp to milliseconds
+   * Accepts [HH:]MM:SS.mmm (WebVTT) and HH:MM:SS,mmm (SRT)
+   * @private
+   * @param {string} timestamp - Timestamp string like "00:01:02.500"
+   * @returns {number} Time in milliseconds, or -1 if invalid
+   */
+  parseCueTimestamp(timestamp) {
+    const match = timestamp.trim().match(/^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/);
+    if (!match) {
+      return -1;
+    }
+
+    const hours = parseInt(match[1] || '0', 10);
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + parseInt(match[4], 10);
+  }
+
+  /**
+   * Parse WebVTT or SRT cue blocks
+   * Cue text lines are joined with spaces and markup (<i>, <v Name>, {\an8})
+   * is stripped. WebVTT inline timestamps (<00:12.500>) become word timing.
+   * @private
+   * @param {string} text - Raw WebVTT or SRT text
+   * @returns {Array<Object>} Array of { time, endTime, text, index, words? }
+   */
+  parseCueText(text) {
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const parsedLyrics = [];
+
+    blocks.forEach((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex < 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        return;
+      }
+
+      // Cue settings may follow the end time ("00:05.000 line:0")
+      const [startText, endText = ''] = lines[timingIndex].split('-->');
+      const time = this.parseCueTimestamp(startText);
+      const endTime = this.parseCueTimestamp(endText.trim().split(/\s+/)[0]);
+      if (time < 0 || endTime < 0) {
+        return;
+      }
+
+      const cueText = lines
+        .slice(timingIndex + 1)
+        .join(' ')
+        .replace(/\{\\[^}]*\}/g, '');
+      const entry = { time, endTime, text: '', index: 0 };
+
+      const parts = cueText.split(/<((?:\d+:)?\d{2}:\d{2}\.\d{3})>/);
+      if (parts.length > 1) {
+        // Odd parts are timestamps; the first word starts with the cue
+        entry.words = [];
+        for (let i = 0; i < parts.length; i += 2) {
+          const wordText = LyricsSync.stripCueMarkup(parts[i]);
+          const wordTime = i === 0 ? time : this.parseCueTimestamp(parts[i - 1]);
+          if (wordText && wordTime >= 0) {
+            entry.words.push({ text: wordText, time: wordTime });
+          }
+        }
+        entry.words.forEach((word, i) => {
+          word.endTime = entry.words[i + 1]?.time ?? endTime;
+        });
+        entry.text = entry.words.map((word) => word.text).join('').trim();
+      } else {
+        entry.text = LyricsSync.stripCueMarkup(cueText).trim();
+      }
+
+      parsedLyrics.push(entry);
+    });
+
+    parsedLyrics.sort((a, b) => a.time - b.time);
     parsedLyrics.forEach((item, idx) => {
       item.index = idx;
     });
 
+    this.metadata = LyricsSync.emptyMetadata();
     return parsedLyrics;
   }
 
   /**
-   * Load lyrics from a URL (LRC file)
+   * Parse lyrics text in any supported format
+   * @private
+   * @param {string} text - Raw LRC, WebVTT or SRT text
+   * @param {string} [format='auto'] - 'lrc', 'vtt', 'srt' or 'auto' to detect
+   * @returns {Array<Object>} Parsed lyrics
+   */
+  parseLyricsText(text, format = 'auto') {
+    const resolved = format === 'auto' ? LyricsSync.detectFormat(text) : format;
+    return resolved === 'vtt' || resolved === 'srt' ? this.parseCueText(text) : this.parseLRCText(text);
+  }
+
+  /**
+   * Load lyrics from a URL (LRC, WebVTT or SRT file)
    * @async
-   * @param {string} url - URL to LRC file
+   * @param {string} url - URL to lyrics file
+   * @param {string} [format='auto'] - 'lrc', 'vtt', 'srt' or 'auto' to detect
    * @returns {Promise<void>}
    * @throws {Error} If fetch or parsing fails
    */
-  async loadLyrics(url) {
+  async loadLyrics(url, format = 'auto') {
     try {
       const response = await fetch(url);
       if (!response.ok) {
@@ -170,7 +557,7 @@ class LyricsSync {
       }
 
       const text = await response.text();
-      this.loadLyricsFromText(text);
+      this.loadLyricsFromText(text, format === 'auto' ? LyricsSync.detectFormat(text, url) : format);
     } catch (err) {
       console.error('LyricsSync: Failed to load lyrics', err);
       this.emit('error', { error: err, url });
@@ -179,12 +566,13 @@ class LyricsSync {
   }
 
   /**
-   * Load lyrics from raw LRC format text
-   * @param {string} lrcText - Raw LRC text
+   * Load lyrics from raw LRC, WebVTT or SRT text
+   * @param {string} lrcText - Raw lyrics text
+   * @param {string} [format='auto'] - 'lrc', 'vtt', 'srt' or 'auto' to detect
    */
-  loadLyricsFromText(lrcText) {
+  loadLyricsFromText(lrcText, format = 'auto') {
     try {
-      this.lyrics = this.parseLRCText(lrcText);
+      this.lyrics = this.parseLyricsText(lrcText, format);
 
       // Build timestamp map for O(1) lookups
       this.lyricsMap.clear();
@@ -197,10 +585,13 @@ class LyricsSync {
 
       this.isLoaded = true;
       this.currentLineIndex = -1;
+      this.currentWordIndex = -1;
 
       this.emit('loaded', {
         lineCount: this.lyrics.length,
         lyrics: [...this.lyrics],
+        metadata: { ...this.metadata },
+        hasWordTiming: this.hasWordTiming(),
       });
     } catch (err) {
       console.error('LyricsSync: Failed to parse lyrics', err);
@@ -221,6 +612,7 @@ class LyricsSync {
     // Clear existing lyrics
     this.container.innerHTML = '';
     this.lineElements = [];
+    this.wordElements = [];
 
     // Create line elements
     this.lyrics.forEach((lyric, index) => {
@@ -228,7 +620,20 @@ class LyricsSync {
       lineElement.className = this.lineClass;
       lineElement.dataset.index = index;
       lineElement.dataset.time = lyric.time;
-      lineElement.textContent = lyric.text;
+
+      if (lyric.words) {
+        lineElement.classList.add(`${this.lineClass}--karaoke`);
+        this.wordElements[index] = lyric.words.map((word) => {
+          const wordElement = document.createElement('span');
+          wordElement.className = this.wordClass;
+          wordElement.dataset.time = word.time;
+          wordElement.textContent = word.text;
+          lineElement.appendChild(wordElement);
+          return wordElement;
+        });
+      } else {
+        lineElement.textContent = lyric.text;
+      }
 
       // Add click-to-seek functionality
       lineElement.addEventListener('click', () => {
@@ -284,6 +689,61 @@ class LyricsSync {
     if (lineIndex !== this.currentLineIndex) {
       this.setCurrentLine(lineIndex);
     }
+
+    this.updateWordProgress(positionMs);
+  }
+
+  /**
+   * Advance karaoke fill across the current line's words
+   * Sets `--et-lyrics-fill` on each word span and marks fully sung words.
+   * @private
+   * @param {number} positionMs - Current position in milliseconds
+   */
+  updateWordProgress(positionMs) {
+    const lyric = this.lyrics[this.currentLineIndex];
+    const wordElements = this.wordElements[this.currentLineIndex];
+    if (!lyric?.words || !wordElements) {
+      return;
+    }
+
+    let wordIndex = -1;
+    lyric.words.forEach((word, i) => {
+      const duration = word.endTime - word.time;
+      const progress = duration > 0 ? (positionMs - word.time) / duration : Number(positionMs >= word.time);
+      const fill = Math.max(0, Math.min(1, progress));
+      if (positionMs >= word.time) {
+        wordIndex = i;
+      }
+
+      if (this.highlightCurrent) {
+        const element = wordElements[i];
+        element.style.setProperty('--et-lyrics-fill', `${Math.round(fill * 100)}%`);
+        element.classList.toggle(`${this.wordClass}--sung`, fill >= 1);
+      }
+    });
+
+    if (wordIndex !== this.currentWordIndex) {
+      this.currentWordIndex = wordIndex;
+      if (wordIndex >= 0) {
+        this.emit('wordchange', {
+          lineIndex: this.currentLineIndex,
+          wordIndex,
+          word: lyric.words[wordIndex],
+        });
+      }
+    }
+  }
+
+  /**
+   * Clear karaoke fill from a line's words
+   * @private
+   * @param {number} lineIndex - Line index
+   */
+  resetWordProgress(lineIndex) {
+    (this.wordElements[lineIndex] || []).forEach((element) => {
+      element.style.removeProperty('--et-lyrics-fill');
+      element.classList.remove(`${this.wordClass}--sung`);
+    });
   }
 
   /**
@@ -343,9 +803,11 @@ class LyricsSync {
       if (prevElement && this.highlightCurrent) {
         prevElement.classList.remove(this.currentLineClass);
       }
+      this.resetWordProgress(this.currentLineIndex);
     }
 
     this.currentLineIndex = lineIndex;
+    this.currentWordIndex = -1;
 
     // Highlight new line
     if (this.currentLineIndex >= 0 && this.currentLineIndex < this.lineElements.length) {
@@ -431,6 +893,38 @@ class LyricsSync {
     return this.lyrics.length;
   }
 
+  /**
+   * Get metadata read from the loaded LRC tags
+   * @returns {Object} { title, artist, length, offset } (length/offset in ms)
+   */
+  getMetadata() {
+    return { ...this.metadata };
+  }
+
+  /**
+   * Export the loaded lyrics as (Enhanced) LRC
+   * @returns {string} LRC text
+   */
+  exportLRC() {
+    return LyricsSync.toLRC(this.lyrics, this.metadata);
+  }
+
+  /**
+   * Export the loaded lyrics as WebVTT
+   * @returns {string} WebVTT text
+   */
+  exportVTT() {
+    return LyricsSync.toVTT(this.lyrics, this.metadata);
+  }
+
+  /**
+   * Check if any loaded line has word-level timing
+   * @returns {boolean} True if karaoke fill is available
+   */
+  hasWordTiming() {
+    return this.lyrics.some((lyric) => lyric.words);
+  }
+
   /**
    * Check if lyrics are loaded
    * @returns {boolean} True if lyrics are loaded
@@ -445,8 +939,11 @@ class LyricsSync {
   clear() {
     this.lyrics = [];
     this.lyricsMap.clear();
+    this.metadata = LyricsSync.emptyMetadata();
     this.lineElements = [];
+    this.wordElements = [];
     this.currentLineIndex = -1;
+    this.currentWordIndex = -1;
     this.isLoaded = false;
 
     if (this.container) {
@@ -489,12 +986,13 @@ class LyricsSync {
       if (element) {
         element.classList.remove(this.currentLineClass);
       }
+      this.resetWordProgress(this.currentLineIndex);
     }
   }
 
   /**
    * Register an event listener
-   * @param {string} event - Event name ('linechange', 'loaded', 'error')
+   * @param {string} event - Event name ('linechange', 'wordchange', 'loaded', 'error')
    * @param {Function} callback - Callback function
    */
   on(event, callback) {
@@ -568,6 +1066,9 @@ class LyricsSync {
       lineCount: this.lyrics.length,
       currentLineIndex: this.currentLineIndex,
       currentLine: this.getCurrentLine(),
+      currentWordIndex: this.currentWordIndex,
+      hasWordTiming: this.hasWordTiming(),
+      metadata: this.getMetadata(),
       autoScroll: this.autoScroll,
       highlightCurrent: this.highlightCurrent,
     };
@@ -0,0 +1,600 @@
+'use strict';
+
+/**
+ * LyricsTimingEditor
+ * In-browser authoring tool for synced lyrics. Paste or open lyrics (plain
+ * text, LRC, WebVTT or SRT), play the track in EnhancedAudioPlayer and tap a
+ * key to stamp each line at the current playback position. Stamps can be
+ * nudged, cleared and previewed, then exported as LRC or WebVTT.
+ *
+ * Keyboard (while the editor has focus):
+ *   Enter / S      stamp the selected line and move to the next
+ *   Space          play / pause
+ *   ↑ / ↓          select line
+ *   [ / ]          nudge selected line -/+ nudgeStep (Shift: x10)
+ *   Backspace      clear the selected line's stamp
+ *
+ * Word timing from imported Enhanced LRC/WebVTT moves with its line.
+ * Parsing and serialization are delegated to LyricsSync.
+ *
+ * @class LyricsTimingEditor
+ * @example
+ * const editor = new LyricsTimingEditor({
+ *   container: document.getElementById('lyrics-editor'),
+ *   player: audioPlayer
+ * });
+ * editor.load('First line\nSecond line');
+ * editor.stamp(); // times "First line" at player.getPosition()
+ * const lrc = editor.exportLRC();
+ */
+class LyricsTimingEditor {
+  /**
+   * Create a LyricsTimingEditor instance
+   * @param {Object} options - Configuration object
+   * @param {HTMLElement} options.container - Element to render the editor into
+   * @param {EnhancedAudioPlayer} [options.player] - Player providing position and seeking
+   * @param {number} [options.nudgeStep=100] - Nudge amount in ms
+   */
+  constructor(options = {}) {
+    this.container = options.container || null;
+    this.player = options.player || null;
+    this.nudgeStep = options.nudgeStep ?? 100;
+
+    // Lines: { text, time (ms or null), endTime?, words? }
+    this.lines = [];
+    this.metadata = LyricsSync.emptyMetadata();
+    this.selectedIndex = 0;
+    this.playingIndex = -1;
+
+    // DOM references
+    this.root = null;
+    this.listElement = null;
+    this.sourceInput = null;
+
+    // Event listeners storage
+    this.listeners = new Map();
+
+    this.boundHandleKeydown = this.handleKeydown.bind(this);
+    this.boundHandleProgress = event =>
+      this.updatePlayingLine(event.position * 1000);
+
+    if (this.player) {
+      this.player.on('progress', this.boundHandleProgress);
+    }
+
+    if (this.container) {
+      this.render();
+    }
+  }
+
+  /**
+   * Load lyrics to time
+   * Timed formats keep their stamps; plain text starts untimed.
+   * @param {string} text - Plain text, LRC, WebVTT or SRT
+   * @param {string} [fileName] - Source file name, used to detect the format
+   */
+  load(text, fileName = '') {
+    const format = LyricsSync.detectFormat(text, fileName);
+
+    if (format === 'text') {
+      this.lines = String(text)
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => ({ text: line, time: null }));
+      this.metadata = LyricsSync.emptyMetadata();
+    } else {
+      const { lyrics, metadata } = LyricsSync.parse(text, format);
+      this.lines = lyrics
+        .filter(lyric => lyric.text)
+        .map(({ text: lineText, time, endTime, words }) => ({
+          text: lineText,
+          time,
+          endTime,
+          words,
+        }));
+      this.metadata = metadata;
+    }
+
+    const firstUntimed = this.lines.findIndex(line => line.time === null);
+    this.selectedIndex = Math.max(0, firstUntimed);
+    this.playingIndex = -1;
+
+    this.renderLines();
+    this.emit('change', { lines: this.getLines() });
+  }
+
+  /**
+   * Stamp a line at the player's current position
+   * @param {number} [index=this.selectedIndex] - Line index
+   * @returns {number|null} Stamped time in ms, or null without a player or line
+   */
+  stamp(index = this.selectedIndex) {
+    if (!this.player || !this.lines[index]) {
+      return null;
+    }
+
+    const time = Math.round(this.player.getPosition() * 1000);
+    this.setTime(index, time);
+    this.select(Math.min(index + 1, this.lines.length - 1));
+    return time;
+  }
+
+  /**
+   * Shift a line's stamp
+   * @param {number} index - Line index
+   * @param {number} deltaMs - Milliseconds to add (negative = earlier)
+   */
+  nudge(index, deltaMs) {
+    const line = this.lines[index];
+    if (!line || line.time === null) {
+      return;
+    }
+    this.setTime(index, Math.max(0, line.time + deltaMs));
+  }
+
+  /**
+   * Remove a line's stamp
+   * @param {number} index - Line index
+   */
+  clearStamp(index) {
+    const line = this.lines[index];
+    if (!line || line.time === null) {
+      return;
+    }
+
+    line.time = null;
+    delete line.endTime;
+    delete line.words;
+    this.renderLines();
+    this.emit('change', { lines: this.getLines() });
+  }
+
+  /**
+   * Set a line's start time, moving its end and word times with it
+   * @private
+   * @param {number} index - Line index
+   * @param {number} time - New start time in ms
+   */
+  setTime(index, time) {
+    const line = this.lines[index];
+    const shift = line.time === null ? null : time - line.time;
+
+    if (shift === null) {
+      // Imported end/word times belonged to a previous stamp
+      delete line.endTime;
+      delete line.words;
+    } else {
+      if (line.endTime !== undefined) {
+        line.endTime += shift;
+      }
+      line.words?.forEach(word => {
+        word.time += shift;
+        word.endTime += shift;
+      });
+    }
+
+    line.time = time;
+    this.renderLines();
+    this.emit('change', { lines: this.getLines() });
+  }
+
+  /**
+   * Select a line
+   * @param {number} index - Line index
+   */
+  select(index) {
+    if (index < 0 || index >= this.lines.length) {
+      return;
+    }
+
+    this.selectedIndex = index;
+    this.listElement?.querySelectorAll('[data-line-index]').forEach(row => {
+      const selected = Number(row.dataset.lineIndex) === index;
+      row.classList.toggle('lyrics-editor-line--selected', selected);
+      row.setAttribute('aria-selected', String(selected));
+      if (selected) {
+        row.scrollIntoView?.({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Seek the player to a stamped line
+   * @param {number} index - Line index
+   */
+  seekToLine(index) {
+    const line = this.lines[index];
+    if (!this.player || !line || line.time === null) {
+      return;
+    }
+    this.player.seekTo(line.time / 1000);
+  }
+
+  /**
+   * Timed lines sorted by time, in LyricsSync's lyric shape
+   * @returns {Array<Object>} Array of { time, text, index, endTime?, words? }
+   */
+  getLyrics() {
+    return this.lines
+      .filter(line => line.time !== null)
+      .sort((a, b) => a.time - b.time)
+      .map((line, index) => {
+        const lyric = { time: line.time, text: line.text, index };
+        if (line.endTime !== undefined) {
+          lyric.endTime = line.endTime;
+        }
+        if (line.words) {
+          lyric.words = line.words.map(word => ({ ...word }));
+        }
+        return lyric;
+      });
+  }
+
+  /**
+   * All lines in authoring order
+   * @returns {Array<Object>} Copies of { text, time, endTime?, words? }
+   */
+  getLines() {
+    return this.lines.map(line => ({ ...line }));
+  }
+
+  /**
+   * Number of stamped lines
+   * @returns {number}
+   */
+  getTimedCount() {
+    return this.lines.filter(line => line.time !== null).length;
+  }
+
+  /**
+   * Metadata for export, filling title/artist from the current track
+   * @private
+   * @returns {Object}
+   */
+  getExportMetadata() {
+    const track = this.player?.getCurrentTrack?.() || {};
+    return {
+      ...this.metadata,
+      title: this.metadata.title || track.title || '',
+      artist: this.metadata.artist || track.artist || '',
+    };
+  }
+
+  /**
+   * Export stamped lines as (Enhanced) LRC
+   * @returns {string} LRC text
+   */
+  exportLRC() {
+    return LyricsSync.toLRC(this.getLyrics(), this.getExportMetadata());
+  }
+
+  /**
+   * Export stamped lines as WebVTT
+   * @returns {string} WebVTT text
+   */
+  exportVTT() {
+    return LyricsSync.toVTT(this.getLyrics(), this.getExportMetadata());
+  }
+
+  /**
+   * Download the export as a file
+   * @param {string} format - 'lrc' or 'vtt'
+   */
+  download(format) {
+    const content = format === 'vtt' ? this.exportVTT() : this.exportLRC();
+    const type = format === 'vtt' ? 'text/vtt' : 'text/plain';
+    const baseName = (this.getExportMetadata().title || 'lyrics')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName || 'lyrics'}.${format === 'vtt' ? 'vtt' : 'lrc'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Highlight the line under the playhead
+   * @private
+   * @param {number} positionMs - Playback position in ms
+   */
+  updatePlayingLine(positionMs) {
+    let playingIndex = -1;
+    let playingTime = -1;
+    this.lines.forEach((line, index) => {
+      if (
+        line.time !== null &&
+        line.time <= positionMs &&
+        line.time >= playingTime
+      ) {
+        playingIndex = index;
+        playingTime = line.time;
+      }
+    });
+
+    if (playingIndex === this.playingIndex) {
+      return;
+    }
+    this.playingIndex = playingIndex;
+    this.listElement?.querySelectorAll('[data-line-index]').forEach(row => {
+      row.classList.toggle(
+        'lyrics-editor-line--playing',
+        Number(row.dataset.lineIndex) === playingIndex
+      );
+    });
+  }
+
+  /**
+   * Handle editor keyboard shortcuts
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (e.target.closest?.('textarea, input')) {
+      return;
+    }
+
+    const step = e.shiftKey ? this.nudgeStep * 10 : this.nudgeStep;
+    let handled = true;
+
+    switch (e.key) {
+      case 'Enter':
+      case 's':
+      case 'S':
+        this.stamp();
+        break;
+      case ' ':
+        this.player?.toggle();
+        break;
+      case 'ArrowUp':
+        this.select(this.selectedIndex - 1);
+        break;
+      case 'ArrowDown':
+        this.select(this.selectedIndex + 1);
+        break;
+      case '[':
+      case '{':
+        this.nudge(this.selectedIndex, -step);
+        break;
+      case ']':
+      case '}':
+        this.nudge(this.selectedIndex, step);
+        break;
+      case 'Backspace':
+      case 'Delete':
+        this.clearStamp(this.selectedIndex);
+        break;
+      default:
+        handled = false;
+    }
+
+    if (handled) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Render the editor shell
+   * @private
+   */
+  render() {
+    this.root = document.createElement('section');
+    this.root.className =
+      'lyrics-editor pa3 ba b--white-20 br3 bg-black-70 white mb4';
+    this.root.tabIndex = 0;
+    this.root.setAttribute('aria-label', 'Lyric timing editor');
+    this.root.innerHTML = `
+      <div class="flex justify-between items-center mb2">
+        <h4 class="f5 mt0 mb0" style="color: #ffd700">Lyric Timing Editor</h4>
+        <button type="button" class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2"
+                data-action="close" aria-label="Close lyric timing editor">&times;</button>
+      </div>
+      <textarea class="lyrics-editor-source w-100 bg-black-50 white ba b--white-20 br2 pa2 f7 code"
+                rows="4" aria-label="Lyrics to time"
+                placeholder="Paste lyrics (one line per row) or an LRC, WebVTT or SRT file"></textarea>
+      <div class="flex flex-wrap items-center mt2 mb2">
+        <button type="button" class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2 mr2"
+                data-action="load">Load</button>
+        <label class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2 mr2">
+          Open file<input type="file" class="dn" accept=".lrc,.vtt,.srt,.txt" data-action="file" />
+        </label>
+        <button type="button" class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2 mr2"
+                data-action="export-lrc">Export LRC</button>
+        <button type="button" class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2"
+                data-action="export-vtt">Export VTT</button>
+      </div>
+      <p class="f7 o-50 mt0 mb2">
+        Enter/S stamp &middot; Space play/pause &middot; &uarr;/&darr; select &middot;
+        [ / ] nudge ${this.nudgeStep}ms (Shift &times;10) &middot; Backspace clear
+      </p>
+      <ol class="lyrics-editor-lines list pl0 mv0 overflow-y-auto" style="max-height: 320px"
+          role="listbox" aria-label="Lyric lines"></ol>
+    `;
+
+    this.listElement = this.root.querySelector('.lyrics-editor-lines');
+    this.sourceInput = this.root.querySelector('.lyrics-editor-source');
+
+    this.root.addEventListener('keydown', this.boundHandleKeydown);
+    this.root.addEventListener('click', e => this.handleClick(e));
+    this.root
+      .querySelector('[data-action="file"]')
+      .addEventListener('change', e => {
+        this.handleFile(e.target.files?.[0]);
+        e.target.value = '';
+      });
+
+    this.container.appendChild(this.root);
+  }
+
+  /**
+   * Render the line list
+   * @private
+   */
+  renderLines() {
+    if (!this.listElement) {
+      return;
+    }
+
+    const escape = text =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    this.listElement.innerHTML = this.lines
+      .map(
+        (line, index) => `
+      <li class="lyrics-editor-line flex items-center pa1 br2" data-line-index="${index}" role="option">
+        <button type="button" class="lyrics-editor-time code f7 bg-transparent bn pointer mr2 tl"
+                style="width: 72px; color: #ffd700" data-action="seek"
+                aria-label="${line.time === null ? 'Not stamped' : `Seek to ${LyricsSync.formatLRCTime(line.time)}`}">
+          ${line.time === null ? '--:--.--' : LyricsSync.formatLRCTime(line.time)}
+        </button>
+        <span class="f6 flex-auto">${escape(line.text)}</span>
+        <button type="button" class="bg-transparent bn white-60 pointer f7" data-action="nudge-back"
+                aria-label="Nudge earlier">&minus;</button>
+        <button type="button" class="bg-transparent bn white-60 pointer f7" data-action="nudge-forward"
+                aria-label="Nudge later">+</button>
+      </li>
+    `
+      )
+      .join('');
+
+    this.listElement
+      .querySelector(`[data-line-index="${this.playingIndex}"]`)
+      ?.classList.add('lyrics-editor-line--playing');
+    this.select(this.selectedIndex);
+  }
+
+  /**
+   * Handle clicks on editor controls and lines
+   * @private
+   * @param {MouseEvent} e
+   */
+  handleClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const row = e.target.closest('[data-line-index]');
+    const index = row ? Number(row.dataset.lineIndex) : -1;
+
+    if (index >= 0) {
+      this.select(index);
+    }
+
+    switch (action) {
+      case 'load':
+        this.load(this.sourceInput.value);
+        break;
+      case 'export-lrc':
+        this.download('lrc');
+        break;
+      case 'export-vtt':
+        this.download('vtt');
+        break;
+      case 'close':
+        this.emit('close', {});
+        this.dispose();
+        return;
+      case 'seek':
+        this.seekToLine(index);
+        break;
+      case 'nudge-back':
+        this.nudge(index, -this.nudgeStep);
+        break;
+      case 'nudge-forward':
+        this.nudge(index, this.nudgeStep);
+        break;
+      default:
+        break;
+    }
+
+    // Keep keyboard shortcuts working after mouse use
+    if (action !== 'load' && !e.target.closest('textarea, input, label')) {
+      this.root?.focus();
+    }
+  }
+
+  /**
+   * Load lyrics from a chosen file
+   * @private
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async handleFile(file) {
+    if (!file) {
+      return;
+    }
+
+    const text = await file.text();
+    this.sourceInput.value = text;
+    this.load(text, file.name);
+  }
+
+  /**
+   * Register an event listener
+   * @param {string} event - Event name ('change', 'close')
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Unregister an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function to remove
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Data to pass to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (err) {
+          console.error(`Error in ${event} listener:`, err);
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove the editor and detach from the player
+   */
+  dispose() {
+    if (this.player) {
+      this.player.off('progress', this.boundHandleProgress);
+    }
+
+    this.root?.remove();
+    this.root = null;
+    this.listElement = null;
+    this.sourceInput = null;
+    this.listeners.clear();
+    this.player = null;
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.LyricsTimingEditor = LyricsTimingEditor;
+}
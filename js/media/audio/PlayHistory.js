@@ -0,0 +1,442 @@
+'use strict';
+
+/**
+ * PlayHistory
+ * Local listening statistics for the Odeion player, kept in IndexedDB (or in
+ * memory when IndexedDB is unavailable). Nothing leaves the browser except
+ * through `exportJSON()`.
+ *
+ * `attach(player)` follows an EnhancedAudioPlayer: every time a track stops
+ * being the one playing, the listening session is recorded with the seconds
+ * actually heard (seeks are not counted), its completion (heard / duration)
+ * and whether it was skipped. A session counts as a play once `playSeconds`
+ * (or half the track, if shorter) were heard; leaving a track before
+ * `completeThreshold` of it was heard, other than by reaching its end, is a
+ * skip.
+ *
+ * Per-track totals live in the 'stats' store, keyed like PlaylistStore track
+ * references (albumId/id for album tracks), and the session log in 'plays'
+ * (oldest sessions are dropped past `maxPlays`).
+ *
+ * @class PlayHistory
+ * @example
+ * const history = PlayHistory.getInstance();
+ * const detach = history.attach(player);
+ * const favourites = await history.getMostPlayed(10);
+ * const unheard = await history.getNeverHeard(albumTracks);
+ * const json = await history.exportJSON();
+ */
+class PlayHistory {
+  /** Object store holding per-track totals (keyPath 'key') */
+  static STATS = 'stats';
+
+  /** Object store holding listening sessions (auto-increment 'id') */
+  static PLAYS = 'plays';
+
+  /** Largest position step (s) between progress events counted as listening */
+  static MAX_PROGRESS_STEP = 1.5;
+
+  /** Export format version */
+  static EXPORT_VERSION = 1;
+
+  /**
+   * Get or create the singleton instance
+   * @returns {PlayHistory}
+   */
+  static getInstance() {
+    if (!window.playHistoryInstance) {
+      window.playHistoryInstance = new PlayHistory();
+    }
+    return window.playHistoryInstance;
+  }
+
+  /**
+   * Create a PlayHistory instance
+   * @private
+   */
+  constructor() {
+    this.config = {
+      dbName: 'etceter4-play-history',
+      playSeconds: 30,
+      completeThreshold: 0.9,
+      maxPlays: 5000,
+      ...(window.ETCETER4_CONFIG?.media?.history || {}),
+    };
+
+    // History database (opened lazily, in memory when IndexedDB is unavailable)
+    this._db = new IDBStore({
+      name: this.config.dbName,
+      label: 'PlayHistory',
+      stores: {
+        [PlayHistory.STATS]: { keyPath: 'key' },
+        [PlayHistory.PLAYS]: { keyPath: 'id', autoIncrement: true },
+      },
+    });
+
+    // Sessions are recorded one at a time so quick skips cannot race on a track's totals
+    this._recording = Promise.resolve();
+
+    // Event listeners storage
+    this.listeners = new Map();
+  }
+
+  /**
+   * Identify a track across sessions: albumId/id for album tracks, else its
+   * id or URL
+   * @param {Object} track
+   * @returns {string}
+   */
+  static trackKey(track) {
+    if (track?.albumId) {
+      return `${track.albumId}/${track.id}`;
+    }
+    return String(track?.id || track?.url || '');
+  }
+
+  /**
+   * Record listening sessions of a player's tracks
+   * @param {EnhancedAudioPlayer} player
+   * @returns {Function} Stops following the player (the open session is dropped)
+   */
+  attach(player) {
+    let session = null;
+
+    const start = () => {
+      const track = player.getCurrentTrack();
+      if (session || !track) {
+        return;
+      }
+      session = {
+        track,
+        startedAt: Date.now(),
+        listenedSeconds: 0,
+        lastPosition: player.getPosition(),
+        duration: player.getDuration(),
+      };
+    };
+
+    const finish = completed => {
+      if (!session) {
+        return;
+      }
+      const ended = session;
+      session = null;
+      this.recordSession({ ...ended, completed }).catch(err =>
+        console.warn('PlayHistory: Could not record play', err)
+      );
+    };
+
+    const handlers = {
+      play: start,
+      progress: ({ position, duration }) => {
+        if (!session) {
+          return;
+        }
+        const step = position - session.lastPosition;
+        if (step > 0 && step <= PlayHistory.MAX_PROGRESS_STEP) {
+          session.listenedSeconds += step;
+        }
+        session.lastPosition = position;
+        if (duration > 0) {
+          session.duration = duration;
+        }
+      },
+      ended: () => finish(true),
+      stop: () => finish(false),
+      // Gapless transitions change track without a new 'play' event
+      trackChange: () => {
+        finish(false);
+        if (player.isPlaying) {
+          start();
+        }
+      },
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) =>
+      player.on(event, handler)
+    );
+    return () => {
+      session = null;
+      Object.entries(handlers).forEach(([event, handler]) =>
+        player.off(event, handler)
+      );
+    };
+  }
+
+  /**
+   * Record one listening session and update the track's totals
+   * @param {Object} session
+   * @param {Object} session.track - Track that was playing
+   * @param {number} session.listenedSeconds - Seconds heard
+   * @param {number} [session.duration] - Track duration in seconds
+   * @param {boolean} [session.completed] - Whether playback reached the end
+   * @param {number} [session.startedAt] - Start time (ms since epoch)
+   * @returns {Promise<Object>} Updated track stats
+   */
+  recordSession(session) {
+    const recorded = this._recording.then(() => this._record(session));
+    this._recording = recorded.catch(() => {});
+    return recorded;
+  }
+
+  /**
+   * Write a session and the updated totals
+   * @private
+   * @param {Object} session - See recordSession
+   * @returns {Promise<Object>} Updated track stats
+   */
+  async _record(session) {
+    const { track, listenedSeconds = 0, completed = false } = session;
+    const duration = session.duration > 0 ? session.duration : 0;
+    const completion =
+      duration > 0 ? Math.min(1, listenedSeconds / duration) : 0;
+    const counted =
+      listenedSeconds >=
+      Math.min(this.config.playSeconds, duration > 0 ? duration / 2 : Infinity);
+    const skipped = !completed && completion < this.config.completeThreshold;
+
+    const key = PlayHistory.trackKey(track);
+    const now = Date.now();
+    const play = {
+      key,
+      startedAt: session.startedAt ?? now,
+      endedAt: now,
+      listenedSeconds: Math.round(listenedSeconds * 10) / 10,
+      duration: Math.round(duration * 10) / 10,
+      completion: Math.round(completion * 1000) / 1000,
+      completed,
+      skipped,
+      counted,
+    };
+
+    const existing = await this._db.get(PlayHistory.STATS, key);
+    const stats = {
+      key,
+      track: PlayHistory._toRef(track),
+      playCount: 0,
+      skipCount: 0,
+      completeCount: 0,
+      sessions: 0,
+      completionTotal: 0,
+      listenedSeconds: 0,
+      firstPlayedAt: null,
+      lastPlayedAt: null,
+      ...existing,
+    };
+    stats.track = PlayHistory._toRef(track);
+    stats.sessions += 1;
+    stats.completionTotal += play.completion;
+    stats.listenedSeconds += play.listenedSeconds;
+    stats.skipCount += skipped ? 1 : 0;
+    stats.completeCount += completed ? 1 : 0;
+    if (counted) {
+      stats.playCount += 1;
+      stats.firstPlayedAt = stats.firstPlayedAt ?? now;
+      stats.lastPlayedAt = now;
+    }
+
+    await this._db.put(PlayHistory.PLAYS, play);
+    await this._db.put(PlayHistory.STATS, stats);
+    await this._prunePlays();
+
+    const result = PlayHistory._withAverages(stats);
+    this.emit('record', { play, stats: result });
+    return result;
+  }
+
+  /**
+   * Get a track's totals
+   * @param {Object} track
+   * @returns {Promise<Object|null>} Stats with averageCompletion, or null if never played
+   */
+  async getTrackStats(track) {
+    const stats = await this._db.get(
+      PlayHistory.STATS,
+      PlayHistory.trackKey(track)
+    );
+    return stats ? PlayHistory._withAverages(stats) : null;
+  }
+
+  /**
+   * Tracks with the most counted plays
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<Object>>} Stats, most played first
+   */
+  async getMostPlayed(limit = 20) {
+    const stats = await this._db.getAll(PlayHistory.STATS);
+    return stats
+      .filter(entry => entry.playCount > 0)
+      .sort(
+        (a, b) => b.playCount - a.playCount || b.lastPlayedAt - a.lastPlayedAt
+      )
+      .slice(0, limit)
+      .map(PlayHistory._withAverages);
+  }
+
+  /**
+   * Tracks by their last counted play
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<Object>>} Stats, most recent first
+   */
+  async getRecentlyPlayed(limit = 20) {
+    const stats = await this._db.getAll(PlayHistory.STATS);
+    return stats
+      .filter(entry => entry.lastPlayedAt)
+      .sort((a, b) => b.lastPlayedAt - a.lastPlayedAt)
+      .slice(0, limit)
+      .map(PlayHistory._withAverages);
+  }
+
+  /**
+   * Filter tracks down to those without a counted play
+   * @param {Array<Object>} tracks - Candidate tracks, e.g. every album track
+   * @returns {Promise<Array<Object>>} Tracks never heard, in the given order
+   */
+  async getNeverHeard(tracks) {
+    const stats = await this._db.getAll(PlayHistory.STATS);
+    const heard = new Set(
+      stats.filter(entry => entry.playCount > 0).map(entry => entry.key)
+    );
+    return tracks.filter(
+      track => track && !heard.has(PlayHistory.trackKey(track))
+    );
+  }
+
+  /**
+   * Get the listening sessions, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPlays() {
+    const plays = await this._db.getAll(PlayHistory.PLAYS);
+    return plays.sort((a, b) => a.startedAt - b.startedAt || a.id - b.id);
+  }
+
+  /**
+   * Serialize the whole history
+   * @returns {Promise<string>} JSON { version, exportedAt, tracks, plays }
+   */
+  async exportJSON() {
+    const stats = await this._db.getAll(PlayHistory.STATS);
+    const data = {
+      version: PlayHistory.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      tracks: stats
+        .sort((a, b) => b.playCount - a.playCount)
+        .map(PlayHistory._withAverages),
+      plays: await this.getPlays(),
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Forget all listening history
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._db.clear(PlayHistory.STATS);
+    await this._db.clear(PlayHistory.PLAYS);
+    this.emit('clear', {});
+  }
+
+  /**
+   * Register an event listener
+   * @param {string} event - Event name ('record', 'clear')
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Unregister an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function to remove
+   */
+  off(event, callback) {
+    const callbacks = this.listeners.get(event) || [];
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Data to pass to listeners
+   */
+  emit(event, data) {
+    (this.listeners.get(event) || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (err) {
+        console.error(`Error in PlayHistory ${event} listener:`, err);
+      }
+    });
+  }
+
+  /**
+   * Close the database and drop listeners
+   */
+  dispose() {
+    this._db.close();
+    this.listeners.clear();
+  }
+
+  /**
+   * Track fields worth keeping; album tracks drop their URL so they resolve
+   * against the current media host (as in PlaylistStore)
+   * @private
+   * @param {Object} track
+   * @returns {Object}
+   */
+  static _toRef(track) {
+    const { id, title, artist, albumId, albumTitle, duration, url } =
+      track || {};
+    const ref = { id, title, artist, albumId, albumTitle, duration };
+    if (!albumId) {
+      ref.url = url;
+    }
+    Object.keys(ref).forEach(key => ref[key] === undefined && delete ref[key]);
+    return ref;
+  }
+
+  /**
+   * Add the average completion (0-1) to stored stats
+   * @private
+   * @param {Object} stats
+   * @returns {Object}
+   */
+  static _withAverages(stats) {
+    return {
+      ...stats,
+      averageCompletion:
+        stats.sessions > 0
+          ? Math.round((stats.completionTotal / stats.sessions) * 1000) / 1000
+          : 0,
+    };
+  }
+
+  /**
+   * Drop the oldest sessions beyond config.maxPlays
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _prunePlays() {
+    const keys = await this._db.getAllKeys(PlayHistory.PLAYS);
+    const excess = keys.length - this.config.maxPlays;
+    if (excess > 0) {
+      // Keys increase with time, so the first ones are the oldest sessions
+      await this._db.delete(PlayHistory.PLAYS, keys.slice(0, excess));
+    }
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.PlayHistory = PlayHistory;
+}
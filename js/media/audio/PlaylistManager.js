@@ -3,21 +3,49 @@
  * @description Album/playlist UI controller for the Odeion chamber.
  * Manages album selection, track listing, queue, and integrates with
  * EnhancedAudioPlayer for Howler.js playback and WaveformVisualizer.
+ * The play queue is the player's track list: edits go through
+ * addTrack/removeTrack/moveTrack, and the queue and user playlists
+ * persist through PlaylistStore. Listening is recorded by PlayHistory,
+ * shown as "most played", "recently played" and "never heard" views.
+ * Albums and playlists can be saved for offline through OfflineMedia.
  */
 
 'use strict';
 
 class PlaylistManager {
+  /** History views and their tab labels */
+  static HISTORY_VIEWS = {
+    most: 'Most played',
+    recent: 'Recently played',
+    never: 'Never heard',
+  };
+
   /**
    * @param {Object} options
    * @param {HTMLElement} options.container - Odeion player container element
    * @param {EnhancedAudioPlayer} [options.player] - Existing player instance
    * @param {WaveformVisualizer} [options.waveform] - Existing waveform instance
+   * @param {PlaylistStore} [options.store] - Playlist persistence (defaults to the shared store)
+   * @param {PlayHistory} [options.history] - Listening history (defaults to the shared history)
+   * @param {OfflineMedia} [options.offline] - Offline downloads (defaults to the shared instance where supported)
    */
   constructor(options = {}) {
     this.container = options.container;
     this.player = options.player || null;
     this.waveform = options.waveform || null;
+    this.store =
+      options.store ||
+      (typeof PlaylistStore !== 'undefined'
+        ? PlaylistStore.getInstance()
+        : null);
+    this.history =
+      options.history ||
+      (typeof PlayHistory !== 'undefined' ? PlayHistory.getInstance() : null);
+    this.offline =
+      options.offline ||
+      (typeof OfflineMedia !== 'undefined' && OfflineMedia.isSupported()
+        ? OfflineMedia.getInstance()
+        : null);
 
     // Album data from config (convert object to array)
     const albumsObj =
@@ -34,16 +62,54 @@ class PlaylistManager {
     this.queue = [];
     this._shuffledQueue = [];
 
+    // User playlists (newest first) and the one the queue was loaded from
+    this.playlists = [];
+    this.currentPlaylistId = null;
+
+    // Listening history view and the tracks it lists
+    this.historyView = 'most';
+    this.historyTracks = [];
+    this._detachHistory = null;
+    this._onHistoryChange = () => this.refreshHistory();
+
+    // Items saved for offline, storage use and the last download failure
+    this.offlineItems = [];
+    this.storageInfo = null;
+    this.offlineError = null;
+    this._offlineHandlers = {
+      progress: ({ id }) => this._updateOfflineButtons(id),
+      change: () => this.refreshOffline(),
+      error: ({ id }) => {
+        this.offlineError = id;
+      },
+    };
+
     // DOM refs (set during render)
     this._albumGrid = null;
     this._trackList = null;
     this._nowPlaying = null;
+    this._queuePanel = null;
+    this._playlistPanel = null;
+    this._historyPanel = null;
+    this._offlinePanel = null;
+
+    // Queue editing state
+    this._dragIndex = null;
+    this._focusQueueIndex = null;
+    this._queueSyncPending = false;
+    this._playerHandlers = {
+      queueUpdate: () => this._scheduleQueueSync(),
+      trackChange: ({ index }) => this._onTrackChange(index),
+    };
   }
 
-  /** Initialize the playlist UI */
+  /**
+   * Initialize the playlist UI
+   * @returns {Promise<void>} Resolves once saved playlists and the queue are restored
+   */
   initialize() {
     if (!this.container) {
-      return;
+      return Promise.resolve();
     }
     this._render();
     this._bindEvents();
@@ -52,6 +118,14 @@ class PlaylistManager {
     if (this.albums.length > 0) {
       this._renderAlbumGrid();
     }
+
+    this._renderQueue();
+    this._renderPlaylists();
+    this._renderHistory();
+    this._renderOffline();
+    return this._restore()
+      .then(() => this.refreshHistory())
+      .then(() => this.refreshOffline());
   }
 
   /** Render the base UI structure */
@@ -67,15 +141,37 @@ class PlaylistManager {
     this._trackList = document.createElement('div');
     this._trackList.className = 'odeion-track-list dn';
 
+    // Play queue and user playlists
+    this._queuePanel = document.createElement('div');
+    this._queuePanel.className = 'odeion-queue mt3';
+    this._playlistPanel = document.createElement('div');
+    this._playlistPanel.className = 'odeion-playlists mt3';
+    this._historyPanel = document.createElement('div');
+    this._historyPanel.className = 'odeion-history mt3';
+    this._offlinePanel = document.createElement('div');
+    this._offlinePanel.className = 'odeion-offline mt3';
+
     // Insert before the existing player controls area
     const playerContainer = document.getElementById('odeion-player-container');
     if (playerContainer) {
       this.container.insertBefore(this._albumGrid, playerContainer);
-      // Track list after player
-      playerContainer.after(this._trackList);
+      // Track list, queue, playlists, history and downloads after player
+      playerContainer.after(
+        this._trackList,
+        this._queuePanel,
+        this._playlistPanel,
+        this._historyPanel,
+        this._offlinePanel
+      );
     } else {
-      this.container.appendChild(this._albumGrid);
-      this.container.appendChild(this._trackList);
+      this.container.append(
+        this._albumGrid,
+        this._trackList,
+        this._queuePanel,
+        this._playlistPanel,
+        this._historyPanel,
+        this._offlinePanel
+      );
     }
 
     // Add playlist controls row
@@ -137,15 +233,61 @@ class PlaylistManager {
       }
     });
 
-    // Track selection
+    // Track selection (the + button queues the track instead)
     this._trackList?.addEventListener('click', e => {
+      const offline = e.target.closest('[data-action="offline"]');
+      if (offline) {
+        const album = this.currentAlbum;
+        this._onOfflineAction(offline.dataset.offlineId, () =>
+          this.saveAlbumOffline(album)
+        );
+        return;
+      }
       const row = e.target.closest('.odeion-track-row');
-      if (row) {
-        const idx = parseInt(row.dataset.trackIndex);
-        this.playTrack(idx);
+      if (!row) {
+        return;
+      }
+      const idx = parseInt(row.dataset.trackIndex);
+      if (e.target.closest('[data-action="enqueue"]')) {
+        this.enqueue(this._albumTrack(this.currentAlbum, idx));
+      } else {
+        this.playAlbum(this.currentAlbum, idx);
+      }
+    });
+
+    // Queue editing: click to play, drag or Alt+Arrow keys to reorder
+    this._queuePanel?.addEventListener('click', e => this._onQueueClick(e));
+    this._queuePanel?.addEventListener('keydown', e => this._onQueueKeydown(e));
+    this._queuePanel?.addEventListener('dragstart', e => this._onDragStart(e));
+    this._queuePanel?.addEventListener('dragover', e => this._onDragOver(e));
+    this._queuePanel?.addEventListener('drop', e => this._onDrop(e));
+    this._queuePanel?.addEventListener('dragend', () => this._onDragEnd());
+
+    // User playlists
+    this._playlistPanel?.addEventListener('click', e =>
+      this._onPlaylistClick(e)
+    );
+    this._playlistPanel?.addEventListener('change', e => {
+      if (e.target.matches('input[type="file"]')) {
+        this._onImportFile(e.target);
       }
     });
 
+    // Listening history
+    this._historyPanel?.addEventListener('click', e => this._onHistoryClick(e));
+    if (this.history) {
+      this.history.on('record', this._onHistoryChange);
+      this.history.on('clear', this._onHistoryChange);
+    }
+
+    // Offline downloads
+    this._offlinePanel?.addEventListener('click', e => this._onOfflineClick(e));
+    if (this.offline) {
+      Object.entries(this._offlineHandlers).forEach(([event, handler]) =>
+        this.offline.on(event, handler)
+      );
+    }
+
     // Playlist controls
     document
       .getElementById('odeion-prev-btn')
@@ -163,6 +305,10 @@ class PlaylistManager {
     // Listen for track end to advance queue
     if (this.player) {
       this.player.on('end', () => this._onTrackEnd());
+      Object.entries(this._playerHandlers).forEach(([event, handler]) =>
+        this.player.on(event, handler)
+      );
+      this._detachHistory = this.history?.attach(this.player) || null;
     }
   }
 
@@ -176,8 +322,6 @@ class PlaylistManager {
     }
 
     this.currentAlbum = this.albums[albumIndex];
-    this.queue = [...(this.currentAlbum.tracks || [])];
-    this.currentTrackIndex = 0;
 
     // Highlight selected album
     this._albumGrid
@@ -191,13 +335,13 @@ class PlaylistManager {
     this._renderTrackList();
     this._trackList?.classList.remove('dn');
 
-    // Load tracks into player
-    if (this.player && this.queue.length > 0) {
-      this.player.tracks = this.queue.map(t => ({
-        id: t.id || t.title,
-        title: t.title,
-        url: t.url,
-      }));
+    // Load tracks into an empty queue so the play button has something to play
+    if (this.player && this.player.getQueue().length === 0) {
+      this.setQueue(
+        (this.currentAlbum.tracks || []).map((t, i) =>
+          this._albumTrack(this.currentAlbum, i)
+        )
+      );
     }
   }
 
@@ -210,7 +354,10 @@ class PlaylistManager {
     const tracks = this.currentAlbum.tracks || [];
     this._trackList.innerHTML = `
       <div class="pa3 ba b--white-10 br3 bg-black-50">
-        <h4 class="f5 mt0 mb3" style="color: #ffd700">${this.currentAlbum.title}</h4>
+        <div class="flex items-center mb3">
+          <h4 class="f5 mt0 mb0 flex-auto" style="color: #ffd700">${this.currentAlbum.title}</h4>
+          ${this.offline ? this._offlineButton(OfflineMedia.itemId('album', this.currentAlbum.id), this.currentAlbum.title) : ''}
+        </div>
         ${tracks
           .map(
             (t, i) => `
@@ -220,12 +367,16 @@ class PlaylistManager {
             <span class="f7 o-50 mr2" style="width: 24px; text-align: right">${i + 1}</span>
             <span class="f6 flex-auto white">${t.title}</span>
             <span class="f7 o-50">${t.duration || ''}</span>
+            <button class="pa1 ph2 ml2 ba b--white-20 bg-black-70 white f7 pointer br2"
+                    data-action="enqueue" aria-label="Add ${t.title} to queue"
+                    title="Add to queue">+</button>
           </div>
         `
           )
           .join('')}
       </div>
     `;
+    this._updateOfflineButtons();
   }
 
   /**
@@ -233,15 +384,15 @@ class PlaylistManager {
    * @param {number} trackIndex
    */
   playTrack(trackIndex) {
-    if (!this.currentAlbum || trackIndex < 0) {
+    if (trackIndex < 0) {
       return;
     }
 
-    this.currentTrackIndex = trackIndex;
     const track = this.queue[trackIndex];
     if (!track) {
       return;
     }
+    this.currentTrackIndex = trackIndex;
 
     // Update now-playing display
     const titleEl = document.getElementById('odeion-track-title');
@@ -249,10 +400,7 @@ class PlaylistManager {
       titleEl.textContent = track.title;
     }
 
-    // Highlight current track
-    this._trackList?.querySelectorAll('.odeion-track-row').forEach((row, i) => {
-      row.style.background = i === trackIndex ? 'rgba(255,215,0,0.1)' : '';
-    });
+    this._highlightCurrent();
 
     // Play via EnhancedAudioPlayer
     if (this.player) {
@@ -261,6 +409,66 @@ class PlaylistManager {
     }
   }
 
+  /**
+   * Replace the queue with an album and play from one of its tracks
+   * @param {Object} album - Album from the odeion config
+   * @param {number} [trackIndex=0]
+   */
+  playAlbum(album, trackIndex = 0) {
+    if (!album) {
+      return;
+    }
+    this.setQueue(
+      (album.tracks || []).map((t, i) => this._albumTrack(album, i))
+    );
+    this.playTrack(trackIndex);
+  }
+
+  /**
+   * Replace the whole queue
+   * @param {Array<Object>} tracks - Tracks or stored track references
+   * @param {string|null} [playlistId=null] - Playlist the tracks came from
+   */
+  setQueue(tracks, playlistId = null) {
+    if (!this.player) {
+      return;
+    }
+    this.player.clearQueue();
+    tracks.forEach(track => this.player.addTrack(this._resolveTrack(track)));
+    this.queue = this.player.getQueue();
+    this.currentTrackIndex = 0;
+    this.currentPlaylistId = playlistId;
+  }
+
+  /**
+   * Add a track to the queue
+   * @param {Object} track - Track or stored track reference
+   * @param {number} [index] - Position to insert at (defaults to the end)
+   */
+  enqueue(track, index) {
+    if (!this.player || !track) {
+      return;
+    }
+    this.player.addTrack(this._resolveTrack(track), index);
+  }
+
+  /**
+   * Remove a track from the queue
+   * @param {number} index
+   */
+  removeFromQueue(index) {
+    this.player?.removeTrack(index);
+  }
+
+  /**
+   * Move a queued track to a new position
+   * @param {number} from
+   * @param {number} to
+   */
+  moveInQueue(from, to) {
+    this.player?.moveTrack(from, to);
+  }
+
   /** Play next track in queue */
   next() {
     if (!this.queue.length) {
@@ -321,10 +529,935 @@ class PlaylistManager {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // User playlists
+  // ---------------------------------------------------------------------------
+
+  /** Reload playlists from the store and re-render the panel */
+  async refreshPlaylists() {
+    if (!this.store) {
+      return;
+    }
+    this.playlists = await this.store.getPlaylists();
+    this._renderPlaylists();
+  }
+
+  /**
+   * Save the current queue as a playlist. Saving under the name of the
+   * playlist the queue was loaded from updates that playlist.
+   * @param {string} name
+   * @returns {Promise<Object|null>} Saved playlist
+   */
+  async saveQueueAsPlaylist(name) {
+    if (!this.store || !this.queue.length || !name?.trim()) {
+      return null;
+    }
+
+    const current = this.playlists.find(p => p.id === this.currentPlaylistId);
+    const playlist = await this.store.savePlaylist({
+      id: current && current.name === name.trim() ? current.id : undefined,
+      name,
+      tracks: this.queue.map(track => this._toRef(track)),
+    });
+
+    this.currentPlaylistId = playlist.id;
+    this._persistQueue();
+    await this.refreshPlaylists();
+    return playlist;
+  }
+
+  /**
+   * Load a playlist into the queue
+   * @param {string} id - Playlist id
+   * @param {Object} [options]
+   * @param {boolean} [options.autoplay=true] - Start playing the first track
+   */
+  async loadPlaylist(id, { autoplay = true } = {}) {
+    const playlist = await this.store?.getPlaylist(id);
+    if (!playlist) {
+      return;
+    }
+    this.setQueue(playlist.tracks, playlist.id);
+    if (autoplay) {
+      this.playTrack(0);
+    }
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} id - Playlist id
+   */
+  async deletePlaylist(id) {
+    if (!this.store) {
+      return;
+    }
+    await this.store.deletePlaylist(id);
+    if (this.currentPlaylistId === id) {
+      this.currentPlaylistId = null;
+      this._persistQueue();
+    }
+    await this.refreshPlaylists();
+  }
+
+  /**
+   * Serialize a playlist for download
+   * @param {string} id - Playlist id
+   * @param {string} [format='m3u8'] - 'm3u8' or 'xspf'
+   * @returns {Promise<string|null>}
+   */
+  async exportPlaylist(id, format = 'm3u8') {
+    const playlist = await this.store?.getPlaylist(id);
+    if (!playlist) {
+      return null;
+    }
+    const resolved = {
+      ...playlist,
+      tracks: playlist.tracks.map(track => this._resolveTrack(track)),
+    };
+    return format === 'xspf'
+      ? PlaylistStore.toXSPF(resolved)
+      : PlaylistStore.toM3U8(resolved);
+  }
+
+  /**
+   * Import an M3U8 or XSPF playlist. Entries that point at the site's
+   * albums are stored as album tracks; anything else keeps its URL.
+   * @param {string} text - File contents
+   * @param {string} [fileName='']
+   * @returns {Promise<Object|null>} Saved playlist
+   */
+  async importPlaylist(text, fileName = '') {
+    if (!this.store) {
+      return null;
+    }
+    const parsed = PlaylistStore.parse(text, fileName);
+    const playlist = await this.store.savePlaylist({
+      name: parsed.name,
+      tracks: parsed.tracks.map(track => this._matchImportedTrack(track)),
+    });
+    await this.refreshPlaylists();
+    return playlist;
+  }
+
+  /**
+   * Download a playlist as a file
+   * @param {string} id - Playlist id
+   * @param {string} format - 'm3u8' or 'xspf'
+   */
+  async downloadPlaylist(id, format) {
+    const content = await this.exportPlaylist(id, format);
+    if (content === null) {
+      return;
+    }
+    const playlist = this.playlists.find(p => p.id === id);
+    const baseName = (playlist?.name || 'playlist')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    const type = format === 'xspf' ? 'application/xspf+xml' : 'audio/x-mpegurl';
+
+    this._downloadFile(content, `${baseName || 'playlist'}.${format}`, type);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Listening history
+  // ---------------------------------------------------------------------------
+
+  /** Reload the current history view and re-render the panel */
+  async refreshHistory() {
+    if (!this.history) {
+      return;
+    }
+    const limit = this.history.config.viewLimit ?? 20;
+
+    try {
+      if (this.historyView === 'never') {
+        const tracks = this.albums.flatMap(album =>
+          (album.tracks || []).map((t, i) => this._albumTrack(album, i))
+        );
+        this.historyTracks = (await this.history.getNeverHeard(tracks)).map(
+          track => ({ track })
+        );
+      } else {
+        this.historyTracks =
+          this.historyView === 'recent'
+            ? await this.history.getRecentlyPlayed(limit)
+            : await this.history.getMostPlayed(limit);
+      }
+    } catch (err) {
+      console.warn('PlaylistManager: Could not read play history', err);
+      this.historyTracks = [];
+    }
+    this._renderHistory();
+  }
+
+  /**
+   * Switch the history panel to another view
+   * @param {string} view - 'most', 'recent' or 'never'
+   * @returns {Promise<void>}
+   */
+  setHistoryView(view) {
+    if (!PlaylistManager.HISTORY_VIEWS[view]) {
+      return Promise.resolve();
+    }
+    this.historyView = view;
+    return this.refreshHistory();
+  }
+
+  /** Download the listening history as JSON */
+  async downloadHistory() {
+    if (!this.history) {
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    this._downloadFile(
+      await this.history.exportJSON(),
+      `etceter4-listening-history-${date}.json`,
+      'application/json'
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Offline downloads
+  // ---------------------------------------------------------------------------
+
+  /** Reload saved items and storage use, and re-render what shows them */
+  async refreshOffline() {
+    if (!this.offline) {
+      return;
+    }
+    try {
+      this.offlineItems = await this.offline.refresh();
+      this.storageInfo = await this.offline.getStorageInfo();
+    } catch (err) {
+      console.warn('PlaylistManager: Could not read offline downloads', err);
+    }
+    this._renderOffline();
+    this._updateOfflineButtons();
+  }
+
+  /**
+   * Save an album for offline: every track with its cover, waveform and
+   * lyric files
+   * @param {Object} album
+   * @returns {Promise<Object|null>} Saved item
+   */
+  saveAlbumOffline(album) {
+    this.offlineError = null;
+    return this.offline?.saveAlbum(album) || Promise.resolve(null);
+  }
+
+  /**
+   * Save a playlist's tracks for offline
+   * @param {string} id - Playlist id
+   * @returns {Promise<Object|null>} Saved item
+   */
+  async savePlaylistOffline(id) {
+    const playlist = await this.store?.getPlaylist(id);
+    if (!playlist || !this.offline) {
+      return null;
+    }
+    this.offlineError = null;
+    return this.offline.savePlaylist(playlist, this.albums);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queue and playlist rendering
+  // ---------------------------------------------------------------------------
+
+  /** Render the queue panel */
+  _renderQueue() {
+    if (!this._queuePanel) {
+      return;
+    }
+
+    const rows = this.queue
+      .map(
+        (t, i) => `
+        <li class="odeion-queue-row flex items-center pa2 mb1 br2 pointer"
+            draggable="true" tabindex="0" data-queue-index="${i}"
+            aria-label="${this._escapeHtml(t.title)}, ${i + 1} of ${this.queue.length}">
+          <span class="f7 o-50 mr2" aria-hidden="true" style="cursor: grab">&#8942;&#8942;</span>
+          <span class="f6 flex-auto white">${this._escapeHtml(t.title)}</span>
+          <span class="f7 o-50 mr2">${this._escapeHtml(t.albumTitle || t.artist || '')}</span>
+          <span class="f7 o-50 mr2">${this._escapeHtml(t.duration || '')}</span>
+          <button class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2"
+                  data-action="remove" aria-label="Remove ${this._escapeHtml(t.title)} from queue"
+                  title="Remove">&times;</button>
+        </li>
+      `
+      )
+      .join('');
+
+    this._queuePanel.innerHTML = `
+      <div class="pa3 ba b--white-10 br3 bg-black-50">
+        <div class="flex items-center mb2">
+          <h4 class="f5 mt0 mb0 flex-auto" style="color: #ffd700">Queue</h4>
+          <button class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2 mr2"
+                  data-action="save-queue" ${this.queue.length ? '' : 'disabled'}>Save as playlist</button>
+          <button class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2"
+                  data-action="clear-queue" ${this.queue.length ? '' : 'disabled'}>Clear</button>
+        </div>
+        ${
+          this.queue.length
+            ? `<ol class="list pl0 mt0 mb0" aria-label="Play queue" aria-describedby="odeion-queue-hint">${rows}</ol>
+               <p id="odeion-queue-hint" class="f7 o-50 mt2 mb0">Drag tracks or press Alt+&uarr;/&darr; to reorder.</p>`
+            : '<p class="f6 o-50 mt0 mb0">The queue is empty. Add tracks with +.</p>'
+        }
+      </div>
+    `;
+
+    this._highlightCurrent();
+
+    if (this._focusQueueIndex !== null) {
+      this._queuePanel
+        .querySelector(`[data-queue-index="${this._focusQueueIndex}"]`)
+        ?.focus();
+      this._focusQueueIndex = null;
+    }
+  }
+
+  /** Render the user playlists panel */
+  _renderPlaylists() {
+    if (!this._playlistPanel || !this.store) {
+      return;
+    }
+
+    const button = 'pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2';
+    const rows = this.playlists
+      .map(
+        p => `
+        <li class="flex items-center pa2 mb1 br2" data-playlist-id="${this._escapeHtml(p.id)}"
+            style="${p.id === this.currentPlaylistId ? 'background: rgba(255,215,0,0.1)' : ''}">
+          <span class="f6 flex-auto white">${this._escapeHtml(p.name)}</span>
+          <span class="f7 o-50 mr2">${p.tracks.length} tracks</span>
+          <button class="${button} mr1" data-action="load" aria-label="Play ${this._escapeHtml(p.name)}">Play</button>
+          <button class="${button} mr1" data-action="export" data-format="m3u8">M3U8</button>
+          <button class="${button} mr1" data-action="export" data-format="xspf">XSPF</button>
+          ${this.offline ? this._offlineButton(OfflineMedia.itemId('playlist', p.id), p.name) : ''}
+          <button class="${button}" data-action="delete" aria-label="Delete ${this._escapeHtml(p.name)}">&times;</button>
+        </li>
+      `
+      )
+      .join('');
+
+    this._playlistPanel.innerHTML = `
+      <div class="pa3 ba b--white-10 br3 bg-black-50">
+        <div class="flex items-center mb2">
+          <h4 class="f5 mt0 mb0 flex-auto" style="color: #ffd700">Playlists</h4>
+          <label class="${button}">
+            Import
+            <input type="file" accept=".m3u,.m3u8,.xspf" class="dn">
+          </label>
+        </div>
+        ${
+          this.playlists.length
+            ? `<ul class="list pl0 mt0 mb0" aria-label="Your playlists">${rows}</ul>`
+            : '<p class="f6 o-50 mt0 mb0">Save the queue to create a playlist.</p>'
+        }
+      </div>
+    `;
+    this._updateOfflineButtons();
+  }
+
+  /** Render the listening history panel */
+  _renderHistory() {
+    if (!this._historyPanel || !this.history) {
+      return;
+    }
+
+    const button = 'pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2';
+    const tabs = Object.entries(PlaylistManager.HISTORY_VIEWS)
+      .map(
+        ([view, label]) => `
+        <button class="${button} mr1" role="tab" data-history-view="${view}"
+                aria-selected="${view === this.historyView}"
+                style="${view === this.historyView ? 'border-color: #ffd700' : ''}">${label}</button>
+      `
+      )
+      .join('');
+    const rows = this.historyTracks
+      .map(
+        (entry, i) => `
+        <li class="odeion-history-row flex items-center pa2 mb1 br2 pointer hover-bg-white-10"
+            data-history-index="${i}" role="button" tabindex="0"
+            aria-label="Play ${this._escapeHtml(entry.track.title)}">
+          <span class="f6 flex-auto white">${this._escapeHtml(entry.track.title)}</span>
+          <span class="f7 o-50 mr2">${this._escapeHtml(entry.track.albumTitle || entry.track.artist || '')}</span>
+          <span class="f7 o-50">${this._escapeHtml(this._historyDetail(entry))}</span>
+        </li>
+      `
+      )
+      .join('');
+    const empty =
+      this.historyView === 'never'
+        ? 'You have heard every track.'
+        : 'Nothing played yet.';
+
+    this._historyPanel.innerHTML = `
+      <div class="pa3 ba b--white-10 br3 bg-black-50">
+        <div class="flex flex-wrap items-center mb2">
+          <h4 class="f5 mt0 mb0 flex-auto" style="color: #ffd700">History</h4>
+          <div role="tablist" aria-label="History views" class="mr2">${tabs}</div>
+          <button class="${button} mr1" data-action="export-history">Export JSON</button>
+          <button class="${button}" data-action="clear-history">Clear</button>
+        </div>
+        ${
+          this.historyTracks.length
+            ? `<ol class="list pl0 mt0 mb0" role="tabpanel" aria-label="${PlaylistManager.HISTORY_VIEWS[this.historyView]}">${rows}</ol>`
+            : `<p class="f6 o-50 mt0 mb0">${empty}</p>`
+        }
+        <p class="f7 o-50 mt2 mb0">Listening history stays in this browser.</p>
+      </div>
+    `;
+  }
+
+  /** Render saved downloads and storage use */
+  _renderOffline() {
+    if (!this._offlinePanel || !this.offline) {
+      return;
+    }
+
+    const button = 'pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2';
+    const rows = this.offlineItems
+      .map(
+        item => `
+        <li class="flex items-center pa2 mb1 br2" data-offline-id="${this._escapeHtml(item.id)}">
+          <span class="f6 flex-auto white">${this._escapeHtml(item.title)}</span>
+          ${item.missing?.length ? `<span class="f7 mr2" style="color: #ffd700">${item.missing.length} missing</span>` : ''}
+          <span class="f7 o-50 mr2">${OfflineMedia.formatBytes(item.bytes)}</span>
+          <button class="${button}" data-action="remove-offline"
+                  aria-label="Remove ${this._escapeHtml(item.title)} from this device">&times;</button>
+        </li>
+      `
+      )
+      .join('');
+    const failed = this.offlineError
+      ? `<p class="f7 mt0 mb2" role="alert" style="color: #ffd700">Could not finish the download. Check your connection and storage, then try again.</p>`
+      : '';
+
+    this._offlinePanel.innerHTML = `
+      <div class="pa3 ba b--white-10 br3 bg-black-50">
+        <h4 class="f5 mt0 mb2" style="color: #ffd700">Offline</h4>
+        ${failed}
+        ${
+          this.offlineItems.length
+            ? `<ul class="list pl0 mt0 mb0" aria-label="Saved for offline">${rows}</ul>`
+            : '<p class="f6 o-50 mt0 mb0">Save an album or playlist to listen without a connection.</p>'
+        }
+        ${this._storageSummary()}
+      </div>
+    `;
+  }
+
+  /**
+   * Storage use against the quota, as a meter and a line of text
+   * @returns {string}
+   */
+  _storageSummary() {
+    const { usage, quota, offlineBytes, persisted } = this.storageInfo || {};
+    if (!(quota > 0)) {
+      return '';
+    }
+
+    const format = OfflineMedia.formatBytes;
+    const saved =
+      offlineBytes !== null && offlineBytes !== undefined
+        ? ` · ${format(offlineBytes)} saved for offline`
+        : '';
+    return `
+      <meter class="w-100 mt2" min="0" max="${quota}" value="${usage}"
+             aria-label="Storage used"></meter>
+      <p class="f7 o-50 mt1 mb0">${format(usage)} of ${format(quota)} used${saved}</p>
+      ${persisted ? '' : '<p class="f7 o-50 mt1 mb0">The browser may clear downloads when space runs low.</p>'}
+    `;
+  }
+
+  /**
+   * Markup for an item's save-for-offline button
+   * @param {string} id - OfflineMedia item id
+   * @param {string} title - Album or playlist name
+   * @returns {string}
+   */
+  _offlineButton(id, title) {
+    return `<button class="pa1 ph2 ba b--white-20 bg-black-70 white f7 pointer br2 mr1"
+                    data-action="offline" data-offline-id="${this._escapeHtml(id)}"
+                    data-offline-title="${this._escapeHtml(title)}"></button>`;
+  }
+
+  /**
+   * Show each save-for-offline button's state: save, progress, saved
+   * @param {string} [id] - Only the buttons for this item
+   */
+  _updateOfflineButtons(id) {
+    if (!this.offline) {
+      return;
+    }
+    [this._trackList, this._playlistPanel].forEach(panel => {
+      panel?.querySelectorAll('[data-action="offline"]').forEach(button => {
+        const itemId = button.dataset.offlineId;
+        if (id && itemId !== id) {
+          return;
+        }
+        const progress = this.offline.getProgress(itemId);
+        const item = this.offline.getItem(itemId);
+        let label = 'Save offline';
+        let action = 'Save for offline';
+        if (progress) {
+          const percent = progress.total
+            ? Math.floor((progress.completed / progress.total) * 100)
+            : 0;
+          label = `Saving ${percent}%`;
+          action = 'Cancel download of';
+        } else if (item?.missing?.length) {
+          label = 'Finish download';
+          action = 'Finish downloading';
+        } else if (item) {
+          label = 'Saved offline';
+          action = 'Remove from this device:';
+        }
+        button.textContent = label;
+        button.setAttribute(
+          'aria-label',
+          `${action} ${button.dataset.offlineTitle}`
+        );
+        button.setAttribute('aria-busy', String(Boolean(progress)));
+      });
+    });
+  }
+
+  /**
+   * Save, cancel or remove an item, depending on its state
+   * @param {string} id - OfflineMedia item id
+   * @param {Function} save - Starts the download
+   */
+  _onOfflineAction(id, save) {
+    if (!this.offline) {
+      return;
+    }
+    if (this.offline.getProgress(id)) {
+      this.offline.cancel(id);
+    } else if (this.offline.isSaved(id)) {
+      const { title } = this.offline.getItem(id);
+      if (window.confirm(`Remove "${title}" from this device?`)) {
+        this.offline.remove(id);
+      }
+    } else {
+      save();
+    }
+  }
+
+  /**
+   * Describe a history entry for its view
+   * @param {Object} entry - PlayHistory stats, or { track } for unheard tracks
+   * @returns {string}
+   */
+  _historyDetail(entry) {
+    if (this.historyView === 'never') {
+      return entry.track.duration || '';
+    }
+    if (this.historyView === 'recent') {
+      return new Date(entry.lastPlayedAt).toLocaleDateString();
+    }
+    const plays = `${entry.playCount} ${entry.playCount === 1 ? 'play' : 'plays'}`;
+    return `${plays} · ${Math.round(entry.averageCompletion * 100)}% heard`;
+  }
+
+  /** Highlight the current track in the queue and album track list */
+  _highlightCurrent() {
+    const current = this.queue[this.currentTrackIndex];
+
+    this._queuePanel
+      ?.querySelectorAll('.odeion-queue-row')
+      .forEach((row, i) => {
+        const active = i === this.currentTrackIndex;
+        row.style.background = active ? 'rgba(255,215,0,0.1)' : '';
+        row.toggleAttribute('aria-current', active);
+      });
+
+    this._trackList?.querySelectorAll('.odeion-track-row').forEach((row, i) => {
+      const active =
+        current?.albumId === this.currentAlbum?.id &&
+        current?.id === this._albumTrack(this.currentAlbum, i).id;
+      row.style.background = active ? 'rgba(255,215,0,0.1)' : '';
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queue and playlist events
+  // ---------------------------------------------------------------------------
+
+  /** @param {MouseEvent} e */
+  _onQueueClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const row = e.target.closest('[data-queue-index]');
+    const index = row ? parseInt(row.dataset.queueIndex) : -1;
+
+    if (action === 'save-queue') {
+      const current = this.playlists.find(p => p.id === this.currentPlaylistId);
+      const name = window.prompt('Playlist name', current?.name || '');
+      this.saveQueueAsPlaylist(name);
+    } else if (action === 'clear-queue') {
+      this.player?.clearQueue();
+      this.currentPlaylistId = null;
+    } else if (action === 'remove') {
+      this.removeFromQueue(index);
+    } else if (row) {
+      this.playTrack(index);
+    }
+  }
+
+  /** @param {KeyboardEvent} e */
+  _onQueueKeydown(e) {
+    const row = e.target.closest('[data-queue-index]');
+    if (!row || e.target !== row) {
+      return;
+    }
+    const index = parseInt(row.dataset.queueIndex);
+
+    if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const to = index + (e.key === 'ArrowUp' ? -1 : 1);
+      if (to >= 0 && to < this.queue.length) {
+        this._focusQueueIndex = to;
+        this.moveInQueue(index, to);
+      }
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.playTrack(index);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      this._focusQueueIndex = Math.min(index, this.queue.length - 2);
+      this.removeFromQueue(index);
+    }
+  }
+
+  /** @param {DragEvent} e */
+  _onDragStart(e) {
+    const row = e.target.closest?.('[data-queue-index]');
+    if (!row) {
+      return;
+    }
+    this._dragIndex = parseInt(row.dataset.queueIndex);
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(this._dragIndex));
+    }
+    row.classList.add('o-50');
+  }
+
+  /** @param {DragEvent} e */
+  _onDragOver(e) {
+    if (this._dragIndex !== null && e.target.closest('[data-queue-index]')) {
+      e.preventDefault();
+      if (e.dataTransfer) {
+        e.dataTransfer.dropEffect = 'move';
+      }
+    }
+  }
+
+  /** @param {DragEvent} e */
+  _onDrop(e) {
+    const row = e.target.closest('[data-queue-index]');
+    if (this._dragIndex === null || !row) {
+      return;
+    }
+    e.preventDefault();
+    const from = this._dragIndex;
+    this._dragIndex = null;
+    this.moveInQueue(from, parseInt(row.dataset.queueIndex));
+  }
+
+  _onDragEnd() {
+    this._dragIndex = null;
+    this._queuePanel
+      ?.querySelectorAll('.odeion-queue-row.o-50')
+      .forEach(row => row.classList.remove('o-50'));
+  }
+
+  /** @param {MouseEvent} e */
+  _onPlaylistClick(e) {
+    const button = e.target.closest('button[data-action]');
+    const id = e.target.closest('[data-playlist-id]')?.dataset.playlistId;
+    if (!button || !id) {
+      return;
+    }
+
+    switch (button.dataset.action) {
+      case 'load':
+        this.loadPlaylist(id);
+        break;
+      case 'export':
+        this.downloadPlaylist(id, button.dataset.format);
+        break;
+      case 'offline':
+        this._onOfflineAction(button.dataset.offlineId, () =>
+          this.savePlaylistOffline(id)
+        );
+        break;
+      case 'delete': {
+        const playlist = this.playlists.find(p => p.id === id);
+        if (window.confirm(`Delete the playlist "${playlist?.name}"?`)) {
+          this.deletePlaylist(id);
+        }
+        break;
+      }
+    }
+  }
+
+  /** @param {MouseEvent} e */
+  _onHistoryClick(e) {
+    const view = e.target.closest('[data-history-view]')?.dataset.historyView;
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const row = e.target.closest('[data-history-index]');
+
+    if (view) {
+      this.setHistoryView(view);
+    } else if (action === 'export-history') {
+      this.downloadHistory();
+    } else if (
+      action === 'clear-history' &&
+      window.confirm('Forget all listening history?')
+    ) {
+      this.history?.clear();
+    } else if (row) {
+      // Play the view as a queue, starting from the chosen track
+      this.setQueue(this.historyTracks.map(entry => entry.track));
+      this.playTrack(parseInt(row.dataset.historyIndex));
+    }
+  }
+
+  /** @param {MouseEvent} e */
+  _onOfflineClick(e) {
+    const button = e.target.closest('button[data-action="remove-offline"]');
+    const id = e.target.closest('[data-offline-id]')?.dataset.offlineId;
+    if (!button || !id) {
+      return;
+    }
+    const item = this.offline?.getItem(id);
+    if (window.confirm(`Remove "${item?.title || id}" from this device?`)) {
+      this.offline.remove(id);
+    }
+  }
+
+  /** @param {HTMLInputElement} input */
+  async _onImportFile(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      await this.importPlaylist(await file.text(), file.name);
+    } catch (err) {
+      console.warn('PlaylistManager: Could not import playlist', err);
+    }
+  }
+
+  /** Coalesce the player's per-track queueUpdate events into one sync */
+  _scheduleQueueSync() {
+    if (this._queueSyncPending) {
+      return;
+    }
+    this._queueSyncPending = true;
+    queueMicrotask(() => {
+      this._queueSyncPending = false;
+      this._syncQueue();
+    });
+  }
+
+  /** Mirror the player's queue, re-render and persist it */
+  _syncQueue() {
+    if (!this.player) {
+      return;
+    }
+    this.queue = this.player.getQueue();
+    this.currentTrackIndex = this.player.currentTrackIndex;
+    this._renderQueue();
+    this._persistQueue();
+  }
+
+  /** @param {number} index - Index of the track the player moved to */
+  _onTrackChange(index) {
+    this.currentTrackIndex = index;
+    this._highlightCurrent();
+    this._persistQueue();
+  }
+
+  /** Save the queue so it survives a reload */
+  _persistQueue() {
+    this.store
+      ?.saveQueue({
+        tracks: this.queue.map(track => this._toRef(track)),
+        currentIndex: this.currentTrackIndex,
+        playlistId: this.currentPlaylistId,
+      })
+      .catch(err => console.warn('PlaylistManager: Could not save queue', err));
+  }
+
+  /** Restore saved playlists and the queue from the last visit */
+  async _restore() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      await this.refreshPlaylists();
+      const saved = await this.store.loadQueue();
+      if (saved?.tracks.length && this.player?.getQueue().length === 0) {
+        this.setQueue(saved.tracks, saved.playlistId);
+        this.player.currentTrackIndex = Math.min(
+          saved.currentIndex,
+          saved.tracks.length - 1
+        );
+        this.currentTrackIndex = this.player.currentTrackIndex;
+      }
+    } catch (err) {
+      console.warn('PlaylistManager: Could not restore playlists', err);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Track references
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build a queue track for an album track
+   * @param {Object} album
+   * @param {number} index - Track index within the album
+   * @returns {Object}
+   */
+  _albumTrack(album, index) {
+    const t = album?.tracks?.[index];
+    if (!t) {
+      return null;
+    }
+    return {
+      id: t.id || t.title,
+      title: t.title,
+      artist: album.artist,
+      albumId: album.id,
+      albumTitle: album.title,
+      duration: t.duration,
+      url: t.url,
+    };
+  }
+
+  /**
+   * Fill in the playable URL of a stored album track reference
+   * @param {Object} track
+   * @returns {Object}
+   */
+  _resolveTrack(track) {
+    if (track.url || !track.albumId) {
+      return { ...track };
+    }
+    const album = this.albums.find(a => a.id === track.albumId);
+    const number = (album?.tracks || []).findIndex(t => t.id === track.id) + 1;
+    const url =
+      number > 0 && typeof MediaURLResolver !== 'undefined'
+        ? MediaURLResolver.resolveAlbumTrack(track.albumId, number)
+        : undefined;
+    return { ...track, url };
+  }
+
+  /**
+   * Strip resolved URLs from album tracks before storing them, so they
+   * resolve against the current media host when loaded again
+   * @param {Object} track
+   * @returns {Object}
+   */
+  _toRef(track) {
+    if (!track.albumId) {
+      return { ...track };
+    }
+    const ref = { ...track };
+    delete ref.url;
+    return ref;
+  }
+
+  /**
+   * Map an imported playlist entry back to an album track when possible
+   * @param {Object} entry - Parsed M3U8/XSPF track
+   * @returns {Object}
+   */
+  _matchImportedTrack(entry) {
+    const [albumId, trackId] = entry.identifier?.startsWith(
+      PlaylistStore.IDENTIFIER_PREFIX
+    )
+      ? entry.identifier
+          .slice(PlaylistStore.IDENTIFIER_PREFIX.length)
+          .split('/')
+      : [];
+
+    for (const album of this.albums) {
+      const index = (album.tracks || []).findIndex((t, i) =>
+        album.id === albumId
+          ? t.id === trackId
+          : entry.url &&
+            this._resolveTrack(this._albumTrack(album, i)).url === entry.url
+      );
+      if (index >= 0) {
+        return this._toRef(this._albumTrack(album, index));
+      }
+    }
+
+    const track = { id: entry.url, ...entry };
+    delete track.identifier;
+    return track;
+  }
+
+  /**
+   * Offer text content as a file download
+   * @param {string} content
+   * @param {string} fileName
+   * @param {string} type - MIME type
+   */
+  _downloadFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Escape text for use in markup
+   * @param {string} str
+   * @returns {string}
+   */
+  _escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /** Dispose */
   dispose() {
+    if (this.player) {
+      Object.entries(this._playerHandlers).forEach(([event, handler]) =>
+        this.player.off(event, handler)
+      );
+    }
+    this._detachHistory?.();
+    this._detachHistory = null;
+    this.history?.off('record', this._onHistoryChange);
+    this.history?.off('clear', this._onHistoryChange);
+    if (this.offline) {
+      Object.entries(this._offlineHandlers).forEach(([event, handler]) =>
+        this.offline.off(event, handler)
+      );
+    }
     this._albumGrid?.remove();
     this._trackList?.remove();
+    this._queuePanel?.remove();
+    this._playlistPanel?.remove();
+    this._historyPanel?.remove();
+    this._offlinePanel?.remove();
   }
 }
 
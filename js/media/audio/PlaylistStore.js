@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * PlaylistStore
+ * IndexedDB persistence for user playlists and the Odeion play queue, plus
+ * M3U8 and XSPF import/export. Falls back to memory when IndexedDB is
+ * unavailable (private browsing), so playlists then last for the session.
+ *
+ * A playlist is { id, name, tracks, createdAt, updatedAt }. Tracks are plain
+ * objects ({ id, title, artist?, albumId?, albumTitle?, duration?, url? });
+ * tracks from the site's albums are stored by albumId/id so their URLs are
+ * resolved fresh for the current environment.
+ *
+ * @class PlaylistStore
+ * @example
+ * const store = PlaylistStore.getInstance();
+ * const playlist = await store.savePlaylist({ name: 'Night drive', tracks });
+ * const m3u8 = PlaylistStore.toM3U8({ ...playlist, tracks: resolvedTracks });
+ * const { name, tracks: imported } = PlaylistStore.parse(fileText, 'mix.xspf');
+ */
+class PlaylistStore {
+  /** Object store holding playlists (keyPath 'id') */
+  static PLAYLISTS = 'playlists';
+
+  /** Object store holding player state such as the queue (keyPath 'key') */
+  static STATE = 'state';
+
+  /** Identifier prefix for site tracks in XSPF exports */
+  static IDENTIFIER_PREFIX = 'etceter4:';
+
+  /**
+   * Get or create the singleton instance
+   * @returns {PlaylistStore}
+   */
+  static getInstance() {
+    if (!window.playlistStoreInstance) {
+      window.playlistStoreInstance = new PlaylistStore();
+    }
+    return window.playlistStoreInstance;
+  }
+
+  /**
+   * Create a PlaylistStore instance
+   * @private
+   */
+  constructor() {
+    this.config = {
+      dbName: 'etceter4-playlists',
+      ...(window.ETCETER4_CONFIG?.media?.playlists || {}),
+    };
+
+    // Playlist database (opened lazily, in memory when IndexedDB is unavailable)
+    this._db = new IDBStore({
+      name: this.config.dbName,
+      label: 'PlaylistStore',
+      stores: {
+        [PlaylistStore.PLAYLISTS]: { keyPath: 'id' },
+        [PlaylistStore.STATE]: { keyPath: 'key' },
+      },
+    });
+  }
+
+  /**
+   * Get all playlists, most recently updated first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPlaylists() {
+    const playlists = await this._db.getAll(PlaylistStore.PLAYLISTS);
+    return playlists.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get a playlist by id
+   * @param {string} id - Playlist id
+   * @returns {Promise<Object|null>}
+   */
+  async getPlaylist(id) {
+    return (await this._db.get(PlaylistStore.PLAYLISTS, id)) || null;
+  }
+
+  /**
+   * Create or update a playlist
+   * @param {Object} playlist - { id?, name, tracks }
+   * @returns {Promise<Object>} Saved playlist
+   */
+  async savePlaylist(playlist) {
+    const now = Date.now();
+    const existing = playlist.id ? await this.getPlaylist(playlist.id) : null;
+    const record = {
+      id: playlist.id || PlaylistStore.createId(),
+      name:
+        String(playlist.name || 'Untitled playlist').trim() ||
+        'Untitled playlist',
+      tracks: (playlist.tracks || []).map(track => ({ ...track })),
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+
+    await this._db.put(PlaylistStore.PLAYLISTS, record);
+    return record;
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} id - Playlist id
+   * @returns {Promise<void>}
+   */
+  deletePlaylist(id) {
+    return this._db.delete(PlaylistStore.PLAYLISTS, id);
+  }
+
+  /**
+   * Persist the play queue
+   * @param {Object} queue - { tracks, currentIndex, playlistId? }
+   * @returns {Promise<void>}
+   */
+  saveQueue(queue) {
+    return this._db.put(PlaylistStore.STATE, {
+      key: 'queue',
+      tracks: (queue.tracks || []).map(track => ({ ...track })),
+      currentIndex: queue.currentIndex || 0,
+      playlistId: queue.playlistId || null,
+    });
+  }
+
+  /**
+   * Load the persisted play queue
+   * @returns {Promise<Object|null>} { tracks, currentIndex, playlistId } or null
+   */
+  async loadQueue() {
+    const record = await this._db.get(PlaylistStore.STATE, 'queue');
+    if (!record) {
+      return null;
+    }
+    return {
+      tracks: record.tracks,
+      currentIndex: record.currentIndex,
+      playlistId: record.playlistId,
+    };
+  }
+
+  /**
+   * Generate a playlist id
+   * @returns {string}
+   */
+  static createId() {
+    return `pl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Convert a "m:ss" duration string to seconds
+   * @param {string|number} duration
+   * @returns {number} Seconds, or -1 if unknown
+   */
+  static parseDuration(duration) {
+    if (typeof duration === 'number') {
+      return duration;
+    }
+    const parts = String(duration || '')
+      .split(':')
+      .map(Number);
+    if (parts.length < 2 || parts.some(Number.isNaN)) {
+      return -1;
+    }
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Convert seconds to a "m:ss" duration string
+   * @param {number} seconds
+   * @returns {string} Empty string if unknown
+   */
+  static formatDuration(seconds) {
+    if (!(seconds >= 0)) {
+      return '';
+    }
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Serialize a playlist as extended M3U (UTF-8)
+   * @param {Object} playlist - { name, tracks } with resolved track urls
+   * @returns {string}
+   */
+  static toM3U8(playlist) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+    playlist.tracks
+      .filter(track => track.url)
+      .forEach(track => {
+        const label = track.artist
+          ? `${track.artist} - ${track.title}`
+          : track.title;
+        lines.push(
+          `#EXTINF:${PlaylistStore.parseDuration(track.duration)},${label}`
+        );
+        lines.push(track.url);
+      });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serialize a playlist as XSPF
+   * @param {Object} playlist - { name, tracks } with resolved track urls
+   * @returns {string}
+   */
+  static toXSPF(playlist) {
+    const escape = value =>
+      String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const element = (name, value) =>
+      value ? `      <${name}>${escape(value)}</${name}>\n` : '';
+
+    const tracks = playlist.tracks
+      .filter(track => track.url)
+      .map(track => {
+        const seconds = PlaylistStore.parseDuration(track.duration);
+        const identifier = track.albumId
+          ? `${PlaylistStore.IDENTIFIER_PREFIX}${track.albumId}/${track.id}`
+          : '';
+        const fields = [
+          element('location', track.url),
+          element('identifier', identifier),
+          element('title', track.title),
+          element('creator', track.artist),
+          element('album', track.albumTitle),
+          element('duration', seconds >= 0 ? seconds * 1000 : ''),
+        ].join('');
+        return `    <track>\n${fields}    </track>\n`;
+      })
+      .join('');
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+      `  <title>${escape(playlist.name)}</title>\n` +
+      `  <trackList>\n${tracks}  </trackList>\n` +
+      '</playlist>\n'
+    );
+  }
+
+  /**
+   * Parse an M3U/M3U8 playlist
+   * @param {string} text
+   * @returns {Object} { name, tracks: [{ title, artist?, duration?, url }] }
+   */
+  static parseM3U8(text) {
+    const result = { name: '', tracks: [] };
+    let info = null;
+
+    text
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .forEach(line => {
+        if (line.startsWith('#PLAYLIST:')) {
+          result.name = line.slice('#PLAYLIST:'.length).trim();
+        } else if (line.startsWith('#EXTINF:')) {
+          const [duration, ...labelParts] = line
+            .slice('#EXTINF:'.length)
+            .split(',');
+          const label = labelParts.join(',').trim();
+          const separator = label.indexOf(' - ');
+          info = {
+            title: separator >= 0 ? label.slice(separator + 3) : label,
+            artist: separator >= 0 ? label.slice(0, separator) : '',
+            duration: PlaylistStore.formatDuration(parseFloat(duration)),
+          };
+        } else if (!line.startsWith('#')) {
+          const fileName = decodeURIComponent(
+            line.split(/[?#]/)[0].split('/').pop() || line
+          );
+          result.tracks.push({
+            title: fileName,
+            artist: '',
+            duration: '',
+            ...info,
+            url: line,
+          });
+          info = null;
+        }
+      });
+
+    return result;
+  }
+
+  /**
+   * Parse an XSPF playlist
+   * @param {string} text
+   * @returns {Object} { name, tracks: [{ title, artist?, albumTitle?, duration?, url, identifier? }] }
+   * @throws {Error} If the XML cannot be parsed
+   */
+  static parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('PlaylistStore: Invalid XSPF document');
+    }
+
+    const child = (parent, name) =>
+      parent.getElementsByTagNameNS('*', name)[0]?.textContent.trim() || '';
+    const playlist = doc.documentElement;
+    const titleElement = [...playlist.children].find(
+      node => node.localName === 'title'
+    );
+
+    const tracks = [...doc.getElementsByTagNameNS('*', 'track')]
+      .map(node => {
+        const durationMs = parseFloat(child(node, 'duration'));
+        return {
+          title: child(node, 'title'),
+          artist: child(node, 'creator'),
+          albumTitle: child(node, 'album'),
+          duration: PlaylistStore.formatDuration(durationMs / 1000),
+          url: child(node, 'location'),
+          identifier: child(node, 'identifier'),
+        };
+      })
+      .filter(track => track.url || track.identifier);
+
+    return { name: titleElement?.textContent.trim() || '', tracks };
+  }
+
+  /**
+   * Parse an M3U8 or XSPF playlist, detected from content or file name
+   * @param {string} text
+   * @param {string} [fileName='']
+   * @returns {Object} { name, tracks }
+   */
+  static parse(text, fileName = '') {
+    const isXSPF =
+      /^\s*(<\?xml[^>]*>\s*)?<playlist\b/.test(text) ||
+      /\.xspf$/i.test(fileName);
+    const parsed = isXSPF
+      ? PlaylistStore.parseXSPF(text)
+      : PlaylistStore.parseM3U8(text);
+    if (!parsed.name) {
+      parsed.name = fileName.replace(/\.[^.]+$/, '') || 'Imported playlist';
+    }
+    return parsed;
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.PlaylistStore = PlaylistStore;
+}
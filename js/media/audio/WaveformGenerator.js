@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * WaveformGenerator
+ * Builds waveforms in the browser for tracks that have no precomputed
+ * `-waveform.json`, so newly uploaded audio gets a waveform without running
+ * the audiowaveform CLI. The output matches what scripts/generate-waveforms.js
+ * writes (normalized flat peaks plus a min/max peaks pyramid) and is cached in
+ * IndexedDB by audio URL, falling back to memory for the session.
+ *
+ * Audio is decoded with an OfflineAudioContext at a reduced sample rate (audio
+ * contexts are not available inside workers), then the samples are transferred
+ * to WaveformWorker.js, which computes the peaks off the main thread. Without
+ * Worker support the peaks are computed inline.
+ *
+ * @class WaveformGenerator
+ * @example
+ * const waveform = await WaveformGenerator.getInstance().getWaveform(
+ *   MediaURLResolver.resolveAlbumTrack('ogod', 3)
+ * );
+ * visualizer.loadWaveform(waveform);
+ */
+class WaveformGenerator {
+  /** Object store holding generated waveforms (keyPath 'url') */
+  static WAVEFORMS = 'waveforms';
+
+  /** URL of this script, used to locate WaveformWorker.js next to it */
+  static SCRIPT_URL =
+    typeof document !== 'undefined'
+      ? document.currentScript?.src || null
+      : null;
+
+  /**
+   * Get or create the singleton instance
+   * @returns {WaveformGenerator}
+   */
+  static getInstance() {
+    if (!window.waveformGeneratorInstance) {
+      window.waveformGeneratorInstance = new WaveformGenerator();
+    }
+    return window.waveformGeneratorInstance;
+  }
+
+  /**
+   * Create a WaveformGenerator instance
+   * @private
+   */
+  constructor() {
+    this.config = {
+      dbName: 'etceter4-waveforms',
+      sampleRate: 22050,
+      samplesPerPixel: 128,
+      minLevelLength: 256,
+      pixels: 1000,
+      workerUrl: null,
+      ...(window.ETCETER4_CONFIG?.media?.audio?.waveform?.generator || {}),
+    };
+
+    // Waveform cache (opened lazily, in memory when IndexedDB is unavailable)
+    this._db = null;
+
+    // In-flight generations by audio URL
+    this._pending = new Map();
+
+    // Worker (null = not created yet, false = unavailable) and its jobs
+    this._worker = null;
+    this._jobs = new Map();
+    this._nextJobId = 0;
+  }
+
+  /**
+   * Get the waveform for an audio file, generating and caching it if needed
+   * @param {string} audioUrl - Audio file URL
+   * @returns {Promise<Object>} Waveform in the generate-waveforms.js format
+   */
+  getWaveform(audioUrl) {
+    if (!this._pending.has(audioUrl)) {
+      const promise = this._load(audioUrl).finally(() => {
+        this._pending.delete(audioUrl);
+      });
+      this._pending.set(audioUrl, promise);
+    }
+    return this._pending.get(audioUrl);
+  }
+
+  /**
+   * Get a cached waveform generated with the current settings
+   * @param {string} audioUrl - Audio file URL
+   * @returns {Promise<Object|null>}
+   */
+  async getCached(audioUrl) {
+    const record = await this._getStore().get(
+      WaveformGenerator.WAVEFORMS,
+      audioUrl
+    );
+    if (
+      !record ||
+      record.waveform.samplesPerPixel !== this.config.samplesPerPixel
+    ) {
+      return null;
+    }
+    return record.waveform;
+  }
+
+  /**
+   * Remove every cached waveform
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    await this._getStore().clear(WaveformGenerator.WAVEFORMS);
+  }
+
+  /**
+   * Fetch, decode and analyse an audio file (no caching)
+   * @param {string} audioUrl - Audio file URL
+   * @returns {Promise<Object>} Waveform
+   */
+  async generate(audioUrl) {
+    const response = await fetch(audioUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const audioBuffer = await this.decode(await response.arrayBuffer());
+    const channels = [];
+    for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+      channels.push(audioBuffer.getChannelData(i));
+    }
+
+    return this._compute(channels, audioBuffer.sampleRate);
+  }
+
+  /**
+   * Decode encoded audio at the configured sample rate
+   * @param {ArrayBuffer} arrayBuffer - Encoded audio
+   * @returns {Promise<AudioBuffer>}
+   */
+  decode(arrayBuffer) {
+    const OfflineContext =
+      window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      return Promise.reject(new Error('OfflineAudioContext is not supported'));
+    }
+
+    // Decoding resamples to the context rate; a lower rate keeps long tracks small
+    const context = new OfflineContext(1, 1, this.config.sampleRate);
+    return context.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Compute waveform data from decoded samples, in the same normalized format
+   * as scripts/generate-waveforms.js: channels are mixed down, min/max pairs
+   * are normalized to the loudest sample, then halved into a peaks pyramid
+   * @param {Array<Float32Array>} channels - Samples per channel
+   * @param {number} sampleRate - Sample rate of the channels
+   * @param {Object} [options]
+   * @param {number} [options.samplesPerPixel=256] - Resolution of the finest level
+   * @param {number} [options.minLevelLength=256] - Stop halving below this many pairs
+   * @param {number} [options.pixels=1000] - Approximate length of the flat peaks
+   * @returns {Object} Waveform
+   */
+  static computeWaveform(channels, sampleRate, options = {}) {
+    const {
+      samplesPerPixel = 256,
+      minLevelLength = 256,
+      pixels = 1000,
+    } = options;
+    const sampleCount = channels[0]?.length || 0;
+    if (sampleCount === 0) {
+      throw new Error('No audio samples to analyse');
+    }
+
+    // Min/max of the mixed-down signal for each pixel
+    const minMax = [];
+    let loudest = 0;
+    for (let start = 0; start < sampleCount; start += samplesPerPixel) {
+      const end = Math.min(start + samplesPerPixel, sampleCount);
+      let min = Infinity;
+      let max = -Infinity;
+      for (let i = start; i < end; i++) {
+        let sample = 0;
+        for (let c = 0; c < channels.length; c++) {
+          sample += channels[c][i];
+        }
+        sample /= channels.length;
+        min = Math.min(min, sample);
+        max = Math.max(max, sample);
+      }
+      minMax.push(min, max);
+      loudest = Math.max(loudest, Math.abs(min), Math.abs(max));
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const levels = [
+      {
+        samplesPerPixel,
+        length: minMax.length / 2,
+        data: minMax.map(value => (loudest > 0 ? value / loudest : 0)),
+      },
+    ];
+    while (levels[levels.length - 1].length > minLevelLength) {
+      const previous = levels[levels.length - 1].data;
+      const data = [];
+      for (let i = 0; i < previous.length; i += 4) {
+        const hasNext = i + 2 < previous.length;
+        data.push(
+          hasNext ? Math.min(previous[i], previous[i + 2]) : previous[i],
+          hasNext ? Math.max(previous[i + 1], previous[i + 3]) : previous[i + 1]
+        );
+      }
+      levels.push({
+        samplesPerPixel: levels[levels.length - 1].samplesPerPixel * 2,
+        length: data.length / 2,
+        data,
+      });
+    }
+    levels.forEach(level => {
+      level.data = level.data.map(round);
+    });
+
+    // Flat peaks from the coarsest level that still fills the target width
+    const peakLevel =
+      [...levels].reverse().find(level => level.length >= pixels) || levels[0];
+    const peaks = [];
+    for (let i = 0; i < peakLevel.data.length; i += 2) {
+      peaks.push(
+        Math.max(Math.abs(peakLevel.data[i]), Math.abs(peakLevel.data[i + 1]))
+      );
+    }
+
+    return {
+      version: 2,
+      channels: channels.length,
+      sampleRate,
+      samplesPerPixel,
+      bits: 32,
+      duration: sampleCount / sampleRate,
+      peaks,
+      length: peaks.length,
+      levels,
+    };
+  }
+
+  /**
+   * Release the worker and reject unfinished jobs
+   */
+  dispose() {
+    if (this._worker) {
+      this._worker.terminate();
+    }
+    this._worker = null;
+    this._jobs.forEach(job =>
+      job.reject(new Error('WaveformGenerator disposed'))
+    );
+    this._jobs.clear();
+  }
+
+  /**
+   * Return the cached waveform or generate and cache a new one
+   * @private
+   * @param {string} audioUrl
+   * @returns {Promise<Object>}
+   */
+  async _load(audioUrl) {
+    const cached = await this.getCached(audioUrl);
+    if (cached) {
+      return cached;
+    }
+
+    const waveform = await this.generate(audioUrl);
+    try {
+      await this._getStore().put(WaveformGenerator.WAVEFORMS, {
+        url: audioUrl,
+        waveform,
+        createdAt: Date.now(),
+      });
+    } catch (error) {
+      console.warn('WaveformGenerator: Could not cache waveform', error);
+    }
+    return waveform;
+  }
+
+  /**
+   * Compute the waveform in the worker, or inline without one
+   * @private
+   * @param {Array<Float32Array>} channels
+   * @param {number} sampleRate
+   * @returns {Promise<Object>}
+   */
+  _compute(channels, sampleRate) {
+    const worker = this._getWorker();
+    const options = {
+      samplesPerPixel: this.config.samplesPerPixel,
+      minLevelLength: this.config.minLevelLength,
+      pixels: this.config.pixels,
+    };
+
+    if (!worker) {
+      return Promise.resolve(
+        WaveformGenerator.computeWaveform(channels, sampleRate, options)
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this._nextJobId;
+      this._jobs.set(id, { resolve, reject });
+      // Transfer rather than copy: decoded tracks can be tens of megabytes
+      worker.postMessage(
+        { id, channels, sampleRate, options },
+        channels.map(channel => channel.buffer)
+      );
+    });
+  }
+
+  /**
+   * Create the worker on first use
+   * @private
+   * @returns {Worker|null}
+   */
+  _getWorker() {
+    if (this._worker !== null) {
+      return this._worker || null;
+    }
+
+    const url =
+      this.config.workerUrl ||
+      (WaveformGenerator.SCRIPT_URL &&
+        new URL('WaveformWorker.js', WaveformGenerator.SCRIPT_URL).href);
+    if (typeof Worker === 'undefined' || !url) {
+      this._worker = false;
+      return null;
+    }
+
+    try {
+      this._worker = new Worker(url);
+    } catch (error) {
+      console.warn(
+        'WaveformGenerator: Worker unavailable, computing inline',
+        error
+      );
+      this._worker = false;
+      return null;
+    }
+
+    this._worker.onmessage = event => {
+      const { id, waveform, error } = event.data;
+      const job = this._jobs.get(id);
+      if (!job) {
+        return;
+      }
+      this._jobs.delete(id);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(waveform);
+      }
+    };
+
+    // A worker that fails to load is not retried; later jobs compute inline
+    this._worker.onerror = event => {
+      console.warn('WaveformGenerator: Worker failed, computing inline', event);
+      this._worker.terminate();
+      this._worker = false;
+      this._jobs.forEach(job =>
+        job.reject(new Error('Waveform worker failed'))
+      );
+      this._jobs.clear();
+    };
+
+    return this._worker;
+  }
+
+  /**
+   * The waveform cache, created on first use (this file also runs in the
+   * worker, which has no IDBStore and never touches the cache)
+   * @private
+   * @returns {IDBStore}
+   */
+  _getStore() {
+    if (!this._db) {
+      this._db = new IDBStore({
+        name: this.config.dbName,
+        label: 'WaveformGenerator',
+        stores: { [WaveformGenerator.WAVEFORMS]: { keyPath: 'url' } },
+      });
+    }
+    return this._db;
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.WaveformGenerator = WaveformGenerator;
+}
@@ -6,6 +6,14 @@
  * Renders audio waveform data on a canvas with progress tracking and user interaction.
  * Integrates with EnhancedAudioPlayer for seamless audio control.
  *
+ * Waveforms are kept as a peaks pyramid (min/max pairs at several samples-per-pixel
+ * levels, as written by scripts/generate-waveforms.js). Scroll or pinch to zoom,
+ * shift-scroll, horizontal scroll or a two-finger drag to pan; each frame draws
+ * from the coarsest level that still has a pair for every bar.
+ *
+ * Chapter markers (`setMarkers()`, e.g. from EnhancedAudioPlayer's
+ * 'chaptersLoaded' event) are drawn as ticks across the waveform.
+ *
  * @class WaveformVisualizer
  * @example
  * const visualizer = new WaveformVisualizer({
@@ -15,6 +23,59 @@
  * visualizer.loadWaveformFromUrl('./waveforms/song.json');
  */
 class WaveformVisualizer {
+  /** Flat peak arrays are halved into coarser levels until this length */
+  static MIN_LEVEL_LENGTH = 64;
+
+  /** Time (ms) after a manual zoom or pan before the view follows playback again */
+  static VIEW_HOLD_MS = 3000;
+
+  /**
+   * Build a peaks pyramid from loaded waveform data
+   * @param {Array<number>|Object} waveformData - Flat 0-1 peaks, or { levels: [{ samplesPerPixel, data: [min, max, ...] }] }
+   * @returns {Array<Object>} Levels { samplesPerPixel, min, max }, finest first
+   */
+  static buildLevels(waveformData) {
+    let levels;
+
+    if (Array.isArray(waveformData)) {
+      levels = [
+        {
+          samplesPerPixel: 1,
+          min: waveformData.map((peak) => -peak),
+          max: waveformData.slice(),
+        },
+      ];
+    } else {
+      levels = waveformData.levels
+        .map((level) => {
+          const min = [];
+          const max = [];
+          for (let i = 0; i + 1 < level.data.length; i += 2) {
+            min.push(level.data[i]);
+            max.push(level.data[i + 1]);
+          }
+          return { samplesPerPixel: level.samplesPerPixel || 1, min, max };
+        })
+        .filter((level) => level.min.length > 0)
+        .sort((a, b) => a.samplesPerPixel - b.samplesPerPixel);
+    }
+
+    // Extend with coarser levels so zoomed-out views never scan every pair
+    let top = levels[levels.length - 1];
+    while (top && top.min.length > WaveformVisualizer.MIN_LEVEL_LENGTH) {
+      const min = [];
+      const max = [];
+      for (let i = 0; i < top.min.length; i += 2) {
+        min.push(Math.min(top.min[i], top.min[i + 1] ?? top.min[i]));
+        max.push(Math.max(top.max[i], top.max[i + 1] ?? top.max[i]));
+      }
+      top = { samplesPerPixel: top.samplesPerPixel * 2, min, max };
+      levels.push(top);
+    }
+
+    return levels;
+  }
+
   /**
    * Create a WaveformVisualizer instance
    * @param {Object} options - Configuration options
@@ -34,6 +95,17 @@ class WaveformVisualizer {
     // Waveform data
     this.waveformData = null;
     this.peakData = null;
+    this.levels = null; // Peaks pyramid, finest first
+    this.markers = []; // Chapter markers { time, title }, in seconds
+
+    // View: zoom 1 shows the whole track, viewStart is the left edge (0-1)
+    this.zoom = 1;
+    this.viewStart = 0;
+    this.pinch = null;
+    this.lastViewChange = 0;
+
+    // Incremented per load so a slow client-side generation cannot replace a newer waveform
+    this.loadId = 0;
 
     // State
     this.progress = 0; // 0-1
@@ -55,6 +127,7 @@ class WaveformVisualizer {
     this.boundHandleTouchStart = this.handleTouchStart.bind(this);
     this.boundHandleTouchMove = this.handleTouchMove.bind(this);
     this.boundHandleTouchEnd = this.handleTouchEnd.bind(this);
+    this.boundHandleWheel = this.handleWheel.bind(this);
     this.boundHandleResize = this.handleResize.bind(this);
 
     if (this.canvas) {
@@ -83,11 +156,15 @@ class WaveformVisualizer {
     // Set up canvas dimensions
     this.updateCanvasDimensions();
 
+    // Pinch gestures zoom the waveform rather than the page
+    this.canvas.style.touchAction = 'pan-y';
+
     // Attach event listeners
     this.canvas.addEventListener('click', this.boundHandleClick);
     this.canvas.addEventListener('touchstart', this.boundHandleTouchStart, false);
     this.canvas.addEventListener('touchmove', this.boundHandleTouchMove, false);
     this.canvas.addEventListener('touchend', this.boundHandleTouchEnd, false);
+    this.canvas.addEventListener('wheel', this.boundHandleWheel, { passive: false });
     window.addEventListener('resize', this.boundHandleResize);
 
     // Start render loop
@@ -124,49 +201,108 @@ class WaveformVisualizer {
   }
 
   /**
-   * Load waveform data from array of peak values (0-1)
-   * @param {Array<number>} waveformData - Array of normalized peak values (0-1)
+   * Load waveform data from array of peak values (0-1) or a peaks pyramid
+   * @param {Array<number>|Object} waveformData - Array of normalized peak values (0-1),
+   *   or generator output with `levels` of interleaved min/max pairs (-1 to 1)
    */
   loadWaveform(waveformData) {
-    if (!Array.isArray(waveformData) || waveformData.length === 0) {
+    const isPyramid = Array.isArray(waveformData?.levels);
+    const levels =
+      isPyramid || (Array.isArray(waveformData) && waveformData.length > 0)
+        ? WaveformVisualizer.buildLevels(waveformData)
+        : [];
+
+    if (levels.length === 0) {
       console.warn('WaveformVisualizer: Invalid waveform data');
       return;
     }
 
     this.waveformData = waveformData;
+    this.levels = levels;
+    this.zoom = 1;
+    this.viewStart = 0;
     this.isDirty = true;
   }
 
   /**
    * Load waveform data from JSON URL
+   *
+   * If the JSON cannot be fetched (e.g. a newly uploaded track without a
+   * precomputed waveform), the waveform is generated from the audio with
+   * WaveformGenerator instead, unless config.clientFallback is false.
+   *
    * @async
    * @param {string} url - URL to fetch waveform JSON from
+   * @param {Object} [options]
+   * @param {string} [options.audioUrl] - Audio to analyse as a fallback (defaults to the player's current track)
    * @returns {Promise<void>}
    */
-  async loadWaveformFromUrl(url) {
+  async loadWaveformFromUrl(url, options = {}) {
+    const loadId = ++this.loadId;
+
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      let data;
+      let generated = false;
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        data = await response.json();
+      } catch (error) {
+        const audioUrl = options.audioUrl || this.player?.getCurrentTrack?.()?.url;
+        if (
+          !audioUrl ||
+          typeof WaveformGenerator === 'undefined' ||
+          this.config.clientFallback === false
+        ) {
+          throw error;
+        }
+
+        console.warn(`WaveformVisualizer: ${error.message}, generating waveform from audio`);
+        data = await WaveformGenerator.getInstance().getWaveform(audioUrl);
+        generated = true;
       }
 
-      const data = await response.json();
+      if (loadId !== this.loadId) {
+        return;
+      }
 
-      // Expect either direct array or { data: array } format
-      const waveformArray = Array.isArray(data) ? data : data.data;
+      // Expect a direct array, a peaks pyramid ({ levels }) or { peaks | data: array }
+      const waveform =
+        Array.isArray(data) || Array.isArray(data.levels)
+          ? data
+          : data.peaks || data.data;
 
-      if (!Array.isArray(waveformArray)) {
+      if (!Array.isArray(waveform) && !Array.isArray(waveform.levels)) {
         throw new Error('Waveform data is not an array');
       }
 
-      this.loadWaveform(waveformArray);
-      this.emit('waveformLoaded', { duration: this.duration });
+      if (data.duration) {
+        this.duration = data.duration;
+      }
+
+      this.loadWaveform(waveform);
+      this.emit('waveformLoaded', { duration: this.duration, generated });
     } catch (error) {
       console.error('WaveformVisualizer: Failed to load waveform', error);
       this.emit('error', { error });
     }
   }
 
+  /**
+   * Set the chapter markers drawn over the waveform
+   * @param {Array<Object>} markers - Markers { time, title } with time in seconds
+   * @param {number} [duration] - Track duration in seconds, when the waveform did not provide it
+   */
+  setMarkers(markers, duration) {
+    this.markers = (markers || []).filter((marker) => Number.isFinite(marker.time));
+    if (duration > 0) {
+      this.duration = duration;
+    }
+    this.isDirty = true;
+  }
+
   /**
    * Set playback progress (0-1)
    * @param {number} percent - Progress as decimal (0-1)
@@ -179,6 +315,77 @@ class WaveformVisualizer {
     }
   }
 
+  /**
+   * Get the visible part of the track
+   * @returns {{start: number, end: number}} Range as decimals (0-1)
+   */
+  getVisibleRange() {
+    return { start: this.viewStart, end: this.viewStart + 1 / this.zoom };
+  }
+
+  /**
+   * Zoom the view, keeping one point of it fixed
+   * @param {number} zoom - Zoom factor (1 = whole track)
+   * @param {number} [anchor=0.5] - Fixed point as a decimal of the visible width
+   */
+  setZoom(zoom, anchor = 0.5) {
+    this.setView(zoom, this.viewStart + anchor / this.zoom, anchor);
+  }
+
+  /**
+   * Pan the view
+   * @param {number} delta - Distance as a decimal of the visible width (negative = earlier)
+   */
+  pan(delta) {
+    this.setView(this.zoom, this.viewStart + delta / this.zoom, 0);
+  }
+
+  /**
+   * Show the whole track
+   */
+  resetZoom() {
+    this.setView(1, 0, 0);
+  }
+
+  /**
+   * Set zoom and place a track position at a point of the view
+   * @private
+   * @param {number} zoom - Zoom factor, clamped to 1..config.maxZoom
+   * @param {number} position - Track position as decimal (0-1)
+   * @param {number} anchor - Where position appears, as a decimal of the visible width
+   */
+  setView(zoom, position, anchor) {
+    const maxZoom = this.config.maxZoom || 64;
+    this.zoom = Math.max(1, Math.min(maxZoom, zoom));
+    this.viewStart = Math.max(
+      0,
+      Math.min(1 - 1 / this.zoom, position - anchor / this.zoom)
+    );
+    this.isDirty = true;
+
+    this.emit('zoom', { zoom: this.zoom, ...this.getVisibleRange() });
+  }
+
+  /**
+   * Page the view to the playhead when playback leaves it, unless the user
+   * zoomed or panned recently
+   * @private
+   */
+  followProgress() {
+    if (
+      this.zoom <= 1 ||
+      this.config.followPlayhead === false ||
+      Date.now() - this.lastViewChange < WaveformVisualizer.VIEW_HOLD_MS
+    ) {
+      return;
+    }
+
+    const { start, end } = this.getVisibleRange();
+    if (this.progress < start || this.progress > end) {
+      this.setView(this.zoom, this.progress, 0);
+    }
+  }
+
   /**
    * Connect to EnhancedAudioPlayer instance
    * @param {Object} playerInstance - EnhancedAudioPlayer instance
@@ -196,9 +403,15 @@ class WaveformVisualizer {
         });
         this.player.on('timeupdate', (time) => {
           this.setProgress(time / (this.player.getDuration() || 1));
+          this.followProgress();
         });
         this.player.on('loadstart', () => {
+          this.loadId++;
           this.waveformData = null;
+          this.levels = null;
+          this.markers = [];
+          this.zoom = 1;
+          this.viewStart = 0;
           this.isDirty = true;
         });
       }
@@ -227,11 +440,97 @@ class WaveformVisualizer {
    * @param {MouseEvent} event - Click event
    */
   handleClick(event) {
+    this.handleSeek(this.positionFromClientX(event.clientX));
+  }
+
+  /**
+   * Convert a viewport x coordinate to a decimal of the visible width
+   * @private
+   * @param {number} clientX - Viewport x coordinate
+   * @returns {number} Decimal (0-1)
+   */
+  viewFractionFromClientX(clientX) {
     const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const percent = Math.max(0, Math.min(1, x / rect.width));
+    const x = clientX - rect.left;
+    return Math.max(0, Math.min(1, x / (rect.width || 1)));
+  }
+
+  /**
+   * Convert a viewport x coordinate to a track position
+   * @private
+   * @param {number} clientX - Viewport x coordinate
+   * @returns {number} Track position as decimal (0-1)
+   */
+  positionFromClientX(clientX) {
+    return this.viewStart + this.viewFractionFromClientX(clientX) / this.zoom;
+  }
+
+  /**
+   * Handle mouse wheel and trackpad gestures: vertical scroll and pinch
+   * (ctrl + wheel) zoom around the pointer, horizontal or shift scroll pans
+   * @private
+   * @param {WheelEvent} event - Wheel event
+   */
+  handleWheel(event) {
+    if (!this.levels) {
+      return;
+    }
+
+    event.preventDefault();
+    this.lastViewChange = Date.now();
+
+    // Line-based deltas (Firefox with a mouse wheel) are roughly 16px each
+    const scale = event.deltaMode === 1 ? 16 : 1;
+    const deltaX = event.deltaX * scale;
+    const deltaY = event.deltaY * scale;
 
-    this.handleSeek(percent);
+    if (event.shiftKey || Math.abs(deltaX) > Math.abs(deltaY)) {
+      const rect = this.canvas.getBoundingClientRect();
+      const panDelta = event.shiftKey ? deltaY || deltaX : deltaX;
+      this.pan(panDelta / (rect.width || 1));
+      return;
+    }
+
+    // Pinch gestures report small deltas, so they zoom faster per pixel
+    const speed = event.ctrlKey ? 0.01 : 0.002;
+    this.setZoom(
+      this.zoom * Math.exp(-deltaY * speed),
+      this.viewFractionFromClientX(event.clientX)
+    );
+  }
+
+  /**
+   * Start a two-finger pinch/pan gesture
+   * @private
+   * @param {TouchList} touches - Active touches
+   */
+  startPinch(touches) {
+    const centerX = (touches[0].clientX + touches[1].clientX) / 2;
+
+    this.isInteracting = false;
+    this.pinch = {
+      distance: Math.abs(touches[0].clientX - touches[1].clientX) || 1,
+      zoom: this.zoom,
+      position: this.positionFromClientX(centerX),
+    };
+  }
+
+  /**
+   * Update a pinch gesture: the track position that started under the
+   * fingers stays under them while they spread, close or move together
+   * @private
+   * @param {TouchList} touches - Active touches
+   */
+  updatePinch(touches) {
+    const centerX = (touches[0].clientX + touches[1].clientX) / 2;
+    const distance = Math.abs(touches[0].clientX - touches[1].clientX) || 1;
+
+    this.lastViewChange = Date.now();
+    this.setView(
+      this.pinch.zoom * (distance / this.pinch.distance),
+      this.pinch.position,
+      this.viewFractionFromClientX(centerX)
+    );
   }
 
   /**
@@ -240,13 +539,18 @@ class WaveformVisualizer {
    * @param {TouchEvent} event - Touch event
    */
   handleTouchStart(event) {
+    if (event.touches.length >= 2) {
+      if (this.levels) {
+        event.preventDefault();
+        this.startPinch(event.touches);
+      }
+      return;
+    }
+
     this.isInteracting = true;
     const touch = event.touches[0];
-    const rect = this.canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const percent = Math.max(0, Math.min(1, x / rect.width));
 
-    this.handleSeek(percent);
+    this.handleSeek(this.positionFromClientX(touch.clientX));
   }
 
   /**
@@ -255,16 +559,19 @@ class WaveformVisualizer {
    * @param {TouchEvent} event - Touch event
    */
   handleTouchMove(event) {
+    if (this.pinch && event.touches.length >= 2) {
+      event.preventDefault();
+      this.updatePinch(event.touches);
+      return;
+    }
+
     if (!this.isInteracting) {
       return;
     }
 
     const touch = event.touches[0];
-    const rect = this.canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const percent = Math.max(0, Math.min(1, x / rect.width));
 
-    this.setProgress(percent);
+    this.setProgress(this.positionFromClientX(touch.clientX));
     this.isDirty = true;
   }
 
@@ -274,6 +581,14 @@ class WaveformVisualizer {
    * @param {TouchEvent} event - Touch event
    */
   handleTouchEnd(event) {
+    // Lifting a finger ends a pinch without seeking
+    if (this.pinch) {
+      if (event.touches.length < 2) {
+        this.pinch = null;
+      }
+      return;
+    }
+
     if (!this.isInteracting) {
       return;
     }
@@ -282,11 +597,8 @@ class WaveformVisualizer {
     // Calculate final position from last touch
     if (event.changedTouches.length > 0) {
       const touch = event.changedTouches[0];
-      const rect = this.canvas.getBoundingClientRect();
-      const x = touch.clientX - rect.left;
-      const percent = Math.max(0, Math.min(1, x / rect.width));
 
-      this.handleSeek(percent);
+      this.handleSeek(this.positionFromClientX(touch.clientX));
     }
   }
 
@@ -349,7 +661,7 @@ class WaveformVisualizer {
     // Continue animation loop
     this.animationFrameId = requestAnimationFrame(() => this.render());
 
-    if (!this.isDirty || !this.canvas || !this.ctx || !this.waveformData) {
+    if (!this.isDirty || !this.canvas || !this.ctx || !this.levels) {
       return;
     }
 
@@ -358,12 +670,27 @@ class WaveformVisualizer {
     this.isDirty = false;
   }
 
+  /**
+   * Pick the coarsest pyramid level that still has a pair for every bar
+   * @private
+   * @param {number} numBars - Bars across the visible range
+   * @returns {Object} Level { samplesPerPixel, min, max }
+   */
+  selectLevel(numBars) {
+    for (let i = this.levels.length - 1; i > 0; i--) {
+      if (this.levels[i].min.length / this.zoom >= numBars) {
+        return this.levels[i];
+      }
+    }
+    return this.levels[0];
+  }
+
   /**
    * Draw waveform bars
    * @private
    */
   drawWaveform() {
-    if (!this.ctx || !this.canvas || !this.waveformData) {
+    if (!this.ctx || !this.canvas || !this.levels) {
       return;
     }
 
@@ -371,39 +698,56 @@ class WaveformVisualizer {
     const { barWidth, barGap, primaryColor, progressColor } = this.config;
     const barSpacing = barWidth + barGap;
     const centerY = height / 2;
+    const scaleY = height * 0.45; // Full-scale bars fill 90% of container height
 
     // Calculate how many bars we can fit
     const numBars = Math.floor(width / barSpacing);
-    const step = Math.max(1, Math.floor(this.waveformData.length / numBars));
+    const level = this.selectLevel(numBars);
+    const { length } = level.min;
+    const { start, end } = this.getVisibleRange();
+    const span = end - start;
 
     // Draw bars
     for (let i = 0; i < numBars; i++) {
-      const dataIndex = i * step;
-      if (dataIndex >= this.waveformData.length) {
+      const barStart = start + (i / numBars) * span;
+      const barEnd = start + ((i + 1) / numBars) * span;
+      const first = Math.floor(barStart * length);
+      if (first >= length) {
         break;
       }
+      const last = Math.min(length, Math.max(first + 1, Math.ceil(barEnd * length)));
+
+      // Span of every pair under the bar
+      let min = level.min[first];
+      let max = level.max[first];
+      for (let j = first + 1; j < last; j++) {
+        min = Math.min(min, level.min[j]);
+        max = Math.max(max, level.max[j]);
+      }
 
-      const peak = this.waveformData[dataIndex];
-      const barHeight = peak * (height * 0.9); // 90% of container height
       const x = i * barSpacing;
 
       // Determine color (played vs unplayed)
-      const barProgress = i / numBars;
-      const isPlayed = barProgress <= this.progress;
+      const isPlayed = barStart <= this.progress;
       const color = isPlayed ? progressColor : primaryColor;
 
       this.ctx.fillStyle = color;
       this.ctx.globalAlpha = 0.8;
 
-      // Draw bar (centered vertically)
-      const top = centerY - barHeight / 2;
-      this.ctx.fillRect(x, top, barWidth, barHeight);
+      // Draw bar from max down to min around the centre line
+      const top = centerY - max * scaleY;
+      this.ctx.fillRect(x, top, barWidth, (max - min) * scaleY);
     }
 
     this.ctx.globalAlpha = 1.0;
 
-    // Draw progress indicator line
-    const progressX = width * this.progress;
+    this.drawMarkers(start, span);
+
+    // Draw progress indicator line when the playhead is in view
+    if (this.progress < start || this.progress > end) {
+      return;
+    }
+    const progressX = width * ((this.progress - start) / span);
     this.ctx.strokeStyle = progressColor;
     this.ctx.lineWidth = 2;
     this.ctx.globalAlpha = 0.6;
@@ -414,6 +758,34 @@ class WaveformVisualizer {
     this.ctx.globalAlpha = 1.0;
   }
 
+  /**
+   * Draw chapter marker ticks inside the visible range
+   * @private
+   * @param {number} start - Left edge of the view (0-1)
+   * @param {number} span - Visible part of the track (0-1)
+   */
+  drawMarkers(start, span) {
+    if (this.markers.length === 0 || !(this.duration > 0)) {
+      return;
+    }
+
+    const { width, height } = this.canvas;
+    this.ctx.fillStyle = this.config.markerColor || this.config.progressColor;
+    this.ctx.globalAlpha = 0.9;
+
+    this.markers.forEach((marker) => {
+      const position = (marker.time / this.duration - start) / span;
+      if (position < 0 || position > 1) {
+        return;
+      }
+      const x = Math.round(position * width);
+      this.ctx.fillRect(x, 0, 1, height);
+      this.ctx.fillRect(x - 3, 0, 7, 3);
+    });
+
+    this.ctx.globalAlpha = 1.0;
+  }
+
   /**
    * Emit custom event
    * @private
@@ -433,7 +805,8 @@ class WaveformVisualizer {
 
   /**
    * Register event listener
-   * @param {string} eventName - Event name ('seek', 'waveformLoaded', 'error')
+   * @param {string} eventName - Event name ('seek', 'zoom', 'waveformLoaded', 'error')
+   *   (waveformLoaded receives { duration, generated }, generated being true for client-side waveforms)
    * @param {Function} callback - Listener callback
    * @returns {Function} Unsubscribe function
    */
@@ -482,6 +855,7 @@ class WaveformVisualizer {
       this.canvas.removeEventListener('touchstart', this.boundHandleTouchStart);
       this.canvas.removeEventListener('touchmove', this.boundHandleTouchMove);
       this.canvas.removeEventListener('touchend', this.boundHandleTouchEnd);
+      this.canvas.removeEventListener('wheel', this.boundHandleWheel);
     }
     window.removeEventListener('resize', this.boundHandleResize);
 
@@ -489,6 +863,9 @@ class WaveformVisualizer {
     this.canvas = null;
     this.ctx = null;
     this.waveformData = null;
+    this.levels = null;
+    this.markers = [];
+    this.pinch = null;
     this.player = null;
     this.eventListeners.clear();
   }
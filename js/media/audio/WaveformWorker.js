@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * WaveformWorker
+ * Computes waveform peaks for WaveformGenerator off the main thread.
+ *
+ * Receives { id, channels, sampleRate, options } (channels are transferred
+ * Float32Arrays) and replies with { id, waveform } or { id, error }.
+ */
+importScripts('WaveformGenerator.js');
+
+self.onmessage = event => {
+  const { id, channels, sampleRate, options } = event.data;
+
+  try {
+    const waveform = WaveformGenerator.computeWaveform(
+      channels,
+      sampleRate,
+      options
+    );
+    self.postMessage({ id, waveform });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
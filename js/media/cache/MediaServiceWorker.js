@@ -7,17 +7,40 @@
  * - Thumbnails: Cache-first with aggressive TTL
  * - Waveform JSON: Cache with long TTL
  * - Video: Stream only, cache metadata
+ * - Saved for offline: served from the offline cache before any of the above
+ *
+ * Albums, playlists and videos saved for offline (SAVE_OFFLINE, see
+ * js/media/cache/OfflineMedia.js) are pinned: their files live in the offline
+ * cache, which the audio size limit never evicts from. Progress is posted to
+ * every window as OFFLINE_PROGRESS messages.
+ *
+ * Loaded into the site worker (sw.js) with importScripts, so it controls the
+ * whole site; sw.js leaves the requests handled here (handlesMediaRequest) alone.
  *
  * Configuration read from ETCETER4_CONFIG.media.cache
  */
 
-const CACHE_VERSION = 'media-cache-v1';
-const AUDIO_CACHE = `${CACHE_VERSION}-audio`;
-const THUMBNAIL_CACHE = `${CACHE_VERSION}-thumbnails`;
-const WAVEFORM_CACHE = `${CACHE_VERSION}-waveforms`;
-const METADATA_CACHE = `${CACHE_VERSION}-metadata`;
+const MEDIA_CACHE_VERSION = 'media-cache-v1';
+const AUDIO_CACHE = `${MEDIA_CACHE_VERSION}-audio`;
+const THUMBNAIL_CACHE = `${MEDIA_CACHE_VERSION}-thumbnails`;
+const WAVEFORM_CACHE = `${MEDIA_CACHE_VERSION}-waveforms`;
+const METADATA_CACHE = `${MEDIA_CACHE_VERSION}-metadata`;
+const OFFLINE_CACHE = `${MEDIA_CACHE_VERSION}-offline`;
+
+const ALL_CACHES = [AUDIO_CACHE, THUMBNAIL_CACHE, WAVEFORM_CACHE, METADATA_CACHE, OFFLINE_CACHE];
+
+// Saved-item index ({ [id]: { id, title, kind, src, files, bytes, missing, savedAt } }),
+// kept in the offline cache itself
+const OFFLINE_INDEX_URL = '/__media-offline__/index';
+
+// Same-origin media (local development) lives under this path
+const LOCAL_MEDIA_PATH = '/media/';
 
-const ALL_CACHES = [AUDIO_CACHE, THUMBNAIL_CACHE, WAVEFORM_CACHE, METADATA_CACHE];
+// In-progress offline downloads by item id
+const offlineDownloads = new Map();
+
+// Serializes read-modify-write updates of the offline index
+let offlineIndexLock = Promise.resolve();
 
 // Default config (will be overridden by ETCETER4_CONFIG)
 const DEFAULT_CONFIG = {
@@ -102,6 +125,35 @@ function isMetadataFile(url) {
   return pathname.endsWith('.json') && !pathname.includes('waveform');
 }
 
+/**
+ * Check if URL is a video stream file (HLS playlists and segments, sidecar VTT)
+ */
+function isVideoFile(url) {
+  const videoExtensions = ['.m3u8', '.ts', '.m4s', '.mp4', '.vtt'];
+  const pathname = url.pathname.toLowerCase();
+  return videoExtensions.some(ext => pathname.endsWith(ext));
+}
+
+/**
+ * Check if a request is one this worker answers: media files on the media
+ * host, or under /media/ on this origin
+ */
+function handlesMediaRequest(request) {
+  if (request.method !== 'GET') {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  const isMediaURL =
+    url.hostname === 'media.etceter4.com' ||
+    (url.origin === self.location.origin && url.pathname.startsWith(LOCAL_MEDIA_PATH));
+
+  return (
+    isMediaURL &&
+    (isAudioFile(url) || isThumbnailFile(url) || isWaveformFile(url) || isMetadataFile(url) || isVideoFile(url))
+  );
+}
+
 /**
  * Get appropriate cache store for request
  */
@@ -180,12 +232,17 @@ async function enforceAudioCacheLimit() {
   try {
     const cache = await caches.open(AUDIO_CACHE);
     const requests = await cache.keys();
+    const pinned = getPinnedUrls(await readOfflineIndex());
 
     let totalSize = 0;
     const entries = [];
 
     // Calculate total size and collect metadata
     for (const request of requests) {
+      // Files saved for offline are never evicted
+      if (pinned.has(request.url)) {
+        continue;
+      }
       const response = await cache.match(request);
       if (response) {
         const size = parseInt(response.headers.get('content-length')) || 0;
@@ -332,6 +389,291 @@ async function streamOnlyStrategy(request) {
   }
 }
 
+/**
+ * Read the index of items saved for offline
+ */
+async function readOfflineIndex() {
+  try {
+    const cache = await caches.open(OFFLINE_CACHE);
+    const response = await cache.match(OFFLINE_INDEX_URL);
+    return response ? await response.json() : {};
+  } catch (error) {
+    console.warn('[MediaSW] Failed to read offline index', error);
+    return {};
+  }
+}
+
+/**
+ * Update the offline index, one update at a time
+ * @param {Function} update - Receives the index and changes it in place
+ */
+function updateOfflineIndex(update) {
+  offlineIndexLock = offlineIndexLock.then(async () => {
+    const index = await readOfflineIndex();
+    update(index);
+    const cache = await caches.open(OFFLINE_CACHE);
+    await cache.put(
+      OFFLINE_INDEX_URL,
+      new Response(JSON.stringify(index), { headers: { 'Content-Type': 'application/json' } })
+    );
+    return index;
+  });
+  return offlineIndexLock;
+}
+
+/**
+ * URLs of every file saved for offline
+ */
+function getPinnedUrls(index) {
+  const urls = new Set();
+  Object.values(index).forEach(item => {
+    (item.files || []).forEach(file => urls.add(file.url));
+  });
+  return urls;
+}
+
+/**
+ * List the playlists and segments an HLS playlist refers to
+ * @param {string} url - Playlist URL
+ * @param {string} text - Playlist contents
+ * @returns {Array<string>} Absolute URLs
+ */
+function parseHlsPlaylist(url, text) {
+  const urls = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+    if (trimmed.startsWith('#')) {
+      // Init segments and keys
+      const uri = /URI="([^"]+)"/.exec(trimmed);
+      if (uri && /^#EXT-X-(MAP|KEY)/.test(trimmed)) {
+        urls.push(new URL(uri[1], url).href);
+      }
+      return;
+    }
+    urls.push(new URL(trimmed, url).href);
+  });
+
+  return urls;
+}
+
+/**
+ * Post a message to every open window
+ */
+async function broadcast(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Get a file for the offline cache, reusing a copy the other media caches hold
+ */
+async function fetchForOffline(url, signal) {
+  const cached = await caches.match(url);
+  if (cached && cached.status === 200) {
+    return cached;
+  }
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${url}`);
+  }
+  return response;
+}
+
+/**
+ * Download every file of an item into the offline cache and pin it.
+ * Files already saved (by this item before, or by another) are not fetched
+ * again, so saving an incomplete item again resumes it.
+ * @param {Object} item
+ * @param {string} item.id - e.g. 'album:ogod', 'video:performances/electronica-2015'
+ * @param {string} item.title
+ * @param {string} item.kind - 'album', 'playlist' or 'video'
+ * @param {Array<Object>} item.files - { url, optional, hls }; HLS playlists bring their segments
+ * @param {string} [item.src] - What to play offline (e.g. the saved video variant)
+ * @returns {Promise<Object>} The saved index entry
+ */
+async function saveOfflineItem({ id, title, kind, files, src = null }) {
+  offlineDownloads.get(id)?.abort();
+  const controller = new AbortController();
+  offlineDownloads.set(id, controller);
+
+  const cache = await caches.open(OFFLINE_CACHE);
+  const audioCache = await caches.open(AUDIO_CACHE);
+  const queue = files.map(file => (typeof file === 'string' ? { url: file } : file));
+  const seen = new Set();
+  const saved = [];
+  const downloaded = [];
+  const missing = [];
+  let completed = 0;
+  let bytes = 0;
+
+  const report = () =>
+    broadcast({ type: 'OFFLINE_PROGRESS', id, completed, total: queue.length, bytes });
+
+  try {
+    await report();
+
+    // The queue grows as HLS playlists are expanded
+    for (let i = 0; i < queue.length; i++) {
+      const file = queue[i];
+      if (controller.signal.aborted) {
+        throw new DOMException('Offline download cancelled', 'AbortError');
+      }
+
+      if (!seen.has(file.url)) {
+        seen.add(file.url);
+        try {
+          let response = await cache.match(file.url);
+          const fresh = !response;
+          if (fresh) {
+            response = await fetchForOffline(file.url, controller.signal);
+          }
+          if (file.hls) {
+            parseHlsPlaylist(file.url, await response.clone().text()).forEach(url => {
+              queue.push({ url, optional: file.optional, hls: url.toLowerCase().includes('.m3u8') });
+            });
+          }
+
+          const body = await response.blob();
+          await cache.put(
+            file.url,
+            new Response(body, {
+              status: 200,
+              headers: {
+                'Content-Type': response.headers.get('content-type') || body.type,
+                'Content-Length': String(body.size),
+              },
+            })
+          );
+          // One copy is enough, and the pinned one is never evicted
+          await audioCache.delete(file.url);
+
+          saved.push({ url: file.url, size: body.size });
+          if (fresh) {
+            downloaded.push(file.url);
+          }
+          bytes += body.size;
+        } catch (error) {
+          // Cancelled, or out of storage: stop
+          if (error.name === 'AbortError' || error.name === 'QuotaExceededError') {
+            throw error;
+          }
+          if (!file.optional) {
+            console.warn('[MediaSW] Failed to save for offline', file.url, error);
+            missing.push(file.url);
+          }
+        }
+      }
+
+      completed++;
+      await report();
+    }
+  } catch (error) {
+    // Drop what this attempt downloaded, unless a saved item uses it
+    const pinned = getPinnedUrls(await readOfflineIndex());
+    await Promise.all(downloaded.filter(url => !pinned.has(url)).map(url => cache.delete(url)));
+    throw error;
+  } finally {
+    if (offlineDownloads.get(id) === controller) {
+      offlineDownloads.delete(id);
+    }
+  }
+
+  const entry = { id, title, kind, src, files: saved, bytes, missing, savedAt: Date.now() };
+  await updateOfflineIndex(index => {
+    index[id] = entry;
+  });
+  return entry;
+}
+
+/**
+ * Unpin an item and delete the files no other saved item uses
+ */
+async function removeOfflineItem(id) {
+  offlineDownloads.get(id)?.abort();
+
+  let removed = null;
+  const index = await updateOfflineIndex(current => {
+    removed = current[id] || null;
+    delete current[id];
+  });
+
+  if (removed) {
+    const pinned = getPinnedUrls(index);
+    const cache = await caches.open(OFFLINE_CACHE);
+    await Promise.all(
+      removed.files.filter(file => !pinned.has(file.url)).map(file => cache.delete(file.url))
+    );
+  }
+  return removed;
+}
+
+/**
+ * Answer a Range request from a whole saved file
+ */
+async function rangeResponse(request, response) {
+  const body = await response.blob();
+  const size = body.size;
+  const headers = {
+    'Content-Type': response.headers.get('content-type') || body.type,
+    'Accept-Ranges': 'bytes',
+  };
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+
+  if (!range || (range[1] === '' && range[2] === '')) {
+    return new Response(body, { status: 200, headers: { ...headers, 'Content-Length': String(size) } });
+  }
+
+  let start;
+  let end;
+  if (range[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(range[2]));
+    end = size - 1;
+  } else {
+    start = Number(range[1]);
+    end = range[2] === '' ? size - 1 : Math.min(Number(range[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` },
+    });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      ...headers,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+}
+
+/**
+ * Offline-first strategy: serve files saved for offline, otherwise fall back
+ */
+async function offlineOrFallback(request, fallback) {
+  try {
+    const cache = await caches.open(OFFLINE_CACHE);
+    const saved = await cache.match(request.url);
+    if (saved) {
+      return request.headers.has('range') ? rangeResponse(request, saved) : saved;
+    }
+  } catch (error) {
+    console.warn('[MediaSW] Offline cache lookup failed', request.url, error);
+  }
+  return fallback();
+}
+
 /**
  * Install event: pre-cache essential assets
  */
@@ -350,7 +692,8 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (!ALL_CACHES.includes(cacheName)) {
+          // Leave the site worker's caches alone
+          if (cacheName.startsWith('media-cache-') && !ALL_CACHES.includes(cacheName)) {
             console.log('[MediaSW] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -365,35 +708,32 @@ self.addEventListener('activate', (event) => {
  */
 self.addEventListener('fetch', (event) => {
   const { request } = event;
-  const url = new URL(request.url);
 
-  // Only handle R2 media URLs and same-origin requests
-  const isMediaURL = url.hostname === 'media.etceter4.com' || url.origin === self.location.origin;
-  const isMediaRequest = isAudioFile(url) || isThumbnailFile(url) || isWaveformFile(url) || isMetadataFile(url);
-
-  if (!isMediaURL || !isMediaRequest) {
+  // Only handle R2 media URLs and same-origin media
+  if (!handlesMediaRequest(request)) {
     return;
   }
 
+  const url = new URL(request.url);
+
   // Load config on first fetch
   loadCacheConfig();
 
   const cacheName = getCacheStore(request);
 
-  if (!cacheName) {
-    return;
-  }
-
-  // Choose strategy based on file type
-  if (isAudioFile(url)) {
+  // Choose strategy based on file type; files saved for offline come first
+  if (isVideoFile(url)) {
+    // Video: stream only
+    event.respondWith(offlineOrFallback(request, () => streamOnlyStrategy(request)));
+  } else if (isAudioFile(url)) {
     // Audio: network-first for fresh content, cache fallback
-    event.respondWith(networkFirstStrategy(request, cacheName));
+    event.respondWith(offlineOrFallback(request, () => networkFirstStrategy(request, cacheName)));
   } else if (isThumbnailFile(url)) {
     // Thumbnails: cache-first with aggressive caching
-    event.respondWith(cacheFirstStrategy(request, cacheName));
+    event.respondWith(offlineOrFallback(request, () => cacheFirstStrategy(request, cacheName)));
   } else if (isWaveformFile(url) || isMetadataFile(url)) {
     // Waveforms/metadata: cache-first with long TTL
-    event.respondWith(cacheFirstStrategy(request, cacheName));
+    event.respondWith(offlineOrFallback(request, () => cacheFirstStrategy(request, cacheName)));
   }
 });
 
@@ -413,8 +753,11 @@ self.addEventListener('message', (event) => {
       break;
 
     case 'CLEAR_ALL_CACHES':
+      // Items saved for offline stay until removed with REMOVE_OFFLINE
       event.waitUntil(
-        Promise.all(ALL_CACHES.map(cache => caches.delete(cache))).then(() => {
+        Promise.all(
+          ALL_CACHES.filter(cache => cache !== OFFLINE_CACHE).map(cache => caches.delete(cache))
+        ).then(() => {
           event.ports[0].postMessage({ success: true });
         })
       );
@@ -439,6 +782,58 @@ self.addEventListener('message', (event) => {
       );
       break;
 
+    case 'SAVE_OFFLINE':
+      event.waitUntil(
+        saveOfflineItem(payload)
+          .then((item) => event.ports[0].postMessage({ success: true, item }))
+          .catch((error) =>
+            event.ports[0].postMessage({
+              success: false,
+              cancelled: error.name === 'AbortError',
+              error: error.message,
+            })
+          )
+      );
+      break;
+
+    case 'CANCEL_OFFLINE':
+      offlineDownloads.get(payload?.id)?.abort();
+      event.ports[0].postMessage({ success: true });
+      break;
+
+    case 'REMOVE_OFFLINE':
+      event.waitUntil(
+        removeOfflineItem(payload?.id).then((item) => {
+          event.ports[0].postMessage({ success: Boolean(item) });
+        })
+      );
+      break;
+
+    case 'GET_OFFLINE_ITEMS':
+      event.waitUntil(
+        readOfflineIndex().then((index) => {
+          event.ports[0].postMessage({
+            items: Object.values(index),
+            downloading: [...offlineDownloads.keys()],
+          });
+        })
+      );
+      break;
+
+    case 'GET_STORAGE_ESTIMATE':
+      event.waitUntil(
+        (async () => {
+          const index = await readOfflineIndex();
+          const estimate = (await self.navigator.storage?.estimate?.()) || {};
+          event.ports[0].postMessage({
+            usage: estimate.usage ?? null,
+            quota: estimate.quota ?? null,
+            offlineBytes: Object.values(index).reduce((total, item) => total + item.bytes, 0),
+          });
+        })()
+      );
+      break;
+
     case 'UPDATE_CONFIG':
       if (payload && payload.cache) {
         cacheConfig = { ...DEFAULT_CONFIG, ...payload.cache };
@@ -0,0 +1,576 @@
+'use strict';
+
+/**
+ * OfflineMedia
+ * Page-side control of the downloads MediaServiceWorker keeps for offline.
+ *
+ * Saving an album, playlist or video lists every file it needs (audio,
+ * covers, waveforms, lyrics, chapters; HLS playlists and segments, thumbnail
+ * sprites, subtitles) and asks the site worker to download them into its
+ * offline cache, where they are pinned: the audio cache size limit never
+ * evicts them, and they are served before the network. Items stay until
+ * removed here.
+ *
+ * Emits 'progress' ({ id, completed, total, bytes }) while downloading,
+ * 'change' ({ id, item }) when an item is saved or removed, and 'error'
+ * ({ id, error }) when a download fails.
+ *
+ * @class OfflineMedia
+ * @example
+ * const offline = OfflineMedia.getInstance();
+ * offline.on('progress', ({ id, completed, total }) => render(id, completed / total));
+ * await offline.saveAlbum(ETCETER4_CONFIG.media.albums.ogod);
+ * offline.isSaved(OfflineMedia.itemId('album', 'ogod')); // => true
+ * await offline.getStorageInfo(); // => { usage, quota, offlineBytes, persisted }
+ */
+class OfflineMedia {
+  /**
+   * Get or create the singleton instance
+   * @returns {OfflineMedia}
+   */
+  static getInstance() {
+    if (!window.offlineMediaInstance) {
+      window.offlineMediaInstance = new OfflineMedia();
+    }
+    return window.offlineMediaInstance;
+  }
+
+  /**
+   * Whether this browser can keep media offline
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return (
+      typeof navigator !== 'undefined' &&
+      'serviceWorker' in navigator &&
+      typeof caches !== 'undefined'
+    );
+  }
+
+  /**
+   * Id of a saved item
+   * @param {string} kind - 'album', 'playlist' or 'video'
+   * @param {string} id - Album, playlist or video id
+   * @returns {string} e.g. 'album:ogod'
+   */
+  static itemId(kind, id) {
+    return `${kind}:${id}`;
+  }
+
+  /**
+   * Files for one album track: the audio, its waveform, and lyrics and
+   * chapters where the album or track has them
+   * @param {Object} album - Album config (ETCETER4_CONFIG.media.albums)
+   * @param {number} index - Track index within the album
+   * @returns {Array<Object>} Files { url, optional }
+   */
+  static albumTrackFiles(album, index) {
+    const track = album?.tracks?.[index];
+    if (!track) {
+      return [];
+    }
+
+    const number = index + 1;
+    const files = [
+      {
+        url: track.url || MediaURLResolver.resolveAlbumTrack(album.id, number),
+      },
+      {
+        url: MediaURLResolver.resolveWaveform(album.id, number),
+        optional: true,
+      },
+    ];
+    if (album.hasLyrics) {
+      files.push({
+        url: MediaURLResolver.resolveLyrics(album.id, number),
+        optional: true,
+      });
+    }
+    if (track.chaptersUrl) {
+      files.push({ url: track.chaptersUrl, optional: true });
+    } else if (['json', 'cue'].includes(track.chapters)) {
+      files.push({
+        url: MediaURLResolver.resolveChapters(album.id, number, track.chapters),
+        optional: true,
+      });
+    }
+    return files;
+  }
+
+  /**
+   * Files for a whole album: covers, metadata and every track
+   * @param {Object} album - Album config
+   * @returns {Array<Object>} Files { url, optional }
+   */
+  static albumFiles(album) {
+    const covers = ['small', 'medium', 'large'].map(size => ({
+      url: MediaURLResolver.resolveCoverArt(album.id, size),
+      optional: true,
+    }));
+
+    return [
+      ...covers,
+      {
+        url: MediaURLResolver.resolveAlbumMetadataFile(album.id),
+        optional: true,
+      },
+      ...(album.tracks || []).flatMap((_track, i) =>
+        OfflineMedia.albumTrackFiles(album, i)
+      ),
+    ];
+  }
+
+  /**
+   * Files for a list of tracks (a playlist or the queue). Album tracks bring
+   * their sidecar files and album covers; other tracks just their audio.
+   * @param {Array<Object>} tracks - Queue tracks or stored references
+   * @param {Array<Object>} [albums] - Album configs to find album tracks in
+   * @returns {Array<Object>} Files { url, optional }, without duplicates
+   */
+  static tracksFiles(tracks, albums = []) {
+    const files = new Map();
+    const add = file => {
+      if (file.url && !files.has(file.url)) {
+        files.set(file.url, file);
+      }
+    };
+
+    tracks.forEach(track => {
+      const album = albums.find(a => a.id === track.albumId);
+      const index = (album?.tracks || []).findIndex(t => t.id === track.id);
+      if (index >= 0) {
+        ['small', 'medium'].forEach(size =>
+          add({
+            url: MediaURLResolver.resolveCoverArt(album.id, size),
+            optional: true,
+          })
+        );
+        OfflineMedia.albumTrackFiles(album, index).forEach(add);
+      } else if (track.url) {
+        add({ url: track.url });
+      }
+    });
+
+    return [...files.values()];
+  }
+
+  /**
+   * Files for a video at one quality: the variant playlist (whose segments
+   * the worker adds), the thumbnail track and the subtitle manifest
+   * @param {string} videoId
+   * @param {string} quality - e.g. '720p'
+   * @returns {Array<Object>} Files { url, optional, hls }
+   */
+  static videoFiles(videoId, quality) {
+    return [
+      { url: MediaURLResolver.resolveVideo(videoId, quality), hls: true },
+      {
+        url: MediaURLResolver.resolveVideoThumbnails(videoId),
+        optional: true,
+      },
+      {
+        url: MediaURLResolver.resolveVideoSubtitleManifest(videoId),
+        optional: true,
+      },
+    ];
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes
+   * @returns {string} e.g. '48.2 MB'
+   */
+  static formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 1024) {
+      return `${Math.max(0, Math.round(bytes) || 0)} B`;
+    }
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+  }
+
+  /**
+   * Create an OfflineMedia instance
+   * @private
+   */
+  constructor() {
+    this.config = {
+      videoQuality: '720p',
+      serviceWorkerUrl: '/sw.js',
+      persist: true,
+      ...(window.ETCETER4_CONFIG?.media?.offline || {}),
+    };
+
+    // Saved items by id, as last reported by the worker
+    this.items = new Map();
+    // Downloads in progress by id: { completed, total, bytes }
+    this.downloads = new Map();
+
+    // Event listeners storage
+    this.listeners = new Map();
+
+    this._onMessage = event => {
+      const { type, ...progress } = event.data || {};
+      if (type !== 'OFFLINE_PROGRESS') {
+        return;
+      }
+      // The last report can arrive after the reply to SAVE_OFFLINE
+      if (progress.completed < progress.total) {
+        this.downloads.set(progress.id, {
+          completed: progress.completed,
+          total: progress.total,
+          bytes: progress.bytes,
+        });
+      } else {
+        this.downloads.delete(progress.id);
+      }
+      this.emit('progress', progress);
+    };
+    if (OfflineMedia.isSupported()) {
+      navigator.serviceWorker.addEventListener('message', this._onMessage);
+    }
+  }
+
+  /**
+   * The active site worker, registering it on pages that do not
+   * @private
+   * @returns {Promise<ServiceWorker>}
+   */
+  async _worker() {
+    if (!OfflineMedia.isSupported()) {
+      throw new Error('Offline media is not supported in this browser');
+    }
+    const { serviceWorker } = navigator;
+    if (serviceWorker.controller) {
+      return serviceWorker.controller;
+    }
+    if (!(await serviceWorker.getRegistration())) {
+      await serviceWorker.register(this.config.serviceWorkerUrl);
+    }
+    return (await serviceWorker.ready).active;
+  }
+
+  /**
+   * Send a command to the worker and wait for its reply
+   * @private
+   * @param {string} type - MediaServiceWorker message type
+   * @param {Object} [payload]
+   * @returns {Promise<Object>}
+   */
+  async _send(type, payload) {
+    const worker = await this._worker();
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = event => {
+        channel.port1.close();
+        resolve(event.data);
+      };
+      worker.postMessage({ type, payload }, [channel.port2]);
+    });
+  }
+
+  /**
+   * Download an item for offline and pin it. Saving an item again fetches
+   * only what is missing.
+   * @param {Object} item
+   * @param {string} item.id - See OfflineMedia.itemId
+   * @param {string} item.title
+   * @param {string} item.kind - 'album', 'playlist' or 'video'
+   * @param {Array<Object>} item.files - { url, optional, hls }
+   * @param {string} [item.src] - What to play offline
+   * @returns {Promise<Object|null>} The saved item, or null if cancelled or failed
+   */
+  async save(item) {
+    this.downloads.set(item.id, {
+      completed: 0,
+      total: item.files.length,
+      bytes: 0,
+    });
+    this.emit('progress', {
+      id: item.id,
+      completed: 0,
+      total: item.files.length,
+      bytes: 0,
+    });
+    if (this.config.persist) {
+      this.requestPersistence();
+    }
+
+    let reply;
+    try {
+      reply = await this._send('SAVE_OFFLINE', item);
+    } catch (err) {
+      reply = { success: false, error: err.message };
+    } finally {
+      this.downloads.delete(item.id);
+    }
+
+    if (!reply.success) {
+      if (!reply.cancelled) {
+        console.warn('OfflineMedia: Could not save', item.id, reply.error);
+        this.emit('error', { id: item.id, error: reply.error });
+      }
+      this.emit('change', { id: item.id, item: this.getItem(item.id) });
+      return null;
+    }
+
+    this.items.set(item.id, reply.item);
+    this.emit('change', { id: item.id, item: reply.item });
+    return reply.item;
+  }
+
+  /**
+   * Save an album: covers, metadata and every track with its sidecar files
+   * @param {Object} album - Album config
+   * @returns {Promise<Object|null>}
+   */
+  saveAlbum(album) {
+    return this.save({
+      id: OfflineMedia.itemId('album', album.id),
+      title: album.title,
+      kind: 'album',
+      files: OfflineMedia.albumFiles(album),
+    });
+  }
+
+  /**
+   * Save a playlist's tracks
+   * @param {Object} playlist - PlaylistStore playlist { id, name, tracks }
+   * @param {Array<Object>} [albums] - Album configs to find album tracks in
+   * @returns {Promise<Object|null>}
+   */
+  savePlaylist(playlist, albums = []) {
+    return this.save({
+      id: OfflineMedia.itemId('playlist', playlist.id),
+      title: playlist.name,
+      kind: 'playlist',
+      files: OfflineMedia.tracksFiles(playlist.tracks, albums),
+    });
+  }
+
+  /**
+   * Save a video at one quality, with its thumbnail sprites and subtitles
+   * @param {string} videoId
+   * @param {Object} [options]
+   * @param {string} [options.title]
+   * @param {string} [options.quality] - Defaults to config.videoQuality
+   * @returns {Promise<Object|null>}
+   */
+  async saveVideo(videoId, { title = videoId, quality } = {}) {
+    const files = OfflineMedia.videoFiles(
+      videoId,
+      quality || this.config.videoQuality
+    );
+    files.push(...(await this._videoSidecarFiles(videoId)));
+
+    return this.save({
+      id: OfflineMedia.itemId('video', videoId),
+      title,
+      kind: 'video',
+      src: files[0].url,
+      files,
+    });
+  }
+
+  /**
+   * Files a video's thumbnail track and subtitle manifest refer to
+   * @private
+   * @param {string} videoId
+   * @returns {Promise<Array<Object>>}
+   */
+  async _videoSidecarFiles(videoId) {
+    if (typeof EnhancedVideoPlayer === 'undefined') {
+      return [];
+    }
+    const read = async url => {
+      try {
+        const response = await fetch(url);
+        return response.ok ? await response.text() : null;
+      } catch (_e) {
+        return null;
+      }
+    };
+    const files = [];
+
+    const thumbnailsUrl = MediaURLResolver.resolveVideoThumbnails(videoId);
+    const thumbnails = await read(thumbnailsUrl);
+    if (thumbnails) {
+      const sprites = new Set(
+        EnhancedVideoPlayer.parseThumbnailVTT(thumbnails, thumbnailsUrl).map(
+          cue => cue.url
+        )
+      );
+      sprites.forEach(url => files.push({ url, optional: true }));
+    }
+
+    const manifestUrl = MediaURLResolver.resolveVideoSubtitleManifest(videoId);
+    const manifest = await read(manifestUrl);
+    if (manifest) {
+      try {
+        EnhancedVideoPlayer.parseSubtitleManifest(
+          JSON.parse(manifest),
+          manifestUrl
+        ).forEach(track => files.push({ url: track.src, optional: true }));
+      } catch (_e) {
+        // Not JSON: no subtitles to save
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Stop a download in progress. Files it fetched are dropped.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async cancel(id) {
+    await this._send('CANCEL_OFFLINE', { id });
+  }
+
+  /**
+   * Unpin an item and delete the files no other saved item uses
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether the item was saved
+   */
+  async remove(id) {
+    const { success } = await this._send('REMOVE_OFFLINE', { id });
+    this.items.delete(id);
+    this.emit('change', { id, item: null });
+    return success;
+  }
+
+  /**
+   * Reload the saved items from the worker
+   * @returns {Promise<Array<Object>>} Saved items, most recently saved first
+   */
+  async refresh() {
+    const { items = [] } = await this._send('GET_OFFLINE_ITEMS');
+    this.items = new Map(items.map(item => [item.id, item]));
+    return this.getItems();
+  }
+
+  /**
+   * Saved items, most recently saved first
+   * @returns {Array<Object>} { id, title, kind, src, files, bytes, missing, savedAt }
+   */
+  getItems() {
+    return [...this.items.values()].sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} The saved item
+   */
+  getItem(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * Whether an item is saved with all its required files
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isSaved(id) {
+    const item = this.items.get(id);
+    return Boolean(item) && !item.missing?.length;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} { completed, total, bytes } while downloading
+   */
+  getProgress(id) {
+    return this.downloads.get(id) || null;
+  }
+
+  /**
+   * Storage used by the site against its quota
+   * @returns {Promise<Object>} { usage, quota, offlineBytes, persisted } (bytes, null when unknown)
+   */
+  async getStorageInfo() {
+    let info = null;
+    try {
+      info = await this._send('GET_STORAGE_ESTIMATE');
+    } catch (_e) {
+      // No worker: fall back to the page's estimate
+    }
+    if (!info) {
+      const estimate = (await navigator.storage?.estimate?.()) || {};
+      info = {
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null,
+        offlineBytes: null,
+      };
+    }
+
+    const persisted = (await navigator.storage?.persisted?.()) ?? false;
+    return { ...info, persisted };
+  }
+
+  /**
+   * Ask the browser not to clear saved media under storage pressure
+   * @returns {Promise<boolean>} Whether storage is persistent
+   */
+  async requestPersistence() {
+    try {
+      if (await navigator.storage?.persisted?.()) {
+        return true;
+      }
+      return Boolean(await navigator.storage?.persist?.());
+    } catch (_e) {
+      return false;
+    }
+  }
+
+  /**
+   * Register an event listener ('progress', 'change', 'error')
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Unregister an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function to remove
+   */
+  off(event, callback) {
+    const callbacks = this.listeners.get(event) || [];
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Data to pass to listeners
+   */
+  emit(event, data) {
+    (this.listeners.get(event) || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (err) {
+        console.error(`Error in OfflineMedia ${event} listener:`, err);
+      }
+    });
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.OfflineMedia = OfflineMedia;
+}
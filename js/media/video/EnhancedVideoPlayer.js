@@ -6,6 +6,19 @@
  * subtitle support, fullscreen, and event-based state management.
  * Reads configuration from ETCETER4_CONFIG.media.video.
  *
+ * With a thumbnail track (the thumbnails.vtt written by
+ * `scripts/transcode-video.js --thumbnails`), a scrub bar under the video
+ * previews the frame at the pointer: cues point at single images or at
+ * regions of a sprite sheet (`sprite.jpg#xywh=x,y,w,h`). Hover or drag with a
+ * mouse, or drag with a finger, and release to seek.
+ *
+ * Loading with a `videoId` saves the playback position through WatchProgress
+ * (when loaded) and offers to resume where the last visit stopped.
+ *
+ * HLS streams go through HLSLoader when it is loaded, which adds the quality
+ * cap (user-set or data saver) and the figures of the stats overlay
+ * (`toggleStats()`, or the "i" key).
+ *
  * @class EnhancedVideoPlayer
  * @example
  * const player = new EnhancedVideoPlayer({
@@ -26,10 +39,13 @@ class EnhancedVideoPlayer {
    * @param {boolean} [options.fullscreen=true] - Whether to allow fullscreen
    * @param {number} [options.volume=0.8] - Initial volume (0-1)
    * @param {Array<Object>} [options.chapters=[]] - Chapter markers
-   * @param {Array<Object>} [options.subtitles=[]] - Subtitle tracks
+   * @param {Array<Object>} [options.subtitles=[]] - Subtitle tracks ({ src, srclang, label, default })
+   * @param {string} [options.subtitleManifest=null] - Subtitle manifest URL, used when no tracks are given
    * @param {Array<string>} [options.qualities] - Quality options (e.g., ['1080p', '720p'])
    * @param {boolean} [options.hlsSupport=true] - Whether to enable HLS.js for .m3u8 streams
    * @param {string} [options.posterUrl=null] - Poster image URL
+   * @param {string} [options.thumbnails=null] - Thumbnail VTT URL for scrubbing previews
+   * @param {string} [options.videoId=null] - Id under which the playback position is saved
    */
   constructor(options = {}) {
     this.options = {
@@ -39,9 +55,12 @@ class EnhancedVideoPlayer {
       volume: 0.8,
       chapters: [],
       subtitles: [],
+      subtitleManifest: null,
       qualities: ['1080p', '720p', '480p', '360p'],
       hlsSupport: true,
       posterUrl: null,
+      thumbnails: null,
+      videoId: null,
       ...options,
     };
 
@@ -57,6 +76,7 @@ class EnhancedVideoPlayer {
     this.isFullscreen = false;
     this.isHls = false;
     this.hlsInstance = null;
+    this.hlsLoader = null;
     this.chapters = this.options.chapters;
     this.subtitleTracks = this.options.subtitles;
     this.currentSubtitleTrack = -1;
@@ -65,6 +85,37 @@ class EnhancedVideoPlayer {
     this.isPlaying = false;
     this.volume = this.options.volume;
 
+    // Scrubbing previews
+    this.thumbnails = []; // Cues { start, end, url, x, y, width, height }
+    this.scrubber = null; // Scrub bar element, created with the first thumbnails
+    this.isScrubbing = false;
+    this._thumbnailsLoadId = 0;
+
+    // Resume position
+    this.videoId = null;
+    this.resumePrompt = null;
+    this._detachWatchProgress = null;
+    this._onResumePromptClosed = null;
+    this._resumePromptTimer = null;
+
+    // Stats overlay
+    this.statsOverlay = null;
+    this._statsTimer = null;
+
+    // Subtitle rendering
+    this.subtitleDisplay = {
+      customRenderer: true,
+      size: 'medium',
+      background: 'translucent',
+      position: 'bottom',
+      ...(typeof window !== 'undefined' ? window.ETCETER4_CONFIG?.media?.video?.subtitleDisplay : null),
+    };
+    this.subtitleStyle = this.loadSubtitleStyle();
+    this.subtitleOverlay = null; // Cue overlay, created with the first custom-rendered track
+    this._activeTextTrack = null;
+    this._subtitlesLoadId = 0;
+    this.boundCueChange = () => this.renderSubtitleCues();
+
     // Event listeners storage
     this.eventListeners = {};
 
@@ -84,6 +135,193 @@ class EnhancedVideoPlayer {
     this.setupKeyboardShortcuts();
   }
 
+  /** Refresh period (ms) of the stats overlay */
+  static STATS_INTERVAL = 1000;
+
+  /** localStorage keys for the chosen subtitle language ('off' when disabled) and style */
+  static SUBTITLE_LANGUAGE_KEY = 'etceter4-video-subtitle-language';
+  static SUBTITLE_STYLE_KEY = 'etceter4-video-subtitle-style';
+
+  /** Subtitle style choices: text scale, background opacity and placement */
+  static SUBTITLE_SIZES = { small: 0.75, medium: 1, large: 1.25, 'x-large': 1.5 };
+  static SUBTITLE_BACKGROUNDS = { none: 0, translucent: 0.6, opaque: 1 };
+  static SUBTITLE_POSITIONS = ['bottom', 'top'];
+
+  /** Cue text height as a share of the video height, at medium size */
+  static SUBTITLE_FONT_SCALE = 0.045;
+
+  /** Preview size (px) for thumbnails that are whole images rather than sprite regions */
+  static THUMBNAIL_SIZE = { width: 160, height: 90 };
+
+  /**
+   * Parse a WebVTT timestamp ("hh:mm:ss.mmm" or "mm:ss.mmm")
+   * @param {string} timestamp
+   * @returns {number} Seconds, NaN when invalid
+   */
+  static parseVTTTime(timestamp) {
+    const match = String(timestamp).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/);
+    if (!match) {
+      return NaN;
+    }
+    return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + parseFloat(match[3]);
+  }
+
+  /**
+   * Parse a thumbnail WebVTT file. Each cue's payload is an image URL, relative
+   * to the VTT file, optionally with a `#xywh=x,y,w,h` sprite region.
+   * @param {string} text - VTT contents
+   * @param {string} [baseUrl] - URL of the VTT file, for resolving image URLs
+   * @returns {Array<Object>} Cues { start, end, url, x, y, width, height }, sorted by start
+   *   (x/y/width/height are null for whole images)
+   */
+  static parseThumbnailVTT(text, baseUrl = document.baseURI) {
+    const cues = [];
+
+    String(text)
+      .replace(/\r\n?/g, '\n')
+      .split(/\n{2,}/)
+      .forEach((block) => {
+        const lines = block.split('\n').map((line) => line.trim());
+        const timing = lines.findIndex((line) => line.includes('-->'));
+        const payload = lines[timing + 1];
+        if (timing === -1 || !payload) {
+          return;
+        }
+
+        const [startText, endText] = lines[timing].split('-->');
+        const start = EnhancedVideoPlayer.parseVTTTime(startText);
+        // Cue settings may follow the end time
+        const end = EnhancedVideoPlayer.parseVTTTime(endText.trim().split(/\s+/)[0]);
+        if (!Number.isFinite(start) || !Number.isFinite(end)) {
+          return;
+        }
+
+        const [path, fragment = ''] = payload.split('#');
+        const region = fragment.match(/^xywh=(?:pixel:)?(\d+),(\d+),(\d+),(\d+)$/);
+        cues.push({
+          start,
+          end,
+          url: new URL(path, new URL(baseUrl, document.baseURI)).href,
+          x: region ? Number(region[1]) : null,
+          y: region ? Number(region[2]) : null,
+          width: region ? Number(region[3]) : null,
+          height: region ? Number(region[4]) : null,
+        });
+      });
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Format seconds as m:ss or h:mm:ss
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+  }
+
+  /**
+   * Parse a subtitle manifest listing a video's languages. Entries are
+   * language codes or objects; tracks without a `src` follow the
+   * `subs-{language}.vtt` naming next to the manifest.
+   * @param {Object|Array} manifest - { tracks: [...] } or the track list itself
+   * @param {string} baseUrl - Manifest URL, against which sources are resolved
+   * @returns {Array<Object>} Tracks { src, srclang, label, kind, default }
+   * @example
+   * EnhancedVideoPlayer.parseSubtitleManifest(
+   *   { tracks: ['en', { language: 'el', label: 'Ελληνικά' }] },
+   *   'https://media.example.com/video/set/subtitles.json'
+   * );
+   * // => [{ src: '.../set/subs-en.vtt', srclang: 'en', label: 'English', ... },
+   * //     { src: '.../set/subs-el.vtt', srclang: 'el', label: 'Ελληνικά', ... }]
+   */
+  static parseSubtitleManifest(manifest, baseUrl) {
+    const entries = Array.isArray(manifest) ? manifest : manifest?.tracks || [];
+    const base = new URL(baseUrl, document.baseURI);
+    let displayNames = null;
+    try {
+      displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    } catch (_e) {
+      // Intl.DisplayNames not supported; labels fall back to the code
+    }
+
+    return entries
+      .map((entry) => (typeof entry === 'string' ? { language: entry } : entry))
+      .filter((entry) => entry && (entry.language || entry.srclang))
+      .map((entry) => {
+        const language = entry.language || entry.srclang;
+        let label = entry.label;
+        if (!label) {
+          try {
+            label = displayNames?.of(language);
+          } catch (_e) {
+            // Not a valid language tag
+          }
+        }
+        return {
+          src: new URL(entry.src || `subs-${language}.vtt`, base).href,
+          srclang: language,
+          label: label || language,
+          kind: entry.kind === 'captions' ? 'captions' : 'subtitles',
+          default: Boolean(entry.default),
+        };
+      });
+  }
+
+  /**
+   * Pick the track for the first preferred language that has one: an exact
+   * match, or failing that the same base language ('en-GB' for 'en-US').
+   * @param {Array<Object>} tracks - Tracks with `srclang`
+   * @param {ReadonlyArray<string>} [languages=navigator.languages] - Preferred languages, best first
+   * @returns {number} Track index, -1 when no language matches
+   */
+  static pickSubtitleTrack(
+    tracks,
+    languages = typeof navigator !== 'undefined' ? navigator.languages : []
+  ) {
+    const codes = tracks.map((track) => (track.srclang || '').toLowerCase());
+    const base = (code) => code.split('-')[0];
+
+    for (const language of languages || []) {
+      const wanted = language.toLowerCase();
+      const exact = codes.indexOf(wanted);
+      if (exact > -1) {
+        return exact;
+      }
+      const related = codes.findIndex((code) => code && base(code) === base(wanted));
+      if (related > -1) {
+        return related;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Apply valid style choices over a style
+   * @private
+   * @param {Object} style - Current style
+   * @param {Object} changes - Choices to apply; unknown values are ignored
+   * @returns {Object} New style
+   */
+  static validSubtitleStyle(style, changes) {
+    const next = { ...style };
+    if (Object.hasOwn(EnhancedVideoPlayer.SUBTITLE_SIZES, changes.size)) {
+      next.size = changes.size;
+    }
+    if (Object.hasOwn(EnhancedVideoPlayer.SUBTITLE_BACKGROUNDS, changes.background)) {
+      next.background = changes.background;
+    }
+    if (EnhancedVideoPlayer.SUBTITLE_POSITIONS.includes(changes.position)) {
+      next.position = changes.position;
+    }
+    return next;
+  }
+
   /**
    * Load configuration from global ETCETER4_CONFIG
    * @private
@@ -95,6 +333,7 @@ class EnhancedVideoPlayer {
         this.chapters = config.chapters;
       }
       if (config.subtitles) {
+        this.options.subtitles = config.subtitles;
         this.subtitleTracks = config.subtitles;
       }
       if (config.hlsSupport !== undefined) {
@@ -199,6 +438,7 @@ class EnhancedVideoPlayer {
         document.mozFullScreenElement ||
         document.msFullscreenElement
       );
+      this.layoutSubtitles();
       this.emit('fullscreenchange', { isFullscreen: this.isFullscreen });
     };
 
@@ -246,6 +486,10 @@ class EnhancedVideoPlayer {
         event.preventDefault();
         this.toggleMute();
         break;
+      case 'i':
+        event.preventDefault();
+        this.toggleStats();
+        break;
       case 'ArrowLeft':
         event.preventDefault();
         this.seekTo(this.currentTime - 5);
@@ -317,6 +561,9 @@ class EnhancedVideoPlayer {
    * @param {Object} [options={}] - Load options (can override constructor options)
    */
   load(videoUrl, options = {}) {
+    // Save where the previous video stopped before its position resets
+    this.stopWatchProgress();
+
     this.currentUrl = videoUrl;
     const mergedOptions = { ...this.options, ...options };
 
@@ -324,10 +571,7 @@ class EnhancedVideoPlayer {
     this.isHls = videoUrl.includes('.m3u8');
 
     // Stop any existing HLS instance
-    if (this.hlsInstance) {
-      this.hlsInstance.destroy();
-      this.hlsInstance = null;
-    }
+    this.destroyHls();
 
     if (this.isHls && mergedOptions.hlsSupport) {
       this.loadHlsStream(videoUrl);
@@ -342,24 +586,22 @@ class EnhancedVideoPlayer {
     this.currentTime = 0;
     this.isPlaying = false;
 
-    // Clear existing subtitle tracks
-    while (this.videoElement.firstChild) {
-      this.videoElement.removeChild(this.videoElement.firstChild);
+    // Replace the previous video's scrubbing previews
+    this.clearThumbnails();
+    if (mergedOptions.thumbnails) {
+      this.loadThumbnails(mergedOptions.thumbnails);
     }
 
-    // Add subtitle tracks
-    this.subtitleTracks.forEach((sub, index) => {
-      const track = document.createElement('track');
-      track.kind = 'subtitles';
-      track.src = sub.src;
-      track.srclang = sub.srclang || 'en';
-      track.label = sub.label || `Subtitle ${index + 1}`;
-      if (sub.default) {
-        track.default = true;
-        this.currentSubtitleTrack = index;
-      }
-      this.videoElement.appendChild(track);
-    });
+    if (mergedOptions.videoId) {
+      this.startWatchProgress(mergedOptions.videoId);
+    }
+
+    // Subtitle tracks given with the video, or discovered from its manifest
+    const subtitles = options.subtitles || this.options.subtitles;
+    this.setSubtitleTracks(subtitles);
+    if (!subtitles.length && mergedOptions.subtitleManifest) {
+      this.loadSubtitleManifest(mergedOptions.subtitleManifest);
+    }
 
     // Autoplay if requested
     if (mergedOptions.autoplay) {
@@ -375,6 +617,12 @@ class EnhancedVideoPlayer {
    * @param {string} url - HLS manifest URL (.m3u8)
    */
   loadHlsStream(url) {
+    // Prefer the HLSLoader adapter (quality caps, ABR stats)
+    if (typeof HLSLoader !== 'undefined') {
+      this.loadWithHlsLoader(url);
+      return;
+    }
+
     // Check if HLS.js is available
     if (typeof window !== 'undefined' && window.Hls) {
       const Hls = window.Hls;
@@ -455,6 +703,66 @@ class EnhancedVideoPlayer {
     }
   }
 
+  /**
+   * Load an HLS stream through HLSLoader
+   * @private
+   * @param {string} url - HLS manifest URL (.m3u8)
+   */
+  loadWithHlsLoader(url) {
+    const hlsConfig = window.ETCETER4_CONFIG?.media?.video?.hlsConfig || {};
+    this.hlsLoader = new HLSLoader(this.videoElement, hlsConfig);
+
+    if (!this.hlsLoader.canPlay()) {
+      // No HLS support at all, try direct loading
+      this.hlsLoader = null;
+      this.videoElement.src = url;
+      this.videoElement.load();
+      return;
+    }
+
+    this.hlsLoader.on('qualitiesAvailable', (qualities) => {
+      this.availableQualities = qualities;
+      this.emit('qualitiesavailable', { qualities });
+    });
+    this.hlsLoader.on('qualityChange', ({ quality, levelIndex }) => {
+      this.currentQuality = quality;
+      this.emit('qualitychange', { quality, levelIndex });
+    });
+    this.hlsLoader.on('qualityCapChange', (data) => {
+      this.emit('qualitycapchange', data);
+    });
+    this.hlsLoader.on('fragmentLoaded', () => {
+      this.emit('buffered');
+    });
+    this.hlsLoader.on('error', (data) => {
+      if (data.fatal) {
+        this.emit('error', { error: data });
+      }
+    });
+
+    this.hlsLoader.loadSource(url).catch((err) => {
+      console.error('HLS error:', err);
+    });
+    // HLS.js instance (null for native HLS), for quality switching
+    this.hlsInstance = this.hlsLoader.hls;
+  }
+
+  /**
+   * Destroy the HLS loader or HLS.js instance
+   * @private
+   */
+  destroyHls() {
+    if (this.hlsLoader) {
+      this.hlsLoader.destroy();
+      this.hlsLoader = null;
+      this.hlsInstance = null;
+    }
+    if (this.hlsInstance) {
+      this.hlsInstance.destroy();
+      this.hlsInstance = null;
+    }
+  }
+
   /**
    * Play the video
    * @returns {Promise<void>}
@@ -562,6 +870,31 @@ class EnhancedVideoPlayer {
     this.emit('qualitychange', { quality });
   }
 
+  /**
+   * Cap automatic quality at a height, remembered across visits. The
+   * data-saver policy may cap lower still.
+   * @param {number|null} height - Maximum height in pixels (e.g. 720), null to remove the cap
+   */
+  setQualityCap(height) {
+    if (this.hlsLoader) {
+      this.hlsLoader.setMaxHeight(height);
+    } else if (typeof HLSLoader !== 'undefined') {
+      // Applies from the next stream
+      HLSLoader.saveMaxHeight(height);
+    }
+  }
+
+  /**
+   * Get the user's quality cap
+   * @returns {number|null} Maximum height in pixels
+   */
+  getQualityCap() {
+    if (this.hlsLoader) {
+      return this.hlsLoader.getMaxHeight();
+    }
+    return typeof HLSLoader !== 'undefined' ? HLSLoader.loadMaxHeight() : null;
+  }
+
   /**
    * Get available quality levels
    * @returns {Array<Object>} Array of quality level objects
@@ -588,18 +921,136 @@ class EnhancedVideoPlayer {
   }
 
   /**
-   * Set the active subtitle track
+   * Load a video's subtitle languages from its manifest and switch to the
+   * preferred one. A missing manifest just means no subtitles.
+   * @param {string} url - Manifest URL (see parseSubtitleManifest)
+   * @returns {Promise<Array<Object>>} The subtitle tracks
+   */
+  async loadSubtitleManifest(url) {
+    const loadId = ++this._subtitlesLoadId;
+
+    try {
+      const response = await fetch(url);
+      if (response.status === 404) {
+        return this.subtitleTracks;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const tracks = EnhancedVideoPlayer.parseSubtitleManifest(await response.json(), url);
+      if (loadId !== this._subtitlesLoadId || !this.videoElement) {
+        return [];
+      }
+      this.setSubtitleTracks(tracks);
+    } catch (err) {
+      console.warn('EnhancedVideoPlayer: Could not load subtitle manifest', err);
+    }
+
+    return this.subtitleTracks;
+  }
+
+  /**
+   * Replace the subtitle tracks and switch to the preferred language: the
+   * one last chosen, else the first of navigator.languages on offer, else
+   * a track marked default
+   * @param {Array<Object>} tracks - Tracks { src, srclang, label, kind, default }
+   */
+  setSubtitleTracks(tracks) {
+    this._subtitlesLoadId++;
+    this.setSubtitle(-1, { remember: false, silent: true });
+    this.videoElement.querySelectorAll('track').forEach((element) => element.remove());
+
+    this.subtitleTracks = tracks;
+    tracks.forEach((sub, index) => {
+      const track = document.createElement('track');
+      track.kind = sub.kind || 'subtitles';
+      track.src = sub.src;
+      track.srclang = sub.srclang || 'en';
+      track.label = sub.label || `Subtitle ${index + 1}`;
+      this.videoElement.appendChild(track);
+    });
+
+    if (tracks.length) {
+      this.setSubtitle(this.choosePreferredSubtitle(), { remember: false });
+    }
+    this.emit('subtitlesloaded', { tracks, trackIndex: this.currentSubtitleTrack });
+  }
+
+  /**
+   * Index of the subtitle track to show by default
+   * @private
+   * @returns {number} Track index (-1 for none)
+   */
+  choosePreferredSubtitle() {
+    const saved = this.loadSubtitleLanguage();
+    if (saved === 'off') {
+      return -1;
+    }
+
+    const languages = typeof navigator !== 'undefined' ? [...(navigator.languages || [])] : [];
+    const index = EnhancedVideoPlayer.pickSubtitleTrack(
+      this.subtitleTracks,
+      saved ? [saved, ...languages] : languages
+    );
+    return index > -1 ? index : this.subtitleTracks.findIndex((sub) => sub.default);
+  }
+
+  /**
+   * Get the TextTrack behind a subtitle track
+   * @private
+   * @param {number} index - Subtitle track index
+   * @returns {TextTrack|null}
+   */
+  getTextTrack(index) {
+    const element = this.videoElement.querySelectorAll('track')[index];
+    if (!element) {
+      return null;
+    }
+    return element.track || this.videoElement.textTracks?.[index] || null;
+  }
+
+  /**
+   * Set the active subtitle track. Its language is remembered for other videos.
    * @param {number} trackIndex - Index of subtitle track (-1 to disable)
+   * @param {Object} [options]
+   * @param {boolean} [options.remember=true] - Save the choice as the preferred language
+   * @param {boolean} [options.silent=false] - Skip the 'subtitlechange' event
    */
-  setSubtitle(trackIndex) {
-    const tracks = this.videoElement.textTracks;
+  setSubtitle(trackIndex, { remember = true, silent = false } = {}) {
+    if (this._activeTextTrack) {
+      this._activeTextTrack.removeEventListener('cuechange', this.boundCueChange);
+      this._activeTextTrack = null;
+    }
+
+    const customRenderer = this.subtitleDisplay.customRenderer;
+    const count = this.videoElement.querySelectorAll('track').length;
+    const active = trackIndex >= 0 && trackIndex < count ? trackIndex : -1;
 
-    for (let i = 0; i < tracks.length; i++) {
-      tracks[i].mode = i === trackIndex ? 'showing' : 'hidden';
+    for (let i = 0; i < count; i++) {
+      const textTrack = this.getTextTrack(i);
+      if (!textTrack) {
+        continue;
+      }
+      if (i !== active) {
+        textTrack.mode = 'disabled';
+      } else if (customRenderer) {
+        // Hidden tracks still load cues and fire cuechange, without native rendering
+        textTrack.mode = 'hidden';
+        textTrack.addEventListener('cuechange', this.boundCueChange);
+        this._activeTextTrack = textTrack;
+      } else {
+        textTrack.mode = 'showing';
+      }
     }
 
-    this.currentSubtitleTrack = trackIndex;
-    this.emit('subtitlechange', { trackIndex });
+    this.currentSubtitleTrack = active;
+    if (remember) {
+      this.saveSubtitleLanguage(active > -1 ? this.subtitleTracks[active].srclang : 'off');
+    }
+    this.renderSubtitleCues();
+    if (!silent) {
+      this.emit('subtitlechange', { trackIndex: active });
+    }
   }
 
   /**
@@ -618,6 +1069,150 @@ class EnhancedVideoPlayer {
     return this.currentSubtitleTrack;
   }
 
+  /**
+   * Read the preferred subtitle language from localStorage
+   * @private
+   * @returns {string|null} Language code, 'off', or null when never chosen
+   */
+  loadSubtitleLanguage() {
+    try {
+      return localStorage.getItem(EnhancedVideoPlayer.SUBTITLE_LANGUAGE_KEY);
+    } catch (_e) {
+      // localStorage not available
+      return null;
+    }
+  }
+
+  /**
+   * Save the preferred subtitle language to localStorage
+   * @private
+   * @param {string} language - Language code or 'off'
+   */
+  saveSubtitleLanguage(language) {
+    try {
+      localStorage.setItem(EnhancedVideoPlayer.SUBTITLE_LANGUAGE_KEY, language);
+    } catch (_e) {
+      // localStorage not available
+    }
+  }
+
+  /**
+   * Read the subtitle style from localStorage over the configured defaults
+   * @private
+   * @returns {Object} { size, background, position }
+   */
+  loadSubtitleStyle() {
+    const { size, background, position } = this.subtitleDisplay;
+    let saved = {};
+    try {
+      saved =
+        JSON.parse(localStorage.getItem(EnhancedVideoPlayer.SUBTITLE_STYLE_KEY)) || {};
+    } catch (_e) {
+      // localStorage not available or corrupt
+    }
+    return EnhancedVideoPlayer.validSubtitleStyle({ size, background, position }, saved);
+  }
+
+  /**
+   * Change how subtitles look. The style is saved for later visits.
+   * @param {Object} style
+   * @param {string} [style.size] - 'small', 'medium', 'large' or 'x-large'
+   * @param {string} [style.background] - 'none', 'translucent' or 'opaque'
+   * @param {string} [style.position] - 'bottom' or 'top'
+   * @returns {Object} The resulting style
+   */
+  setSubtitleStyle(style) {
+    this.subtitleStyle = EnhancedVideoPlayer.validSubtitleStyle(
+      this.subtitleStyle,
+      style || {}
+    );
+    try {
+      localStorage.setItem(
+        EnhancedVideoPlayer.SUBTITLE_STYLE_KEY,
+        JSON.stringify(this.subtitleStyle)
+      );
+    } catch (_e) {
+      // localStorage not available
+    }
+
+    this.layoutSubtitles();
+    this.emit('subtitlestylechange', { style: this.getSubtitleStyle() });
+    return this.getSubtitleStyle();
+  }
+
+  /**
+   * Get the subtitle style
+   * @returns {Object} { size, background, position }
+   */
+  getSubtitleStyle() {
+    return { ...this.subtitleStyle };
+  }
+
+  /**
+   * Draw the active cues of the current track over the video, so subtitles
+   * look the same in every browser
+   * @private
+   */
+  renderSubtitleCues() {
+    const activeCues = this._activeTextTrack?.activeCues;
+    const cues = activeCues ? Array.from(activeCues) : [];
+    if (!cues.length && !this.subtitleOverlay) {
+      return;
+    }
+
+    if (!this.subtitleOverlay) {
+      this.subtitleOverlay = document.createElement('div');
+      this.subtitleOverlay.className = 'video-subtitles';
+      this.container.appendChild(this.subtitleOverlay);
+    }
+
+    this.subtitleOverlay.replaceChildren(
+      ...cues.map((cue) => {
+        const line = document.createElement('span');
+        line.className = 'video-subtitle-text';
+        // getCueAsHTML() only produces WebVTT markup (b, i, u, ruby, spans), never script
+        if (typeof cue.getCueAsHTML === 'function') {
+          line.appendChild(cue.getCueAsHTML());
+        } else {
+          line.textContent = String(cue.text || '').replace(/<[^>]*>/g, '');
+        }
+        return line;
+      })
+    );
+    this.subtitleOverlay.hidden = cues.length === 0;
+    this.layoutSubtitles();
+  }
+
+  /**
+   * Fit the subtitle overlay to the video and apply the style
+   * @private
+   */
+  layoutSubtitles() {
+    if (!this.subtitleOverlay || !this.videoElement) {
+      return;
+    }
+
+    const video = this.videoElement;
+    const { size, background, position } = this.subtitleStyle;
+    const fontSize =
+      video.offsetHeight *
+      EnhancedVideoPlayer.SUBTITLE_FONT_SCALE *
+      EnhancedVideoPlayer.SUBTITLE_SIZES[size];
+
+    Object.assign(this.subtitleOverlay.style, {
+      left: `${video.offsetLeft}px`,
+      top: `${video.offsetTop}px`,
+      width: `${video.offsetWidth}px`,
+      height: `${video.offsetHeight}px`,
+      fontSize: `${Math.max(12, Math.round(fontSize))}px`,
+    });
+    this.subtitleOverlay.style.setProperty(
+      '--video-subtitle-background',
+      `rgba(0, 0, 0, ${EnhancedVideoPlayer.SUBTITLE_BACKGROUNDS[background]})`
+    );
+    this.subtitleOverlay.classList.toggle('video-subtitles--top', position === 'top');
+  }
+
   /**
    * Enter fullscreen mode
    */
@@ -761,6 +1356,465 @@ class EnhancedVideoPlayer {
     }
   }
 
+  /**
+   * Load a thumbnail VTT and show the scrub bar with previews
+   * @param {string} url - Thumbnail VTT URL (see MediaURLResolver.resolveVideoThumbnails)
+   * @returns {Promise<Array<Object>>} Parsed cues (empty on failure)
+   */
+  async loadThumbnails(url) {
+    const loadId = ++this._thumbnailsLoadId;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const cues = EnhancedVideoPlayer.parseThumbnailVTT(await response.text(), url);
+      if (loadId !== this._thumbnailsLoadId || !this.videoElement) {
+        return [];
+      }
+
+      this.thumbnails = cues;
+      this.createScrubber();
+      this.scrubber.hidden = cues.length === 0;
+      this.updateScrubber();
+      this.emit('thumbnailsloaded', { count: cues.length });
+    } catch (err) {
+      console.warn('EnhancedVideoPlayer: Could not load thumbnails', err);
+    }
+
+    return this.thumbnails;
+  }
+
+  /**
+   * Drop the thumbnails and hide the scrub bar
+   */
+  clearThumbnails() {
+    this._thumbnailsLoadId++;
+    this.thumbnails = [];
+    this.hidePreview();
+    if (this.scrubber) {
+      this.scrubber.hidden = true;
+    }
+  }
+
+  /**
+   * Find the thumbnail for a time
+   * @param {number} time - Time in seconds
+   * @returns {Object|null} Thumbnail cue
+   */
+  getThumbnailAt(time) {
+    let low = 0;
+    let high = this.thumbnails.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const cue = this.thumbnails[mid];
+      if (time < cue.start) {
+        high = mid - 1;
+      } else if (time >= cue.end) {
+        low = mid + 1;
+      } else {
+        return cue;
+      }
+    }
+    // Past the last cue (durations are rounded), keep showing the last frame
+    const last = this.thumbnails[this.thumbnails.length - 1];
+    return last && time >= last.start ? last : null;
+  }
+
+  /**
+   * Show the preview for a point of the scrub bar
+   * @param {number} clientX - Viewport x coordinate
+   * @returns {number|null} Previewed time in seconds, null without a duration
+   */
+  showPreviewAt(clientX) {
+    if (!this.scrubber || !(this.duration > 0)) {
+      return null;
+    }
+
+    const rect = this.scrubber.getBoundingClientRect();
+    const fraction = rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0;
+    const time = fraction * this.duration;
+    const thumbnail = this.getThumbnailAt(time);
+    const isSprite = thumbnail?.width !== null && thumbnail?.width !== undefined;
+    const { width, height } = isSprite ? thumbnail : EnhancedVideoPlayer.THUMBNAIL_SIZE;
+
+    const image = this.scrubber.querySelector('.video-thumbnail-image');
+    image.style.display = thumbnail ? 'block' : 'none';
+    if (thumbnail) {
+      image.style.width = `${width}px`;
+      image.style.height = `${height}px`;
+      image.style.backgroundImage = `url("${thumbnail.url}")`;
+      image.style.backgroundPosition = isSprite ? `${-thumbnail.x}px ${-thumbnail.y}px` : 'center';
+      image.style.backgroundSize = isSprite ? 'auto' : 'cover';
+    }
+    this.scrubber.querySelector('.video-thumbnail-time').textContent = EnhancedVideoPlayer.formatTime(time);
+
+    // Centre the preview on the pointer without leaving the bar
+    const preview = this.scrubber.querySelector('.video-thumbnail-preview');
+    const left = Math.max(0, Math.min(rect.width - width, fraction * rect.width - width / 2));
+    preview.style.left = `${left}px`;
+    this.scrubber.classList.add('is-previewing');
+
+    this.emit('thumbnailpreview', { time, thumbnail });
+    return time;
+  }
+
+  /**
+   * Hide the preview
+   */
+  hidePreview() {
+    this.scrubber?.classList.remove('is-previewing');
+  }
+
+  /**
+   * Create the scrub bar under the video
+   * @private
+   */
+  createScrubber() {
+    if (this.scrubber) {
+      return;
+    }
+
+    this.scrubber = document.createElement('div');
+    this.scrubber.className = 'video-progress-container et-video-scrubber';
+    this.scrubber.tabIndex = 0;
+    this.scrubber.setAttribute('role', 'slider');
+    this.scrubber.setAttribute('aria-label', 'Seek with preview');
+    this.scrubber.setAttribute('aria-valuemin', '0');
+    this.scrubber.innerHTML = `
+      <div class="video-progress-bar"></div>
+      <div class="video-thumbnail-preview" aria-hidden="true">
+        <div class="video-thumbnail-image"></div>
+        <span class="video-thumbnail-time"></span>
+      </div>
+    `;
+
+    // Mouse: hover previews, press and drag to scrub, release to seek
+    // (while dragging, the document follows the pointer off the bar)
+    this.boundScrubMouseMove = (event) => this.showPreviewAt(event.clientX);
+    this.boundScrubMouseUp = (event) => this.endScrub(event.clientX);
+    this.scrubber.addEventListener('mousemove', (event) => {
+      if (!this.isScrubbing) {
+        this.showPreviewAt(event.clientX);
+      }
+    });
+    this.scrubber.addEventListener('mouseleave', () => {
+      if (!this.isScrubbing) {
+        this.hidePreview();
+      }
+    });
+    this.scrubber.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      this.startScrub(event.clientX);
+      document.addEventListener('mousemove', this.boundScrubMouseMove);
+      document.addEventListener('mouseup', this.boundScrubMouseUp);
+    });
+
+    // Touch: drag a finger along the bar, lift to seek
+    this.scrubber.addEventListener(
+      'touchstart',
+      (event) => {
+        event.preventDefault();
+        this.startScrub(event.touches[0].clientX);
+      },
+      { passive: false }
+    );
+    this.scrubber.addEventListener(
+      'touchmove',
+      (event) => {
+        event.preventDefault();
+        this.showPreviewAt(event.touches[0].clientX);
+      },
+      { passive: false }
+    );
+    this.scrubber.addEventListener('touchend', (event) => {
+      this.endScrub(event.changedTouches[0].clientX);
+    });
+    this.scrubber.addEventListener('touchcancel', () => {
+      this.isScrubbing = false;
+      this.hidePreview();
+    });
+
+    this.boundUpdateScrubber = () => this.updateScrubber();
+    this.on('timeupdate', this.boundUpdateScrubber);
+    this.on('loadedmetadata', this.boundUpdateScrubber);
+
+    this.container.appendChild(this.scrubber);
+  }
+
+  /**
+   * Begin a drag along the scrub bar
+   * @private
+   * @param {number} clientX
+   */
+  startScrub(clientX) {
+    this.isScrubbing = true;
+    this.showPreviewAt(clientX);
+    this.emit('scrubstart');
+  }
+
+  /**
+   * Finish a drag and seek to where it ended
+   * @private
+   * @param {number} clientX
+   */
+  endScrub(clientX) {
+    document.removeEventListener('mousemove', this.boundScrubMouseMove);
+    document.removeEventListener('mouseup', this.boundScrubMouseUp);
+    if (!this.isScrubbing) {
+      return;
+    }
+
+    this.isScrubbing = false;
+    const time = this.showPreviewAt(clientX);
+    this.hidePreview();
+    if (time !== null) {
+      this.seekTo(time);
+    }
+    this.emit('scrubend', { time });
+  }
+
+  /**
+   * Reflect the playback position on the scrub bar
+   * @private
+   */
+  updateScrubber() {
+    if (!this.scrubber) {
+      return;
+    }
+    const percent = this.duration > 0 ? (this.currentTime / this.duration) * 100 : 0;
+    this.scrubber.querySelector('.video-progress-bar').style.width = `${percent}%`;
+    this.scrubber.setAttribute('aria-valuemax', String(Math.floor(this.duration || 0)));
+    this.scrubber.setAttribute('aria-valuenow', String(Math.floor(this.currentTime)));
+    this.scrubber.setAttribute('aria-valuetext', EnhancedVideoPlayer.formatTime(this.currentTime));
+  }
+
+  /**
+   * Save this video's position as it plays and offer to resume a saved one
+   * @private
+   * @param {string} videoId
+   */
+  startWatchProgress(videoId) {
+    if (typeof WatchProgress === 'undefined') {
+      return;
+    }
+    const progress = WatchProgress.getInstance();
+    if (progress.config.enabled === false) {
+      return;
+    }
+
+    this.videoId = videoId;
+    const follow = () => {
+      this._detachWatchProgress = progress.attach(this, videoId);
+    };
+
+    // Keep the saved position until the visitor answers the prompt
+    const position = progress.getResumePosition(videoId);
+    if (position !== null) {
+      this.showResumePrompt(position);
+      this._onResumePromptClosed = follow;
+    } else {
+      follow();
+    }
+  }
+
+  /**
+   * Save the current position and stop following it
+   * @private
+   */
+  stopWatchProgress() {
+    // Leaving before answering the prompt keeps the saved position
+    this._onResumePromptClosed = null;
+    this.hideResumePrompt();
+    if (this._detachWatchProgress) {
+      this._detachWatchProgress();
+      this._detachWatchProgress = null;
+    }
+    this.videoId = null;
+  }
+
+  /**
+   * Offer to resume from a saved position ("Resume from 12:34?")
+   * @param {number} position - Seconds
+   */
+  showResumePrompt(position) {
+    this.hideResumePrompt();
+
+    this.resumePrompt = document.createElement('div');
+    this.resumePrompt.className = 'video-resume-prompt';
+    this.resumePrompt.setAttribute('role', 'group');
+    this.resumePrompt.setAttribute('aria-label', 'Resume playback');
+    this.resumePrompt.innerHTML = `
+      <span class="video-resume-text">Resume from ${EnhancedVideoPlayer.formatTime(position)}?</span>
+      <button type="button" class="video-resume-btn" data-action="resume">Resume</button>
+      <button type="button" class="video-resume-btn" data-action="restart">Start over</button>
+    `;
+    this.resumePrompt.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-action]')?.dataset.action;
+      if (action === 'resume') {
+        this.seekTo(position);
+        this.emit('resume', { position });
+      }
+      if (action) {
+        this.hideResumePrompt();
+      }
+    });
+
+    // Under the video, above the scrub bar
+    this.videoElement.after(this.resumePrompt);
+
+    const timeout = window.ETCETER4_CONFIG?.media?.video?.resume?.promptTimeout ?? 15000;
+    if (timeout > 0) {
+      this._resumePromptTimer = setTimeout(() => this.hideResumePrompt(), timeout);
+    }
+
+    this.emit('resumeprompt', { position });
+  }
+
+  /**
+   * Remove the resume prompt
+   */
+  hideResumePrompt() {
+    clearTimeout(this._resumePromptTimer);
+    this._resumePromptTimer = null;
+    if (this.resumePrompt) {
+      this.resumePrompt.remove();
+      this.resumePrompt = null;
+    }
+
+    const closed = this._onResumePromptClosed;
+    this._onResumePromptClosed = null;
+    closed?.();
+  }
+
+  /**
+   * Get playback statistics: adaptive bitrate figures from HLSLoader plus
+   * the video element's buffer and frame counts
+   * @returns {Object} { level, levelName, levelCount, bitrate, bandwidthEstimate, autoLevel,
+   *   maxHeight, dataSaver, resolution, bufferLength, droppedFrames, totalFrames }
+   */
+  getStats() {
+    const video = this.videoElement;
+    const quality = video?.getVideoPlaybackQuality?.();
+    const buffered = this.getBufferedRanges().find(
+      (range) => range.start <= this.currentTime && this.currentTime <= range.end
+    );
+
+    return {
+      level: null,
+      levelName: null,
+      levelCount: 0,
+      bitrate: null,
+      bandwidthEstimate: null,
+      autoLevel: null,
+      maxHeight: null,
+      dataSaver: false,
+      ...(this.hlsLoader ? this.hlsLoader.getStats() : {}),
+      resolution: video?.videoWidth ? `${video.videoWidth}x${video.videoHeight}` : null,
+      bufferLength: buffered ? buffered.end - this.currentTime : 0,
+      droppedFrames: quality ? quality.droppedVideoFrames : null,
+      totalFrames: quality ? quality.totalVideoFrames : null,
+    };
+  }
+
+  /**
+   * Format a bit rate
+   * @param {number} bitsPerSecond
+   * @returns {string} e.g. "2.5 Mbps" ("–" when unknown)
+   */
+  static formatBitrate(bitsPerSecond) {
+    if (!(bitsPerSecond > 0)) {
+      return '–';
+    }
+    if (bitsPerSecond >= 1e6) {
+      return `${(bitsPerSecond / 1e6).toFixed(1)} Mbps`;
+    }
+    return `${Math.round(bitsPerSecond / 1e3)} kbps`;
+  }
+
+  /**
+   * Show or hide the stats overlay
+   */
+  toggleStats() {
+    if (this.statsOverlay) {
+      this.hideStats();
+    } else {
+      this.showStats();
+    }
+  }
+
+  /**
+   * Show the stats overlay ("stats for nerds") over the video
+   */
+  showStats() {
+    if (this.statsOverlay || !this.videoElement) {
+      return;
+    }
+
+    this.statsOverlay = document.createElement('div');
+    this.statsOverlay.className = 'video-stats-overlay';
+    this.statsOverlay.innerHTML = `
+      <button type="button" class="video-stats-close" aria-label="Close stats">×</button>
+      <dl class="video-stats-list"></dl>
+    `;
+    this.statsOverlay
+      .querySelector('.video-stats-close')
+      .addEventListener('click', () => this.hideStats());
+    this.container.appendChild(this.statsOverlay);
+
+    this.updateStats();
+    this._statsTimer = setInterval(() => this.updateStats(), EnhancedVideoPlayer.STATS_INTERVAL);
+    this.emit('statsshow');
+  }
+
+  /**
+   * Hide the stats overlay
+   */
+  hideStats() {
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+    if (this.statsOverlay) {
+      this.statsOverlay.remove();
+      this.statsOverlay = null;
+      this.emit('statshide');
+    }
+  }
+
+  /**
+   * Refresh the stats overlay
+   * @private
+   */
+  updateStats() {
+    if (!this.statsOverlay) {
+      return;
+    }
+
+    const stats = this.getStats();
+    let level = stats.levelName || (this.isHls ? 'Auto' : 'Direct');
+    if (stats.level !== null) {
+      level += ` (${stats.level + 1}/${stats.levelCount}${stats.autoLevel ? ', auto' : ''})`;
+    }
+    let cap = stats.maxHeight ? `${stats.maxHeight}p` : 'None';
+    if (stats.dataSaver) {
+      cap += ' (data saver)';
+    }
+    const frames = stats.droppedFrames === null ? '–' : `${stats.droppedFrames} / ${stats.totalFrames}`;
+    const rows = [
+      ['Level', level],
+      ['Resolution', stats.resolution || '–'],
+      ['Bitrate', EnhancedVideoPlayer.formatBitrate(stats.bitrate)],
+      ['Bandwidth', EnhancedVideoPlayer.formatBitrate(stats.bandwidthEstimate)],
+      ['Buffer', `${stats.bufferLength.toFixed(1)} s`],
+      ['Dropped frames', frames],
+      ['Quality cap', cap],
+    ];
+
+    this.statsOverlay.querySelector('.video-stats-list').innerHTML = rows
+      .map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`)
+      .join('');
+  }
+
   /**
    * Get complete player state
    * @returns {Object} Player state object
@@ -780,6 +1834,7 @@ class EnhancedVideoPlayer {
       subtitleTracks: this.subtitleTracks,
       chapters: this.chapters,
       isHls: this.isHls,
+      videoId: this.videoId,
     };
   }
 
@@ -832,6 +1887,9 @@ class EnhancedVideoPlayer {
    * Clean up resources and remove all listeners
    */
   dispose() {
+    // Save the position before the video element is cleared
+    this.stopWatchProgress();
+
     // Remove keyboard handler
     if (this.boundKeydownHandler) {
       document.removeEventListener('keydown', this.boundKeydownHandler);
@@ -845,9 +1903,28 @@ class EnhancedVideoPlayer {
     }
 
     // Destroy HLS instance
-    if (this.hlsInstance) {
-      this.hlsInstance.destroy();
-      this.hlsInstance = null;
+    this.destroyHls();
+    this.hideStats();
+
+    // Remove the scrub bar
+    this._thumbnailsLoadId++;
+    if (this.scrubber) {
+      document.removeEventListener('mousemove', this.boundScrubMouseMove);
+      document.removeEventListener('mouseup', this.boundScrubMouseUp);
+      this.scrubber.remove();
+      this.scrubber = null;
+    }
+    this.thumbnails = [];
+
+    // Remove the subtitle overlay
+    this._subtitlesLoadId++;
+    if (this._activeTextTrack) {
+      this._activeTextTrack.removeEventListener('cuechange', this.boundCueChange);
+      this._activeTextTrack = null;
+    }
+    if (this.subtitleOverlay) {
+      this.subtitleOverlay.remove();
+      this.subtitleOverlay = null;
     }
 
     // Clear event listeners
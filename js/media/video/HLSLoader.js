@@ -6,14 +6,53 @@
  * Provides a simplified interface for loading HLS streams,
  * managing quality levels, and handling HLS-specific events.
  *
+ * Adaptive bitrate policy: automatic quality selection can be capped to a
+ * maximum height, set by the user (persisted in localStorage) or by the
+ * data-saver policy when the connection asks to save data or is metered
+ * (ETCETER4_CONFIG.media.video.abr). The lower of the two caps applies.
+ *
  * @class HLSLoader
  * @example
  * const video = document.querySelector('video');
  * const loader = new HLSLoader(video);
  * await loader.loadSource('https://media.etceter4.com/video/stream/master.m3u8');
  * loader.on('qualitiesAvailable', (qualities) => console.log(qualities));
+ * loader.setMaxHeight(720); // Never pick above 720p, remembered across visits
  */
 class HLSLoader {
+  /** localStorage key of the user's quality cap */
+  static MAX_HEIGHT_KEY = 'etceter4-video-max-height';
+
+  /**
+   * Read the user's saved quality cap
+   * @returns {number|null} Maximum height in pixels, null when uncapped
+   */
+  static loadMaxHeight() {
+    try {
+      const height = parseInt(localStorage.getItem(HLSLoader.MAX_HEIGHT_KEY), 10);
+      return height > 0 ? height : null;
+    } catch (_e) {
+      // localStorage not available
+      return null;
+    }
+  }
+
+  /**
+   * Save the user's quality cap
+   * @param {number|null} height - Maximum height in pixels, null to remove the cap
+   */
+  static saveMaxHeight(height) {
+    try {
+      if (height > 0) {
+        localStorage.setItem(HLSLoader.MAX_HEIGHT_KEY, String(height));
+      } else {
+        localStorage.removeItem(HLSLoader.MAX_HEIGHT_KEY);
+      }
+    } catch (_e) {
+      // localStorage not available
+    }
+  }
+
   /**
    * Create an HLSLoader instance
    * @param {HTMLVideoElement} videoElement - The video element to attach to
@@ -33,6 +72,17 @@ class HLSLoader {
     this.isLoaded = false;
     this.currentUrl = null;
 
+    // Quality caps (heights in pixels, null = uncapped)
+    this.maxHeight = HLSLoader.loadMaxHeight();
+    this.dataSaver = false;
+    this.policy = {
+      dataSaver: true,
+      dataSaverMaxHeight: 480,
+      meteredConnectionTypes: ['cellular'],
+      slowEffectiveTypes: ['slow-2g', '2g'],
+      ...(window.ETCETER4_CONFIG?.media?.video?.abr || {}),
+    };
+
     // Event listeners
     this.eventListeners = {};
 
@@ -50,6 +100,12 @@ class HLSLoader {
 
     // Check HLS.js support
     this.checkSupport();
+
+    // Re-apply the caps when the connection changes (e.g. Wi-Fi to cellular)
+    this.connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+    this.dataSaver = this.isDataSaverActive();
+    this.boundConnectionChange = () => this.applyQualityPolicy();
+    this.connection?.addEventListener?.('change', this.boundConnectionChange);
   }
 
   /**
@@ -118,6 +174,7 @@ class HLSLoader {
       }));
 
       this.isLoaded = true;
+      this.applyQualityPolicy();
       this.emit('qualitiesAvailable', this.availableQualities);
       this.emit('manifestParsed', data);
       resolve();
@@ -288,6 +345,104 @@ class HLSLoader {
     }
   }
 
+  /**
+   * Whether the data-saver policy applies to the current connection: the
+   * browser asks to save data, or the connection is metered or slow
+   * @returns {boolean}
+   */
+  isDataSaverActive() {
+    const connection = this.connection;
+    if (!this.policy.dataSaver || !connection) {
+      return false;
+    }
+    return (
+      connection.saveData === true ||
+      this.policy.meteredConnectionTypes.includes(connection.type) ||
+      this.policy.slowEffectiveTypes.includes(connection.effectiveType)
+    );
+  }
+
+  /**
+   * Cap automatic quality selection at a height, and remember it
+   * @param {number|null} height - Maximum height in pixels (e.g. 720), null to remove the cap
+   */
+  setMaxHeight(height) {
+    this.maxHeight = height > 0 ? height : null;
+    HLSLoader.saveMaxHeight(this.maxHeight);
+    this.applyQualityPolicy();
+  }
+
+  /**
+   * Get the user's quality cap
+   * @returns {number|null} Maximum height in pixels
+   */
+  getMaxHeight() {
+    return this.maxHeight;
+  }
+
+  /**
+   * Get the cap in force: the lower of the user's and the data-saver one
+   * @returns {number|null} Maximum height in pixels, null when uncapped
+   */
+  getEffectiveMaxHeight() {
+    const caps = [this.maxHeight, this.dataSaver ? this.policy.dataSaverMaxHeight : null].filter(
+      (height) => height > 0
+    );
+    return caps.length > 0 ? Math.min(...caps) : null;
+  }
+
+  /**
+   * Find the highest level no taller than a height
+   * @param {number} height - Maximum height in pixels
+   * @returns {number} Level index (the lowest level when all are taller)
+   */
+  getLevelIndexForHeight(height) {
+    const byHeight = (this.hls?.levels || [])
+      .map((level, index) => ({ height: level.height, index }))
+      .sort((a, b) => a.height - b.height);
+    const fitting = byHeight.filter((level) => level.height <= height);
+    const chosen = fitting.length > 0 ? fitting[fitting.length - 1] : byHeight[0];
+    return chosen ? chosen.index : -1;
+  }
+
+  /**
+   * Re-evaluate the data-saver policy and apply the cap in force
+   */
+  applyQualityPolicy() {
+    this.dataSaver = this.isDataSaverActive();
+    const maxHeight = this.getEffectiveMaxHeight();
+
+    if (this.hls?.levels?.length) {
+      this.setMaxQuality(maxHeight === null ? -1 : this.getLevelIndexForHeight(maxHeight));
+    }
+
+    this.emit('qualityCapChange', {
+      maxHeight,
+      userMaxHeight: this.maxHeight,
+      dataSaver: this.dataSaver,
+    });
+  }
+
+  /**
+   * Get adaptive bitrate statistics
+   * @returns {Object} { level, levelName, levelCount, bitrate, autoLevel, nextAutoLevel,
+   *   bandwidthEstimate, maxHeight, dataSaver } (level fields null without HLS.js)
+   */
+  getStats() {
+    const level = this.hls ? this.hls.levels[this.hls.currentLevel] : null;
+    return {
+      level: level ? this.hls.currentLevel : null,
+      levelName: level?.height ? `${level.height}p` : null,
+      levelCount: this.hls ? this.hls.levels.length : 0,
+      bitrate: level?.bitrate || null,
+      autoLevel: this.hls ? this.hls.autoLevelEnabled : true,
+      nextAutoLevel: this.getNextAutoLevel(),
+      bandwidthEstimate: this.getBandwidthEstimate(),
+      maxHeight: this.getEffectiveMaxHeight(),
+      dataSaver: this.dataSaver,
+    };
+  }
+
   /**
    * Get current bandwidth estimate
    * @returns {number} Bandwidth in bits per second
@@ -423,6 +578,8 @@ class HLSLoader {
       this.hls = null;
     }
 
+    this.connection?.removeEventListener?.('change', this.boundConnectionChange);
+
     this.eventListeners = {};
     this.availableQualities = [];
     this.isLoaded = false;
@@ -443,6 +600,8 @@ class HLSLoader {
       currentQuality: this.currentQuality,
       availableQualities: this.availableQualities,
       bandwidthEstimate: this.getBandwidthEstimate(),
+      maxHeight: this.getEffectiveMaxHeight(),
+      dataSaver: this.dataSaver,
     };
   }
 }
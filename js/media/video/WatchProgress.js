@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * WatchProgress
+ * Per-video playback positions for the video chamber, kept in localStorage
+ * next to the player's volume preference.
+ *
+ * `attach(player, videoId)` follows an EnhancedVideoPlayer: the position is
+ * saved every `saveInterval` seconds of movement, on pause and when the page
+ * is hidden. Past `watchedThreshold` of the duration (or at the end) the video
+ * is marked watched and its position reset, so the next visit starts from the
+ * beginning. Positions under `minPosition` are not worth resuming.
+ *
+ * Only the `maxEntries` most recently updated videos are kept.
+ *
+ * @class WatchProgress
+ * @example
+ * const progress = WatchProgress.getInstance();
+ * const detach = progress.attach(player, 'performances/electronica-2015');
+ * progress.getResumePosition('performances/electronica-2015'); // => 754.2
+ * progress.getStatus('performances/electronica-2015'); // => 'in-progress'
+ */
+class WatchProgress {
+  /** Statuses reported by getStatus() */
+  static WATCHED = 'watched';
+  static IN_PROGRESS = 'in-progress';
+
+  /**
+   * Get or create the singleton instance
+   * @returns {WatchProgress}
+   */
+  static getInstance() {
+    if (!window.watchProgressInstance) {
+      window.watchProgressInstance = new WatchProgress();
+    }
+    return window.watchProgressInstance;
+  }
+
+  /**
+   * Create a WatchProgress instance
+   * @private
+   */
+  constructor() {
+    this.config = {
+      enabled: true,
+      storageKey: 'etceter4-watch-progress',
+      saveInterval: 5,
+      minPosition: 10,
+      watchedThreshold: 0.95,
+      maxEntries: 200,
+      ...(window.ETCETER4_CONFIG?.media?.video?.resume || {}),
+    };
+
+    // Event listeners storage
+    this.listeners = new Map();
+  }
+
+  /**
+   * Read all entries from localStorage
+   * @private
+   * @returns {Object<string, Object>} Entries by video id
+   */
+  _read() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(this.config.storageKey));
+      return entries && typeof entries === 'object' ? entries : {};
+    } catch (_e) {
+      // localStorage not available or corrupt
+      return {};
+    }
+  }
+
+  /**
+   * Write entries to localStorage, dropping the least recently updated
+   * @private
+   * @param {Object<string, Object>} entries
+   */
+  _write(entries) {
+    const kept = Object.entries(entries)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(0, this.config.maxEntries);
+
+    try {
+      localStorage.setItem(
+        this.config.storageKey,
+        JSON.stringify(Object.fromEntries(kept))
+      );
+    } catch (_e) {
+      // localStorage not available or full
+    }
+  }
+
+  /**
+   * Get a video's saved progress
+   * @param {string} videoId
+   * @returns {Object|null} { position, duration, watched, updatedAt }
+   */
+  get(videoId) {
+    return this._read()[videoId] || null;
+  }
+
+  /**
+   * Save a video's position. Reaching `watchedThreshold` marks it watched.
+   * @param {string} videoId
+   * @param {number} position - Seconds
+   * @param {number} duration - Seconds
+   * @returns {Object|null} The saved entry
+   */
+  save(videoId, position, duration) {
+    if (!videoId || !Number.isFinite(position) || !(duration > 0)) {
+      return null;
+    }
+
+    const entries = this._read();
+    const finished = position >= duration * this.config.watchedThreshold;
+    const entry = {
+      position: finished ? 0 : Math.round(position * 10) / 10,
+      duration,
+      watched: finished || Boolean(entries[videoId]?.watched),
+      updatedAt: Date.now(),
+    };
+    entries[videoId] = entry;
+    this._write(entries);
+
+    this.emit('change', { videoId, progress: entry });
+    return entry;
+  }
+
+  /**
+   * Mark a video watched
+   * @param {string} videoId
+   * @param {number} [duration] - Seconds
+   * @returns {Object|null} The saved entry
+   */
+  markWatched(videoId, duration) {
+    const length = duration || this.get(videoId)?.duration || 1;
+    return this.save(videoId, length, length);
+  }
+
+  /**
+   * Where to resume a video
+   * @param {string} videoId
+   * @returns {number|null} Seconds, or null when there is nothing to resume
+   */
+  getResumePosition(videoId) {
+    const entry = this.get(videoId);
+    if (!entry || entry.position < this.config.minPosition) {
+      return null;
+    }
+    return entry.position;
+  }
+
+  /**
+   * Badge status for a video
+   * @param {string} videoId
+   * @returns {string|null} WatchProgress.IN_PROGRESS, WatchProgress.WATCHED or null
+   */
+  getStatus(videoId) {
+    if (this.getResumePosition(videoId) !== null) {
+      return WatchProgress.IN_PROGRESS;
+    }
+    return this.get(videoId)?.watched ? WatchProgress.WATCHED : null;
+  }
+
+  /**
+   * Share of a video watched so far
+   * @param {string} videoId
+   * @returns {number} 0-1 (1 once watched and not restarted)
+   */
+  getPercent(videoId) {
+    const entry = this.get(videoId);
+    if (!entry) {
+      return 0;
+    }
+    if (entry.watched && entry.position === 0) {
+      return 1;
+    }
+    return Math.min(1, entry.position / entry.duration);
+  }
+
+  /**
+   * Forget one video's progress, or all of it
+   * @param {string} [videoId]
+   */
+  clear(videoId) {
+    if (videoId) {
+      const entries = this._read();
+      delete entries[videoId];
+      this._write(entries);
+    } else {
+      try {
+        localStorage.removeItem(this.config.storageKey);
+      } catch (_e) {
+        // localStorage not available
+      }
+    }
+    this.emit('change', { videoId: videoId || null, progress: null });
+  }
+
+  /**
+   * Save a player's position for a video as it plays
+   * @param {EnhancedVideoPlayer} player
+   * @param {string} videoId
+   * @returns {Function} Saves the current position and stops following the player
+   */
+  attach(player, videoId) {
+    let lastSaved = null;
+
+    const save = () => {
+      // Nothing played yet (a fresh load reports 0 before any seek)
+      if (!(player.currentTime > 0)) {
+        return;
+      }
+      lastSaved = player.currentTime;
+      this.save(videoId, player.currentTime, player.duration);
+    };
+    const onTimeUpdate = ({ currentTime }) => {
+      if (
+        lastSaved === null ||
+        Math.abs(currentTime - lastSaved) >= this.config.saveInterval
+      ) {
+        save();
+      }
+    };
+    const onEnded = () => this.markWatched(videoId, player.duration);
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        save();
+      }
+    };
+
+    player.on('timeupdate', onTimeUpdate);
+    player.on('pause', save);
+    player.on('ended', onEnded);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', save);
+
+    return () => {
+      save();
+      player.off('timeupdate', onTimeUpdate);
+      player.off('pause', save);
+      player.off('ended', onEnded);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', save);
+    };
+  }
+
+  /**
+   * Register an event listener ('change')
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Unregister an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function to remove
+   */
+  off(event, callback) {
+    const callbacks = this.listeners.get(event) || [];
+    const index = callbacks.indexOf(callback);
+    if (index > -1) {
+      callbacks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to all registered listeners
+   * @private
+   * @param {string} event - Event name
+   * @param {*} data - Data to pass to listeners
+   */
+  emit(event, data) {
+    (this.listeners.get(event) || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (err) {
+        console.error(`Error in WatchProgress ${event} listener:`, err);
+      }
+    });
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.WatchProgress = WatchProgress;
+}
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * @file CommandRegistry.js
+ * @description Singleton registry of user-invokable actions for the command
+ * palette (type ">" in the Cmd+K search modal). Subsystems register their own
+ * commands as they load; the palette only lists and runs them.
+ *
+ * A command is { id, title, category?, keywords?, isAvailable?, run }.
+ * `isAvailable()` hides a command while it does not apply (e.g. "Unmute" while
+ * unmuted). Registering an existing id replaces it.
+ *
+ * @example
+ *   CommandRegistry.getInstance().register({
+ *     id: 'ui-sounds.mute',
+ *     title: 'Mute UI sounds',
+ *     category: 'Sound',
+ *     keywords: ['audio', 'silence'],
+ *     isAvailable: () => UISounds.enabled,
+ *     run: () => UISounds.disable(),
+ *   });
+ *
+ *   CommandRegistry.getInstance().search('mute'); // → [{ id: 'ui-sounds.mute', ... }]
+ */
+
+// eslint-disable-next-line no-unused-vars
+class CommandRegistry {
+  /** @type {CommandRegistry|null} */
+  static _instance = null;
+
+  /**
+   * Get the singleton instance.
+   * @returns {CommandRegistry}
+   */
+  static getInstance() {
+    if (!CommandRegistry._instance) {
+      CommandRegistry._instance = new CommandRegistry();
+    }
+    return CommandRegistry._instance;
+  }
+
+  constructor() {
+    /** @type {Map<string, Object>} id → command, in registration order */
+    this._commands = new Map();
+
+    /** @type {Set<Function>} Change listeners */
+    this._listeners = new Set();
+  }
+
+  /**
+   * Register one or more commands.
+   * @param {Object|Object[]} commands - Command definition(s)
+   * @returns {Function} Unregisters the commands passed in this call
+   * @throws {Error} If a command has no id, title or run function
+   */
+  register(commands) {
+    const list = Array.isArray(commands) ? commands : [commands];
+
+    for (const command of list) {
+      if (
+        !command ||
+        !command.id ||
+        !command.title ||
+        typeof command.run !== 'function'
+      ) {
+        throw new Error(
+          'CommandRegistry: commands need an id, a title and a run function'
+        );
+      }
+      this._commands.set(command.id, {
+        category: '',
+        keywords: [],
+        ...command,
+      });
+    }
+
+    this._notify();
+
+    return () => this.unregister(list.map(command => command.id));
+  }
+
+  /**
+   * Remove commands by id.
+   * @param {string|string[]} ids
+   */
+  unregister(ids) {
+    const list = Array.isArray(ids) ? ids : [ids];
+    let removed = false;
+
+    for (const id of list) {
+      removed = this._commands.delete(id) || removed;
+    }
+
+    if (removed) {
+      this._notify();
+    }
+  }
+
+  /**
+   * Whether a command is registered.
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this._commands.has(id);
+  }
+
+  /**
+   * All currently available commands, in registration order.
+   * @returns {Object[]}
+   */
+  getAll() {
+    return [...this._commands.values()].filter(command =>
+      this._isAvailable(command)
+    );
+  }
+
+  /**
+   * Find available commands matching a query. Every query word must appear
+   * in the title, category or keywords; title matches rank first.
+   * @param {string} query
+   * @param {number} [limit=Infinity]
+   * @returns {Object[]}
+   */
+  search(query, limit = Infinity) {
+    const words = String(query || '')
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    const available = this.getAll();
+
+    if (words.length === 0) {
+      return available.slice(0, limit);
+    }
+
+    return available
+      .map((command, order) => ({
+        command,
+        order,
+        score: this._score(command, words),
+      }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, limit)
+      .map(match => match.command);
+  }
+
+  /**
+   * Run a command.
+   * @param {string} id
+   * @returns {Promise<boolean>} True if the command ran without throwing
+   */
+  async execute(id) {
+    const command = this._commands.get(id);
+    if (!command || !this._isAvailable(command)) {
+      console.warn(`CommandRegistry: Command not available: ${id}`);
+      return false;
+    }
+
+    try {
+      await command.run();
+      return true;
+    } catch (error) {
+      console.error(`CommandRegistry: Command "${id}" failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Register a change listener (called after register/unregister).
+   * @param {Function} callback
+   */
+  onChange(callback) {
+    if (typeof callback === 'function') {
+      this._listeners.add(callback);
+    }
+  }
+
+  /**
+   * Remove a change listener.
+   * @param {Function} callback
+   */
+  offChange(callback) {
+    this._listeners.delete(callback);
+  }
+
+  /**
+   * @param {Object} command
+   * @returns {boolean}
+   * @private
+   */
+  _isAvailable(command) {
+    if (typeof command.isAvailable !== 'function') {
+      return true;
+    }
+    try {
+      return !!command.isAvailable();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Score a command against query words (0 = no match).
+   * @param {Object} command
+   * @param {string[]} words - Lowercased query words
+   * @returns {number}
+   * @private
+   */
+  _score(command, words) {
+    const title = command.title.toLowerCase();
+    const titleWords = title.split(/[^a-z0-9]+/);
+    const extra = [command.category, ...command.keywords]
+      .join(' ')
+      .toLowerCase();
+    let score = 0;
+
+    for (const word of words) {
+      if (titleWords.some(titleWord => titleWord.startsWith(word))) {
+        score += 3;
+      } else if (title.includes(word)) {
+        score += 2;
+      } else if (extra.includes(word)) {
+        score += 1;
+      } else {
+        return 0;
+      }
+    }
+
+    return title.startsWith(words[0]) ? score + 1 : score;
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    for (const callback of this._listeners) {
+      try {
+        callback();
+      } catch (error) {
+        console.error('CommandRegistry listener error:', error);
+      }
+    }
+  }
+}
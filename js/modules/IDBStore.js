@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * @file IDBStore.js
+ * @description Small promise wrapper around one IndexedDB database, shared by
+ * the browser-side stores (SearchAnalytics, PlaylistStore, PlayHistory,
+ * WaveformGenerator). The database is opened lazily; when IndexedDB is
+ * missing or refuses to open (private browsing, blocked storage) the same
+ * methods work on in-memory maps for the rest of the session.
+ *
+ * Every request runs in its own transaction and settles when the transaction
+ * completes, so a failed or aborted transaction (e.g. quota exceeded) rejects
+ * instead of leaving the caller waiting.
+ *
+ * @example
+ *   const db = new IDBStore({
+ *     name: 'etceter4-playlists',
+ *     label: 'PlaylistStore',
+ *     stores: { playlists: { keyPath: 'id' } },
+ *   });
+ *   await db.put('playlists', { id: 'road-trip', tracks: [] });
+ *   await db.getAll('playlists'); // → [{ id: 'road-trip', tracks: [] }]
+ */
+
+// eslint-disable-next-line no-unused-vars
+class IDBStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Database name
+   * @param {Object<string, Object>} options.stores - Object store name →
+   *   { keyPath, autoIncrement }
+   * @param {number} [options.version=1] - Database version
+   * @param {string} [options.label='IDBStore'] - Prefix for console warnings
+   */
+  constructor({ name, stores, version = 1, label = 'IDBStore' }) {
+    this.name = name;
+    this.stores = stores;
+    this.version = version;
+    this.label = label;
+
+    // Database connection (opened lazily), resolves to null in memory mode
+    this._dbPromise = null;
+
+    // Fallback stores when IndexedDB is unavailable: name → Map(key → record)
+    this._memory = null;
+    this._memoryKeys = {}; // Last generated key per autoIncrement store
+  }
+
+  /**
+   * Open the database, or fall back to memory
+   * @returns {Promise<IDBDatabase|null>} Database, or null in memory mode
+   */
+  open() {
+    if (this._dbPromise) {
+      return this._dbPromise;
+    }
+
+    this._dbPromise = new Promise(resolve => {
+      const useMemory = () => {
+        this._memory =
+          this._memory ||
+          new Map(Object.keys(this.stores).map(store => [store, new Map()]));
+        resolve(null);
+      };
+
+      if (typeof indexedDB === 'undefined') {
+        useMemory();
+        return;
+      }
+
+      try {
+        const request = indexedDB.open(this.name, this.version);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          Object.entries(this.stores).forEach(([store, options]) => {
+            if (!db.objectStoreNames.contains(store)) {
+              db.createObjectStore(store, options);
+            }
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn(
+            `${this.label}: IndexedDB unavailable, keeping data in memory`
+          );
+          useMemory();
+        };
+      } catch {
+        useMemory();
+      }
+    });
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a single request in its own transaction
+   * @param {string} storeName
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} makeRequest - Function(store) returning an IDBRequest
+   * @returns {Promise<*>} Request result once the transaction completes
+   * @throws {Error} In memory mode, where there is no database
+   */
+  async request(storeName, mode, makeRequest) {
+    const db = await this.open();
+    if (!db) {
+      throw new Error(`${this.label}: IndexedDB is not available`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(
+          transaction.error ||
+            new DOMException('Transaction aborted', 'AbortError')
+        );
+    });
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} storeName
+   * @param {*} key
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(storeName, key) {
+    if (!(await this.open())) {
+      const record = this._memory.get(storeName).get(key);
+      return record === undefined ? undefined : structuredClone(record);
+    }
+    return this.request(storeName, 'readonly', store => store.get(key));
+  }
+
+  /**
+   * Get every record, in key order
+   * @param {string} storeName
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll(storeName) {
+    if (!(await this.open())) {
+      const records = this._memory.get(storeName);
+      return this._sortedMemoryKeys(storeName).map(key =>
+        structuredClone(records.get(key))
+      );
+    }
+    return this.request(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Get every key, in order
+   * @param {string} storeName
+   * @returns {Promise<Array>}
+   */
+  async getAllKeys(storeName) {
+    if (!(await this.open())) {
+      return this._sortedMemoryKeys(storeName);
+    }
+    return this.request(storeName, 'readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Count the records in a store
+   * @param {string} storeName
+   * @returns {Promise<number>}
+   */
+  async count(storeName) {
+    if (!(await this.open())) {
+      return this._memory.get(storeName).size;
+    }
+    return this.request(storeName, 'readonly', store => store.count());
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName
+   * @param {Object} record - Record; autoIncrement stores generate a missing key
+   * @returns {Promise<*>} The record's key
+   */
+  async put(storeName, record) {
+    if (await this.open()) {
+      return this.request(storeName, 'readwrite', store => store.put(record));
+    }
+
+    const { keyPath, autoIncrement } = this.stores[storeName];
+    let key = record[keyPath];
+    const last = this._memoryKeys[storeName] || 0;
+
+    if (autoIncrement && key == null) {
+      key = last + 1;
+      record = { ...record, [keyPath]: key };
+    }
+    if (autoIncrement && typeof key === 'number' && key > last) {
+      this._memoryKeys[storeName] = Math.floor(key);
+    }
+
+    this._memory.get(storeName).set(key, structuredClone(record));
+    return key;
+  }
+
+  /**
+   * Delete one or more records in a single transaction
+   * @param {string} storeName
+   * @param {*|Array} keys - Key, or array of keys
+   * @returns {Promise<void>}
+   */
+  async delete(storeName, keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+    if (!(await this.open())) {
+      list.forEach(key => this._memory.get(storeName).delete(key));
+      return;
+    }
+    if (list.length > 0) {
+      await this.request(storeName, 'readwrite', store =>
+        list.map(key => store.delete(key)).pop()
+      );
+    }
+  }
+
+  /**
+   * Remove every record from a store
+   * @param {string} storeName
+   * @returns {Promise<void>}
+   */
+  async clear(storeName) {
+    if (!(await this.open())) {
+      this._memory.get(storeName).clear();
+      return;
+    }
+    await this.request(storeName, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * Close the database connection (it reopens on the next call)
+   */
+  close() {
+    this._dbPromise?.then(db => db?.close());
+    this._dbPromise = null;
+  }
+
+  /**
+   * Memory-mode keys in IndexedDB order (numbers before strings)
+   * @private
+   * @param {string} storeName
+   * @returns {Array}
+   */
+  _sortedMemoryKeys(storeName) {
+    return [...this._memory.get(storeName).keys()].sort((a, b) => {
+      if (typeof a !== typeof b) {
+        return typeof a === 'number' ? -1 : 1;
+      }
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+  }
+}
+
+// Export to global scope
+if (typeof window !== 'undefined') {
+  window.IDBStore = IDBStore;
+}
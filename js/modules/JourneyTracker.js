@@ -138,16 +138,25 @@ class JourneyTracker {
    * @returns {string[]} Chamber IDs ordered by recommendation priority
    */
   getRecommendations() {
-    const visitCounts = {};
-    for (const v of this._data.visits) {
-      visitCounts[v.id] = (visitCounts[v.id] || 0) + 1;
-    }
+    const visitCounts = this.getVisitCounts();
 
     // Sort chambers: unvisited first, then least-visited
     return JourneyTracker.ALL_CHAMBERS.slice()
       .sort((a, b) => (visitCounts[a] || 0) - (visitCounts[b] || 0));
   }
 
+  /**
+   * Get visit counts per chamber
+   * @returns {Object<string, number>} Chamber ID -> number of visits
+   */
+  getVisitCounts() {
+    const counts = {};
+    for (const v of this._data.visits) {
+      counts[v.id] = (counts[v.id] || 0) + 1;
+    }
+    return counts;
+  }
+
   /**
    * Get interaction count by chamber
    * @param {string} chamberId
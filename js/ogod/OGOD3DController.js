@@ -10,6 +10,7 @@
  * @requires createOGODExperience - Factory for 3D experience instances
  * @requires Tone - Tone.js audio library
  * @requires showNewSection - SPA navigation function
+ * @requires SettingsPanel - 3D settings overlay (opened from the command palette)
  */
 
 'use strict';
@@ -25,6 +26,7 @@ class OGOD3DController {
       experience: null,
       audioStarted: false,
       isTransitioning: false,
+      settingsPanel: null,
     };
     window.ogod3dState = this.state;
   }
@@ -47,6 +49,7 @@ class OGOD3DController {
     this._initTrackSelector();
     this._initAudioButton();
     this._initBackButton();
+    this._initSettingsPanel();
     this._loadTrack(this.state.currentTrack, container, loadingScreen, loadingBar, loadingText);
   }
 
@@ -108,8 +111,15 @@ class OGOD3DController {
       this.state.experience = await createOGODExperience({
         container,
         trackNumber: trackNum,
+        onNextTrack: () => this._stepTrack(1),
+        onPreviousTrack: () => this._stepTrack(-1),
       });
 
+      if (this.state.settingsPanel) {
+        this.state.settingsPanel.setSceneManager(this.state.experience.sceneManager);
+        this.state.settingsPanel.setAudioEngine(this.state.experience.audioEngine);
+      }
+
       this._updateLoading(loadingBar, loadingText, 70, 'Starting visuals...');
       this.state.experience.sceneManager.start();
 
@@ -132,6 +142,35 @@ class OGOD3DController {
     }
   }
 
+  /**
+   * Load the next or previous track (media keys / lock-screen controls)
+   * @param {number} delta - 1 for next, -1 for previous
+   */
+  _stepTrack(delta) {
+    const trackNumbers = Object.keys(ETCETER4_CONFIG.ogodTracks).map(Number);
+    if (!trackNumbers.length) {
+      return;
+    }
+
+    // Audio started from the OS controls keeps playing into the next track
+    if (this.state.experience?.audioEngine?.isPlaying) {
+      this._markAudioStarted();
+    }
+
+    const index = trackNumbers.indexOf(this.state.currentTrack);
+    const next =
+      trackNumbers[
+        (index + delta + trackNumbers.length) % trackNumbers.length
+      ];
+    this._loadTrack(
+      next,
+      document.getElementById('ogod3d-container'),
+      document.getElementById('ogod3d-loading'),
+      document.getElementById('ogod3d-loading-bar'),
+      document.getElementById('ogod3d-loading-text')
+    );
+  }
+
   /** Initialize track selector buttons */
   _initTrackSelector() {
     const trackSelector = document.getElementById('ogod3d-track-selector');
@@ -173,9 +212,7 @@ class OGOD3DController {
     audioBtn.onclick = async () => {
       if (!this.state.audioStarted && typeof Tone !== 'undefined') {
         await Tone.start();
-        this.state.audioStarted = true;
-        audioBtn.textContent = 'Audio Playing';
-        audioBtn.classList.add('playing');
+        this._markAudioStarted();
 
         if (this.state.experience?.audioEngine) {
           this.state.experience.audioEngine.start();
@@ -184,6 +221,16 @@ class OGOD3DController {
     };
   }
 
+  /** Record that audio is on, so later tracks start playing when loaded */
+  _markAudioStarted() {
+    this.state.audioStarted = true;
+    const audioBtn = document.getElementById('ogod3d-audio-btn');
+    if (audioBtn) {
+      audioBtn.textContent = 'Audio Playing';
+      audioBtn.classList.add('playing');
+    }
+  }
+
   /** Initialize back navigation button */
   _initBackButton() {
     const backBtn = document.getElementById('ogod3d-back-btn');
@@ -201,6 +248,31 @@ class OGOD3DController {
       showNewSection(_pID.vision);
     };
   }
+
+  /**
+   * Create the settings panel and offer it in the command palette while
+   * the 3D page is showing. ESC only closes it here, since ESC also
+   * closes the search modal.
+   */
+  _initSettingsPanel() {
+    if (this.state.settingsPanel || typeof SettingsPanel === 'undefined') {
+      return;
+    }
+
+    this.state.settingsPanel = new SettingsPanel({ toggleOnEscape: false });
+
+    if (typeof CommandRegistry !== 'undefined') {
+      CommandRegistry.getInstance().register({
+        id: 'ogod3d.settings',
+        title: 'Open 3D settings panel',
+        category: 'OGOD',
+        keywords: ['graphics', 'quality', 'bloom', 'controls', 'accessibility', 'preferences'],
+        isAvailable: () =>
+          currentPage.id === _pID.ogod3d && !this.state.settingsPanel.isVisible(),
+        run: () => this.state.settingsPanel.open(),
+      });
+    }
+  }
 }
 
 /** Roman numeral lookup table */
@@ -10,6 +10,7 @@
  * @requires OGODAnimationEngine - 2D animation engine
  * @requires OGODAudioAdapter - Audio adapter for standalone playback
  * @requires showNewSection - SPA navigation function
+ * @requires CommandRegistry - Optional; track/mode commands for the command palette
  */
 
 'use strict';
@@ -47,9 +48,44 @@ class OGODViewerController {
     this._initPauseButton(container);
     this._initFileInput(container);
     this._initKeyboardControls(container);
+    this._registerCommands(container);
     this._loadTrack(this.state.currentTrack, container);
   }
 
+  /**
+   * Register track and render mode commands with the command palette.
+   * They are only offered while the viewer is the current page.
+   * @param {HTMLElement} container - Viewer container
+   */
+  _registerCommands(container) {
+    if (typeof CommandRegistry === 'undefined') {
+      return;
+    }
+
+    const isViewing = () => currentPage.id === _pID.ogodViewer;
+    const romanNumerals = OGODViewerController.ROMAN_NUMERALS;
+
+    const trackCommands = Object.entries(ETCETER4_CONFIG.ogodTracks).map(([num, track]) => ({
+      id: `ogod-viewer.track.${num}`,
+      title: `OGOD: Play track ${romanNumerals[num]} \u2014 ${track.game}`,
+      category: 'OGOD',
+      keywords: ['track', num, track.archetype],
+      isAvailable: () => isViewing() && this.state.currentTrack !== parseInt(num),
+      run: () => this._loadTrack(parseInt(num), container),
+    }));
+
+    const modeCommands = OGODViewerController.MODES.map(({ mode, label }) => ({
+      id: `ogod-viewer.mode.${mode}`,
+      title: `OGOD: Switch to ${label} render mode`,
+      category: 'OGOD',
+      keywords: ['render', 'mode', 'renderer', mode],
+      isAvailable: () => isViewing() && this.state.currentMode !== mode,
+      run: () => this._setMode(mode, container),
+    }));
+
+    CommandRegistry.getInstance().register([...trackCommands, ...modeCommands]);
+  }
+
   /** Check for deep link query param (?ogod=N) */
   _checkDeepLink() {
     const params = new URLSearchParams(window.location.search);
@@ -304,6 +340,14 @@ class OGODViewerController {
   }
 }
 
+/** Render modes offered by the mode selector */
+OGODViewerController.MODES = [
+  { mode: 'faithful', label: 'Faithful' },
+  { mode: 'enhanced', label: 'Enhanced' },
+  { mode: 'generative', label: 'Generative' },
+  { mode: '3d', label: '3D' },
+];
+
 /** Roman numeral lookup table */
 OGODViewerController.ROMAN_NUMERALS = [
   '', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX',
@@ -602,6 +602,49 @@ function manageFocus(pageId) {
   }
 }
 
+/**
+ * Friendly page names for screen reader announcements and the command palette
+ * @const {Object<string, string>}
+ */
+const PAGE_NAMES = {
+  '#landing': 'Landing page',
+  '#menu': 'Main menu',
+  '#words': 'Words section',
+  '#vision': 'Vision section',
+  '#sound': 'Sound section',
+  '#info': 'Info section',
+  '#video': 'Video section',
+  '#stills': 'Stills gallery',
+  '#diary': 'Diary gallery',
+  '#blog': 'Blog section',
+  '#ogod3d': 'OGOD 3D immersive experience',
+  '#ogod-viewer': 'OGOD Animation Viewer',
+  '#east-wing': 'East Wing - Scholarship',
+  '#west-wing': 'West Wing - Discourse',
+  '#south-wing': 'South Wing - Performance',
+  '#north-wing': 'North Wing - Process',
+  '#akademia': 'Akademia - Scholarship',
+  '#bibliotheke': 'Bibliotheke - Library',
+  '#pinakotheke': 'Pinakotheke - Art Gallery',
+  '#agora': 'Agora - Political Commentary',
+  '#symposion': 'Symposion - Dialogues',
+  '#oikos': 'Oikos - Personal Reflections',
+  '#odeion': 'Odeion - Music Hall',
+  '#theatron': 'Theatron - Theater',
+  '#ergasterion': 'Ergasterion - Workshop',
+  '#khronos': 'Khronos - Timeline',
+  '#discovery': 'Discovery - Search and Explore',
+};
+
+/**
+ * Get the friendly name of a page
+ * @param {string} pageId - The page identifier (e.g., '#menu')
+ * @returns {string}
+ */
+function getPageName(pageId) {
+  return PAGE_NAMES[pageId] || `${pageId.replace('#', '')} page`;
+}
+
 /**
  * Announce page transition to screen readers
  * Uses aria-live region for accessibility
@@ -613,39 +656,7 @@ function announcePageTransition(pageId) {
     return;
   }
 
-  // Map page IDs to friendly names
-  const pageNames = {
-    '#landing': 'Landing page',
-    '#menu': 'Main menu',
-    '#words': 'Words section',
-    '#vision': 'Vision section',
-    '#sound': 'Sound section',
-    '#info': 'Info section',
-    '#video': 'Video section',
-    '#stills': 'Stills gallery',
-    '#diary': 'Diary gallery',
-    '#blog': 'Blog section',
-    '#ogod3d': 'OGOD 3D immersive experience',
-    '#ogod-viewer': 'OGOD Animation Viewer',
-    '#east-wing': 'East Wing - Scholarship',
-    '#west-wing': 'West Wing - Discourse',
-    '#south-wing': 'South Wing - Performance',
-    '#north-wing': 'North Wing - Process',
-    '#akademia': 'Akademia - Scholarship',
-    '#bibliotheke': 'Bibliotheke - Library',
-    '#pinakotheke': 'Pinakotheke - Art Gallery',
-    '#agora': 'Agora - Political Commentary',
-    '#symposion': 'Symposion - Dialogues',
-    '#oikos': 'Oikos - Personal Reflections',
-    '#odeion': 'Odeion - Music Hall',
-    '#theatron': 'Theatron - Theater',
-    '#ergasterion': 'Ergasterion - Workshop',
-    '#khronos': 'Khronos - Timeline',
-    '#discovery': 'Discovery - Search and Explore',
-  };
-
-  const pageName = pageNames[pageId] || `${pageId.replace('#', '')} page`;
-  announcer.textContent = `Navigated to ${pageName}`;
+  announcer.textContent = `Navigated to ${getPageName(pageId)}`;
 }
 
 /**
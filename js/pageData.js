@@ -186,15 +186,19 @@ pages.info = new Page({
  * @param {Object} options - Configuration options
  * @param {HTMLElement} options.container - DOM element for the canvas
  * @param {number} options.trackNumber - Track number (1-29)
+ * @param {Function} [options.onNextTrack] - Next-track media key handler
+ * @param {Function} [options.onPreviousTrack] - Previous-track media key handler
  * @returns {Promise<Object>} The experience object with sceneManager and audioEngine
  */
 async function createOGODExperience(options) {
-  const { container, trackNumber } = options;
+  const { container, trackNumber, onNextTrack, onPreviousTrack } = options;
 
   // Create audio engine
   const audioEngine = new OGODAudioEngine({
     trackNumber,
     useFallback: true,
+    onNextTrack,
+    onPreviousTrack,
   });
 
   // Create scene manager
@@ -425,6 +429,16 @@ pages.odeion = new Page({
           container: playerContainer,
           waveformCanvas,
         });
+        const normalizationSelect = document.getElementById(
+          'odeion-normalization'
+        );
+        if (normalizationSelect) {
+          normalizationSelect.value =
+            window.odeionPlayer.getNormalizationMode();
+          normalizationSelect.addEventListener('change', () =>
+            window.odeionPlayer.setNormalizationMode(normalizationSelect.value)
+          );
+        }
         if (typeof WaveformVisualizer !== 'undefined') {
           window.odeionWaveform = new WaveformVisualizer({
             canvas: waveformCanvas,
@@ -432,6 +446,33 @@ pages.odeion = new Page({
             secondaryColor: '#000000',
           });
         }
+
+        // Chapter skip controls and waveform markers
+        const chapterControls = document.getElementById('odeion-chapters');
+        const chapterTitle = document.getElementById('odeion-chapter-title');
+        window.odeionPlayer.on('chaptersLoaded', ({ chapters }) => {
+          chapterControls?.classList.toggle('dn', chapters.length === 0);
+          if (chapterTitle) {
+            chapterTitle.textContent = '';
+          }
+          window.odeionWaveform?.setMarkers(
+            chapters,
+            window.odeionPlayer.getDuration()
+          );
+        });
+        window.odeionPlayer.on('chapterchange', ({ chapter }) => {
+          if (chapterTitle) {
+            chapterTitle.textContent = chapter.title;
+          }
+        });
+        document
+          .getElementById('odeion-prev-chapter')
+          ?.addEventListener('click', () =>
+            window.odeionPlayer.previousChapter()
+          );
+        document
+          .getElementById('odeion-next-chapter')
+          ?.addEventListener('click', () => window.odeionPlayer.nextChapter());
       }
 
       // Initialize PlaylistManager for album browsing
@@ -446,6 +487,35 @@ pages.odeion = new Page({
           window.odeionPlaylist.initialize();
         }
       }
+
+      // Lyric timing editor, opened from the command palette
+      if (
+        typeof LyricsTimingEditor !== 'undefined' &&
+        typeof CommandRegistry !== 'undefined'
+      ) {
+        CommandRegistry.getInstance().register({
+          id: 'odeion.lyrics-editor',
+          title: 'Odeion: Open lyric timing editor',
+          category: 'Odeion',
+          keywords: ['lyrics', 'lrc', 'vtt', 'srt', 'karaoke', 'sync'],
+          isAvailable: () =>
+            currentPage.id === this.id && !window.odeionLyricsEditor,
+          run: () => {
+            const container = document.querySelector('#odeion .mw9');
+            if (!container) {
+              return;
+            }
+            window.odeionLyricsEditor = new LyricsTimingEditor({
+              container,
+              player: window.odeionPlayer,
+            });
+            window.odeionLyricsEditor.on('close', () => {
+              window.odeionLyricsEditor = null;
+            });
+            window.odeionLyricsEditor.root.focus();
+          },
+        });
+      }
     } catch (audioError) {
       console.warn('Odeion audio init:', audioError.message);
     }
@@ -590,6 +660,23 @@ pages = [
   }),
 ];
 
+/**
+ * Command palette navigation
+ * Registers a "Go to …" command for every page (hidden for the current one)
+ */
+if (typeof CommandRegistry !== 'undefined') {
+  CommandRegistry.getInstance().register(
+    pages.map(page => ({
+      id: `navigate.${page.id.replace('#', '')}`,
+      title: `Go to ${getPageName(page.id)}`,
+      category: 'Navigate',
+      keywords: [page.id.replace('#', ''), 'page', 'open'],
+      isAvailable: () => currentPage.id !== page.id,
+      run: () => showNewSection(page.id),
+    }))
+  );
+}
+
 // taken from here: https://api.jquery.com/jquery.getscript/
 jQuery.cachedScript = function (url, options) {
   // Allow user to set any option except for dataType, cache, and url
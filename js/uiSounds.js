@@ -14,6 +14,7 @@
  * Uses audio sprites for efficient loading (single file with multiple sounds)
  *
  * @requires SoundJS (CreateJS)
+ * @see CommandRegistry - registers "Mute/Unmute UI sounds" palette commands
  */
 
 /**
@@ -227,6 +228,37 @@ const UISounds = {
     return this.enabled && this.initialized;
   },
 
+  /**
+   * Register mute/unmute actions with the command palette
+   * @returns {boolean} True if registered
+   */
+  registerCommands() {
+    if (typeof CommandRegistry === 'undefined') {
+      return false;
+    }
+
+    CommandRegistry.getInstance().register([
+      {
+        id: 'ui-sounds.mute',
+        title: 'Mute UI sounds',
+        category: 'Sound',
+        keywords: ['audio', 'silence', 'quiet', 'sfx'],
+        isAvailable: () => this.enabled,
+        run: () => this.disable(),
+      },
+      {
+        id: 'ui-sounds.unmute',
+        title: 'Unmute UI sounds',
+        category: 'Sound',
+        keywords: ['audio', 'enable', 'sfx'],
+        // Only offer unmute when SoundJS actually registered the sprite
+        isAvailable: () => !this.enabled && this.registered,
+        run: () => this.enable(),
+      },
+    ]);
+    return true;
+  },
+
   /**
    * Detect supported audio format
    * @private
@@ -251,6 +283,8 @@ const UISounds = {
 // Auto-initialize on DOM ready if SoundJS is available
 if (typeof document !== 'undefined') {
   document.addEventListener('DOMContentLoaded', () => {
+    UISounds.registerCommands();
+
     // Delay initialization to not block page load
     setTimeout(() => {
       UISounds.init();
@@ -282,12 +282,12 @@ const ODEION_CONFIG = {
   /**
    * Get lyrics URL for a track
    */
-  getLyricsUrl: function(albumId, trackNumber) {
+  getLyricsUrl: function(albumId, trackNumber, format = 'lrc') {
     if (typeof MediaURLResolver !== 'undefined') {
-      return MediaURLResolver.resolveLyrics(albumId, trackNumber);
+      return MediaURLResolver.resolveLyrics(albumId, trackNumber, format);
     }
     // Fallback to local path
     const paddedTrack = String(trackNumber).padStart(2, '0');
-    return `../audio/albums/${albumId}/${paddedTrack}.lrc`;
+    return `../audio/albums/${albumId}/${paddedTrack}.${format}`;
   },
 };
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+/**
+ * @file analyze-loudness.js
+ * @description Measure track and album loudness (EBU R128) for the ETCETER4 media
+ * system and write ReplayGain 2.0 style gains into each album's metadata.json.
+ *
+ * This script requires ffmpeg (for its ebur128 filter):
+ * - macOS: brew install ffmpeg
+ * - Linux: apt install ffmpeg
+ * - Windows: Download from https://ffmpeg.org/download.html
+ *
+ * Usage:
+ *   node scripts/analyze-loudness.js <album-dir> [album-dir ...] [--reference -18]
+ *   node scripts/analyze-loudness.js ./media/audio/albums/ogod ./media/audio/albums/rmxs
+ *
+ * The script will:
+ * 1. Find all .mp3, .flac, .wav, .ogg files in each album directory
+ * 2. Measure integrated loudness (LUFS), true peak (dBTP) and duration per track
+ * 3. Combine the tracks into album loudness (energy average weighted by duration)
+ * 4. Merge the results into <album-dir>/metadata.json, keeping existing fields
+ *
+ * Gains bring the audio to the reference level (-18 LUFS, as in ReplayGain 2.0).
+ * The player limits them with the true peak to avoid clipping.
+ *
+ * Output added to metadata.json:
+ * {
+ *   "loudness": {
+ *     "standard": "EBU R128",
+ *     "referenceLufs": -18,
+ *     "integratedLufs": -11.4,
+ *     "gainDb": -6.6,
+ *     "truePeakDbtp": -0.2
+ *   },
+ *   "tracks": [
+ *     {
+ *       "number": 1,
+ *       "file": "01.mp3",
+ *       "loudness": { "integratedLufs": -12.1, "gainDb": -5.9, "truePeakDbtp": -0.4 }
+ *     }
+ *   ]
+ * }
+ */
+
+'use strict';
+
+const { execSync, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+  // Target loudness in LUFS (ReplayGain 2.0 reference level)
+  referenceLufs: -18,
+
+  // Metadata file written into each album directory
+  metadataFile: 'metadata.json',
+
+  // Supported audio formats
+  audioExtensions: ['.mp3', '.flac', '.wav', '.ogg', '.m4a', '.aac'],
+};
+
+/**
+ * Check if ffmpeg is installed
+ */
+function checkDependencies() {
+  try {
+    execSync('ffmpeg -version', { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    console.error('Error: ffmpeg is not installed.');
+    console.error('Install it with:');
+    console.error('  macOS: brew install ffmpeg');
+    console.error('  Linux: apt install ffmpeg');
+    console.error('  Windows: Download from https://ffmpeg.org/download.html');
+    return false;
+  }
+}
+
+/**
+ * Find the audio files of an album, in track order
+ * @param {string} dir - Album directory
+ * @returns {string[]} Array of file paths
+ */
+function findAudioFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    console.error(`Error: Directory not found: ${dir}`);
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter(
+      entry =>
+        entry.isFile() &&
+        CONFIG.audioExtensions.includes(path.extname(entry.name).toLowerCase())
+    )
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse the ebur128 summary that ffmpeg prints at the end of stderr
+ * @param {string} stderr - ffmpeg stderr output
+ * @returns {Object|null} { integratedLufs, truePeakDbtp, duration } or null
+ */
+function parseLoudness(stderr) {
+  const summary = stderr.split('Summary:').pop();
+  const integrated = summary.match(/I:\s+(-?[\d.]+|-inf) LUFS/);
+  const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf) dBFS/);
+  const duration = stderr.match(/Duration: (\d+):(\d+):([\d.]+)/);
+
+  if (!integrated || integrated[1] === '-inf') {
+    return null;
+  }
+
+  return {
+    integratedLufs: parseFloat(integrated[1]),
+    truePeakDbtp: peak && peak[1] !== '-inf' ? parseFloat(peak[1]) : null,
+    duration: duration
+      ? Number(duration[1]) * 3600 +
+        Number(duration[2]) * 60 +
+        parseFloat(duration[3])
+      : 0,
+  };
+}
+
+/**
+ * Measure the loudness of an audio file with ffmpeg's ebur128 filter
+ * @param {string} inputPath - Path to audio file
+ * @returns {Promise<Object|null>} Measurement, or null on failure or silence
+ */
+function measureTrack(inputPath) {
+  return new Promise(resolve => {
+    const args = [
+      '-hide_banner',
+      '-nostats',
+      '-i',
+      inputPath,
+      '-filter_complex',
+      'ebur128=peak=true',
+      '-f',
+      'null',
+      '-',
+    ];
+
+    console.log(`  Measuring: ${path.basename(inputPath)}`);
+
+    const proc = spawn('ffmpeg', args);
+
+    let stderr = '';
+
+    proc.stderr.on('data', data => {
+      stderr += data.toString();
+    });
+
+    proc.on('close', code => {
+      if (code !== 0) {
+        console.error(`    Error (exit code ${code})`);
+        resolve(null);
+        return;
+      }
+
+      const loudness = parseLoudness(stderr);
+      if (loudness) {
+        console.log(
+          `    -> ${loudness.integratedLufs} LUFS, peak ${loudness.truePeakDbtp} dBTP`
+        );
+      } else {
+        console.error('    Could not read loudness (silent file?)');
+      }
+      resolve(loudness);
+    });
+
+    proc.on('error', err => {
+      console.error(`    Error spawning ffmpeg: ${err.message}`);
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Combine track measurements into album loudness. Integrated loudness is an
+ * energy average, so tracks are summed as power weighted by their duration
+ * (close to measuring the album as one file, without re-decoding it)
+ * @param {Object[]} tracks - Track measurements
+ * @returns {Object|null} { integratedLufs, truePeakDbtp }
+ */
+function combineAlbum(tracks) {
+  const measured = tracks.filter(track => track.duration > 0);
+  const totalDuration = measured.reduce(
+    (sum, track) => sum + track.duration,
+    0
+  );
+  if (totalDuration === 0) {
+    return null;
+  }
+
+  const energy = measured.reduce(
+    (sum, track) =>
+      sum + track.duration * Math.pow(10, track.integratedLufs / 10),
+    0
+  );
+  const peaks = tracks
+    .map(track => track.truePeakDbtp)
+    .filter(peak => peak !== null);
+
+  return {
+    integratedLufs: 10 * Math.log10(energy / totalDuration),
+    truePeakDbtp: peaks.length > 0 ? Math.max(...peaks) : null,
+  };
+}
+
+/**
+ * Convert a measurement to the metadata.json loudness format
+ * @param {Object} measurement - { integratedLufs, truePeakDbtp }
+ * @param {number} referenceLufs - Target loudness
+ * @returns {Object}
+ */
+function toLoudness(measurement, referenceLufs) {
+  return {
+    integratedLufs: round(measurement.integratedLufs),
+    gainDb: round(referenceLufs - measurement.integratedLufs),
+    truePeakDbtp:
+      measurement.truePeakDbtp === null
+        ? null
+        : round(measurement.truePeakDbtp),
+  };
+}
+
+/**
+ * Merge loudness results into an album's metadata, matching tracks by file
+ * name (ignoring the extension) or by the track number in the file name
+ * @param {Object} metadata - Existing metadata.json contents
+ * @param {Object[]} results - { file, number, loudness } per track
+ * @param {Object} albumLoudness - Album loudness
+ * @returns {Object} Updated metadata
+ */
+function mergeMetadata(metadata, results, albumLoudness) {
+  const tracks = Array.isArray(metadata.tracks) ? metadata.tracks : [];
+  const stem = file => path.basename(file || '', path.extname(file || ''));
+
+  results.forEach(result => {
+    let track = tracks.find(
+      t =>
+        (t.file && stem(t.file) === stem(result.file)) ||
+        (!t.file && t.number === result.number)
+    );
+    if (!track) {
+      track = { number: result.number, file: result.file };
+      tracks.push(track);
+    }
+    track.loudness = result.loudness;
+  });
+
+  return {
+    ...metadata,
+    loudness: albumLoudness,
+    tracks,
+  };
+}
+
+/**
+ * Measure an album and update its metadata.json
+ * @param {string} albumDir - Album directory
+ * @param {number} referenceLufs - Target loudness
+ * @returns {Promise<number>} Number of tracks that failed
+ */
+async function analyzeAlbum(albumDir, referenceLufs) {
+  console.log(`\nAlbum: ${albumDir}`);
+  const audioFiles = findAudioFiles(albumDir);
+
+  if (audioFiles.length === 0) {
+    console.log('  No audio files found.');
+    return 0;
+  }
+
+  const measurements = [];
+  const results = [];
+  let failCount = 0;
+
+  for (const [index, audioFile] of audioFiles.entries()) {
+    const measurement = await measureTrack(audioFile);
+    if (!measurement) {
+      failCount++;
+      continue;
+    }
+
+    const file = path.basename(audioFile);
+    const number = parseInt(file, 10);
+    measurements.push(measurement);
+    results.push({
+      file,
+      number: Number.isNaN(number) ? index + 1 : number,
+      loudness: toLoudness(measurement, referenceLufs),
+    });
+  }
+
+  const album = combineAlbum(measurements);
+  if (!album) {
+    return failCount;
+  }
+
+  const metadataPath = path.join(albumDir, CONFIG.metadataFile);
+  const metadata = fs.existsSync(metadataPath)
+    ? JSON.parse(fs.readFileSync(metadataPath, 'utf-8'))
+    : {};
+  const albumLoudness = {
+    standard: 'EBU R128',
+    referenceLufs,
+    ...toLoudness(album, referenceLufs),
+  };
+
+  fs.writeFileSync(
+    metadataPath,
+    `${JSON.stringify(mergeMetadata(metadata, results, albumLoudness), null, 2)}\n`
+  );
+  console.log(
+    `  Album: ${albumLoudness.integratedLufs} LUFS, gain ${albumLoudness.gainDb} dB`
+  );
+  console.log(`  -> ${metadataPath}`);
+
+  return failCount;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const referenceIndex = args.indexOf('--reference');
+  const referenceLufs =
+    referenceIndex > -1
+      ? parseFloat(args[referenceIndex + 1])
+      : CONFIG.referenceLufs;
+  const albumDirs = args.filter(
+    (arg, i) => !arg.startsWith('--') && i !== referenceIndex + 1
+  );
+
+  if (albumDirs.length < 1 || Number.isNaN(referenceLufs)) {
+    console.log(
+      'Usage: node scripts/analyze-loudness.js <album-dir> [album-dir ...] [--reference -18]'
+    );
+    console.log('');
+    console.log('Arguments:');
+    console.log("  album-dir    Directory containing an album's audio files");
+    console.log('  --reference  Target loudness in LUFS (default: -18)');
+    console.log('');
+    console.log('Example:');
+    console.log('  node scripts/analyze-loudness.js ./media/audio/albums/ogod');
+    process.exit(1);
+  }
+
+  // Check dependencies
+  if (!checkDependencies()) {
+    process.exit(1);
+  }
+
+  let failCount = 0;
+  for (const albumDir of albumDirs) {
+    failCount += await analyzeAlbum(albumDir, referenceLufs);
+  }
+
+  // Summary
+  console.log('\n--- Summary ---');
+  console.log(`Albums: ${albumDirs.length}`);
+  console.log(`Failed tracks: ${failCount}`);
+
+  process.exit(failCount > 0 ? 1 : 0);
+}
+
+// Run main function
+main().catch(err => {
+  console.error('Unexpected error:', err);
+  process.exit(1);
+});
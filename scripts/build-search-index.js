@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * @file build-search-index.js
+ * @description Build a prebuilt MiniSearch index snapshot for the discovery chamber.
+ *
+ * Evaluates the chamber configs together with the browser ContentRegistry and
+ * SearchEngine sources, so documents, index options and the content hash are
+ * produced by exactly the same code that runs on the site. SearchEngine loads
+ * the snapshot with MiniSearch.loadJSON and falls back to live indexing when
+ * the snapshot is missing, from another INDEX_VERSION, or built from
+ * different content. Full-text documents referenced by chamber items are
+ * read from disk, mirroring what ContentRegistry fetches in the browser.
+ *
+ * Usage:
+ *   node scripts/build-search-index.js [output-file]
+ *   npm run build:search-index
+ *
+ * The snapshot is not committed: the deploy job builds it with `npm run build`,
+ * so it always matches the deployed content.
+ *
+ * Output JSON format:
+ * {
+ *   "version": 2,
+ *   "contentHash": "9a3f01c2",
+ *   "generatedAt": "2026-01-01T00:00:00.000Z",
+ *   "documentCount": 42,
+ *   "index": "<MiniSearch JSON string>"
+ * }
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import MiniSearch from 'minisearch';
+import { ROOT, loadRegistry } from './lib/registry-sandbox.js';
+
+const DEFAULT_OUTPUT = join(ROOT, 'json', 'search-index.json');
+
+/**
+ * Main function
+ */
+async function main() {
+  const outputPath = resolve(process.argv[2] || DEFAULT_OUTPUT);
+  const { context, registry, config } = await loadRegistry([
+    'js/discovery/SearchEngine.js',
+  ]);
+
+  const { SearchEngine } = context.window;
+  const searchConfig = config.discovery?.search || {};
+
+  const documents = registry
+    .getAllItems()
+    .map(item => SearchEngine.toDocument(item));
+  const options = SearchEngine.getIndexOptions(searchConfig);
+
+  const miniSearch = new MiniSearch(options);
+  miniSearch.addAll(documents);
+
+  const snapshot = {
+    version: SearchEngine.INDEX_VERSION,
+    contentHash: SearchEngine.hashDocuments(documents),
+    generatedAt: new Date().toISOString(),
+    documentCount: documents.length,
+    index: JSON.stringify(miniSearch),
+  };
+
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, `${JSON.stringify(snapshot)}\n`);
+
+  console.log(
+    `Search index: ${documents.length} documents, hash ${snapshot.contentHash}`
+  );
+  console.log(`  -> ${outputPath}`);
+}
+
+main().catch(err => {
+  console.error('Failed to build search index:', err);
+  process.exit(1);
+});
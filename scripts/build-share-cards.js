@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+
+/**
+ * @file build-share-cards.js
+ * @description Build static share cards for every discovery item.
+ *
+ * The site is a single-page app, so link unfurlers (which do not run
+ * JavaScript) only ever see the index.html metadata. For each ContentRegistry
+ * item this writes:
+ *
+ *   share/<id>.html         Open Graph + Twitter meta tags, an oEmbed discovery
+ *                           link, and a redirect into the ?item=<id> deep link
+ *   share/<id>.oembed.json  oEmbed 1.0 "link" response for the item
+ *
+ * ShareLinks.getItemUrl() points at the HTML stubs when
+ * ETCETER4_CONFIG.discovery.shareCards.enabled is true. Each run records the
+ * files it wrote in share/manifest.json; stubs listed there by the previous
+ * run for items that no longer exist are removed. Nothing else in the output
+ * directory is touched.
+ *
+ * Usage:
+ *   node scripts/build-share-cards.js [output-dir]
+ *   npm run build:share-cards
+ */
+
+import {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  unlinkSync,
+  existsSync,
+} from 'fs';
+import { join, resolve } from 'path';
+import { ROOT, loadRegistry } from './lib/registry-sandbox.js';
+
+const SITE_NAME = 'ET CETER4';
+
+// Files written by the last run, so stale cards can be removed safely
+const MANIFEST_FILE = 'manifest.json';
+
+// Open Graph object type per content type
+const OG_TYPES = {
+  audio: 'music.album',
+  video: 'video.other',
+  text: 'article',
+};
+
+/**
+ * Escape text for HTML attribute and element content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Shorten a description for card previews
+ * @param {string} text
+ * @param {number} [maxLength=200]
+ * @returns {string}
+ */
+function truncate(text, maxLength = 200) {
+  const clean = String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return clean.length > maxLength
+    ? `${clean.slice(0, maxLength - 1).trimEnd()}…`
+    : clean;
+}
+
+/**
+ * Build the card metadata for an item
+ * @param {Object} item - ContentRegistry item
+ * @param {Object} options - { siteUrl, path, defaultImage, fileName }
+ * @returns {Object}
+ */
+function getCardData(item, options) {
+  const { siteUrl, path, defaultImage, fileName } = options;
+  const base = `${siteUrl.replace(/\/$/, '')}/`;
+  const image = item.image
+    ? { url: new URL(item.image, base).href }
+    : defaultImage;
+
+  return {
+    title: item.title,
+    description:
+      truncate(item.description || item.subtitle) ||
+      `${item.sectionTitle || item.section} in ${item.chamberName || item.chamber} — ${SITE_NAME}`,
+    url: new URL(`${path}/${fileName}.html`, base).href,
+    oembedUrl: new URL(`${path}/${fileName}.oembed.json`, base).href,
+    deepLink: `../?item=${encodeURIComponent(item.id)}#discovery`,
+    ogType: OG_TYPES[item.type] || 'website',
+    image,
+    siteUrl: base,
+  };
+}
+
+/**
+ * Render the HTML stub for an item
+ * @param {Object} card - Result of getCardData()
+ * @returns {string}
+ */
+function renderShareCard(card) {
+  const e = escapeHtml;
+  const twitterCard = card.image ? 'summary_large_image' : 'summary';
+  const imageMeta = card.image
+    ? `
+    <meta property="og:image" content="${e(card.image.url)}" />${
+      card.image.width
+        ? `
+    <meta property="og:image:width" content="${card.image.width}" />
+    <meta property="og:image:height" content="${card.image.height}" />`
+        : ''
+    }
+    <meta name="twitter:image" content="${e(card.image.url)}" />`
+    : '';
+
+  return `<!doctype html>
+<html lang="en-US">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${e(card.title)} · ${SITE_NAME}</title>
+    <meta name="description" content="${e(card.description)}" />
+    <link rel="canonical" href="${e(card.url)}" />
+    <link rel="alternate" type="application/json+oembed" href="${e(card.oembedUrl)}" title="${e(card.title)}" />
+
+    <meta property="og:title" content="${e(card.title)}" />
+    <meta property="og:description" content="${e(card.description)}" />
+    <meta property="og:url" content="${e(card.url)}" />
+    <meta property="og:type" content="${card.ogType}" />
+    <meta property="og:site_name" content="${SITE_NAME}" />${imageMeta}
+
+    <meta name="twitter:card" content="${twitterCard}" />
+    <meta name="twitter:title" content="${e(card.title)}" />
+    <meta name="twitter:description" content="${e(card.description)}" />
+
+    <meta http-equiv="refresh" content="0; url=${e(card.deepLink)}" />
+    <script>window.location.replace(${JSON.stringify(card.deepLink).replace(/</g, '\\u003c')});</script>
+  </head>
+  <body>
+    <p><a href="${e(card.deepLink)}">Continue to ${e(card.title)} on ${SITE_NAME}</a></p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Build the oEmbed response for an item
+ * @param {Object} card - Result of getCardData()
+ * @returns {Object}
+ */
+function renderOEmbed(card) {
+  const oembed = {
+    version: '1.0',
+    type: 'link',
+    title: card.title,
+    author_name: SITE_NAME,
+    author_url: card.siteUrl,
+    provider_name: SITE_NAME,
+    provider_url: card.siteUrl,
+  };
+
+  // oEmbed requires thumbnail dimensions, which are only known for the
+  // configured default image
+  if (card.image && card.image.width && card.image.height) {
+    oembed.thumbnail_url = card.image.url;
+    oembed.thumbnail_width = card.image.width;
+    oembed.thumbnail_height = card.image.height;
+  }
+
+  return oembed;
+}
+
+/**
+ * Read the files listed by the previous run's manifest
+ * @param {string} outputDir
+ * @returns {Array<string>}
+ */
+function readManifest(outputDir) {
+  const manifestPath = join(outputDir, MANIFEST_FILE);
+  if (!existsSync(manifestPath)) return [];
+  try {
+    const { files } = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    return Array.isArray(files) ? files : [];
+  } catch (err) {
+    console.warn(`Ignoring unreadable ${manifestPath}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const { context, registry, config } = await loadRegistry([
+    'js/discovery/ShareLinks.js',
+  ]);
+
+  const { ShareLinks } = context.window;
+  const shareConfig = config.discovery?.shareCards || {};
+  if (shareConfig.enabled === false) {
+    console.log('Share cards disabled (discovery.shareCards.enabled = false)');
+    return;
+  }
+
+  const path = shareConfig.path || 'share';
+  const outputDir = resolve(process.argv[2] || join(ROOT, path));
+
+  mkdirSync(outputDir, { recursive: true });
+
+  const previous = readManifest(outputDir);
+  const written = new Set();
+
+  registry.getAllItems().forEach(item => {
+    const fileName = ShareLinks.getShareCardFileName(item.id);
+    const card = getCardData(item, {
+      siteUrl: shareConfig.siteUrl || 'https://etceter4.com',
+      path,
+      defaultImage: shareConfig.defaultImage || null,
+      fileName,
+    });
+
+    writeFileSync(join(outputDir, `${fileName}.html`), renderShareCard(card));
+    writeFileSync(
+      join(outputDir, `${fileName}.oembed.json`),
+      `${JSON.stringify(renderOEmbed(card), null, 2)}\n`
+    );
+    written.add(`${fileName}.html`).add(`${fileName}.oembed.json`);
+  });
+
+  // Remove cards the previous run wrote for items that no longer exist
+  // (bare file names only, so nothing outside the output directory)
+  let removed = 0;
+  previous
+    .filter(
+      file => /^[^/\\]+\.(html|oembed\.json)$/.test(file) && !written.has(file)
+    )
+    .forEach(file => {
+      if (existsSync(join(outputDir, file))) {
+        unlinkSync(join(outputDir, file));
+        removed++;
+      }
+    });
+
+  writeFileSync(
+    join(outputDir, MANIFEST_FILE),
+    `${JSON.stringify({ files: [...written].sort() }, null, 2)}\n`
+  );
+
+  console.log(
+    `Share cards: ${written.size / 2} items${removed ? `, ${removed} stale files removed` : ''}`
+  );
+  console.log(`  -> ${outputDir}`);
+}
+
+main().catch(err => {
+  console.error('Failed to build share cards:', err);
+  process.exit(1);
+});
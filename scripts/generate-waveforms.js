@@ -16,17 +16,25 @@
  * The script will:
  * 1. Find all .mp3, .flac, .wav, .ogg files in the input directory
  * 2. Generate a waveform JSON file for each audio file
- * 3. Output files as <filename>-waveform.json
+ * 3. Build a peaks pyramid: the full-resolution min/max pairs, then each
+ *    level halving the resolution of the one before it
+ * 4. Output files as <filename>-waveform.json
  *
  * Output JSON format:
  * {
  *   "version": 2,
  *   "channels": 1,
- *   "sample_rate": 44100,
- *   "samples_per_pixel": 256,
+ *   "sampleRate": 44100,
+ *   "samplesPerPixel": 256,
  *   "bits": 8,
- *   "length": 1234,
- *   "data": [0.1, 0.2, 0.3, ...]
+ *   "duration": 212.5,
+ *   "peaks": [0.1, 0.2, 0.3, ...],     // ~1000 normalized peaks for simple views
+ *   "length": 1024,
+ *   "levels": [                        // finest first, min/max pairs in -1..1
+ *     { "samplesPerPixel": 256, "length": 36608, "data": [-0.1, 0.1, ...] },
+ *     { "samplesPerPixel": 512, "length": 18304, "data": [-0.2, 0.1, ...] },
+ *     ...
+ *   ]
  * }
  */
 
@@ -38,15 +46,18 @@ const path = require('path');
 
 // Configuration
 const CONFIG = {
-  // Samples per pixel - affects waveform resolution
-  // Lower = more detail, higher = less detail
+  // Samples per pixel of the finest pyramid level - affects how far the
+  // player can zoom in. Lower = more detail, higher = smaller files
   samplesPerPixel: 256,
 
+  // Stop halving the pyramid once a level has fewer min/max pairs than this
+  minLevelLength: 256,
+
   // Bit depth for waveform (8 = smaller files, 16 = more precision)
   bits: 8,
 
-  // Target width in pixels (0 = auto based on audio duration)
-  // Recommend ~800-1200 for responsive playback
+  // Approximate length of the flat "peaks" array (the coarsest level with at
+  // least this many pairs). Recommend ~800-1200 for responsive playback
   pixels: 1000,
 
   // Supported audio formats
@@ -117,8 +128,8 @@ function generateWaveform(inputPath, outputPath) {
       inputPath,
       '-o',
       outputPath,
-      '--pixels-per-second',
-      '50',
+      '--zoom',
+      String(CONFIG.samplesPerPixel),
       '--bits',
       String(CONFIG.bits),
       '--output-format',
@@ -162,7 +173,65 @@ function generateWaveform(inputPath, outputPath) {
 }
 
 /**
- * Normalize waveform data to 0-1 range
+ * Round a normalized sample to keep the JSON small
+ * (8-bit source data has no more precision than this anyway)
+ * @param {number} value - Normalized sample
+ * @returns {number} Rounded sample
+ */
+function roundSample(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Halve the resolution of a pyramid level by merging neighbouring pairs
+ * @param {Object} level - { samplesPerPixel, length, data: [min, max, ...] }
+ * @returns {Object} Level with twice the samples per pixel
+ */
+function downsampleLevel(level) {
+  const data = [];
+
+  for (let i = 0; i < level.data.length; i += 4) {
+    const hasNext = i + 2 < level.data.length;
+    const min = hasNext
+      ? Math.min(level.data[i], level.data[i + 2])
+      : level.data[i];
+    const max = hasNext
+      ? Math.max(level.data[i + 1], level.data[i + 3])
+      : level.data[i + 1];
+    data.push(min, max);
+  }
+
+  return {
+    samplesPerPixel: level.samplesPerPixel * 2,
+    length: data.length / 2,
+    data,
+  };
+}
+
+/**
+ * Build a mipmapped peaks pyramid from full-resolution min/max pairs
+ * @param {number[]} minMax - Normalized interleaved min/max pairs
+ * @param {number} samplesPerPixel - Samples per pixel of minMax
+ * @returns {Object[]} Levels, finest first
+ */
+function buildPeaksPyramid(minMax, samplesPerPixel) {
+  const levels = [
+    { samplesPerPixel, length: minMax.length / 2, data: minMax },
+  ];
+
+  while (levels[levels.length - 1].length > CONFIG.minLevelLength) {
+    levels.push(downsampleLevel(levels[levels.length - 1]));
+  }
+
+  levels.forEach((level) => {
+    level.data = level.data.map(roundSample);
+  });
+
+  return levels;
+}
+
+/**
+ * Normalize waveform data to the -1..1 range and build the peaks pyramid
  * @param {Object} data - Raw audiowaveform JSON output
  * @returns {Object} Normalized data
  */
@@ -172,8 +241,6 @@ function normalizeWaveform(data) {
   }
 
   // audiowaveform outputs interleaved min/max pairs
-  // Convert to single normalized peaks for simpler visualization
-  const peaks = [];
   const rawData = data.data;
 
   // Find max absolute value for normalization
@@ -185,12 +252,19 @@ function normalizeWaveform(data) {
     }
   }
 
-  // Convert min/max pairs to single peaks (use max of absolute values)
-  for (let i = 0; i < rawData.length; i += 2) {
-    const min = rawData[i];
-    const max = rawData[i + 1];
-    const peak = Math.max(Math.abs(min), Math.abs(max));
-    peaks.push(maxVal > 0 ? peak / maxVal : 0);
+  const minMax = rawData.map((value) => (maxVal > 0 ? value / maxVal : 0));
+  const levels = buildPeaksPyramid(minMax, data.samples_per_pixel);
+
+  // Flat peaks (max of absolute values) from the coarsest level that still
+  // fills the target width, for consumers that only draw one resolution
+  const peakLevel =
+    [...levels].reverse().find((level) => level.length >= CONFIG.pixels) ||
+    levels[0];
+  const peaks = [];
+  for (let i = 0; i < peakLevel.data.length; i += 2) {
+    peaks.push(
+      Math.max(Math.abs(peakLevel.data[i]), Math.abs(peakLevel.data[i + 1]))
+    );
   }
 
   return {
@@ -204,6 +278,7 @@ function normalizeWaveform(data) {
       : null,
     peaks: peaks,
     length: peaks.length,
+    levels,
   };
 }
 
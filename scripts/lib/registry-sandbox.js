@@ -0,0 +1,122 @@
+/**
+ * @file registry-sandbox.js
+ * @description Load the browser ContentRegistry inside a Node vm sandbox.
+ *
+ * Build scripts use this to see exactly the items the site sees: js/config.js,
+ * the chamber configs and the discovery sources are evaluated as-is, with
+ * fetch() served from the repository checkout.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import vm from 'vm';
+
+const __filename = fileURLToPath(import.meta.url);
+
+export const ROOT = resolve(dirname(__filename), '..', '..');
+
+// Chamber configs indexed by ContentRegistry (keep in sync with the
+// discovery entry in js/chamberManifest.js)
+export const CHAMBER_CONFIGS = [
+  'akademia/config.js',
+  'bibliotheke/config.js',
+  'pinakotheke/config.js',
+  'odeion/config.js',
+  'agora/config.js',
+  'symposion/config.js',
+  'theatron/config.js',
+  'ergasterion/config.js',
+  'khronos/config.js',
+];
+
+/**
+ * fetch() stand-in that serves site paths from the repository checkout
+ * @param {string} url - Site-relative path
+ * @returns {Promise<Object>} Minimal Response-like object
+ */
+async function fetchFromDisk(url) {
+  const filePath = join(ROOT, url.replace(/^\//, '').split(/[?#]/)[0]);
+
+  if (!existsSync(filePath)) {
+    return { ok: false, status: 404 };
+  }
+
+  const body = readFileSync(filePath, 'utf-8');
+  return {
+    ok: true,
+    status: 200,
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  };
+}
+
+/**
+ * Create a minimal browser-like sandbox for the site scripts
+ * @returns {vm.Context}
+ */
+export function createSandbox() {
+  const quietConsole = { ...console, info() {} };
+
+  const window = {
+    location: {
+      hostname: '',
+      origin: '',
+      pathname: '/',
+      search: '',
+      hash: '',
+      href: '/',
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() {
+      return true;
+    },
+  };
+
+  const sandbox = {
+    window,
+    console: quietConsole,
+    fetch: fetchFromDisk,
+    CustomEvent: class CustomEvent {
+      constructor(type, init = {}) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    },
+  };
+
+  return vm.createContext(sandbox);
+}
+
+/**
+ * Run a repository script inside the sandbox
+ * @param {vm.Context} context - Sandbox context
+ * @param {string} relativePath - Path relative to the repository root
+ */
+export function runScript(context, relativePath) {
+  const source = readFileSync(join(ROOT, relativePath), 'utf-8');
+  vm.runInContext(source, context, { filename: relativePath });
+}
+
+/**
+ * Evaluate config, chamber configs and the given discovery sources, then
+ * initialize the ContentRegistry
+ * @param {string[]} [extraScripts=[]] - Additional scripts to run after ContentRegistry
+ * @returns {Promise<Object>} { context, registry, config }
+ */
+export async function loadRegistry(extraScripts = []) {
+  const context = createSandbox();
+
+  runScript(context, 'js/config.js');
+  CHAMBER_CONFIGS.forEach(configPath => runScript(context, configPath));
+  runScript(context, 'js/discovery/ContentRegistry.js');
+  extraScripts.forEach(script => runScript(context, script));
+
+  const registry = context.window.ContentRegistry.getInstance();
+  await registry.initialize();
+
+  const config = vm.runInContext('ETCETER4_CONFIG', context);
+
+  return { context, registry, config };
+}
@@ -4,8 +4,13 @@
  * Cache limit ~5MB due to large images
  *
  * Bump CACHE_VERSION when deploying updated assets to bust stale caches
+ *
+ * Media caching and offline downloads come from MediaServiceWorker, which
+ * runs inside this worker so that it controls the whole site
  */
 
+importScripts('/js/media/cache/MediaServiceWorker.js');
+
 const CACHE_VERSION = 4;
 const CACHE_NAME = `etceter4-v${CACHE_VERSION}`;
 
@@ -64,7 +69,8 @@ self.addEventListener('activate', event => {
       .then(cacheNames => {
         return Promise.all(
           cacheNames
-            .filter(cacheName => cacheName !== CACHE_NAME)
+            // Media caches (including offline downloads) belong to MediaServiceWorker
+            .filter(cacheName => cacheName.startsWith('etceter4-v') && cacheName !== CACHE_NAME)
             .map(cacheName => caches.delete(cacheName))
         ).catch(err => {
           console.warn('Cache cleanup failed:', err);
@@ -90,6 +96,11 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // Answered by MediaServiceWorker
+  if (handlesMediaRequest(event.request)) {
+    return;
+  }
+
   // Skip large image files from caching
   if (
     event.request.url.includes('/img/photos/') ||
@@ -437,4 +437,176 @@ describe('ContentRegistry', () => {
       expect(akademiaItems.length).toBe(2);
     });
   });
+
+  describe('Full-text documents', () => {
+    let Registry;
+
+    const essayHtml = `<!doctype html>
+      <html><head><title>Essay</title><style>.x { color: red; }</style></head>
+      <body>
+        <nav><a href="#">Back to Akademia</a></nav>
+        <main>
+          <h1>On Noise</h1>
+          <p>Signal &amp; noise are <em>inseparable</em>&mdash;always.</p>
+          <script>console.log('ignored');</script>
+        </main>
+        <footer>Copyright</footer>
+      </body></html>`;
+
+    beforeEach(async () => {
+      global.ETCETER4_CONFIG = {
+        ...mockConfig,
+        discovery: { ...mockConfig.discovery, fullText: { enabled: true } },
+      };
+      global.akademiaConfig = {
+        ...mockAkademiaConfig,
+        sections: {
+          essays: {
+            title: 'Essays',
+            items: [
+              {
+                id: 'noise-essay',
+                title: 'On Noise',
+                document: 'akademia/essays/noise.html',
+              },
+              {
+                id: 'missing-essay',
+                title: 'Missing',
+                document: 'akademia/essays/missing.html',
+              },
+            ],
+          },
+        },
+      };
+
+      global.fetch = vi.fn(url =>
+        Promise.resolve(
+          url === 'akademia/essays/noise.html'
+            ? { ok: true, text: () => Promise.resolve(essayHtml) }
+            : { ok: false, status: 404 }
+        )
+      );
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await import('../../../js/discovery/ContentRegistry.js');
+      Registry = window.ContentRegistry;
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+      vi.restoreAllMocks();
+    });
+
+    it('should strip markup, site chrome and scripts from HTML', () => {
+      const text = Registry.extractText(essayHtml);
+      expect(text).toBe('On Noise Signal & noise are inseparable \u2014always.');
+    });
+
+    it('should fall back to the body when there is no <main>', () => {
+      const text = Registry.extractText(
+        '<html><body><p>Just a poem</p></body></html>'
+      );
+      expect(text).toBe('Just a poem');
+    });
+
+    it('should load document bodies into item content on initialize', async () => {
+      const registry = Registry.getInstance();
+      await registry.initialize();
+
+      const item = registry.getItem('noise-essay');
+      expect(global.fetch).toHaveBeenCalledWith('akademia/essays/noise.html');
+      expect(item.documents).toEqual(['akademia/essays/noise.html']);
+      expect(item.content).toContain('inseparable');
+      expect(item.fullText).toEqual([
+        { url: 'akademia/essays/noise.html', text: item.content },
+      ]);
+    });
+
+    it('should keep items whose document fails to load', async () => {
+      const registry = Registry.getInstance();
+      await registry.initialize();
+
+      const item = registry.getItem('missing-essay');
+      expect(item).not.toBeNull();
+      expect(item.fullText).toEqual([]);
+      expect(item.content).toBeNull();
+    });
+
+    it('should not fetch documents when full text is disabled', async () => {
+      global.ETCETER4_CONFIG = mockConfig;
+      const registry = Registry.getInstance();
+      await registry.initialize();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(registry.getItem('noise-essay').content).toBeNull();
+    });
+  });
+
+  describe('Video items', () => {
+    let registry;
+
+    beforeEach(async () => {
+      global.THEATRON_CONFIG = {
+        chamber: { id: 'theatron', name: 'THEATRON', color: '#800080' },
+        wing: { id: 'south' },
+        sections: { performances: { name: 'PERFORMANCES' } },
+        performances: [
+          {
+            id: 'electronica-2015',
+            title: 'Live at Electronica 1.3',
+            year: 2015,
+            duration: '45:00',
+            thumbnail: '/video/performances/electronica-2015/thumb.jpg',
+          },
+        ],
+        rehearsals: [{ id: 'visual-dev-session', title: 'Visual Development' }],
+      };
+      localStorage.clear();
+      delete window.watchProgressInstance;
+      vi.spyOn(console, 'info').mockImplementation(() => {});
+
+      await import('../../../js/media/video/WatchProgress.js');
+      await import('../../../js/discovery/ContentRegistry.js');
+      registry = window.ContentRegistry.getInstance();
+      await registry.initialize();
+    });
+
+    afterEach(() => {
+      delete global.THEATRON_CONFIG;
+      delete window.watchProgressInstance;
+      vi.restoreAllMocks();
+    });
+
+    it('should collect theatron performances and rehearsals as videos', () => {
+      expect(registry.getItem('electronica-2015')).toMatchObject({
+        chamber: 'theatron',
+        section: 'performances',
+        sectionTitle: 'PERFORMANCES',
+        wing: 'south',
+        type: 'video',
+        year: 2015,
+        image: '/video/performances/electronica-2015/thumb.jpg',
+      });
+      expect(registry.getItem('visual-dev-session').section).toBe('rehearsals');
+    });
+
+    it('should report the watch progress of video items', () => {
+      const progress = window.WatchProgress.getInstance();
+      expect(registry.getWatchProgress('electronica-2015')).toBeNull();
+
+      progress.save('electronica-2015', 675, 2700);
+      expect(registry.getWatchProgress('electronica-2015')).toEqual({
+        status: 'in-progress',
+        percent: 0.25,
+        position: 675,
+      });
+
+      progress.markWatched('visual-dev-session', 1200);
+      expect(registry.getWatchProgress('visual-dev-session')).toMatchObject({ status: 'watched', percent: 1 });
+
+      // Only videos have watch progress
+      progress.save('test-essay-1', 600, 1000);
+      expect(registry.getWatchProgress('test-essay-1')).toBeNull();
+    });
+  });
 });
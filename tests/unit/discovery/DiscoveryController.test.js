@@ -0,0 +1,84 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for DiscoveryController
+ * Tests facet counts on the tag cloud under an active search query
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+
+describe('DiscoveryController facet counts', () => {
+  let controller;
+
+  // More matches than search.maxResults
+  const items = Array.from({ length: 60 }, (_, i) => ({
+    id: `temple-${i}`,
+    title: `Temple ${i}`,
+    tags: i % 2 === 0 ? ['sacred', 'glitch'] : ['sacred'],
+    chamber: 'akademia',
+    type: 'text',
+    year: 2020,
+  }));
+
+  beforeEach(async () => {
+    const { default: MiniSearch } = await import('minisearch');
+    global.MiniSearch = MiniSearch;
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        getAllItems: () => items,
+        getItem: id => items.find(item => item.id === id),
+        filter: (criteria = {}) =>
+          items.filter(
+            item =>
+              !criteria.tags ||
+              criteria.tags.every(tag => item.tags.includes(tag))
+          ),
+      }),
+    };
+    global.ETCETER4_CONFIG = {
+      discovery: {
+        search: { maxResults: 50, prebuiltIndex: { enabled: false } },
+      },
+    };
+
+    await import('../../../js/discovery/QueryParser.js');
+    await import('../../../js/discovery/SearchEngine.js');
+    await import('../../../js/discovery/FilterSystem.js');
+    await import('../../../js/discovery/DiscoveryController.js');
+    delete window.searchEngineInstance;
+    delete window.filterSystemInstance;
+
+    controller = new window.DiscoveryController();
+    controller.searchEngine = window.SearchEngine.getInstance();
+    await controller.searchEngine.initialize();
+    controller.filterSystem = window.FilterSystem.getInstance();
+    controller.filterSystem.syncToUrl = false;
+
+    document.body.innerHTML = `
+      <div id="tag-cloud">
+        <button class="tag-btn" data-tag="sacred"><span class="tag-count"></span></button>
+        <button class="tag-btn" data-tag="glitch"><span class="tag-count"></span></button>
+      </div>`;
+    controller.elements = { tagCloud: document.getElementById('tag-cloud') };
+  });
+
+  afterEach(() => {
+    delete global.ETCETER4_CONFIG;
+    delete window.searchEngineInstance;
+    delete window.filterSystemInstance;
+    document.body.innerHTML = '';
+  });
+
+  it('should count every match of the query, beyond maxResults', () => {
+    controller.currentSearchQuery = 'temple';
+
+    expect(controller.searchEngine.search('temple')).toHaveLength(50);
+    expect(controller._getQueryItems()).toHaveLength(60);
+
+    controller._updateFacetCounts();
+    const count = tag =>
+      document.querySelector(`[data-tag="${tag}"] .tag-count`).textContent;
+    expect(count('sacred')).toBe('60');
+    expect(count('glitch')).toBe('30');
+  });
+});
@@ -429,3 +429,114 @@ describe('URL Parameter Parsing', () => {
     expect(tags).toEqual([]);
   });
 });
+
+describe('FilterSystem facet counts', () => {
+  let filters;
+
+  const items = [
+    {
+      id: 'a1',
+      tags: ['glitch', 'music'],
+      chamber: 'odeion',
+      type: 'audio',
+      year: 2020,
+    },
+    { id: 'a2', tags: ['music'], chamber: 'odeion', type: 'audio', year: 2022 },
+    {
+      id: 'v1',
+      tags: ['glitch'],
+      chamber: 'pinakotheke',
+      type: 'visual',
+      year: 2021,
+    },
+    {
+      id: 't1',
+      tags: ['philosophy'],
+      chamber: 'akademia',
+      type: 'text',
+      year: 2019,
+    },
+  ];
+
+  beforeEach(async () => {
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        filter: (criteria = {}) =>
+          items.filter(
+            item =>
+              (!criteria.tags ||
+                criteria.tags.every(tag => item.tags.includes(tag))) &&
+              (!criteria.chambers ||
+                criteria.chambers.includes(item.chamber)) &&
+              (!criteria.types || criteria.types.includes(item.type)) &&
+              (!criteria.fromYear || item.year >= criteria.fromYear) &&
+              (!criteria.toYear || item.year <= criteria.toYear)
+          ),
+      }),
+    };
+
+    await import('../../../js/discovery/FilterSystem.js');
+    delete window.filterSystemInstance;
+    filters = window.FilterSystem.getInstance();
+    filters.syncToUrl = false;
+  });
+
+  afterEach(() => {
+    delete window.filterSystemInstance;
+  });
+
+  it('should count every value when no filters are active', () => {
+    const counts = filters.getFacetCounts();
+
+    expect(counts.total).toBe(4);
+    expect(counts.types).toEqual({ audio: 2, visual: 1, text: 1 });
+    expect(counts.tags.glitch).toBe(2);
+  });
+
+  it("should ignore a facet's own selection when counting its values", () => {
+    filters.setTypes(['audio']);
+    const counts = filters.getFacetCounts();
+
+    expect(counts.total).toBe(2);
+    // Other types stay selectable with their own counts
+    expect(counts.types).toEqual({ audio: 2, visual: 1, text: 1 });
+    // Other facets are narrowed by the type selection
+    expect(counts.chambers).toEqual({ odeion: 2 });
+  });
+
+  it('should narrow OR facets by the other active filters', () => {
+    filters.setTags(['glitch']);
+    const counts = filters.getFacetCounts();
+
+    expect(counts.types).toEqual({ audio: 1, visual: 1 });
+    expect(counts.types.text).toBeUndefined();
+  });
+
+  it('should count tags conjunctively within the filtered set', () => {
+    filters.setTags(['music']);
+    const counts = filters.getFacetCounts();
+
+    expect(counts.tags).toEqual({ music: 2, glitch: 1 });
+  });
+
+  it('should apply the year range to every facet', () => {
+    filters.setDateRange(2021, null);
+
+    expect(filters.getFacetCounts().types).toEqual({ audio: 1, visual: 1 });
+  });
+
+  it('should restrict counts to the current query items', () => {
+    const counts = filters.getFacetCounts([items[0], items[3]]);
+
+    expect(counts.total).toBe(2);
+    expect(counts.types).toEqual({ audio: 1, text: 1 });
+  });
+
+  it('should count preset criteria on their own', () => {
+    filters.setChambers(['akademia']);
+
+    expect(filters.countMatching({ types: ['audio'] })).toBe(2);
+    expect(filters.countMatching({ types: ['audio'] }, [items[2]])).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for QueryParser
+ * Tests the advanced discovery query syntax
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+describe('QueryParser', () => {
+  let QueryParser;
+
+  beforeAll(async () => {
+    await import('../../../js/discovery/QueryParser.js');
+    QueryParser = window.QueryParser;
+  });
+
+  describe('Plain queries', () => {
+    it('should keep free text as terms', () => {
+      const parsed = QueryParser.parse('digital temple');
+
+      expect(parsed.terms).toEqual(['digital', 'temple']);
+      expect(parsed.text).toBe('digital temple');
+      expect(parsed.isAdvanced).toBe(false);
+      expect(parsed.chips).toEqual([]);
+      expect(parsed.errors).toEqual([]);
+    });
+
+    it('should handle empty input', () => {
+      const parsed = QueryParser.parse('');
+
+      expect(parsed.terms).toEqual([]);
+      expect(parsed.isAdvanced).toBe(false);
+    });
+  });
+
+  describe('Phrases and exclusions', () => {
+    it('should parse quoted phrases', () => {
+      const parsed = QueryParser.parse('"sacred space" temple');
+
+      expect(parsed.phrases).toEqual(['sacred space']);
+      expect(parsed.terms).toEqual(['temple']);
+      expect(parsed.isAdvanced).toBe(true);
+      expect(parsed.chips[0]).toMatchObject({
+        kind: 'phrase',
+        label: '"sacred space"',
+      });
+    });
+
+    it('should parse negated words and phrases', () => {
+      const parsed = QueryParser.parse('-draft -"working title"');
+
+      expect(parsed.excludeTerms).toEqual(['draft', 'working title']);
+      expect(parsed.chips.every(chip => chip.negated)).toBe(true);
+    });
+
+    it('should treat a lone dash as text', () => {
+      const parsed = QueryParser.parse('before - after');
+
+      expect(parsed.terms).toEqual(['before', '-', 'after']);
+      expect(parsed.excludeTerms).toEqual([]);
+    });
+
+    it('should report an unterminated quote', () => {
+      const parsed = QueryParser.parse('temple "sacred space');
+
+      expect(parsed.errors).toHaveLength(1);
+      expect(parsed.errors[0].message).toMatch(/closing quote/);
+      expect(parsed.errors[0].position).toBe(7);
+    });
+  });
+
+  describe('Filters', () => {
+    it('should map filter fields to registry criteria', () => {
+      const parsed = QueryParser.parse(
+        'tag:Glitch chamber:odeion type:audio wing:south status:published'
+      );
+
+      expect(parsed.criteria).toEqual({
+        tags: ['glitch'],
+        chambers: ['odeion'],
+        types: ['audio'],
+        wings: ['south'],
+        statuses: ['published'],
+      });
+      expect(parsed.chips).toHaveLength(5);
+    });
+
+    it('should support quoted filter values', () => {
+      const parsed = QueryParser.parse('tag:"web design"');
+
+      expect(parsed.criteria.tags).toEqual(['web design']);
+    });
+
+    it('should collect negated filters separately', () => {
+      const parsed = QueryParser.parse('-tag:demo -chamber:agora');
+
+      expect(parsed.criteria).toEqual({});
+      expect(parsed.excludeCriteria).toEqual({
+        tags: ['demo'],
+        chambers: ['agora'],
+      });
+    });
+
+    it('should parse single years and ranges', () => {
+      expect(QueryParser.parse('year:2020').criteria).toEqual({
+        fromYear: 2020,
+        toYear: 2020,
+      });
+      expect(QueryParser.parse('year:2019..2022').criteria).toEqual({
+        fromYear: 2019,
+        toYear: 2022,
+      });
+      expect(QueryParser.parse('year:..2020').criteria).toEqual({
+        toYear: 2020,
+      });
+      expect(QueryParser.parse('year:2019..').criteria).toEqual({
+        fromYear: 2019,
+      });
+    });
+
+    it('should reject malformed or reversed year ranges', () => {
+      expect(QueryParser.parse('year:twenty').errors[0].message).toMatch(
+        /Invalid year/
+      );
+      expect(QueryParser.parse('year:2022..2019').errors).toHaveLength(1);
+      expect(QueryParser.parse('year:..').errors).toHaveLength(1);
+    });
+  });
+
+  describe('Field-scoped text', () => {
+    it('should scope values to index fields', () => {
+      const parsed = QueryParser.parse('title:temple body:"human right"');
+
+      expect(parsed.fieldQueries).toEqual([
+        { field: 'title', value: 'temple', quoted: false },
+        { field: 'content', value: 'human right', quoted: true },
+      ]);
+    });
+
+    it('should keep unknown prefixes and URLs as free text', () => {
+      const parsed = QueryParser.parse(
+        'author:anthony https://etceter4.com/share -note:draft'
+      );
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.terms).toEqual([
+        'author:anthony',
+        'https://etceter4.com/share',
+      ]);
+      expect(parsed.excludeTerms).toEqual(['note:draft']);
+      expect(parsed.fieldQueries).toEqual([]);
+      expect(parsed.warnings.map(warning => warning.token)).toEqual([
+        'author:anthony',
+        '-note:draft',
+      ]);
+    });
+
+    it('should warn about mistyped fields without blocking the search', () => {
+      const parsed = QueryParser.parse('tga:glitch yaer:2020');
+
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.terms).toEqual(['tga:glitch', 'yaer:2020']);
+      expect(parsed.warnings).toEqual([
+        {
+          message: 'Unknown field "tga:", searched as text. Did you mean tag:?',
+          token: 'tga:glitch',
+          position: 0,
+        },
+        {
+          message:
+            'Unknown field "yaer:", searched as text. Did you mean year:?',
+          token: 'yaer:2020',
+          position: 11,
+        },
+      ]);
+    });
+
+    it('should list the fields when no field is close', () => {
+      const parsed = QueryParser.parse('https://etceter4.com zzzzzz:1');
+
+      expect(parsed.warnings).toHaveLength(1);
+      expect(parsed.warnings[0].message).toContain('Fields: tag, tags,');
+    });
+
+    it('should report fields without a value', () => {
+      const parsed = QueryParser.parse('tag: music');
+
+      expect(parsed.errors[0].message).toMatch(/needs a value/);
+      expect(parsed.terms).toEqual(['music']);
+    });
+
+    it('should list every positive word as a highlight term', () => {
+      const parsed = QueryParser.parse(
+        'art "sacred space" title:temple -draft tag:x'
+      );
+
+      expect(QueryParser.getHighlightTerms(parsed)).toEqual([
+        'art',
+        'sacred',
+        'space',
+        'temple',
+      ]);
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests content similarity scoring and recommendations
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 describe('RelatedWorksEngine', () => {
   let relatedWorksEngine;
@@ -399,30 +399,273 @@ describe('RelatedWorksEngine', () => {
 describe('Scoring Weight Configuration', () => {
   it('should have weights that sum to approximately 1', () => {
     const weights = {
-      tagOverlap: 0.4,
-      sameSection: 0.15,
+      tagOverlap: 0.3,
+      textSimilarity: 0.2,
+      sameSection: 0.1,
       sameChamber: 0.1,
       sameWing: 0.05,
-      temporal: 0.15,
+      temporal: 0.1,
       typeMatch: 0.15,
     };
 
     const sum = Object.values(weights).reduce((a, b) => a + b, 0);
-    expect(sum).toBe(1);
+    expect(sum).toBeCloseTo(1);
   });
 
   it('should prioritize tag overlap over other factors', () => {
     const weights = {
-      tagOverlap: 0.4,
-      sameSection: 0.15,
+      tagOverlap: 0.3,
+      textSimilarity: 0.2,
+      sameSection: 0.1,
       sameChamber: 0.1,
       sameWing: 0.05,
-      temporal: 0.15,
+      temporal: 0.1,
       typeMatch: 0.15,
     };
 
     expect(weights.tagOverlap).toBeGreaterThan(weights.sameSection);
     expect(weights.tagOverlap).toBeGreaterThan(weights.sameChamber);
     expect(weights.tagOverlap).toBeGreaterThan(weights.typeMatch);
+    expect(weights.tagOverlap).toBeGreaterThan(weights.textSimilarity);
+  });
+});
+
+describe('RelatedWorksEngine text similarity', () => {
+  let engine;
+  let items;
+
+  beforeEach(async () => {
+    items = [
+      {
+        id: 'essay-1',
+        title: 'Cathedrals of Code',
+        description: 'Sacred architecture rebuilt as software',
+        content:
+          'The cathedral was the first software: architecture that computes devotion.',
+        tags: ['philosophy'],
+        chamber: 'akademia',
+        type: 'text',
+      },
+      {
+        id: 'essay-2',
+        title: 'Software Cathedrals Revisited',
+        description: 'Why code is sacred architecture',
+        tags: ['essays'],
+        chamber: 'agora',
+        type: 'text',
+      },
+      {
+        id: 'album-1',
+        title: 'Glitch Hymns',
+        description: 'Broken synthesizers and noise',
+        tags: ['music'],
+        chamber: 'odeion',
+        type: 'audio',
+      },
+      {
+        id: 'photo-1',
+        title: 'Urban Night',
+        description: 'Street photography at night',
+        tags: ['photography'],
+        chamber: 'pinakotheke',
+        type: 'visual',
+      },
+    ];
+
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        getAllItems: () => items,
+        getItem: id => items.find(item => item.id === id),
+      }),
+    };
+
+    await import('../../../js/discovery/RelatedWorksEngine.js');
+    delete window.relatedWorksEngineInstance;
+    engine = window.RelatedWorksEngine.getInstance().initialize();
+  });
+
+  afterEach(() => {
+    delete window.relatedWorksEngineInstance;
+  });
+
+  it('should link items on the same subject without shared tags', () => {
+    const [top] = engine.getRelated('essay-1');
+
+    expect(top.item.id).toBe('essay-2');
+    const textReason = top.reasons.find(r => r.type === 'text');
+    expect(textReason.score).toBeGreaterThan(0);
+    expect(textReason.detail).toMatch(/^Shared terms: /);
+  });
+
+  it('should name the shared terms that drove the match', () => {
+    const { terms } = engine._computeTextSimilarity(items[0], items[1]);
+
+    expect(terms.length).toBeLessThanOrEqual(3);
+    expect(terms).toContain('cathedrals');
+    terms.forEach(term =>
+      expect([
+        'cathedrals',
+        'code',
+        'software',
+        'sacred',
+        'architecture',
+      ]).toContain(term)
+    );
+  });
+
+  it('should give unrelated text no text score', () => {
+    const { score, terms } = engine._computeTextSimilarity(items[2], items[3]);
+
+    expect(score).toBe(0);
+    expect(terms).toEqual([]);
+  });
+
+  it('should ignore stop words and short tokens', () => {
+    expect(engine._tokenize('The art of it, and 2024 the CODE')).toEqual([
+      'art',
+      'code',
+    ]);
+  });
+
+  it('should rebuild vectors after the cache is cleared', () => {
+    engine._getTextVectors();
+    items.push({
+      id: 'late',
+      title: 'Sacred Software',
+      tags: [],
+      chamber: 'agora',
+      type: 'text',
+    });
+    engine.clearCache();
+
+    expect(engine._getTextVectors().has('late')).toBe(true);
+  });
+
+  it('should honour a configured text weight of zero', () => {
+    engine.weights.textSimilarity = 0;
+    const { score } = engine._computeSimilarity(items[0], items[1]);
+
+    // Only the type match counts: different tags, chamber and section
+    expect(score).toBeCloseTo(engine.weights.typeMatch);
+  });
+});
+
+describe('RelatedWorksEngine personalization', () => {
+  let engine;
+  let items;
+
+  const journey = ({
+    interactions = [],
+    pathSequence = [],
+    visitCounts = {},
+  }) => ({
+    getSummary: () => ({ interactions, pathSequence }),
+    getVisitCounts: () => visitCounts,
+  });
+
+  beforeEach(async () => {
+    const base = { tags: ['sacred'], type: 'text', year: 2020 };
+    items = [
+      {
+        ...base,
+        id: 'a1',
+        title: 'Temple One',
+        chamber: 'akademia',
+        section: 'essays',
+      },
+      {
+        ...base,
+        id: 'a2',
+        title: 'Temple Two',
+        chamber: 'akademia',
+        section: 'essays',
+      },
+      {
+        ...base,
+        id: 'g1',
+        title: 'Temple Manifesto',
+        chamber: 'agora',
+        section: 'manifestos',
+      },
+      {
+        ...base,
+        id: 'b1',
+        title: 'Temple Verses',
+        chamber: 'bibliotheke',
+        section: 'poetry',
+      },
+    ];
+
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        getAllItems: () => items,
+        getItem: id => items.find(item => item.id === id),
+        getItemsByChamber: chamber =>
+          items.filter(item => item.chamber === chamber),
+      }),
+    };
+
+    await import('../../../js/discovery/RelatedWorksEngine.js');
+    delete window.relatedWorksEngineInstance;
+    engine = window.RelatedWorksEngine.getInstance().initialize();
+  });
+
+  afterEach(() => {
+    delete window.relatedWorksEngineInstance;
+  });
+
+  it('should return nothing without any history', () => {
+    expect(engine.getPersonalized(5, journey({}))).toEqual([]);
+  });
+
+  it('should seed from viewed items and leave them out of the shelf', () => {
+    const results = engine.getPersonalized(
+      5,
+      journey({
+        interactions: [
+          { id: 'akademia', type: 'item_viewed', meta: { itemId: 'a1' } },
+        ],
+      })
+    );
+
+    const ids = results.map(r => r.item.id);
+    expect(ids).not.toContain('a1');
+    expect(ids).toContain('a2');
+    expect(results[0].reasons.some(r => r.type === 'journey')).toBe(true);
+  });
+
+  it('should down-weight chambers visited many times', () => {
+    const interactions = [
+      { id: 'akademia', type: 'item_viewed', meta: { itemId: 'a1' } },
+    ];
+    const fresh = engine.getPersonalized(5, journey({ interactions }));
+    const familiar = engine.getPersonalized(
+      5,
+      journey({
+        interactions,
+        visitCounts: { akademia: 20 },
+      })
+    );
+
+    const score = (results, id) => results.find(r => r.item.id === id).score;
+    expect(score(familiar, 'a2')).toBeLessThan(score(fresh, 'a2'));
+    expect(score(familiar, 'g1')).toBe(score(fresh, 'g1'));
+    expect(familiar.find(r => r.item.id === 'a2').reasons.at(-1).detail).toBe(
+      'Visited akademia 20 times'
+    );
+  });
+
+  it('should fall back to recently visited chambers', () => {
+    const results = engine.getPersonalized(
+      5,
+      journey({ pathSequence: ['bibliotheke', 'agora'] })
+    );
+
+    // Seeds (agora, then bibliotheke items) are excluded by getRelatedToMultiple
+    const ids = results.map(r => r.item.id);
+    expect(ids).toEqual(expect.arrayContaining(['a1', 'a2']));
+    expect(ids).not.toContain('g1');
   });
 });
@@ -0,0 +1,196 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for SavedSearches
+ * Tests named saved searches, ordering and JSON import/export
+ */
+
+import { describe, it, expect, beforeEach, beforeAll, afterEach } from 'vitest';
+
+describe('SavedSearches', () => {
+  let SavedSearches;
+  let saved;
+
+  const south2020Audio = {
+    tags: [],
+    chambers: [],
+    types: ['audio'],
+    wings: ['south'],
+    statuses: [],
+    fromYear: 2020,
+    toYear: 2020,
+    sortBy: 'date',
+    sortOrder: 'asc',
+  };
+
+  beforeAll(async () => {
+    await import('../../../js/discovery/SavedSearches.js');
+    SavedSearches = window.SavedSearches;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    delete window.savedSearchesInstance;
+    saved = SavedSearches.getInstance();
+  });
+
+  afterEach(() => {
+    delete window.savedSearchesInstance;
+  });
+
+  describe('Saving', () => {
+    it('should save a named search with its query and filters', () => {
+      const entry = saved.save(
+        '  All 2020 audio in the South Wing ',
+        'glitch',
+        south2020Audio
+      );
+
+      expect(entry.name).toBe('All 2020 audio in the South Wing');
+      expect(entry.query).toBe('glitch');
+      expect(entry.state).toEqual(south2020Audio);
+      expect(saved.getAll()).toHaveLength(1);
+    });
+
+    it('should persist to localStorage', () => {
+      saved.save('Audio', '', south2020Audio);
+      delete window.savedSearchesInstance;
+
+      expect(SavedSearches.getInstance().getAll()[0].name).toBe('Audio');
+    });
+
+    it('should require a name', () => {
+      expect(() => saved.save('   ', '', {})).toThrow(/needs a name/);
+    });
+
+    it('should enforce the saved search limit', () => {
+      saved.maxSaved = 1;
+      saved.save('One', '', {});
+
+      expect(() => saved.save('Two', '', {})).toThrow(/up to 1/);
+    });
+
+    it('should return copies that cannot mutate stored state', () => {
+      const entry = saved.save('Audio', '', south2020Audio);
+      entry.state.types.push('video');
+      entry.name = 'changed';
+
+      expect(saved.get(entry.id).name).toBe('Audio');
+      expect(saved.get(entry.id).state.types).toEqual(['audio']);
+    });
+  });
+
+  describe('Managing', () => {
+    let ids;
+
+    beforeEach(() => {
+      ids = ['A', 'B', 'C'].map(name => saved.save(name, '', {}).id);
+    });
+
+    it('should rename a search', () => {
+      expect(saved.rename(ids[1], ' Bee ')).toBe(true);
+      expect(saved.get(ids[1]).name).toBe('Bee');
+    });
+
+    it('should ignore empty or unchanged names', () => {
+      expect(saved.rename(ids[0], '')).toBe(false);
+      expect(saved.rename(ids[0], 'A')).toBe(false);
+    });
+
+    it('should reorder searches', () => {
+      expect(saved.move(ids[2], 0)).toBe(true);
+      expect(saved.getAll().map(s => s.name)).toEqual(['C', 'A', 'B']);
+    });
+
+    it('should clamp moves to the list bounds', () => {
+      expect(saved.move(ids[0], -1)).toBe(false);
+      expect(saved.move(ids[0], 99)).toBe(true);
+      expect(saved.getAll().map(s => s.name)).toEqual(['B', 'C', 'A']);
+    });
+
+    it('should delete a search', () => {
+      expect(saved.remove(ids[1])).toBe(true);
+      expect(saved.remove('missing')).toBe(false);
+      expect(saved.getAll().map(s => s.name)).toEqual(['A', 'C']);
+    });
+
+    it('should notify listeners on change', () => {
+      const calls = [];
+      saved.onChange(searches => calls.push(searches.length));
+
+      saved.remove(ids[0]);
+
+      expect(calls).toEqual([2]);
+    });
+  });
+
+  describe('Import and export', () => {
+    it('should round-trip through JSON', () => {
+      saved.save('All 2020 audio in the South Wing', '', south2020Audio);
+      const json = saved.exportJSON();
+
+      localStorage.clear();
+      delete window.savedSearchesInstance;
+      const other = SavedSearches.getInstance();
+
+      expect(other.importJSON(json)).toBe(1);
+      expect(other.getAll()[0]).toMatchObject({
+        name: 'All 2020 audio in the South Wing',
+        state: south2020Audio,
+      });
+    });
+
+    it('should not export ids or timestamps of individual searches', () => {
+      saved.save('Audio', '', south2020Audio);
+      const data = JSON.parse(saved.exportJSON());
+
+      expect(data.version).toBe(SavedSearches.FORMAT_VERSION);
+      expect(Object.keys(data.searches[0])).toEqual(['name', 'query', 'state']);
+    });
+
+    it('should skip searches that already exist', () => {
+      saved.save('Audio', '', south2020Audio);
+
+      expect(saved.importJSON(saved.exportJSON())).toBe(0);
+      expect(saved.getAll()).toHaveLength(1);
+    });
+
+    it('should normalize imported filter state', () => {
+      saved.importJSON({
+        searches: [
+          {
+            name: 'Loose',
+            state: {
+              tags: ['Glitch ', 3],
+              fromYear: '2019',
+              sortOrder: 'sideways',
+            },
+          },
+        ],
+      });
+
+      expect(saved.getAll()[0].state).toMatchObject({
+        tags: ['glitch'],
+        chambers: [],
+        fromYear: 2019,
+        toYear: null,
+        sortOrder: 'desc',
+      });
+    });
+
+    it('should skip entries without a name', () => {
+      expect(
+        saved.importJSON({ searches: [{ query: 'x' }, { name: 'Kept' }] })
+      ).toBe(1);
+    });
+
+    it('should reject malformed files', () => {
+      expect(() => saved.importJSON('{nope')).toThrow(/not valid JSON/);
+      expect(() => saved.importJSON({ presets: [] })).toThrow(
+        /no "searches" list/
+      );
+      expect(() => saved.importJSON({ version: 99, searches: [] })).toThrow(
+        /version 99/
+      );
+    });
+  });
+});
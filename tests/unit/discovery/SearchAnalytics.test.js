@@ -0,0 +1,239 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for SearchAnalytics
+ * Tests the bounded IndexedDB search log, reports and export
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeEach,
+  beforeAll,
+  afterEach,
+  vi,
+} from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+describe('SearchAnalytics', () => {
+  let SearchAnalytics;
+  let analytics;
+
+  beforeAll(async () => {
+    await import('../../../js/modules/IDBStore.js');
+    await import('../../../js/discovery/SearchAnalytics.js');
+    SearchAnalytics = window.SearchAnalytics;
+  });
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    delete window.searchAnalyticsInstance;
+    analytics = SearchAnalytics.getInstance();
+  });
+
+  afterEach(() => {
+    analytics.dispose();
+    delete window.searchAnalyticsInstance;
+    delete globalThis.indexedDB;
+  });
+
+  describe('Logging', () => {
+    it('should store normalized queries with result counts', async () => {
+      await analytics.recordSearch('  Glitch   ART ', 3, 1000);
+
+      const entries = await analytics.getEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        type: 'search',
+        query: 'glitch art',
+        resultCount: 3,
+      });
+    });
+
+    it('should merge refinements typed within the merge window', async () => {
+      await analytics.recordSearch('gli', 5, 1000);
+      await analytics.recordSearch('glitch', 2, 2000);
+      await analytics.recordSearch('glitc', 2, 3000);
+
+      const entries = await analytics.getEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ query: 'glitc', resultCount: 2 });
+    });
+
+    it('should keep unrelated or later queries separate', async () => {
+      await analytics.recordSearch('glitch', 2, 1000);
+      await analytics.recordSearch('vinyl', 0, 2000);
+      await analytics.recordSearch('vinyl records', 0, 60000);
+
+      expect((await analytics.getEntries()).map(e => e.query)).toEqual([
+        'glitch',
+        'vinyl',
+        'vinyl records',
+      ]);
+    });
+
+    it('should record clicked positions', async () => {
+      await analytics.recordSearch('ogod', 29, 1000);
+      await analytics.recordClick('ogod', 2, 'ogod-track-3');
+
+      const entries = await analytics.getEntries();
+      expect(entries[1]).toMatchObject({
+        type: 'click',
+        query: 'ogod',
+        position: 2,
+        itemId: 'ogod-track-3',
+      });
+    });
+
+    it('should ignore invalid clicks and empty queries', async () => {
+      await analytics.recordClick('ogod', -1);
+      await analytics.recordClick('', 0);
+      await analytics.recordSearch('   ', 0);
+
+      expect(await analytics.getEntries()).toEqual([]);
+    });
+
+    it('should prune the oldest entries beyond maxEntries', async () => {
+      analytics.config.maxEntries = 3;
+      for (let i = 0; i < 5; i++) {
+        await analytics.recordSearch(`query ${i}`, i, i * 60000);
+      }
+
+      expect((await analytics.getEntries()).map(e => e.query)).toEqual([
+        'query 2',
+        'query 3',
+        'query 4',
+      ]);
+    });
+
+    it('should not log when disabled', async () => {
+      analytics.config.enabled = false;
+      await analytics.recordSearch('glitch', 1);
+
+      expect(await analytics.getEntries()).toEqual([]);
+    });
+
+    it('should log SearchEngine search events once attached', async () => {
+      const listeners = new Set();
+      const engine = {
+        onSearch: cb => listeners.add(cb),
+        offSearch: cb => listeners.delete(cb),
+      };
+
+      analytics.attach(engine);
+      listeners.forEach(cb =>
+        cb({ query: 'khronos', results: [{}, {}], timestamp: 1000 })
+      );
+
+      expect((await analytics.getEntries())[0]).toMatchObject({
+        query: 'khronos',
+        resultCount: 2,
+      });
+
+      analytics.detach();
+      expect(listeners.size).toBe(0);
+    });
+  });
+
+  describe('Reports', () => {
+    beforeEach(async () => {
+      await analytics.recordSearch('vinyl', 0, 1000);
+      await analytics.recordSearch('ogod', 29, 60000);
+      await analytics.recordClick('ogod', 0, 'ogod-track-1');
+      await analytics.recordSearch('vinyl', 0, 120000);
+      await analytics.recordSearch('poems', 4, 180000);
+      await analytics.recordClick('poems', 2, 'poem-3');
+    });
+
+    it('should summarize searches and clicks', async () => {
+      const report = await analytics.getReport();
+
+      expect(report.totalSearches).toBe(4);
+      expect(report.uniqueQueries).toBe(3);
+      expect(report.zeroResultSearches).toBe(2);
+      expect(report.zeroResultRate).toBe(0.5);
+      expect(report.totalClicks).toBe(2);
+      expect(report.clickThroughRate).toBeCloseTo(2 / 3);
+      expect(report.averageClickPosition).toBe(2);
+      expect(report.clickPositions).toEqual({ 1: 1, 3: 1 });
+    });
+
+    it('should list zero-result queries by frequency', async () => {
+      const report = await analytics.getReport();
+
+      expect(report.zeroResultQueries).toEqual([
+        { query: 'vinyl', count: 2, lastSeen: 120000 },
+      ]);
+      expect(report.topQueries[0]).toEqual({
+        query: 'vinyl',
+        count: 2,
+        averageResults: 0,
+      });
+    });
+
+    it('should filter by time', async () => {
+      const report = await analytics.getReport({ since: 100000 });
+
+      expect(report.totalSearches).toBe(2);
+    });
+  });
+
+  describe('Export and clear', () => {
+    it('should export entries without internal ids', async () => {
+      await analytics.recordSearch('vinyl', 0, 1000);
+      const data = JSON.parse(await analytics.exportJSON());
+
+      expect(data.version).toBe(SearchAnalytics.FORMAT_VERSION);
+      expect(data.entries).toEqual([
+        { type: 'search', query: 'vinyl', resultCount: 0, timestamp: 1000 },
+      ]);
+    });
+
+    it('should clear the log', async () => {
+      await analytics.recordSearch('vinyl', 0, 1000);
+      await analytics.clear();
+
+      expect(await analytics.getEntries()).toEqual([]);
+    });
+  });
+
+  describe('Without IndexedDB', () => {
+    it('should fall back to an in-memory log', async () => {
+      analytics.dispose();
+      delete globalThis.indexedDB;
+      delete window.searchAnalyticsInstance;
+      analytics = SearchAnalytics.getInstance();
+      analytics.config.maxEntries = 2;
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await analytics.recordSearch('a', 1, 1000);
+      await analytics.recordSearch('b', 0, 2000);
+      await analytics.recordSearch('c', 0, 3000);
+
+      expect((await analytics.getEntries()).map(e => e.query)).toEqual([
+        'b',
+        'c',
+      ]);
+      expect((await analytics.getReport()).zeroResultSearches).toBe(2);
+      warn.mockRestore();
+    });
+
+    it('should keep refinements of a pruned search in memory', async () => {
+      analytics.dispose();
+      delete globalThis.indexedDB;
+      delete window.searchAnalyticsInstance;
+      analytics = SearchAnalytics.getInstance();
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await analytics.recordSearch('gli', 5, 1000);
+      analytics.config.maxEntries = 0;
+      await analytics.recordSearch('vinyl', 0, 60000);
+      await analytics.recordSearch('vinyl records', 0, 61000);
+
+      expect((await analytics.getEntries()).map(e => e.query)).toEqual([
+        'vinyl records',
+      ]);
+      warn.mockRestore();
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests full-text search functionality with MiniSearch
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // Mock MiniSearch
 class MockMiniSearch {
@@ -235,6 +235,326 @@ describe('SearchEngine', () => {
   });
 });
 
+describe('SearchEngine index snapshots', () => {
+  let SearchEngine;
+  let items;
+
+  const loadedIndex = { documentCount: 2, search: () => [] };
+
+  class SnapshotMiniSearch {
+    constructor(options) {
+      this.options = options;
+      this.documentCount = 0;
+    }
+
+    addAll(docs) {
+      this.documentCount = docs.length;
+    }
+
+    static loadJSON = vi.fn(() => loadedIndex);
+  }
+
+  const mockSnapshotFetch = snapshot =>
+    vi.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(snapshot),
+    });
+
+  beforeEach(async () => {
+    items = [
+      {
+        id: 'essay-1',
+        title: 'Digital Temple',
+        description: 'Web architecture',
+        tags: ['web design'],
+        chamberName: 'AKADEMIA',
+        sectionTitle: 'Essays',
+      },
+      {
+        id: 'album-1',
+        title: 'OGOD',
+        subtitle: 'ET CETER4',
+        tags: ['music'],
+        chamberName: 'ODEION',
+      },
+    ];
+
+    global.MiniSearch = SnapshotMiniSearch;
+    SnapshotMiniSearch.loadJSON.mockClear();
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        getAllItems: () => items,
+      }),
+    };
+    global.ETCETER4_CONFIG = {
+      discovery: {
+        search: { prebuiltIndex: { url: 'json/search-index.json' } },
+      },
+    };
+
+    await import('../../../js/discovery/SearchEngine.js');
+    SearchEngine = window.SearchEngine;
+    delete window.searchEngineInstance;
+  });
+
+  afterEach(() => {
+    delete global.ETCETER4_CONFIG;
+    delete global.fetch;
+    delete window.searchEngineInstance;
+  });
+
+  it('should convert registry items into flat documents', () => {
+    expect(SearchEngine.toDocument(items[1])).toEqual({
+      id: 'album-1',
+      title: 'OGOD',
+      subtitle: 'ET CETER4',
+      description: '',
+      tagsText: 'music',
+      chamberName: 'ODEION',
+      sectionTitle: '',
+      content: '',
+    });
+  });
+
+  it('should index body text in the content field', () => {
+    const options = SearchEngine.getIndexOptions({
+      fieldWeights: { title: 3, tags: 2.5, description: 2, content: 1 },
+    });
+
+    expect(options.fields).toContain('content');
+    expect(options.searchOptions.boost.content).toBe(1);
+  });
+
+  it('should highlight in-body snippets from the matching document', () => {
+    const engine = SearchEngine.getInstance();
+    const item = {
+      title: 'Digital Freedom',
+      tags: [],
+      content: 'intro text\n\nData is a human right.',
+      fullText: [
+        { url: 'agora/manifestos/intro.html', text: 'intro text' },
+        {
+          url: 'agora/manifestos/digital-freedom.html',
+          text: 'Data is a human right.',
+        },
+      ],
+    };
+
+    const highlights = engine._generateHighlights(item, 'human right');
+
+    expect(highlights.content).toBe(
+      'Data is a <mark>human</mark> <mark>right</mark>.'
+    );
+    expect(highlights.contentUrl).toBe('agora/manifestos/digital-freedom.html');
+  });
+
+  it('should not add a body snippet when the body does not match', () => {
+    const engine = SearchEngine.getInstance();
+    const highlights = engine._generateHighlights(
+      { title: 'Echoes', tags: [], content: 'recursion without end' },
+      'echoes'
+    );
+
+    expect(highlights.content).toBeUndefined();
+  });
+
+  it('should hash documents deterministically', () => {
+    const docs = items.map(item => SearchEngine.toDocument(item));
+    const hash = SearchEngine.hashDocuments(docs);
+
+    expect(hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(SearchEngine.hashDocuments(docs)).toBe(hash);
+
+    docs[0].title = 'Digital Temple (revised)';
+    expect(SearchEngine.hashDocuments(docs)).not.toBe(hash);
+  });
+
+  it('should load a matching snapshot instead of indexing live', async () => {
+    const docs = items.map(item => SearchEngine.toDocument(item));
+    global.fetch = mockSnapshotFetch({
+      version: SearchEngine.INDEX_VERSION,
+      contentHash: SearchEngine.hashDocuments(docs),
+      index: '{"documentCount":2}',
+    });
+
+    const engine = SearchEngine.getInstance();
+    await engine.initialize();
+
+    expect(global.fetch).toHaveBeenCalledWith('json/search-index.json');
+    expect(SnapshotMiniSearch.loadJSON).toHaveBeenCalledWith(
+      '{"documentCount":2}',
+      expect.objectContaining({ storeFields: ['id'] })
+    );
+    expect(engine.miniSearch).toBe(loadedIndex);
+    expect(engine.getStatus().indexSource).toBe('snapshot');
+  });
+
+  it('should index live when the snapshot hash is stale', async () => {
+    global.fetch = mockSnapshotFetch({
+      version: SearchEngine.INDEX_VERSION,
+      contentHash: '00000000',
+      index: '{}',
+    });
+
+    const engine = SearchEngine.getInstance();
+    await engine.initialize();
+
+    expect(SnapshotMiniSearch.loadJSON).not.toHaveBeenCalled();
+    expect(engine.miniSearch.documentCount).toBe(2);
+    expect(engine.getStatus().indexSource).toBe('live');
+  });
+
+  it('should index live when the snapshot version differs', async () => {
+    const docs = items.map(item => SearchEngine.toDocument(item));
+    global.fetch = mockSnapshotFetch({
+      version: SearchEngine.INDEX_VERSION + 1,
+      contentHash: SearchEngine.hashDocuments(docs),
+      index: '{}',
+    });
+
+    const engine = SearchEngine.getInstance();
+    await engine.initialize();
+
+    expect(SnapshotMiniSearch.loadJSON).not.toHaveBeenCalled();
+    expect(engine.indexSource).toBe('live');
+  });
+
+  it('should index live when the snapshot is missing', async () => {
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    const engine = SearchEngine.getInstance();
+    await engine.initialize();
+
+    expect(engine.indexSource).toBe('live');
+    expect(engine.miniSearch.documentCount).toBe(2);
+  });
+});
+
+describe('SearchEngine advanced queries', () => {
+  let engine;
+
+  const items = [
+    {
+      id: 'essay-1',
+      title: 'Digital Temple Architecture',
+      description: 'A sacred space for web art',
+      tags: ['web design', 'philosophy'],
+      chamber: 'akademia',
+      type: 'essay',
+      year: 2019,
+    },
+    {
+      id: 'essay-2',
+      title: 'Temple Drafts',
+      description: 'Space that is sacred, a draft',
+      tags: ['philosophy'],
+      chamber: 'akademia',
+      type: 'essay',
+      year: 2023,
+    },
+    {
+      id: 'album-1',
+      title: 'OGOD Temple Sounds',
+      description: 'Glitch music',
+      tags: ['music', 'glitch'],
+      chamber: 'odeion',
+      type: 'album',
+      year: 2021,
+    },
+  ];
+
+  beforeEach(async () => {
+    const { default: MiniSearch } = await import('minisearch');
+    global.MiniSearch = MiniSearch;
+    global.ContentRegistry = {
+      getInstance: () => ({
+        isInitialized: true,
+        getAllItems: () => items,
+        getItem: id => items.find(item => item.id === id),
+        filter: criteria =>
+          items.filter(
+            item =>
+              (!criteria.tags ||
+                criteria.tags.every(tag => item.tags.includes(tag))) &&
+              (!criteria.chambers ||
+                criteria.chambers.includes(item.chamber)) &&
+              (!criteria.fromYear || item.year >= criteria.fromYear) &&
+              (!criteria.toYear || item.year <= criteria.toYear)
+          ),
+      }),
+    };
+    global.ETCETER4_CONFIG = {
+      discovery: { search: { prebuiltIndex: { enabled: false } } },
+    };
+
+    await import('../../../js/discovery/QueryParser.js');
+    await import('../../../js/discovery/SearchEngine.js');
+    delete window.searchEngineInstance;
+    engine = window.SearchEngine.getInstance();
+    await engine.initialize();
+  });
+
+  afterEach(() => {
+    delete global.ETCETER4_CONFIG;
+    delete window.searchEngineInstance;
+  });
+
+  const ids = results => results.map(r => r.item.id).sort();
+
+  it('should keep plain queries unchanged', () => {
+    expect(ids(engine.search('temple'))).toEqual([
+      'album-1',
+      'essay-1',
+      'essay-2',
+    ]);
+  });
+
+  it('should match exact phrases only', () => {
+    expect(ids(engine.search('"sacred space"'))).toEqual(['essay-1']);
+  });
+
+  it('should scope terms to a field', () => {
+    expect(ids(engine.search('description:glitch'))).toEqual(['album-1']);
+    expect(ids(engine.search('title:sacred'))).toEqual([]);
+  });
+
+  it('should apply filters and year ranges', () => {
+    expect(ids(engine.search('temple chamber:akademia'))).toEqual([
+      'essay-1',
+      'essay-2',
+    ]);
+    expect(ids(engine.search('temple year:2020..'))).toEqual([
+      'album-1',
+      'essay-2',
+    ]);
+  });
+
+  it('should run filter-only queries over the whole registry', () => {
+    expect(ids(engine.search('tag:philosophy'))).toEqual([
+      'essay-1',
+      'essay-2',
+    ]);
+  });
+
+  it('should exclude negated terms and filters', () => {
+    expect(ids(engine.search('temple -draft'))).toEqual(['album-1', 'essay-1']);
+    expect(ids(engine.search('temple -tag:glitch'))).toEqual([
+      'essay-1',
+      'essay-2',
+    ]);
+  });
+
+  it('should return no results for queries with syntax errors', () => {
+    expect(engine.search('temple year:twenty')).toEqual([]);
+  });
+
+  it('should highlight positive terms rather than the raw query', () => {
+    const [result] = engine.search('title:ogod chamber:odeion');
+    expect(result.highlights.title).toBe('<mark>OGOD</mark> Temple Sounds');
+  });
+});
+
 describe('Search Utilities', () => {
   describe('Text Truncation', () => {
     const truncate = (text, maxLength) => {
@@ -0,0 +1,70 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for ShareLinks
+ * Tests item share URLs with and without prebuilt share cards
+ */
+
+import { describe, it, expect, beforeEach, beforeAll, afterEach } from 'vitest';
+
+describe('ShareLinks', () => {
+  let ShareLinks;
+
+  beforeAll(async () => {
+    window.ContentRegistry = {
+      getInstance: () => ({
+        getItem: id => (id === 'missing' ? null : { id }),
+      }),
+    };
+    await import('../../../js/discovery/ShareLinks.js');
+    ShareLinks = window.ShareLinks;
+  });
+
+  beforeEach(() => {
+    delete window.shareLinksInstance;
+    delete window.ETCETER4_CONFIG;
+  });
+
+  afterEach(() => {
+    delete window.shareLinksInstance;
+    delete window.ETCETER4_CONFIG;
+  });
+
+  describe('getShareCardFileName', () => {
+    it('should keep safe characters', () => {
+      expect(ShareLinks.getShareCardFileName('ogod-track_1')).toBe(
+        'ogod-track_1'
+      );
+    });
+
+    it('should replace path and query characters', () => {
+      expect(ShareLinks.getShareCardFileName('a/b?c d.e')).toBe('a-b-c-d-e');
+    });
+  });
+
+  describe('getItemUrl', () => {
+    it('should return the deep link when share cards are not configured', () => {
+      const url = ShareLinks.getInstance().getItemUrl('rmxs');
+
+      expect(url).toMatch(/\?item=rmxs#discovery$/);
+    });
+
+    it('should point at the share card stub when enabled', () => {
+      window.ETCETER4_CONFIG = {
+        discovery: { shareCards: { enabled: true, path: 'share' } },
+      };
+
+      const shareLinks = ShareLinks.getInstance();
+
+      expect(shareLinks.getItemUrl('rmxs')).toBe(
+        `${window.location.origin}/share/rmxs.html`
+      );
+      expect(shareLinks.getItemDeepLink('rmxs')).toMatch(
+        /\?item=rmxs#discovery$/
+      );
+    });
+
+    it('should return null for unknown items', () => {
+      expect(ShareLinks.getInstance().getItemUrl('missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,575 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for EnhancedAudioPlayer's Web Audio engine
+ * Tests pre-decoding, clock-scheduled gapless transitions and crossfade curves
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const DURATIONS = { '/a.mp3': 180, '/b.mp3': 200, '/c.mp3': 120 };
+
+class MockParam {
+  constructor() {
+    this.value = 1;
+    this.cancelScheduledValues = vi.fn();
+    this.setValueCurveAtTime = vi.fn();
+  }
+}
+
+class MockAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = {};
+    this.sources = [];
+    this.decodeAudioData = vi.fn(async data => ({ duration: data.duration }));
+    this.resume = vi.fn(async () => {
+      this.state = 'running';
+    });
+    this.suspend = vi.fn(async () => {
+      this.state = 'suspended';
+    });
+    this.close = vi.fn();
+    MockAudioContext.last = this;
+  }
+
+  createGain() {
+    return { gain: new MockParam(), connect: vi.fn(), disconnect: vi.fn() };
+  }
+
+  createBufferSource() {
+    const source = {
+      buffer: null,
+      connect: vi.fn(),
+      start: vi.fn(),
+      stop: vi.fn(),
+      onended: null,
+    };
+    this.sources.push(source);
+    return source;
+  }
+}
+
+describe('EnhancedAudioPlayer (Web Audio engine)', () => {
+  let EnhancedAudioPlayer;
+  let player;
+  let context;
+
+  const tracks = () => [
+    { id: 'a', title: 'A', url: '/a.mp3' },
+    { id: 'b', title: 'B', url: '/b.mp3' },
+    { id: 'c', title: 'C', url: '/c.mp3' },
+  ];
+
+  const sourceFor = url =>
+    context.sources.filter(s => s.buffer.duration === DURATIONS[url]).at(-1);
+
+  beforeAll(async () => {
+    await import('../../../js/media/audio/EnhancedAudioPlayer.js');
+    EnhancedAudioPlayer = window.EnhancedAudioPlayer;
+  });
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    window.AudioContext = MockAudioContext;
+    globalThis.fetch = vi.fn(async url => ({
+      ok: true,
+      arrayBuffer: async () => ({ duration: DURATIONS[url] }),
+    }));
+
+    player = new EnhancedAudioPlayer({ gapless: true, tracks: tracks() });
+    await player.play();
+    await vi.advanceTimersByTimeAsync(0);
+    context = MockAudioContext.last;
+  });
+
+  afterEach(() => {
+    player.dispose();
+    delete window.AudioContext;
+    vi.useRealTimers();
+  });
+
+  it('should use the Web Audio engine when supported', () => {
+    expect(player.getState().engine).toBe('webaudio');
+    expect(player.isPlaying).toBe(true);
+    expect(sourceFor('/a.mp3').start).toHaveBeenCalledWith(0, 0);
+  });
+
+  it('should fall back to Howler.js without AudioContext', () => {
+    delete window.AudioContext;
+    const howlerPlayer = new EnhancedAudioPlayer({
+      gapless: true,
+      tracks: tracks(),
+    });
+
+    expect(howlerPlayer.getState().engine).toBe('howler');
+    expect(howlerPlayer.sound).toBeDefined();
+    howlerPlayer.dispose();
+  });
+
+  it('should use Web Audio by default and stream on low-memory devices', () => {
+    const defaultPlayer = new EnhancedAudioPlayer({ tracks: tracks() });
+    expect(defaultPlayer.getState().engine).toBe('webaudio');
+    defaultPlayer.dispose();
+
+    Object.defineProperty(navigator, 'deviceMemory', {
+      value: 1,
+      configurable: true,
+    });
+    const lowMemoryPlayer = new EnhancedAudioPlayer({ tracks: tracks() });
+    expect(lowMemoryPlayer.getState().engine).toBe('howler');
+    lowMemoryPlayer.dispose();
+    delete navigator.deviceMemory;
+  });
+
+  it('should pre-decode the next track and start it where the current one ends', () => {
+    expect(globalThis.fetch).toHaveBeenCalledWith('/b.mp3');
+    expect(sourceFor('/b.mp3').start).toHaveBeenCalledWith(180, 0);
+  });
+
+  it('should hand over to the next track on the context clock', async () => {
+    const events = [];
+    player.on('ended', ({ track }) => events.push(`ended:${track.id}`));
+    player.on('trackChange', ({ track }) => events.push(`change:${track.id}`));
+
+    context.currentTime = 180;
+    await vi.advanceTimersByTimeAsync(180000);
+
+    expect(events).toEqual(['ended:a', 'change:b']);
+    expect(player.getCurrentTrackIndex()).toBe(1);
+    expect(sourceFor('/c.mp3').start).toHaveBeenCalledWith(380, 0);
+  });
+
+  it('should hand over when the current source ends before the transition timer', async () => {
+    const events = [];
+    player.on('ended', ({ track }) => events.push(`ended:${track.id}`));
+    player.on('trackChange', ({ track }) => events.push(`change:${track.id}`));
+    const next = sourceFor('/b.mp3');
+
+    context.currentTime = 180;
+    sourceFor('/a.mp3').onended();
+    await vi.advanceTimersByTimeAsync(180000);
+
+    expect(events).toEqual(['ended:a', 'change:b']);
+    expect(player.isPlaying).toBe(true);
+    expect(player.getCurrentTrackIndex()).toBe(1);
+    expect(player._current.source).toBe(next);
+    expect(next.stop).not.toHaveBeenCalled();
+    expect(player._retiring.size).toBe(0);
+  });
+
+  it('should not schedule past the end of the queue', async () => {
+    player.loadTrack(2);
+    await player.play();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(player._next).toBeNull();
+  });
+
+  it('should overlap tracks with fade curves when configured', async () => {
+    player.dispose();
+    player = new EnhancedAudioPlayer({ gapless: true, tracks: tracks() });
+    player.gaplessOverlap = 2000;
+    await player.play();
+    await vi.advanceTimersByTimeAsync(0);
+    context = MockAudioContext.last;
+
+    expect(sourceFor('/b.mp3').start).toHaveBeenCalledWith(178, 0);
+    const fadeOut = player._current.gain.gain.setValueCurveAtTime.mock.calls[0];
+    expect(fadeOut[1]).toBe(178);
+    expect(fadeOut[2]).toBe(2);
+    expect(fadeOut[0][0]).toBe(1);
+    expect(fadeOut[0].at(-1)).toBeCloseTo(0);
+  });
+
+  it('should crossfade manual skips with the configured curve', async () => {
+    context.currentTime = 30;
+    player.next();
+    await vi.advanceTimersByTimeAsync(0);
+
+    const outgoing = sourceFor('/a.mp3');
+    expect(outgoing.stop).toHaveBeenCalledWith(31);
+    expect(sourceFor('/b.mp3').start).toHaveBeenLastCalledWith(30, 0);
+    expect(player.getCurrentTrackIndex()).toBe(1);
+    expect(player.isCrossfading).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(player.isCrossfading).toBe(false);
+  });
+
+  it('should pause by suspending the context and resume the schedule', async () => {
+    const change = vi.fn();
+    player.on('trackChange', change);
+
+    player.pause();
+    expect(context.suspend).toHaveBeenCalled();
+    expect(player.isPaused).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(200000);
+    expect(change).not.toHaveBeenCalled();
+
+    await player.play();
+    context.currentTime = 180;
+    await vi.advanceTimersByTimeAsync(180000);
+    expect(change).toHaveBeenCalledOnce();
+  });
+
+  it('should restart at the seek offset and reschedule the next track', async () => {
+    context.currentTime = 10;
+    player.seekTo(60);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(sourceFor('/a.mp3').start).toHaveBeenLastCalledWith(10, 60);
+    expect(sourceFor('/b.mp3').start).toHaveBeenLastCalledWith(130, 0);
+    expect(player.getPosition()).toBe(60);
+  });
+
+  it('should reschedule when the queue changes', async () => {
+    player.removeTrack(1);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(sourceFor('/c.mp3').start).toHaveBeenCalledWith(180, 0);
+  });
+
+  it('should keep only the current and next buffers decoded', async () => {
+    context.currentTime = 180;
+    await vi.advanceTimersByTimeAsync(180000);
+
+    expect([...player._buffers.keys()]).toEqual(['/b.mp3', '/c.mp3']);
+  });
+
+  it('should emit an error and not play when decoding fails', async () => {
+    player.dispose();
+    globalThis.fetch = vi.fn(async () => ({ ok: false, status: 404 }));
+    player = new EnhancedAudioPlayer({ gapless: true, tracks: tracks() });
+    const onError = vi.fn();
+    player.on('error', onError);
+
+    await player.play();
+
+    expect(onError).toHaveBeenCalledOnce();
+    expect(player.isPlaying).toBe(false);
+  });
+
+  describe('Loudness normalization', () => {
+    const METADATA = {
+      loudness: { integratedLufs: -12, gainDb: -6, truePeakDbtp: -0.5 },
+      tracks: [
+        {
+          number: 1,
+          file: '01.flac',
+          loudness: { integratedLufs: -10, gainDb: -8, truePeakDbtp: -0.2 },
+        },
+        {
+          number: 2,
+          file: '02.flac',
+          loudness: { integratedLufs: -24, gainDb: 6, truePeakDbtp: -5 },
+        },
+      ],
+    };
+    const albumTracks = () => [
+      { id: 'ogod-01', title: 'I', albumId: 'ogod', url: '/a.mp3' },
+      { id: 'ogod-02', title: 'II', albumId: 'ogod', url: '/b.mp3' },
+    ];
+    const dbToGain = db => 10 ** (db / 20);
+
+    beforeEach(async () => {
+      player.dispose();
+      window.MediaURLResolver = {
+        resolveAlbumMetadataFile: id => `/albums/${id}/metadata.json`,
+      };
+      globalThis.fetch = vi.fn(async url =>
+        url.endsWith('metadata.json')
+          ? { ok: true, json: async () => METADATA }
+          : {
+              ok: true,
+              arrayBuffer: async () => ({ duration: DURATIONS[url] }),
+            }
+      );
+      player = new EnhancedAudioPlayer({
+        gapless: true,
+        tracks: albumTracks(),
+      });
+      await player.play();
+      await vi.advanceTimersByTimeAsync(0);
+    });
+
+    afterEach(() => {
+      localStorage.clear();
+      delete window.MediaURLResolver;
+    });
+
+    it('should apply the album gain from metadata.json to the playing voices', () => {
+      expect(player.getNormalizationMode()).toBe('album');
+      expect(globalThis.fetch).toHaveBeenCalledWith(
+        '/albums/ogod/metadata.json'
+      );
+      expect(player._current.normalization.gain.value).toBeCloseTo(
+        dbToGain(-6)
+      );
+      expect(player._next.normalization.gain.value).toBeCloseTo(dbToGain(-6));
+    });
+
+    it('should switch to track gains, limited by the true peak', () => {
+      const onChange = vi.fn();
+      player.on('normalizationChange', onChange);
+
+      player.setNormalizationMode('track');
+
+      expect(player._current.normalization.gain.value).toBeCloseTo(
+        dbToGain(-8)
+      );
+      // +6 dB would take a -5 dBTP peak over the -1 dBTP ceiling
+      expect(player._next.normalization.gain.value).toBeCloseTo(dbToGain(4));
+      expect(onChange).toHaveBeenCalledWith({ mode: 'track', gainDb: -8 });
+    });
+
+    it('should remember the mode and pass audio through when off', () => {
+      player.setNormalizationMode('off');
+
+      expect(player._current.normalization.gain.value).toBe(1);
+      expect(
+        localStorage.getItem(EnhancedAudioPlayer.NORMALIZATION_STORAGE_KEY)
+      ).toBe('off');
+
+      const reloaded = new EnhancedAudioPlayer({
+        gapless: true,
+        tracks: albumTracks(),
+      });
+      expect(reloaded.getNormalizationMode()).toBe('off');
+      reloaded.dispose();
+    });
+
+    it('should scale the Howler.js volume without boosting past full', () => {
+      delete window.AudioContext;
+      const howlerPlayer = new EnhancedAudioPlayer({
+        volume: 0.8,
+        normalization: 'track',
+        tracks: [
+          { id: 'loud', url: '/a.mp3', loudness: { gainDb: -6 } },
+          { id: 'quiet', url: '/b.mp3', loudness: { gainDb: 12 } },
+        ],
+      });
+
+      expect(Howl).toHaveBeenLastCalledWith(
+        expect.objectContaining({ volume: 0.8 * dbToGain(-6) })
+      );
+
+      howlerPlayer.loadTrack(1);
+      howlerPlayer.setVolume(0.8);
+      expect(howlerPlayer.sound.volume).toHaveBeenLastCalledWith(1);
+      howlerPlayer.dispose();
+    });
+
+    it('should boost quiet tracks through a GainNode when Howler.js uses Web Audio', () => {
+      delete window.AudioContext;
+      const gainNode = {
+        gain: { value: 1 },
+        connect: vi.fn(),
+        disconnect: vi.fn(),
+      };
+      const soundNode = { connect: vi.fn(), disconnect: vi.fn() };
+      const originalCtx = Howler.ctx;
+      Howler.ctx = { createGain: vi.fn(() => gainNode) };
+      Howl.mockImplementationOnce(options => ({
+        ...new Howl(options),
+        _webAudio: true,
+        _sounds: [{ _node: soundNode }],
+      }));
+
+      const howlerPlayer = new EnhancedAudioPlayer({
+        volume: 0.8,
+        normalization: 'track',
+        tracks: [{ id: 'quiet', url: '/b.mp3', loudness: { gainDb: 6 } }],
+      });
+
+      expect(soundNode.disconnect).toHaveBeenCalled();
+      expect(soundNode.connect).toHaveBeenCalledWith(gainNode);
+      expect(gainNode.connect).toHaveBeenCalledWith(Howler.masterGain);
+      expect(gainNode.gain.value).toBeCloseTo(dbToGain(6));
+      expect(howlerPlayer.sound.volume).toHaveBeenLastCalledWith(0.8);
+
+      howlerPlayer.dispose();
+      expect(gainNode.disconnect).toHaveBeenCalled();
+      Howler.ctx = originalCtx;
+    });
+  });
+
+  describe('Chapters', () => {
+    const CUE = [
+      'PERFORMER "ET CETER4"',
+      'TITLE "Long Form"',
+      'FILE "01.flac" WAVE',
+      '  TRACK 01 AUDIO',
+      '    TITLE "Opening"',
+      '    INDEX 01 00:00:00',
+      '  TRACK 02 AUDIO',
+      '    TITLE "Drift"',
+      '    PERFORMER "Guest"',
+      '    INDEX 00 00:59:00',
+      '    INDEX 01 01:00:00',
+      '  TRACK 03 AUDIO',
+      '    TITLE "Coda"',
+      '    INDEX 01 02:30:37',
+    ].join('\n');
+
+    afterEach(() => {
+      delete window.MediaURLResolver;
+    });
+
+    it('should parse CUE sheets with frame-accurate starts', () => {
+      expect(EnhancedAudioPlayer.parseCueSheet(CUE)).toEqual([
+        { title: 'Opening', time: 0 },
+        { title: 'Drift', performer: 'Guest', time: 60 },
+        { title: 'Coda', time: 150 + 37 / 75 },
+      ]);
+    });
+
+    it('should parse chapter JSON with timestamps and sort it', () => {
+      const chapters = EnhancedAudioPlayer.parseChapters({
+        chapters: [
+          { title: 'Outro', start: '1:02:03.5' },
+          { time: 0 },
+          { title: 'Bad', time: 'soon' },
+        ],
+      });
+
+      expect(chapters).toEqual([
+        { title: 'Chapter 2', time: 0 },
+        { title: 'Outro', start: '1:02:03.5', time: 3723.5 },
+      ]);
+    });
+
+    it('should load a sidecar resolved for the track and emit chapterchange', async () => {
+      player.dispose();
+      window.MediaURLResolver = {
+        resolveChapters: (id, n, format) => `/albums/${id}/0${n}.${format}`,
+      };
+      globalThis.fetch = vi.fn(async url =>
+        url.endsWith('.cue')
+          ? { ok: true, text: async () => CUE }
+          : {
+              ok: true,
+              arrayBuffer: async () => ({ duration: DURATIONS[url] }),
+            }
+      );
+      player = new EnhancedAudioPlayer({
+        gapless: true,
+        tracks: [
+          { id: 'long-01', albumId: 'long', chapters: 'cue', url: '/a.mp3' },
+        ],
+      });
+      const onLoaded = vi.fn();
+      const onChange = vi.fn();
+      player.on('chaptersLoaded', onLoaded);
+      player.on('chapterchange', onChange);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(globalThis.fetch).toHaveBeenCalledWith('/albums/long/01.cue');
+      expect(onLoaded.mock.calls[0][0].chapters.map(c => c.title)).toEqual([
+        'Opening',
+        'Drift',
+        'Coda',
+      ]);
+      expect(onChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({ index: 0 })
+      );
+
+      await player.play();
+      context = MockAudioContext.last;
+      context.currentTime = 61;
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(player.getCurrentChapter().title).toBe('Drift');
+      expect(onChange).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          index: 1,
+          chapter: expect.objectContaining({ title: 'Drift' }),
+        })
+      );
+    });
+
+    it('should skip between chapters and fall back to tracks at the ends', () => {
+      player.setChapters([
+        { title: 'One', time: 0 },
+        { title: 'Two', time: 60 },
+      ]);
+      const seekTo = vi.spyOn(player, 'seekTo');
+      const next = vi.spyOn(player, 'next');
+      const previous = vi.spyOn(player, 'previous');
+
+      player.nextChapter();
+      expect(seekTo).toHaveBeenLastCalledWith(60);
+      expect(player.getCurrentChapterIndex()).toBe(1);
+
+      // Ten seconds into a chapter restarts it, right after its start goes back
+      vi.spyOn(player, 'getPosition').mockReturnValue(70);
+      player.previousChapter();
+      expect(seekTo).toHaveBeenLastCalledWith(60);
+
+      player.getPosition.mockReturnValue(61);
+      player.previousChapter();
+      expect(seekTo).toHaveBeenLastCalledWith(0);
+
+      player.getPosition.mockReturnValue(1);
+      player.previousChapter();
+      expect(previous).toHaveBeenCalledOnce();
+
+      player.goToChapter(1);
+      player.nextChapter();
+      expect(next).toHaveBeenCalledOnce();
+    });
+
+    it('should ignore a chapter file that arrives after a track change', async () => {
+      let respond;
+      globalThis.fetch = vi.fn(
+        () => new Promise(resolve => (respond = resolve))
+      );
+      const loading = player.loadChapters('/late.json');
+
+      player.setChapters([{ title: 'Current', time: 0 }]);
+      respond({ ok: true, text: async () => '[{"title":"Stale","time":0}]' });
+      await loading;
+
+      expect(player.getChapters().map(c => c.title)).toEqual(['Current']);
+    });
+  });
+
+  describe('createFadeCurve', () => {
+    it('should keep constant power for equal-power fades', () => {
+      const fadeIn = EnhancedAudioPlayer.createFadeCurve(
+        'equal-power',
+        'in',
+        16
+      );
+      const fadeOut = EnhancedAudioPlayer.createFadeCurve(
+        'equal-power',
+        'out',
+        16
+      );
+
+      fadeIn.forEach((value, i) => {
+        expect(value ** 2 + fadeOut[i] ** 2).toBeCloseTo(1);
+      });
+    });
+
+    it('should keep constant amplitude for linear fades', () => {
+      const fadeIn = EnhancedAudioPlayer.createFadeCurve('linear', 'in', 16);
+      const fadeOut = EnhancedAudioPlayer.createFadeCurve('linear', 'out', 16);
+
+      expect(fadeIn[0]).toBe(0);
+      expect(fadeIn[15]).toBe(1);
+      fadeIn.forEach((value, i) => {
+        expect(value + fadeOut[i]).toBeCloseTo(1);
+      });
+    });
+  });
+});
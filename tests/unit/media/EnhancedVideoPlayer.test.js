@@ -0,0 +1,699 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for EnhancedVideoPlayer thumbnail scrubbing, resuming and subtitles
+ * Tests thumbnail VTT parsing (single images and #xywh sprites), cue lookup,
+ * hover/drag/touch previews over the scrub bar, seeking on release, the
+ * "resume from" prompt backed by WatchProgress, the stats overlay, subtitle
+ * manifests, language choice and the styled cue renderer
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const SPRITE_VTT = `WEBVTT
+
+1
+00:00:00.000 --> 00:00:10.000
+sprite.jpg#xywh=0,0,160,90
+
+2
+00:00:10.000 --> 00:00:20.000 align:start
+sprite.jpg#xywh=pixel:160,0,160,90
+
+00:20.000 --> 00:30.000
+sprite.jpg#xywh=0,90,160,90
+`;
+
+const IMAGES_VTT = `WEBVTT
+
+00:00:10.000 --> 00:00:20.000
+thumbs/thumb_0002.jpg
+
+00:00:00.000 --> 00:00:10.000
+thumbs/thumb_0001.jpg
+`;
+
+describe('EnhancedVideoPlayer thumbnails', () => {
+  let EnhancedVideoPlayer;
+  let container;
+  let player;
+
+  /** Lay the scrub bar out as 300px wide starting at x = 100 */
+  const layoutScrubber = () => {
+    player.scrubber.getBoundingClientRect = () => ({
+      left: 100,
+      width: 300,
+      top: 0,
+      height: 8,
+    });
+  };
+
+  const loadSprite = async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      text: async () => SPRITE_VTT,
+    });
+    await player.loadThumbnails(
+      'https://media.example.com/video/set/thumbnails.vtt'
+    );
+    player.duration = 30;
+    layoutScrubber();
+  };
+
+  beforeAll(async () => {
+    // jsdom has no media playback
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    await import('../../../js/media/video/EnhancedVideoPlayer.js');
+    EnhancedVideoPlayer = window.EnhancedVideoPlayer;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    player = new EnhancedVideoPlayer({ container });
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    player.dispose();
+    container.remove();
+  });
+
+  it('should parse sprite fragments relative to the VTT file', () => {
+    const cues = EnhancedVideoPlayer.parseThumbnailVTT(
+      SPRITE_VTT,
+      'https://media.example.com/video/set/thumbnails.vtt'
+    );
+
+    expect(cues).toHaveLength(3);
+    expect(cues[1]).toEqual({
+      start: 10,
+      end: 20,
+      url: 'https://media.example.com/video/set/sprite.jpg',
+      x: 160,
+      y: 0,
+      width: 160,
+      height: 90,
+    });
+    expect(cues[2]).toMatchObject({ start: 20, end: 30, x: 0, y: 90 });
+  });
+
+  it('should parse single images, sorted by start time', () => {
+    const cues = EnhancedVideoPlayer.parseThumbnailVTT(
+      IMAGES_VTT,
+      'https://media.example.com/video/set/thumbnails.vtt'
+    );
+
+    expect(cues.map(cue => cue.url)).toEqual([
+      'https://media.example.com/video/set/thumbs/thumb_0001.jpg',
+      'https://media.example.com/video/set/thumbs/thumb_0002.jpg',
+    ]);
+    expect(cues[0]).toMatchObject({ x: null, width: null });
+  });
+
+  it('should find the thumbnail for a time', async () => {
+    await loadSprite();
+
+    expect(player.getThumbnailAt(0).x).toBe(0);
+    expect(player.getThumbnailAt(15).x).toBe(160);
+    expect(player.getThumbnailAt(25).y).toBe(90);
+    // Past the last cue keeps the last frame
+    expect(player.getThumbnailAt(31).y).toBe(90);
+  });
+
+  it('should show the scrub bar once thumbnails load', async () => {
+    const onLoaded = vi.fn();
+    player.on('thumbnailsloaded', onLoaded);
+    await loadSprite();
+
+    expect(container.querySelector('.et-video-scrubber')).toBe(player.scrubber);
+    expect(player.scrubber.hidden).toBe(false);
+    expect(player.scrubber.getAttribute('role')).toBe('slider');
+    expect(onLoaded).toHaveBeenCalledWith({ count: 3 });
+  });
+
+  it('should keep the scrub bar hidden when thumbnails fail to load', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+    });
+
+    expect(await player.loadThumbnails('/missing.vtt')).toEqual([]);
+    expect(player.scrubber).toBeNull();
+    warn.mockRestore();
+  });
+
+  it('should preview the sprite region under the mouse', async () => {
+    await loadSprite();
+    player.scrubber.dispatchEvent(
+      new MouseEvent('mousemove', { clientX: 250 })
+    );
+
+    const image = player.scrubber.querySelector('.video-thumbnail-image');
+    expect(player.scrubber.classList.contains('is-previewing')).toBe(true);
+    expect(image.style.backgroundImage).toContain('sprite.jpg');
+    expect(image.style.backgroundPosition).toBe('-160px 0px');
+    expect(
+      player.scrubber.querySelector('.video-thumbnail-time').textContent
+    ).toBe('0:15');
+    // Centred on the pointer: 150px into the bar minus half the frame
+    expect(
+      player.scrubber.querySelector('.video-thumbnail-preview').style.left
+    ).toBe('70px');
+
+    player.scrubber.dispatchEvent(new MouseEvent('mouseleave'));
+    expect(player.scrubber.classList.contains('is-previewing')).toBe(false);
+  });
+
+  it('should seek where a mouse drag is released, even off the bar', async () => {
+    await loadSprite();
+    const seekTo = vi.spyOn(player, 'seekTo');
+
+    player.scrubber.dispatchEvent(
+      new MouseEvent('mousedown', { clientX: 130, bubbles: true })
+    );
+    document.dispatchEvent(new MouseEvent('mousemove', { clientX: 220 }));
+    expect(seekTo).not.toHaveBeenCalled();
+
+    document.dispatchEvent(new MouseEvent('mouseup', { clientX: 500 }));
+    expect(seekTo).toHaveBeenCalledWith(30);
+    expect(player.isScrubbing).toBe(false);
+  });
+
+  it('should scrub with touch and seek on release', async () => {
+    await loadSprite();
+    const seekTo = vi.spyOn(player, 'seekTo');
+    const touch = (type, clientX) => {
+      const event = new Event(type, { cancelable: true });
+      event[type === 'touchend' ? 'changedTouches' : 'touches'] = [{ clientX }];
+      player.scrubber.dispatchEvent(event);
+      return event;
+    };
+
+    expect(touch('touchstart', 100).defaultPrevented).toBe(true);
+    touch('touchmove', 200);
+    expect(player.scrubber.classList.contains('is-previewing')).toBe(true);
+    expect(
+      player.scrubber.querySelector('.video-thumbnail-time').textContent
+    ).toBe('0:10');
+
+    touch('touchend', 200);
+    expect(seekTo).toHaveBeenCalledWith(10);
+    expect(player.scrubber.classList.contains('is-previewing')).toBe(false);
+  });
+
+  it('should drop thumbnails when another video loads without them', async () => {
+    await loadSprite();
+    player.load('/video/other.mp4');
+
+    expect(player.thumbnails).toEqual([]);
+    expect(player.scrubber.hidden).toBe(true);
+  });
+
+  it('should format preview times', () => {
+    expect(EnhancedVideoPlayer.formatTime(65)).toBe('1:05');
+    expect(EnhancedVideoPlayer.formatTime(3725)).toBe('1:02:05');
+  });
+});
+
+describe('EnhancedVideoPlayer resume', () => {
+  let EnhancedVideoPlayer;
+  let progress;
+  let container;
+  let player;
+
+  const VIDEO = 'electronica-2015';
+
+  const answer = action =>
+    player.resumePrompt.querySelector(`[data-action="${action}"]`).click();
+
+  beforeAll(async () => {
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    await import('../../../js/media/video/WatchProgress.js');
+    await import('../../../js/media/video/EnhancedVideoPlayer.js');
+    EnhancedVideoPlayer = window.EnhancedVideoPlayer;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    delete window.watchProgressInstance;
+    progress = window.WatchProgress.getInstance();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    player = new EnhancedVideoPlayer({ container });
+  });
+
+  afterEach(() => {
+    player.dispose();
+    container.remove();
+  });
+
+  it('should save the position of a loaded video when another loads', () => {
+    player.load('/video/a.mp4', { videoId: VIDEO });
+    player.duration = 2700;
+    player.currentTime = 754;
+    player.emit('timeupdate', { currentTime: 754, duration: 2700 });
+    player.currentTime = 756;
+
+    player.load('/video/b.mp4', { videoId: 'other' });
+    expect(progress.getResumePosition(VIDEO)).toBe(756);
+    expect(player.videoId).toBe('other');
+  });
+
+  it('should offer to resume a saved position', () => {
+    const onPrompt = vi.fn();
+    player.on('resumeprompt', onPrompt);
+    progress.save(VIDEO, 754, 2700);
+    player.load('/video/a.mp4', { videoId: VIDEO });
+
+    expect(player.resumePrompt.textContent).toContain('Resume from 12:34?');
+    expect(onPrompt).toHaveBeenCalledWith({ position: 754 });
+
+    const seekTo = vi.spyOn(player, 'seekTo');
+    answer('resume');
+    expect(seekTo).toHaveBeenCalledWith(754);
+    expect(player.resumePrompt).toBeNull();
+  });
+
+  it('should keep the saved position until the prompt is answered', () => {
+    progress.save(VIDEO, 754, 2700);
+    player.load('/video/a.mp4', { videoId: VIDEO });
+    player.duration = 2700;
+    player.currentTime = 20;
+    player.emit('timeupdate', { currentTime: 20, duration: 2700 });
+    expect(progress.getResumePosition(VIDEO)).toBe(754);
+
+    answer('restart');
+    player.emit('timeupdate', { currentTime: 20, duration: 2700 });
+    expect(progress.getResumePosition(VIDEO)).toBe(20);
+  });
+
+  it('should hide the prompt after the timeout', () => {
+    vi.useFakeTimers();
+    progress.save(VIDEO, 754, 2700);
+    player.load('/video/a.mp4', { videoId: VIDEO });
+
+    vi.advanceTimersByTime(15000);
+    expect(container.querySelector('.video-resume-prompt')).toBeNull();
+    vi.useRealTimers();
+  });
+
+  it('should not prompt without saved progress or a video id', () => {
+    player.load('/video/a.mp4', { videoId: VIDEO });
+    expect(player.resumePrompt).toBeNull();
+
+    progress.save(VIDEO, 754, 2700);
+    player.load('/video/a.mp4');
+    expect(player.resumePrompt).toBeNull();
+  });
+});
+
+describe('EnhancedVideoPlayer stats', () => {
+  let EnhancedVideoPlayer;
+  let container;
+  let player;
+
+  const statsText = () =>
+    player.statsOverlay.querySelector('.video-stats-list').textContent;
+
+  beforeAll(async () => {
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    await import('../../../js/media/video/HLSLoader.js');
+    await import('../../../js/media/video/EnhancedVideoPlayer.js');
+    EnhancedVideoPlayer = window.EnhancedVideoPlayer;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    player = new EnhancedVideoPlayer({ container });
+  });
+
+  afterEach(() => {
+    player.dispose();
+    container.remove();
+  });
+
+  it('should show buffer and dropped frames for a direct video', () => {
+    player.load('/video/a.mp4');
+    player.videoElement.getVideoPlaybackQuality = () => ({
+      droppedVideoFrames: 3,
+      totalVideoFrames: 5400,
+    });
+    vi.spyOn(player, 'getBufferedRanges').mockReturnValue([
+      { start: 0, end: 42.5 },
+    ]);
+    player.currentTime = 30;
+
+    player.showStats();
+    expect(statsText()).toContain('LevelDirect');
+    expect(statsText()).toContain('Buffer12.5 s');
+    expect(statsText()).toContain('Dropped frames3 / 5400');
+    expect(statsText()).toContain('Quality capNone');
+  });
+
+  it('should refresh the overlay while it is open and toggle with the i key', () => {
+    vi.useFakeTimers();
+    player.showStats();
+    const update = vi.spyOn(player, 'updateStats');
+
+    vi.advanceTimersByTime(3000);
+    expect(update).toHaveBeenCalledTimes(3);
+
+    container.tabIndex = -1;
+    container.focus();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'i' }));
+    expect(player.statsOverlay).toBeNull();
+    vi.advanceTimersByTime(3000);
+    expect(update).toHaveBeenCalledTimes(3);
+    vi.useRealTimers();
+  });
+
+  it('should stream HLS through HLSLoader with the stats of its levels', () => {
+    const levels = [
+      { height: 360, width: 640, bitrate: 800000 },
+      { height: 720, width: 1280, bitrate: 2800000 },
+    ];
+    const hls = {
+      levels: [],
+      currentLevel: -1,
+      autoLevelCapping: -1,
+      autoLevelEnabled: true,
+      bandwidthEstimate: 6500000,
+      handlers: {},
+      on(event, callback) {
+        this.handlers[event] = callback;
+      },
+      attachMedia() {},
+      loadSource() {},
+      destroy: vi.fn(),
+    };
+    window.Hls = Object.assign(
+      vi.fn(() => hls),
+      {
+        isSupported: () => true,
+        Events: { MANIFEST_PARSED: 'parsed', LEVEL_SWITCHED: 'switched' },
+        ErrorTypes: {},
+      }
+    );
+    const onQualities = vi.fn();
+    player.on('qualitiesavailable', onQualities);
+
+    player.setQualityCap(480);
+    player.load('https://media.example.com/video/set/master.m3u8');
+    hls.levels = levels;
+    hls.handlers.parsed('parsed', {});
+    hls.currentLevel = 0;
+
+    expect(player.hlsLoader).not.toBeNull();
+    expect(onQualities.mock.calls[0][0].qualities.map(q => q.name)).toEqual([
+      '360p',
+      '720p',
+    ]);
+    // The remembered cap applies to the new stream
+    expect(hls.autoLevelCapping).toBe(0);
+
+    player.showStats();
+    expect(statsText()).toContain('Level360p (1/2, auto)');
+    expect(statsText()).toContain('Bandwidth6.5 Mbps');
+    expect(statsText()).toContain('Quality cap480p');
+    delete window.Hls;
+  });
+
+  it('should format bit rates', () => {
+    expect(EnhancedVideoPlayer.formatBitrate(2800000)).toBe('2.8 Mbps');
+    expect(EnhancedVideoPlayer.formatBitrate(640000)).toBe('640 kbps');
+    expect(EnhancedVideoPlayer.formatBitrate(0)).toBe('–');
+  });
+});
+
+describe('EnhancedVideoPlayer subtitles', () => {
+  let EnhancedVideoPlayer;
+  let container;
+  let player;
+
+  const MANIFEST_URL = 'https://media.example.com/video/set/subtitles.json';
+  const MANIFEST = {
+    tracks: [
+      'en',
+      { language: 'el', label: 'Ελληνικά' },
+      { language: 'de-DE', src: 'de/captions.vtt', kind: 'captions' },
+    ],
+  };
+
+  /** TextTrack of each <track>, which jsdom does not implement */
+  const textTracks = new WeakMap();
+  const textTrackAt = index =>
+    player.videoElement.querySelectorAll('track')[index].track;
+  const modes = () =>
+    Array.from(
+      player.videoElement.querySelectorAll('track'),
+      element => element.track.mode
+    );
+
+  const setLanguages = languages => {
+    Object.defineProperty(navigator, 'languages', {
+      value: languages,
+      configurable: true,
+    });
+  };
+
+  const loadManifest = async () => {
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => MANIFEST,
+    });
+    player.load('/video/a.mp4', { subtitleManifest: MANIFEST_URL });
+    await vi.waitFor(() => expect(player.getSubtitleTracks()).toHaveLength(3));
+  };
+
+  /** Make cues active on the current track */
+  const showCues = (...texts) => {
+    const track = textTrackAt(player.getCurrentSubtitleTrack());
+    track.activeCues = texts.map(text => ({ text }));
+    track.dispatchEvent(new Event('cuechange'));
+  };
+
+  beforeAll(async () => {
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    vi.spyOn(HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+    Object.defineProperty(HTMLTrackElement.prototype, 'track', {
+      configurable: true,
+      get() {
+        if (!textTracks.has(this)) {
+          textTracks.set(
+            this,
+            Object.assign(new EventTarget(), {
+              mode: 'disabled',
+              activeCues: [],
+            })
+          );
+        }
+        return textTracks.get(this);
+      },
+    });
+    await import('../../../js/media/video/EnhancedVideoPlayer.js');
+    EnhancedVideoPlayer = window.EnhancedVideoPlayer;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    setLanguages(['el-GR', 'en-US']);
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    player = new EnhancedVideoPlayer({ container });
+    global.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    player.dispose();
+    container.remove();
+    delete navigator.languages;
+  });
+
+  it('should parse a manifest of languages into tracks', () => {
+    expect(
+      EnhancedVideoPlayer.parseSubtitleManifest(MANIFEST, MANIFEST_URL)
+    ).toEqual([
+      {
+        src: 'https://media.example.com/video/set/subs-en.vtt',
+        srclang: 'en',
+        label: 'English',
+        kind: 'subtitles',
+        default: false,
+      },
+      {
+        src: 'https://media.example.com/video/set/subs-el.vtt',
+        srclang: 'el',
+        label: 'Ελληνικά',
+        kind: 'subtitles',
+        default: false,
+      },
+      {
+        src: 'https://media.example.com/video/set/de/captions.vtt',
+        srclang: 'de-DE',
+        label: 'German (Germany)',
+        kind: 'captions',
+        default: false,
+      },
+    ]);
+    expect(
+      EnhancedVideoPlayer.parseSubtitleManifest(
+        [{ label: 'No language' }],
+        MANIFEST_URL
+      )
+    ).toEqual([]);
+  });
+
+  it('should pick the first preferred language, then a related one', () => {
+    const tracks = [{ srclang: 'en-US' }, { srclang: 'el' }, { srclang: 'de' }];
+
+    expect(EnhancedVideoPlayer.pickSubtitleTrack(tracks, ['fr', 'de'])).toBe(2);
+    expect(EnhancedVideoPlayer.pickSubtitleTrack(tracks, ['en-GB', 'el'])).toBe(
+      0
+    );
+    expect(EnhancedVideoPlayer.pickSubtitleTrack(tracks, ['EL-gr'])).toBe(1);
+    expect(EnhancedVideoPlayer.pickSubtitleTrack(tracks, ['fr'])).toBe(-1);
+  });
+
+  it("should discover a video's languages and show the browser's", async () => {
+    const onLoaded = vi.fn();
+    player.on('subtitlesloaded', onLoaded);
+    await loadManifest();
+
+    expect(global.fetch).toHaveBeenCalledWith(MANIFEST_URL);
+    expect(player.getCurrentSubtitleTrack()).toBe(1);
+    expect(onLoaded).toHaveBeenLastCalledWith({
+      tracks: player.getSubtitleTracks(),
+      trackIndex: 1,
+    });
+    expect(player.videoElement.querySelectorAll('track')[2].kind).toBe(
+      'captions'
+    );
+    // Hidden: cues load without native rendering
+    expect(modes()).toEqual(['disabled', 'hidden', 'disabled']);
+  });
+
+  it('should prefer tracks given with the video over the manifest', () => {
+    player.load('/video/a.mp4', {
+      subtitles: [{ src: '/subs/en.vtt', srclang: 'en', label: 'English' }],
+      subtitleManifest: MANIFEST_URL,
+    });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(player.getCurrentSubtitleTrack()).toBe(0);
+  });
+
+  it('should remember the chosen language for other videos', async () => {
+    await loadManifest();
+    player.setSubtitle(0);
+
+    await loadManifest();
+    expect(player.getCurrentSubtitleTrack()).toBe(0);
+
+    player.setSubtitle(-1);
+    await loadManifest();
+    expect(player.getCurrentSubtitleTrack()).toBe(-1);
+    expect(modes()).toEqual(['disabled', 'disabled', 'disabled']);
+  });
+
+  it('should treat a missing manifest as no subtitles', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+    });
+
+    expect(await player.loadSubtitleManifest(MANIFEST_URL)).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should draw the active cues as text over the video', async () => {
+    await loadManifest();
+    showCues('<i>Καλησπέρα</i>', '<img src=x onerror=alert(1)>second line');
+
+    const lines = player.subtitleOverlay.querySelectorAll(
+      '.video-subtitle-text'
+    );
+    expect(Array.from(lines, line => line.textContent)).toEqual([
+      'Καλησπέρα',
+      'second line',
+    ]);
+    expect(player.subtitleOverlay.querySelector('img')).toBeNull();
+    expect(player.subtitleOverlay.hidden).toBe(false);
+
+    showCues();
+    expect(player.subtitleOverlay.hidden).toBe(true);
+
+    // Cues of other tracks are not drawn
+    const previous = textTrackAt(1);
+    player.setSubtitle(0);
+    previous.activeCues = [{ text: 'stale' }];
+    previous.dispatchEvent(new Event('cuechange'));
+    expect(player.subtitleOverlay.textContent).toBe('');
+  });
+
+  it('should apply and remember the subtitle style', async () => {
+    await loadManifest();
+    Object.defineProperty(player.videoElement, 'offsetHeight', {
+      value: 400,
+      configurable: true,
+    });
+    showCues('Hello');
+    const onStyle = vi.fn();
+    player.on('subtitlestylechange', onStyle);
+
+    player.setSubtitleStyle({
+      size: 'large',
+      background: 'opaque',
+      position: 'top',
+      color: 'red',
+    });
+
+    const style = { size: 'large', background: 'opaque', position: 'top' };
+    expect(onStyle).toHaveBeenCalledWith({ style });
+    expect(player.subtitleOverlay.style.fontSize).toBe('23px');
+    expect(
+      player.subtitleOverlay.style.getPropertyValue(
+        '--video-subtitle-background'
+      )
+    ).toBe('rgba(0, 0, 0, 1)');
+    expect(
+      player.subtitleOverlay.classList.contains('video-subtitles--top')
+    ).toBe(true);
+
+    const next = new EnhancedVideoPlayer({
+      container: document.createElement('div'),
+    });
+    expect(next.getSubtitleStyle()).toEqual(style);
+    next.dispose();
+
+    // Unknown values keep the current choice
+    expect(player.setSubtitleStyle({ size: 'huge' }).size).toBe('large');
+  });
+
+  it('should leave rendering to the browser without the custom renderer', async () => {
+    player.subtitleDisplay.customRenderer = false;
+    await loadManifest();
+
+    expect(modes()).toEqual(['disabled', 'showing', 'disabled']);
+    showCues('Native');
+    expect(player.subtitleOverlay).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for HLSLoader adaptive bitrate policy
+ * Tests the persisted user quality cap, the data-saver policy on saveData,
+ * metered and slow connections, level selection for a cap and ABR stats
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+/** Minimal stand-in for HLS.js */
+class FakeHls {
+  static isSupported() {
+    return true;
+  }
+
+  constructor(config) {
+    this.config = config;
+    this.handlers = {};
+    this.levels = [];
+    this.currentLevel = -1;
+    this.autoLevelCapping = -1;
+    this.autoLevelEnabled = true;
+    this.nextAutoLevel = 1;
+    this.bandwidthEstimate = 4200000;
+    this.destroy = vi.fn();
+  }
+
+  on(event, callback) {
+    this.handlers[event] = callback;
+  }
+
+  trigger(event, data = {}) {
+    this.handlers[event](event, data);
+  }
+
+  attachMedia() {}
+
+  loadSource() {}
+}
+
+FakeHls.Events = {
+  MANIFEST_PARSED: 'hlsManifestParsed',
+  LEVEL_SWITCHED: 'hlsLevelSwitched',
+  LEVEL_LOADING: 'hlsLevelLoading',
+  FRAG_LOADED: 'hlsFragLoaded',
+  ERROR: 'hlsError',
+  AUDIO_TRACKS_UPDATED: 'hlsAudioTracksUpdated',
+  SUBTITLE_TRACKS_UPDATED: 'hlsSubtitleTracksUpdated',
+};
+FakeHls.ErrorTypes = {
+  NETWORK_ERROR: 'networkError',
+  MEDIA_ERROR: 'mediaError',
+};
+
+// Deliberately out of height order
+const LEVELS = [
+  { height: 720, width: 1280, bitrate: 2800000 },
+  { height: 360, width: 640, bitrate: 800000 },
+  { height: 1080, width: 1920, bitrate: 5000000 },
+  { height: 480, width: 854, bitrate: 1400000 },
+];
+
+describe('HLSLoader quality policy', () => {
+  let HLSLoader;
+  let connection;
+  let loader;
+
+  /** Load a stream and parse its manifest */
+  const loadStream = async () => {
+    const loaded = loader.loadSource(
+      'https://media.example.com/video/set/master.m3u8'
+    );
+    loader.hls.levels = LEVELS;
+    loader.hls.trigger(FakeHls.Events.MANIFEST_PARSED, {});
+    await loaded;
+  };
+
+  beforeAll(async () => {
+    await import('../../../js/media/video/HLSLoader.js');
+    HLSLoader = window.HLSLoader;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    window.Hls = FakeHls;
+    connection = Object.assign(new EventTarget(), {
+      saveData: false,
+      type: 'wifi',
+      effectiveType: '4g',
+    });
+    Object.defineProperty(navigator, 'connection', {
+      value: connection,
+      configurable: true,
+    });
+    loader = new HLSLoader(document.createElement('video'));
+  });
+
+  afterEach(() => {
+    loader.destroy();
+    delete window.Hls;
+    delete navigator.connection;
+  });
+
+  it('should pick the highest level no taller than a height', async () => {
+    await loadStream();
+
+    expect(loader.getLevelIndexForHeight(720)).toBe(0);
+    expect(loader.getLevelIndexForHeight(600)).toBe(3);
+    // All levels taller: the lowest
+    expect(loader.getLevelIndexForHeight(240)).toBe(1);
+  });
+
+  it('should leave quality uncapped by default', async () => {
+    await loadStream();
+
+    expect(loader.getEffectiveMaxHeight()).toBeNull();
+    expect(loader.hls.autoLevelCapping).toBe(-1);
+  });
+
+  it('should apply and remember the user cap', async () => {
+    const onCap = vi.fn();
+    loader.on('qualityCapChange', onCap);
+    await loadStream();
+    loader.setMaxHeight(720);
+
+    expect(loader.hls.autoLevelCapping).toBe(0);
+    expect(onCap).toHaveBeenLastCalledWith({
+      maxHeight: 720,
+      userMaxHeight: 720,
+      dataSaver: false,
+    });
+
+    const next = new HLSLoader(document.createElement('video'));
+    expect(next.getMaxHeight()).toBe(720);
+    next.destroy();
+
+    loader.setMaxHeight(null);
+    expect(loader.hls.autoLevelCapping).toBe(-1);
+    expect(HLSLoader.loadMaxHeight()).toBeNull();
+  });
+
+  it('should cap at the data-saver height when the browser asks to save data', async () => {
+    connection.saveData = true;
+    await loadStream();
+
+    expect(loader.dataSaver).toBe(true);
+    expect(loader.getEffectiveMaxHeight()).toBe(480);
+    expect(loader.hls.autoLevelCapping).toBe(3);
+
+    // The lower cap wins
+    loader.setMaxHeight(360);
+    expect(loader.hls.autoLevelCapping).toBe(1);
+  });
+
+  it('should re-apply the policy when the connection becomes metered', async () => {
+    await loadStream();
+    expect(loader.hls.autoLevelCapping).toBe(-1);
+
+    connection.type = 'cellular';
+    connection.dispatchEvent(new Event('change'));
+    expect(loader.hls.autoLevelCapping).toBe(3);
+
+    connection.type = 'wifi';
+    connection.effectiveType = '2g';
+    connection.dispatchEvent(new Event('change'));
+    expect(loader.dataSaver).toBe(true);
+  });
+
+  it('should honour a disabled data-saver policy', () => {
+    const config = window.ETCETER4_CONFIG;
+    window.ETCETER4_CONFIG = {
+      media: { video: { abr: { dataSaver: false } } },
+    };
+    connection.saveData = true;
+    const unrestricted = new HLSLoader(document.createElement('video'));
+    window.ETCETER4_CONFIG = config;
+
+    expect(unrestricted.isDataSaverActive()).toBe(false);
+    unrestricted.destroy();
+  });
+
+  it('should report adaptive bitrate stats', async () => {
+    await loadStream();
+    loader.hls.currentLevel = 0;
+
+    expect(loader.getStats()).toEqual({
+      level: 0,
+      levelName: '720p',
+      levelCount: 4,
+      bitrate: 2800000,
+      autoLevel: true,
+      nextAutoLevel: 1,
+      bandwidthEstimate: 4200000,
+      maxHeight: null,
+      dataSaver: false,
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for LyricsSync Enhanced LRC, WebVTT and SRT support
+ * Tests word-level tags, metadata tags, karaoke fill rendering, cue import
+ * and LRC/VTT export
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const ENHANCED_LRC = `[ti:Pantheon]
+[ar:ET CETER4]
+[length: 03:25.50]
+[00:10.00]<00:10.00>Marble <00:10.50>halls<00:11.00>
+[00:12.00]<00:12.00>echo <00:13.00>again
+[00:15.00]Instrumental`;
+
+describe('LyricsSync (formats)', () => {
+  let LyricsSync;
+  let lyrics;
+
+  beforeAll(async () => {
+    await import('../../../js/media/audio/LyricsSync.js');
+    LyricsSync = window.LyricsSync;
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="lyrics-container"></div>';
+    Element.prototype.scrollIntoView = vi.fn();
+    lyrics = new LyricsSync();
+  });
+
+  afterEach(() => {
+    lyrics.dispose();
+    document.body.innerHTML = '';
+  });
+
+  describe('Parsing', () => {
+    it('should read metadata tags', () => {
+      lyrics.loadLyricsFromText(ENHANCED_LRC);
+
+      expect(lyrics.getMetadata()).toEqual({
+        title: 'Pantheon',
+        artist: 'ET CETER4',
+        length: 205500,
+        offset: 0,
+      });
+    });
+
+    it('should parse word tags with start and end times', () => {
+      lyrics.loadLyricsFromText(ENHANCED_LRC);
+      const [first, second, third] = lyrics.getLyrics();
+
+      expect(first.text).toBe('Marble halls');
+      expect(first.words).toEqual([
+        { text: 'Marble ', time: 10000, endTime: 10500 },
+        { text: 'halls', time: 10500, endTime: 11000 },
+      ]);
+      // Without a trailing tag the last word runs to the next line
+      expect(second.words[1]).toEqual({
+        text: 'again',
+        time: 13000,
+        endTime: 15000,
+      });
+      expect(third.words).toBeUndefined();
+      expect(lyrics.hasWordTiming()).toBe(true);
+    });
+
+    it('should apply a positive offset by showing lyrics earlier', () => {
+      lyrics.loadLyricsFromText(
+        `[offset:+500]\n[00:10.00]<00:10.00>Marble <00:10.50>halls`
+      );
+      const [line] = lyrics.getLyrics();
+
+      expect(line.time).toBe(9500);
+      expect(line.words.map(w => w.time)).toEqual([9500, 10000]);
+    });
+
+    it('should apply a negative offset by showing lyrics later', () => {
+      lyrics.loadLyricsFromText(`[offset:-250]\n[00:01.00]Late`);
+
+      expect(lyrics.getLyrics()[0].time).toBe(1250);
+    });
+
+    it('should shift word times for repeated line timestamps', () => {
+      lyrics.loadLyricsFromText(
+        '[00:10.00][00:40.00]<00:10.00>la <00:10.50>la'
+      );
+      const repeat = lyrics.getLyrics()[1];
+
+      expect(repeat.time).toBe(40000);
+      expect(repeat.words.map(w => w.time)).toEqual([40000, 40500]);
+    });
+
+    it('should accept millisecond precision', () => {
+      expect(lyrics.parseTimestamp('<01:02.345>')).toBe(62345);
+      expect(lyrics.parseTimestamp('[01:02.34]')).toBe(62340);
+    });
+
+    it('should keep plain LRC files working', () => {
+      lyrics.loadLyricsFromText(
+        '[ar:Someone]\n[00:05.00]First\n[00:01.00]Zero'
+      );
+
+      expect(lyrics.getLyrics()).toEqual([
+        { time: 1000, text: 'Zero', index: 0 },
+        { time: 5000, text: 'First', index: 1 },
+      ]);
+      expect(lyrics.hasWordTiming()).toBe(false);
+      expect(lyrics.lineElements[1].textContent).toBe('First');
+    });
+  });
+
+  describe('Karaoke fill', () => {
+    beforeEach(() => {
+      lyrics.loadLyricsFromText(ENHANCED_LRC);
+    });
+
+    it('should render word spans for word-timed lines', () => {
+      const words = lyrics.lineElements[0].querySelectorAll('.et-lyrics-word');
+
+      expect(
+        lyrics.lineElements[0].classList.contains('et-lyrics-line--karaoke')
+      ).toBe(true);
+      expect([...words].map(w => w.textContent)).toEqual(['Marble ', 'halls']);
+      expect(lyrics.lineElements[0].textContent).toBe('Marble halls');
+    });
+
+    it('should progressively fill words as playback advances', () => {
+      const [marble, halls] = lyrics.wordElements[0];
+
+      lyrics.updateCurrentLine(10250);
+      expect(marble.style.getPropertyValue('--et-lyrics-fill')).toBe('50%');
+      expect(halls.style.getPropertyValue('--et-lyrics-fill')).toBe('0%');
+
+      lyrics.updateCurrentLine(10750);
+      expect(marble.classList.contains('et-lyrics-word--sung')).toBe(true);
+      expect(halls.style.getPropertyValue('--et-lyrics-fill')).toBe('50%');
+    });
+
+    it('should emit wordchange as each word starts', () => {
+      const listener = vi.fn();
+      lyrics.on('wordchange', listener);
+
+      lyrics.updateCurrentLine(10100);
+      lyrics.updateCurrentLine(10200);
+      lyrics.updateCurrentLine(10600);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0]).toMatchObject({
+        lineIndex: 0,
+        wordIndex: 1,
+      });
+    });
+
+    it('should clear the fill when moving to the next line', () => {
+      const [marble] = lyrics.wordElements[0];
+
+      lyrics.updateCurrentLine(10750);
+      lyrics.updateCurrentLine(12500);
+
+      expect(marble.style.getPropertyValue('--et-lyrics-fill')).toBe('');
+      expect(marble.classList.contains('et-lyrics-word--sung')).toBe(false);
+      expect(
+        lyrics.wordElements[1][0].style.getPropertyValue('--et-lyrics-fill')
+      ).toBe('50%');
+    });
+
+    it('should not fill words when highlighting is disabled', () => {
+      lyrics.disableHighlighting();
+      lyrics.updateCurrentLine(10250);
+
+      expect(
+        lyrics.wordElements[0][0].style.getPropertyValue('--et-lyrics-fill')
+      ).toBe('');
+      expect(lyrics.getState().currentWordIndex).toBe(0);
+    });
+  });
+
+  describe('WebVTT and SRT import', () => {
+    const VTT = `WEBVTT
+
+NOTE timed by hand
+
+intro
+00:00:10.000 --> 00:00:11.500 align:center
+<v Singer>Marble &amp; <i>halls</i>
+
+00:12.000 --> 00:14.000
+echo <00:13.000>again`;
+
+    const SRT = `1\r\n00:00:10,000 --> 00:00:11,500\r\n<i>Marble</i>\r\nhalls\r\n\r\n2\r\n00:00:12,000 --> 00:00:14,000\r\n{\\an8}echo again\r\n`;
+
+    it('should detect formats from content and file names', () => {
+      expect(LyricsSync.detectFormat(VTT)).toBe('vtt');
+      expect(LyricsSync.detectFormat(SRT)).toBe('srt');
+      expect(LyricsSync.detectFormat('[00:01.00]Hi')).toBe('lrc');
+      expect(LyricsSync.detectFormat('', '/audio/01.srt?v=2')).toBe('srt');
+      expect(LyricsSync.detectFormat('just words')).toBe('text');
+    });
+
+    it('should parse WebVTT cues with end times and strip markup', () => {
+      lyrics.loadLyricsFromText(VTT);
+      const [first, second] = lyrics.getLyrics();
+
+      expect(first).toEqual({
+        time: 10000,
+        endTime: 11500,
+        text: 'Marble & halls',
+        index: 0,
+      });
+      expect(second.words).toEqual([
+        { text: 'echo ', time: 12000, endTime: 13000 },
+        { text: 'again', time: 13000, endTime: 14000 },
+      ]);
+    });
+
+    it('should parse SRT cues', () => {
+      lyrics.loadLyricsFromText(SRT);
+
+      expect(lyrics.getLyrics().map(l => [l.time, l.endTime, l.text])).toEqual([
+        [10000, 11500, 'Marble halls'],
+        [12000, 14000, 'echo again'],
+      ]);
+    });
+
+    it('should detect the format when loading from a URL', async () => {
+      globalThis.fetch = vi.fn(async () => ({
+        ok: true,
+        text: async () => SRT,
+      }));
+
+      await lyrics.loadLyrics('/audio/albums/ogod/01.srt');
+
+      expect(lyrics.getLineCount()).toBe(2);
+    });
+  });
+
+  describe('Export', () => {
+    it('should round-trip Enhanced LRC', () => {
+      lyrics.loadLyricsFromText(ENHANCED_LRC);
+      const exported = lyrics.exportLRC();
+
+      expect(exported).toContain('[ti:Pantheon]');
+      expect(exported).toContain(
+        '[00:10.00]<00:10.00>Marble <00:10.50>halls<00:11.00>'
+      );
+      expect(LyricsSync.parse(exported).lyrics).toEqual(lyrics.getLyrics());
+    });
+
+    it('should export WebVTT with cue end times and word timestamps', () => {
+      lyrics.loadLyricsFromText(
+        '[00:10.00]<00:10.00>Marble <00:10.50>halls\n[00:12.00]R&B <echo>'
+      );
+
+      expect(lyrics.exportVTT()).toBe(
+        'WEBVTT\n\n' +
+          '00:00:10.000 --> 00:00:12.000\nMarble <00:00:10.500>halls\n\n' +
+          '00:00:12.000 --> 00:00:16.000\nR&amp;B &lt;echo&gt;\n'
+      );
+    });
+
+    it('should write cue gaps as empty LRC lines', () => {
+      const lrc = LyricsSync.toLRC([
+        { time: 1000, endTime: 2000, text: 'One' },
+        { time: 5000, endTime: 6000, text: 'Two' },
+      ]);
+
+      expect(lrc).toBe(
+        '[00:01.00]One\n[00:02.00]\n[00:05.00]Two\n[00:06.00]\n'
+      );
+    });
+  });
+});
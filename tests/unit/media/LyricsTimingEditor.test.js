@@ -0,0 +1,174 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for LyricsTimingEditor
+ * Tests stamping, nudging, keyboard shortcuts and LRC/VTT export
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+describe('LyricsTimingEditor', () => {
+  let LyricsTimingEditor;
+  let editor;
+  let player;
+  let container;
+
+  const createPlayer = () => {
+    const listeners = {};
+    return {
+      position: 0,
+      getPosition() {
+        return this.position;
+      },
+      getCurrentTrack: () => ({ title: 'Marble Halls', artist: 'ET CETER4' }),
+      seekTo: vi.fn(),
+      toggle: vi.fn(),
+      on: (event, cb) => {
+        listeners[event] = cb;
+      },
+      off: vi.fn(),
+      emit: (event, data) => listeners[event]?.(data),
+    };
+  };
+
+  const key = (k, options = {}) =>
+    editor.root.dispatchEvent(
+      new KeyboardEvent('keydown', { key: k, bubbles: true, ...options })
+    );
+
+  beforeAll(async () => {
+    await import('../../../js/media/audio/LyricsSync.js');
+    await import('../../../js/media/audio/LyricsTimingEditor.js');
+    LyricsTimingEditor = window.LyricsTimingEditor;
+  });
+
+  beforeEach(() => {
+    Element.prototype.scrollIntoView = vi.fn();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    player = createPlayer();
+    editor = new LyricsTimingEditor({ container, player });
+    editor.load('First line\n\nSecond line\nThird line');
+  });
+
+  afterEach(() => {
+    editor.dispose();
+    container.remove();
+  });
+
+  it('should load plain text as untimed lines', () => {
+    expect(editor.getLines().map(l => [l.text, l.time])).toEqual([
+      ['First line', null],
+      ['Second line', null],
+      ['Third line', null],
+    ]);
+    expect(
+      editor.listElement.querySelectorAll('[data-line-index]')
+    ).toHaveLength(3);
+  });
+
+  it('should stamp the selected line at the playback position and advance', () => {
+    player.position = 12.345;
+    editor.stamp();
+    player.position = 15;
+    key('Enter');
+
+    expect(editor.getLines().map(l => l.time)).toEqual([12345, 15000, null]);
+    expect(editor.selectedIndex).toBe(2);
+  });
+
+  it('should nudge and clear stamps from the keyboard', () => {
+    player.position = 10;
+    editor.stamp(0);
+    editor.select(0);
+
+    key(']');
+    key('[', { shiftKey: true });
+    expect(editor.getLines()[0].time).toBe(9100);
+
+    key('Backspace');
+    expect(editor.getLines()[0].time).toBeNull();
+  });
+
+  it('should toggle playback with Space but not while typing', () => {
+    key(' ');
+    editor.sourceInput.dispatchEvent(
+      new KeyboardEvent('keydown', { key: ' ', bubbles: true })
+    );
+
+    expect(player.toggle).toHaveBeenCalledOnce();
+  });
+
+  it('should seek when a stamp is clicked', () => {
+    player.position = 20;
+    editor.stamp(1);
+    editor.listElement
+      .querySelector('[data-line-index="1"] [data-action="seek"]')
+      .click();
+
+    expect(player.seekTo).toHaveBeenCalledWith(20);
+  });
+
+  it('should highlight the line under the playhead', () => {
+    player.position = 5;
+    editor.stamp(0);
+    player.position = 9;
+    editor.stamp(1);
+
+    player.emit('progress', { position: 7 });
+
+    const playing = editor.listElement.querySelector(
+      '.lyrics-editor-line--playing'
+    );
+    expect(playing.dataset.lineIndex).toBe('0');
+  });
+
+  it('should export stamped lines as LRC and VTT', () => {
+    player.position = 9;
+    editor.stamp(1);
+    player.position = 5;
+    editor.stamp(0);
+
+    expect(editor.exportLRC()).toBe(
+      '[ti:Marble Halls]\n[ar:ET CETER4]\n[00:05.00]First line\n[00:09.00]Second line\n'
+    );
+    expect(editor.exportVTT()).toBe(
+      'WEBVTT - Marble Halls - ET CETER4\n\n' +
+        '00:00:05.000 --> 00:00:09.000\nFirst line\n\n' +
+        '00:00:09.000 --> 00:00:13.000\nSecond line\n'
+    );
+  });
+
+  it('should retime imported lyrics and move word timing with the line', () => {
+    editor.load(
+      '[00:10.00]<00:10.00>Marble <00:10.50>halls<00:11.00>\n[00:12.00]echo',
+      'song.lrc'
+    );
+    editor.nudge(0, 250);
+
+    const [line] = editor.getLyrics();
+    expect(line.time).toBe(10250);
+    expect(line.words).toEqual([
+      { text: 'Marble ', time: 10250, endTime: 10750 },
+      { text: 'halls', time: 10750, endTime: 11250 },
+    ]);
+  });
+
+  it('should remove itself and notify on close', () => {
+    const onClose = vi.fn();
+    editor.on('close', onClose);
+
+    editor.root.querySelector('[data-action="close"]').click();
+
+    expect(onClose).toHaveBeenCalledOnce();
+    expect(container.children).toHaveLength(0);
+    expect(player.off).toHaveBeenCalledWith('progress', expect.any(Function));
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for MediaServiceWorker offline downloads
+ * Tests saving items into the pinned offline cache with progress, HLS playlist
+ * expansion, serving saved files (and byte ranges) first, eviction skipping
+ * pinned files, cancelling, removing and the storage estimate
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+// Read the actual worker script
+const sourceCode = readFileSync(
+  resolve(__dirname, '../../../js/media/cache/MediaServiceWorker.js'),
+  'utf-8'
+);
+
+const MEDIA = 'https://media.etceter4.com';
+const OFFLINE_CACHE = 'media-cache-v1-offline';
+const AUDIO_CACHE = 'media-cache-v1-audio';
+
+/** In-memory stand-in for one Cache */
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(request) {
+    const entry = this.entries.get(
+      typeof request === 'string' ? request : request.url
+    );
+    return entry ? new Response(entry.body, entry.init) : undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(typeof request === 'string' ? request : request.url, {
+      body: await response.arrayBuffer(),
+      init: { status: response.status, headers: [...response.headers] },
+    });
+  }
+
+  async delete(request) {
+    return this.entries.delete(
+      typeof request === 'string' ? request : request.url
+    );
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map(url => new Request(url));
+  }
+}
+
+/** In-memory stand-in for CacheStorage */
+class FakeCacheStorage {
+  constructor() {
+    this.stores = new Map();
+  }
+
+  async open(name) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, new FakeCache());
+    }
+    return this.stores.get(name);
+  }
+
+  async match(request) {
+    for (const cache of this.stores.values()) {
+      const response = await cache.match(request);
+      if (response) {
+        return response;
+      }
+    }
+    return undefined;
+  }
+
+  async delete(name) {
+    return this.stores.delete(name);
+  }
+
+  async keys() {
+    return [...this.stores.keys()];
+  }
+
+  urls(name) {
+    return [...(this.stores.get(name)?.entries.keys() || [])];
+  }
+}
+
+describe('MediaServiceWorker offline downloads', () => {
+  let files;
+  let fetchMock;
+  let caches;
+  let listeners;
+  let posted;
+
+  /** Send a command and wait for the reply on its port */
+  const send = (type, payload) =>
+    new Promise(resolve => {
+      listeners.message({
+        data: { type, payload },
+        ports: [{ postMessage: resolve }],
+        waitUntil: () => {},
+      });
+    });
+
+  /** Dispatch a fetch event; resolves to the worker's response, or null when it passes */
+  const dispatchFetch = async request => {
+    let responded = null;
+    listeners.fetch({
+      request,
+      respondWith: response => (responded = response),
+    });
+    return responded ? await responded : null;
+  };
+
+  const save = (id, itemFiles, extra = {}) =>
+    send('SAVE_OFFLINE', {
+      id,
+      title: id,
+      kind: 'album',
+      files: itemFiles,
+      ...extra,
+    });
+
+  beforeEach(() => {
+    files = {
+      [`${MEDIA}/audio/ogod/01.mp3`]: 'first-track',
+      [`${MEDIA}/audio/ogod/02.mp3`]: 'second-track',
+      [`${MEDIA}/covers/ogod-600.jpg`]: 'cover',
+      [`${MEDIA}/waveforms/ogod/01.json`]: '[0.1,0.5]',
+    };
+    fetchMock = vi.fn(async request => {
+      const url = typeof request === 'string' ? request : request.url;
+      return url in files
+        ? new Response(files[url], {
+            headers: { 'Content-Length': String(files[url].length) },
+          })
+        : new Response('', { status: 404 });
+    });
+    caches = new FakeCacheStorage();
+    listeners = {};
+    posted = [];
+
+    const self = {
+      location: { origin: 'https://etceter4.com' },
+      addEventListener: (type, callback) => {
+        listeners[type] = callback;
+      },
+      skipWaiting: vi.fn(),
+      clients: {
+        claim: vi.fn(),
+        matchAll: async () => [
+          { postMessage: message => posted.push(message) },
+        ],
+      },
+      navigator: {
+        storage: { estimate: async () => ({ usage: 4096, quota: 1048576 }) },
+      },
+    };
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // eslint-disable-next-line no-eval
+    eval(`(function (self, caches, fetch, ETCETER4_CONFIG) { ${sourceCode} })`)(
+      self,
+      caches,
+      fetchMock,
+      undefined
+    );
+  });
+
+  it('should save every file into the offline cache and index it', async () => {
+    const reply = await save(
+      'album:ogod',
+      [
+        { url: `${MEDIA}/covers/ogod-600.jpg`, optional: true },
+        { url: `${MEDIA}/covers/ogod-1200.jpg`, optional: true },
+        `${MEDIA}/audio/ogod/01.mp3`,
+        `${MEDIA}/audio/ogod/03.mp3`,
+      ],
+      { src: `${MEDIA}/audio/ogod/01.mp3` }
+    );
+
+    expect(reply.success).toBe(true);
+    expect(reply.item).toMatchObject({
+      id: 'album:ogod',
+      kind: 'album',
+      src: `${MEDIA}/audio/ogod/01.mp3`,
+      files: [
+        { url: `${MEDIA}/covers/ogod-600.jpg`, size: 5 },
+        { url: `${MEDIA}/audio/ogod/01.mp3`, size: 11 },
+      ],
+      bytes: 16,
+      // Missing optional files are not worth reporting
+      missing: [`${MEDIA}/audio/ogod/03.mp3`],
+    });
+    expect(caches.urls(OFFLINE_CACHE)).toContain(`${MEDIA}/audio/ogod/01.mp3`);
+
+    const { items } = await send('GET_OFFLINE_ITEMS');
+    expect(items.map(item => item.id)).toEqual(['album:ogod']);
+  });
+
+  it('should report progress to every window', async () => {
+    await save('album:ogod', [
+      `${MEDIA}/audio/ogod/01.mp3`,
+      `${MEDIA}/audio/ogod/02.mp3`,
+    ]);
+
+    expect(posted.map(({ completed, total }) => [completed, total])).toEqual([
+      [0, 2],
+      [1, 2],
+      [2, 2],
+    ]);
+    expect(posted[2]).toEqual({
+      type: 'OFFLINE_PROGRESS',
+      id: 'album:ogod',
+      completed: 2,
+      total: 2,
+      bytes: 23,
+    });
+  });
+
+  it('should download the init segment and segments of HLS playlists', async () => {
+    const base = `${MEDIA}/video/performances/set`;
+    files[`${base}/720p.m3u8`] = [
+      '#EXTM3U',
+      '#EXT-X-MAP:URI="init.mp4"',
+      '#EXTINF:6.0,',
+      'segment-0.m4s',
+      '#EXTINF:6.0,',
+      'segment-1.m4s',
+      '#EXT-X-ENDLIST',
+    ].join('\n');
+    files[`${base}/init.mp4`] = 'init';
+    files[`${base}/segment-0.m4s`] = 'seg0';
+    files[`${base}/segment-1.m4s`] = 'seg1';
+
+    const { item } = await save('video:set', [
+      { url: `${base}/720p.m3u8`, hls: true },
+    ]);
+
+    expect(item.files.map(file => file.url)).toEqual([
+      `${base}/720p.m3u8`,
+      `${base}/init.mp4`,
+      `${base}/segment-0.m4s`,
+      `${base}/segment-1.m4s`,
+    ]);
+    expect(item.missing).toEqual([]);
+  });
+
+  it('should serve saved files before the network, with byte ranges', async () => {
+    const url = `${MEDIA}/audio/ogod/01.mp3`;
+    await save('album:ogod', [url]);
+    fetchMock.mockClear();
+
+    const whole = await dispatchFetch(new Request(url));
+    expect(await whole.text()).toBe('first-track');
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const partial = await dispatchFetch(
+      new Request(url, { headers: { Range: 'bytes=6-' } })
+    );
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get('content-range')).toBe('bytes 6-10/11');
+    expect(await partial.text()).toBe('track');
+
+    const suffix = await dispatchFetch(
+      new Request(url, { headers: { Range: 'bytes=-5' } })
+    );
+    expect(await suffix.text()).toBe('track');
+
+    const outside = await dispatchFetch(
+      new Request(url, { headers: { Range: 'bytes=20-' } })
+    );
+    expect(outside.status).toBe(416);
+  });
+
+  it('should leave requests outside the media host to the site worker', async () => {
+    expect(
+      await dispatchFetch(new Request('https://etceter4.com/js/main.js'))
+    ).toBeNull();
+    expect(
+      await dispatchFetch(
+        new Request(`${MEDIA}/audio/ogod/01.mp3`, { method: 'POST' })
+      )
+    ).toBeNull();
+  });
+
+  it('should not evict pinned files from the audio cache', async () => {
+    const pinned = `${MEDIA}/audio/ogod/01.mp3`;
+    await save('album:ogod', [pinned]);
+    send('UPDATE_CONFIG', { cache: { maxAudioCacheSize: 15 } });
+
+    // A pinned copy and an unpinned file cached before, oldest first
+    const audio = await caches.open(AUDIO_CACHE);
+    const cached = (timestamp, body) =>
+      new Response(body, {
+        headers: {
+          'Content-Length': '10',
+          'x-cache-metadata': JSON.stringify({ timestamp, ttl: 604800000 }),
+        },
+      });
+    await audio.put(pinned, cached(1, 'pinned-mp3'));
+    await audio.put(`${MEDIA}/audio/old.mp3`, cached(2, 'older-mp3!'));
+
+    files[`${MEDIA}/audio/new.mp3`] = 'newest-mp3';
+    await dispatchFetch(new Request(`${MEDIA}/audio/new.mp3`));
+
+    expect(caches.urls(AUDIO_CACHE)).toEqual([
+      pinned,
+      `${MEDIA}/audio/new.mp3`,
+    ]);
+  });
+
+  it('should cancel a download and drop the files it fetched', async () => {
+    const slow = `${MEDIA}/audio/ogod/02.mp3`;
+    fetchMock.mockImplementation(async (url, { signal }) => {
+      if (url !== slow) {
+        return new Response(files[url]);
+      }
+      return new Promise((_, reject) => {
+        signal.addEventListener('abort', () =>
+          reject(new DOMException('Aborted', 'AbortError'))
+        );
+      });
+    });
+
+    const saving = save('album:ogod', [`${MEDIA}/audio/ogod/01.mp3`, slow]);
+    await vi.waitFor(() =>
+      expect(fetchMock).toHaveBeenCalledWith(slow, expect.anything())
+    );
+    await send('CANCEL_OFFLINE', { id: 'album:ogod' });
+
+    expect(await saving).toMatchObject({ success: false, cancelled: true });
+    expect(caches.urls(OFFLINE_CACHE)).toEqual([]);
+  });
+
+  it('should remove an item but keep files another saved item uses', async () => {
+    const cover = { url: `${MEDIA}/covers/ogod-600.jpg`, optional: true };
+    await save('album:ogod', [cover, `${MEDIA}/audio/ogod/01.mp3`]);
+    await save('playlist:favourites', [cover, `${MEDIA}/audio/ogod/02.mp3`]);
+
+    expect(await send('REMOVE_OFFLINE', { id: 'album:ogod' })).toEqual({
+      success: true,
+    });
+
+    const saved = caches.urls(OFFLINE_CACHE);
+    expect(saved).toContain(`${MEDIA}/covers/ogod-600.jpg`);
+    expect(saved).not.toContain(`${MEDIA}/audio/ogod/01.mp3`);
+    expect(
+      (await send('GET_OFFLINE_ITEMS')).items.map(item => item.id)
+    ).toEqual(['playlist:favourites']);
+  });
+
+  it('should keep saved items when clearing the media caches', async () => {
+    await save('album:ogod', [`${MEDIA}/audio/ogod/01.mp3`]);
+    await send('CLEAR_ALL_CACHES');
+
+    expect(caches.urls(OFFLINE_CACHE)).toContain(`${MEDIA}/audio/ogod/01.mp3`);
+  });
+
+  it('should report storage use and the bytes saved for offline', async () => {
+    await save('album:ogod', [`${MEDIA}/audio/ogod/01.mp3`]);
+
+    expect(await send('GET_STORAGE_ESTIMATE')).toEqual({
+      usage: 4096,
+      quota: 1048576,
+      offlineBytes: 11,
+    });
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for MediaSessionController and its use by EnhancedAudioPlayer
+ * and OGODAudioEngine
+ * Tests metadata and artwork, position state, action handlers and ownership
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+class MockMediaMetadata {
+  constructor(init) {
+    Object.assign(this, init);
+  }
+}
+
+const createMediaSession = () => ({
+  metadata: null,
+  playbackState: 'none',
+  handlers: {},
+  setActionHandler: vi.fn(function (action, handler) {
+    if (action === 'stop') {
+      throw new TypeError(`"${action}" is not a valid enum value`);
+    }
+    this.handlers[action] = handler;
+  }),
+  setPositionState: vi.fn(),
+});
+
+describe('MediaSessionController', () => {
+  let MediaSessionController;
+  let mediaSession;
+
+  beforeAll(async () => {
+    await import('../../../js/media/MediaURLResolver.js');
+    await import('../../../js/media/MediaSessionController.js');
+    await import('../../../js/media/audio/EnhancedAudioPlayer.js');
+    await import('../../../js/3d/ogod/OGODAudioEngine.js');
+    MediaSessionController = window.MediaSessionController;
+  });
+
+  beforeEach(() => {
+    mediaSession = createMediaSession();
+    Object.defineProperty(navigator, 'mediaSession', {
+      value: mediaSession,
+      configurable: true,
+    });
+    window.MediaMetadata = MockMediaMetadata;
+  });
+
+  afterEach(() => {
+    MediaSessionController._owner = null;
+    delete navigator.mediaSession;
+    delete window.MediaMetadata;
+  });
+
+  describe('Controller', () => {
+    const createController = (overrides = {}) =>
+      new MediaSessionController({
+        handlers: { play: vi.fn(), pause: vi.fn(), seekto: vi.fn() },
+        getPosition: () => 95,
+        getDuration: () => 100,
+        ...overrides,
+      });
+
+    it('should report support only when the API exists', () => {
+      expect(MediaSessionController.isSupported()).toBe(true);
+      delete window.MediaMetadata;
+      expect(MediaSessionController.isSupported()).toBe(false);
+    });
+
+    it('should register handlers on activate and skip unsupported actions', () => {
+      const controller = createController();
+      controller.activate();
+
+      expect(mediaSession.handlers.play).toBe(controller.handlers.play);
+      expect(mediaSession.handlers.nexttrack).toBeNull();
+      expect(mediaSession.setActionHandler).toHaveBeenCalledWith('stop', null);
+      expect(controller.isActive()).toBe(true);
+    });
+
+    it('should derive skip buttons from seekto and clamp to the track', () => {
+      const controller = createController();
+      controller.activate();
+
+      mediaSession.handlers.seekforward({ action: 'seekforward' });
+      mediaSession.handlers.seekbackward({
+        action: 'seekbackward',
+        seekOffset: 30,
+      });
+
+      expect(
+        controller.handlers.seekto.mock.calls.map(([d]) => d.seekTime)
+      ).toEqual([100, 65]);
+    });
+
+    it('should publish metadata with cover art resolved for the album', () => {
+      const controller = createController();
+      controller.activate();
+      controller.setMetadata({
+        title: 'I. Overture',
+        artist: 'ET CETER4',
+        albumTitle: 'OGOD',
+        albumId: 'ogod',
+      });
+
+      expect(mediaSession.metadata).toEqual({
+        title: 'I. Overture',
+        artist: 'ET CETER4',
+        album: 'OGOD',
+        artwork: [
+          {
+            src: '/media/covers/ogod-300.jpg',
+            sizes: '300x300',
+            type: 'image/jpeg',
+          },
+          {
+            src: '/media/covers/ogod-600.jpg',
+            sizes: '600x600',
+            type: 'image/jpeg',
+          },
+          {
+            src: '/media/covers/ogod-1200.jpg',
+            sizes: '1200x1200',
+            type: 'image/jpeg',
+          },
+        ],
+      });
+    });
+
+    it('should leave the session alone until activated and hand it over', () => {
+      const first = createController();
+      const second = createController();
+
+      first.setMetadata({ title: 'Queued' });
+      first.setPlaybackState('playing');
+      expect(mediaSession.metadata).toBeNull();
+      expect(mediaSession.playbackState).toBe('none');
+
+      first.activate();
+      expect(mediaSession.metadata.title).toBe('Queued');
+
+      second.activate();
+      first.setPlaybackState('paused');
+      first.dispose();
+      expect(mediaSession.playbackState).toBe('none');
+      expect(mediaSession.handlers.play).toBe(second.handlers.play);
+
+      second.dispose();
+      expect(mediaSession.handlers.play).toBeNull();
+      expect(MediaSessionController._owner).toBeNull();
+    });
+
+    it('should clamp the position and skip unknown durations', () => {
+      const controller = createController({ getPosition: () => 120 });
+      controller.activate();
+      controller.updatePositionState();
+
+      expect(mediaSession.setPositionState).toHaveBeenCalledWith({
+        duration: 100,
+        position: 100,
+        playbackRate: 1,
+      });
+
+      controller.getDuration = () => Infinity;
+      controller.updatePositionState();
+      expect(mediaSession.setPositionState).toHaveBeenCalledOnce();
+    });
+  });
+
+  describe('EnhancedAudioPlayer', () => {
+    let player;
+    let originalHowl;
+
+    // Howl stand-in that fires the constructor callbacks the player relies on
+    const createHowl = options => ({
+      play: vi.fn(() => options.onplay?.()),
+      pause: vi.fn(() => options.onpause?.()),
+      stop: vi.fn(() => options.onstop?.()),
+      seek: vi.fn(time => time ?? 0),
+      duration: () => 180,
+      volume: vi.fn(),
+      fade: vi.fn(),
+      unload: vi.fn(),
+    });
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      originalHowl = globalThis.Howl;
+      globalThis.Howl = vi.fn(createHowl);
+      player = new window.EnhancedAudioPlayer({
+        gapless: false,
+        tracks: [
+          {
+            id: 'a',
+            title: 'I. Overture',
+            artist: 'ET CETER4',
+            albumTitle: 'OGOD',
+            albumId: 'ogod',
+            url: '/a.mp3',
+          },
+          { id: 'b', title: 'II. Descent', url: '/b.mp3' },
+        ],
+      });
+    });
+
+    afterEach(() => {
+      player.dispose();
+      globalThis.Howl = originalHowl;
+      vi.useRealTimers();
+    });
+
+    it('should publish the track when playback starts', () => {
+      player.play();
+
+      expect(mediaSession.metadata.title).toBe('I. Overture');
+      expect(mediaSession.metadata.artwork).toHaveLength(3);
+      expect(mediaSession.playbackState).toBe('playing');
+      expect(mediaSession.setPositionState).toHaveBeenCalledWith({
+        duration: 180,
+        position: 0,
+        playbackRate: 1,
+      });
+    });
+
+    it('should route media keys to the player', () => {
+      player.play();
+
+      mediaSession.handlers.nexttrack();
+      vi.advanceTimersByTime(1000);
+      expect(player.currentTrackIndex).toBe(1);
+      expect(mediaSession.metadata.title).toBe('II. Descent');
+
+      mediaSession.handlers.seekto({ action: 'seekto', seekTime: 42 });
+      expect(player.sound.seek).toHaveBeenCalledWith(42);
+
+      mediaSession.handlers.pause();
+      expect(mediaSession.playbackState).toBe('paused');
+    });
+
+    it('should not touch the session when disabled', () => {
+      const quiet = new window.EnhancedAudioPlayer({
+        gapless: false,
+        mediaSession: false,
+      });
+
+      expect(quiet.mediaSession).toBeNull();
+      quiet.dispose();
+    });
+
+    it('should release the session on dispose', () => {
+      player.play();
+      player.dispose();
+
+      expect(mediaSession.metadata).toBeNull();
+      expect(mediaSession.handlers.play).toBeNull();
+    });
+  });
+
+  describe('OGODAudioEngine', () => {
+    let engine;
+    let stemPlayer;
+    const onNextTrack = vi.fn();
+
+    beforeEach(() => {
+      engine = new window.OGODAudioEngine({ trackNumber: 3, onNextTrack });
+      stemPlayer = {
+        start: vi.fn(),
+        stop: vi.fn(),
+        dispose: vi.fn(),
+        buffer: { duration: 200 },
+      };
+      engine.isInitialized = true;
+      engine.usingSingleFile = true;
+      engine.players.master = { player: stemPlayer, gain: null };
+      Tone.now.mockReturnValue(100);
+    });
+
+    afterEach(() => {
+      engine.dispose();
+      Tone.now.mockReturnValue(0);
+      onNextTrack.mockClear();
+    });
+
+    it('should publish the OGOD track when started', async () => {
+      await engine.start();
+
+      expect(mediaSession.metadata).toMatchObject({
+        title: 'OGOD 03 III',
+        artist: 'ET CETER4',
+        album: 'OGOD',
+      });
+      expect(mediaSession.metadata.artwork[0].src).toBe(
+        '/media/covers/ogod-300.jpg'
+      );
+      expect(mediaSession.playbackState).toBe('playing');
+    });
+
+    it('should pause and resume from the same position', async () => {
+      await engine.start();
+      Tone.now.mockReturnValue(130);
+
+      mediaSession.handlers.pause();
+      expect(engine.getPosition()).toBe(30);
+      expect(mediaSession.playbackState).toBe('paused');
+
+      mediaSession.handlers.play();
+      await Promise.resolve();
+      expect(stemPlayer.start).toHaveBeenLastCalledWith(130, 30);
+    });
+
+    it('should seek within the loop', async () => {
+      await engine.start();
+
+      mediaSession.handlers.seekto({ action: 'seekto', seekTime: 250 });
+
+      expect(stemPlayer.start).toHaveBeenLastCalledWith(100, 50);
+      expect(engine.getPosition()).toBe(50);
+      expect(mediaSession.setPositionState).toHaveBeenLastCalledWith({
+        duration: 200,
+        position: 50,
+        playbackRate: 1,
+      });
+    });
+
+    it('should delegate track changes to the page', async () => {
+      await engine.start();
+
+      mediaSession.handlers.nexttrack();
+
+      expect(onNextTrack).toHaveBeenCalledOnce();
+      expect(mediaSession.handlers.previoustrack).toBeNull();
+    });
+  });
+});
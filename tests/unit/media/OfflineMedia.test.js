@@ -0,0 +1,308 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for OfflineMedia
+ * Tests the files listed for albums, playlists and videos, saving through the
+ * site worker with progress, cancellation and failures, removal, worker
+ * registration and the storage view
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const ALBUM = {
+  id: 'ogod',
+  title: 'OGOD',
+  hasLyrics: true,
+  tracks: [
+    { id: 'ogod-01', title: 'Invocation' },
+    { id: 'ogod-02', title: 'Descent', chapters: 'cue' },
+  ],
+};
+
+const VIDEO = 'performances/electronica-2015';
+
+/** Stand-in for the site worker: answers commands and posts progress */
+class FakeWorker {
+  constructor(container) {
+    this.container = container;
+    this.items = {};
+    this.replies = {};
+    this.postMessage = vi.fn(({ type, payload }, [port]) => {
+      const reply = this.replies[type]
+        ? this.replies[type](payload)
+        : this.handle(type, payload);
+      Promise.resolve(reply).then(data => port.postMessage(data));
+    });
+  }
+
+  handle(type, payload) {
+    switch (type) {
+      case 'SAVE_OFFLINE': {
+        const total = payload.files.length;
+        this.progress({ id: payload.id, completed: 1, total, bytes: 100 });
+        const item = {
+          ...payload,
+          files: [],
+          bytes: 2048,
+          missing: [],
+          savedAt: Date.now(),
+        };
+        this.items[payload.id] = item;
+        return { success: true, item };
+      }
+      case 'REMOVE_OFFLINE': {
+        const success = Boolean(this.items[payload.id]);
+        delete this.items[payload.id];
+        return { success };
+      }
+      case 'GET_OFFLINE_ITEMS':
+        return { items: Object.values(this.items), downloading: [] };
+      case 'GET_STORAGE_ESTIMATE':
+        return { usage: 5242880, quota: 1073741824, offlineBytes: 2048 };
+      default:
+        return { success: true };
+    }
+  }
+
+  /** Post an OFFLINE_PROGRESS message to the page */
+  progress(data) {
+    this.container.dispatchEvent(
+      new MessageEvent('message', {
+        data: { type: 'OFFLINE_PROGRESS', ...data },
+      })
+    );
+  }
+}
+
+describe('OfflineMedia', () => {
+  let OfflineMedia;
+  let serviceWorker;
+  let worker;
+  let storage;
+  let offline;
+
+  beforeAll(async () => {
+    await import('../../../js/media/MediaURLResolver.js');
+    await import('../../../js/media/video/EnhancedVideoPlayer.js');
+    await import('../../../js/media/cache/OfflineMedia.js');
+    OfflineMedia = window.OfflineMedia;
+  });
+
+  beforeEach(() => {
+    globalThis.caches = {};
+    serviceWorker = new EventTarget();
+    worker = new FakeWorker(serviceWorker);
+    serviceWorker.controller = worker;
+    serviceWorker.getRegistration = vi.fn().mockResolvedValue({});
+    serviceWorker.register = vi.fn();
+    storage = {
+      persisted: vi.fn().mockResolvedValue(false),
+      persist: vi.fn().mockResolvedValue(true),
+      estimate: vi.fn().mockResolvedValue({ usage: 1, quota: 2 }),
+    };
+    Object.defineProperty(navigator, 'serviceWorker', {
+      value: serviceWorker,
+      configurable: true,
+    });
+    Object.defineProperty(navigator, 'storage', {
+      value: storage,
+      configurable: true,
+    });
+    delete window.offlineMediaInstance;
+    offline = OfflineMedia.getInstance();
+  });
+
+  afterEach(() => {
+    delete globalThis.caches;
+    delete navigator.serviceWorker;
+    delete navigator.storage;
+    global.fetch.mockReset();
+  });
+
+  it('should list every track, cover, waveform, lyric and chapter file of an album', () => {
+    const files = OfflineMedia.albumFiles(ALBUM);
+    const urls = files.map(file => file.url);
+
+    expect(urls).toEqual([
+      '/media/covers/ogod-300.jpg',
+      '/media/covers/ogod-600.jpg',
+      '/media/covers/ogod-1200.jpg',
+      '/media/audio/albums/ogod/metadata.json',
+      '/media/audio/albums/ogod/01.mp3',
+      '/media/audio/albums/ogod/01-waveform.json',
+      '/media/audio/albums/ogod/01.lrc',
+      '/media/audio/albums/ogod/02.mp3',
+      '/media/audio/albums/ogod/02-waveform.json',
+      '/media/audio/albums/ogod/02.lrc',
+      '/media/audio/albums/ogod/02.cue',
+    ]);
+    // Only the audio is required
+    expect(files.filter(file => !file.optional).map(file => file.url)).toEqual([
+      '/media/audio/albums/ogod/01.mp3',
+      '/media/audio/albums/ogod/02.mp3',
+    ]);
+  });
+
+  it('should list playlist files once, with plain URLs for tracks outside albums', () => {
+    const urls = OfflineMedia.tracksFiles(
+      [
+        { id: 'ogod-02', albumId: 'ogod' },
+        { id: 'ogod-01', albumId: 'ogod' },
+        {
+          id: 'https://example.com/mix.mp3',
+          url: 'https://example.com/mix.mp3',
+        },
+      ],
+      [ALBUM]
+    ).map(file => file.url);
+
+    expect(urls.filter(url => url.includes('covers'))).toEqual([
+      '/media/covers/ogod-300.jpg',
+      '/media/covers/ogod-600.jpg',
+    ]);
+    expect(urls).toContain('/media/audio/albums/ogod/02.cue');
+    expect(urls.at(-1)).toBe('https://example.com/mix.mp3');
+  });
+
+  it('should save an album through the worker and report progress', async () => {
+    const onProgress = vi.fn();
+    const onChange = vi.fn();
+    offline.on('progress', onProgress);
+    offline.on('change', onChange);
+
+    const item = await offline.saveAlbum(ALBUM);
+
+    const [message] = worker.postMessage.mock.calls[0];
+    expect(message.type).toBe('SAVE_OFFLINE');
+    expect(message.payload).toMatchObject({
+      id: 'album:ogod',
+      title: 'OGOD',
+      kind: 'album',
+    });
+    expect(onProgress).toHaveBeenCalledWith({
+      id: 'album:ogod',
+      completed: 1,
+      total: 11,
+      bytes: 100,
+    });
+    expect(onChange).toHaveBeenLastCalledWith({ id: 'album:ogod', item });
+    expect(offline.isSaved('album:ogod')).toBe(true);
+    expect(offline.getProgress('album:ogod')).toBeNull();
+    // Saved media should survive storage pressure
+    expect(storage.persist).toHaveBeenCalled();
+  });
+
+  it('should show progress while the worker downloads', async () => {
+    let finish;
+    worker.replies.SAVE_OFFLINE = () =>
+      new Promise(resolve => (finish = resolve));
+
+    const saving = offline.saveAlbum(ALBUM);
+    expect(offline.getProgress('album:ogod')).toEqual({
+      completed: 0,
+      total: 11,
+      bytes: 0,
+    });
+    worker.progress({ id: 'album:ogod', completed: 4, total: 11, bytes: 4096 });
+    expect(offline.getProgress('album:ogod')).toEqual({
+      completed: 4,
+      total: 11,
+      bytes: 4096,
+    });
+
+    await vi.waitFor(() => expect(finish).toBeDefined());
+    finish({ success: false, cancelled: true });
+    expect(await saving).toBeNull();
+    expect(offline.getProgress('album:ogod')).toBeNull();
+  });
+
+  it('should report failed downloads but not cancelled ones', async () => {
+    const onError = vi.fn();
+    offline.on('error', onError);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    worker.replies.SAVE_OFFLINE = () => ({ success: false, cancelled: true });
+    expect(await offline.saveAlbum(ALBUM)).toBeNull();
+    expect(onError).not.toHaveBeenCalled();
+
+    worker.replies.SAVE_OFFLINE = () => ({
+      success: false,
+      error: 'QuotaExceededError',
+    });
+    expect(await offline.saveAlbum(ALBUM)).toBeNull();
+    expect(onError).toHaveBeenCalledWith({
+      id: 'album:ogod',
+      error: 'QuotaExceededError',
+    });
+    expect(offline.isSaved('album:ogod')).toBe(false);
+  });
+
+  it('should save a video variant with its thumbnail sprites and subtitles', async () => {
+    global.fetch.mockImplementation(async url => ({
+      ok: true,
+      text: async () =>
+        url.endsWith('thumbnails.vtt')
+          ? 'WEBVTT\n\n00:00.000 --> 00:10.000\nsprite-0.jpg#xywh=0,0,160,90\n\n00:10.000 --> 00:20.000\nsprite-0.jpg#xywh=160,0,160,90'
+          : JSON.stringify({
+              tracks: [{ srclang: 'en' }, { srclang: 'el', src: 'greek.vtt' }],
+            }),
+    }));
+
+    const item = await offline.saveVideo(VIDEO, { title: 'Electronica' });
+    const { files } = worker.postMessage.mock.calls[0][0].payload;
+
+    expect(item.src).toBe(`/media/video/${VIDEO}/720p.m3u8`);
+    expect(files[0]).toEqual({
+      url: `/media/video/${VIDEO}/720p.m3u8`,
+      hls: true,
+    });
+    expect(
+      files.slice(3).map(file => file.url.replace(document.baseURI, '/'))
+    ).toEqual([
+      `/media/video/${VIDEO}/sprite-0.jpg`,
+      `/media/video/${VIDEO}/subs-en.vtt`,
+      `/media/video/${VIDEO}/greek.vtt`,
+    ]);
+  });
+
+  it('should remove saved items and reload the list from the worker', async () => {
+    await offline.saveAlbum(ALBUM);
+    const onChange = vi.fn();
+    offline.on('change', onChange);
+
+    expect(await offline.remove('album:ogod')).toBe(true);
+    expect(onChange).toHaveBeenCalledWith({ id: 'album:ogod', item: null });
+    expect(await offline.refresh()).toEqual([]);
+    expect(offline.isSaved('album:ogod')).toBe(false);
+  });
+
+  it('should register the site worker on pages that do not', async () => {
+    serviceWorker.controller = null;
+    serviceWorker.getRegistration.mockResolvedValue(undefined);
+    serviceWorker.ready = Promise.resolve({ active: worker });
+
+    await offline.refresh();
+
+    expect(serviceWorker.register).toHaveBeenCalledWith('/sw.js');
+    expect(worker.postMessage).toHaveBeenCalled();
+  });
+
+  it('should report storage use against the quota', async () => {
+    expect(await offline.getStorageInfo()).toEqual({
+      usage: 5242880,
+      quota: 1073741824,
+      offlineBytes: 2048,
+      persisted: false,
+    });
+    expect(OfflineMedia.formatBytes(5242880)).toBe('5.0 MB');
+    expect(OfflineMedia.formatBytes(1073741824)).toBe('1.0 GB');
+    expect(OfflineMedia.formatBytes(512)).toBe('512 B');
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for PlayHistory
+ * Tests session tracking from player events, play/skip/completion totals,
+ * the most played / recently played / never heard views, pruning and export
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+const TRACKS = [
+  {
+    id: 'ogod-01',
+    title: 'Invocation',
+    albumId: 'ogod',
+    albumTitle: 'OGOD',
+    url: '/ogod/01.mp3',
+  },
+  {
+    id: 'ogod-02',
+    title: 'Descent',
+    albumId: 'ogod',
+    albumTitle: 'OGOD',
+    url: '/ogod/02.mp3',
+  },
+  {
+    id: 'ogod-03',
+    title: 'Threshold',
+    albumId: 'ogod',
+    albumTitle: 'OGOD',
+    url: '/ogod/03.mp3',
+  },
+];
+
+/** Minimal stand-in for EnhancedAudioPlayer's event surface */
+class FakePlayer {
+  constructor(tracks) {
+    this.tracks = tracks;
+    this.currentTrackIndex = 0;
+    this.isPlaying = false;
+    this.position = 0;
+    this.duration = 100;
+    this.listeners = new Map();
+  }
+
+  on(event, callback) {
+    this.listeners.set(event, [...(this.listeners.get(event) || []), callback]);
+  }
+
+  off(event, callback) {
+    this.listeners.set(
+      event,
+      (this.listeners.get(event) || []).filter(cb => cb !== callback)
+    );
+  }
+
+  emit(event, data = {}) {
+    (this.listeners.get(event) || []).forEach(cb => cb(data));
+  }
+
+  getCurrentTrack() {
+    return this.tracks[this.currentTrackIndex];
+  }
+
+  getPosition() {
+    return this.position;
+  }
+
+  getDuration() {
+    return this.duration;
+  }
+
+  play() {
+    this.isPlaying = true;
+    this.emit('play');
+  }
+
+  /** Advance playback in one-second progress steps */
+  listen(seconds) {
+    for (let i = 0; i < seconds; i++) {
+      this.position += 1;
+      this.emit('progress', {
+        position: this.position,
+        duration: this.duration,
+      });
+    }
+  }
+
+  changeTrack(index) {
+    this.currentTrackIndex = index;
+    this.position = 0;
+    this.emit('trackChange', { track: this.getCurrentTrack(), index });
+  }
+}
+
+describe('PlayHistory', () => {
+  let PlayHistory;
+  let history;
+  let player;
+
+  const settle = () => history._recording;
+
+  beforeAll(async () => {
+    await import('../../../js/modules/IDBStore.js');
+    await import('../../../js/media/audio/PlayHistory.js');
+    PlayHistory = window.PlayHistory;
+  });
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    delete window.playHistoryInstance;
+    history = PlayHistory.getInstance();
+    player = new FakePlayer(TRACKS);
+  });
+
+  afterEach(() => {
+    history.dispose();
+    delete globalThis.indexedDB;
+  });
+
+  it('should key album tracks by album and id, others by id or URL', () => {
+    expect(PlayHistory.trackKey(TRACKS[0])).toBe('ogod/ogod-01');
+    expect(PlayHistory.trackKey({ url: '/mix.mp3' })).toBe('/mix.mp3');
+  });
+
+  it('should record heard seconds, completion and a natural end', async () => {
+    history.attach(player);
+    player.play();
+    player.listen(100);
+    player.emit('ended');
+    await settle();
+
+    const stats = await history.getTrackStats(TRACKS[0]);
+    expect(stats).toMatchObject({
+      playCount: 1,
+      skipCount: 0,
+      completeCount: 1,
+      averageCompletion: 1,
+    });
+    expect(stats.track).toEqual({
+      id: 'ogod-01',
+      title: 'Invocation',
+      albumId: 'ogod',
+      albumTitle: 'OGOD',
+    });
+
+    const [play] = await history.getPlays();
+    expect(play).toMatchObject({
+      key: 'ogod/ogod-01',
+      listenedSeconds: 100,
+      completed: true,
+      skipped: false,
+    });
+  });
+
+  it('should not count seeks as listening and record early exits as skips', async () => {
+    history.attach(player);
+    player.play();
+    player.listen(10);
+    player.position = 80; // Seek
+    player.listen(2);
+    player.changeTrack(1);
+    await settle();
+
+    const stats = await history.getTrackStats(TRACKS[0]);
+    // The step across the seek is dropped: 10s before it and 1s after
+    expect(stats).toMatchObject({
+      playCount: 0,
+      skipCount: 1,
+      averageCompletion: 0.11,
+    });
+    expect((await history.getPlays())[0].listenedSeconds).toBe(11);
+  });
+
+  it('should start a new session on gapless track changes', async () => {
+    history.attach(player);
+    player.play();
+    player.listen(40);
+    player.changeTrack(1);
+    player.listen(40);
+    player.emit('stop');
+    await settle();
+
+    expect(
+      (await history.getPlays()).map(play => [play.key, play.counted])
+    ).toEqual([
+      ['ogod/ogod-01', true],
+      ['ogod/ogod-02', true],
+    ]);
+  });
+
+  it('should stop following the player when detached', async () => {
+    const detach = history.attach(player);
+    player.play();
+    player.listen(40);
+    detach();
+    player.emit('ended');
+    await settle();
+
+    expect(await history.getPlays()).toEqual([]);
+  });
+
+  it('should list most played, recently played and never heard tracks', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const listen = async (track, seconds, time) => {
+      vi.setSystemTime(time);
+      await history.recordSession({
+        track,
+        listenedSeconds: seconds,
+        duration: 100,
+      });
+    };
+    await listen(TRACKS[0], 60, 1000);
+    await listen(TRACKS[1], 60, 2000);
+    await listen(TRACKS[1], 95, 3000);
+    await listen(TRACKS[2], 5, 4000);
+    vi.useRealTimers();
+
+    expect(
+      (await history.getMostPlayed()).map(s => [s.track.id, s.playCount])
+    ).toEqual([
+      ['ogod-02', 2],
+      ['ogod-01', 1],
+    ]);
+    expect((await history.getRecentlyPlayed(1)).map(s => s.track.id)).toEqual([
+      'ogod-02',
+    ]);
+    // A five-second skip is not a listen
+    expect((await history.getNeverHeard(TRACKS)).map(t => t.id)).toEqual([
+      'ogod-03',
+    ]);
+  });
+
+  it('should drop the oldest sessions beyond maxPlays', async () => {
+    history.config.maxPlays = 2;
+    for (const track of TRACKS) {
+      await history.recordSession({
+        track,
+        listenedSeconds: 50,
+        duration: 100,
+      });
+    }
+
+    expect((await history.getPlays()).map(play => play.key)).toEqual([
+      'ogod/ogod-02',
+      'ogod/ogod-03',
+    ]);
+    expect((await history.getMostPlayed()).length).toBe(3);
+  });
+
+  it('should export the history as JSON and clear it', async () => {
+    const onRecord = vi.fn();
+    history.on('record', onRecord);
+    await history.recordSession({
+      track: TRACKS[0],
+      listenedSeconds: 90,
+      duration: 100,
+      completed: true,
+    });
+
+    const exported = JSON.parse(await history.exportJSON());
+    expect(exported).toMatchObject({
+      version: 1,
+      tracks: [{ key: 'ogod/ogod-01', playCount: 1 }],
+    });
+    expect(exported.plays).toHaveLength(1);
+    expect(onRecord).toHaveBeenCalledOnce();
+
+    await history.clear();
+    expect(await history.getMostPlayed()).toEqual([]);
+    expect(await history.getPlays()).toEqual([]);
+  });
+
+  it('should keep history in memory without IndexedDB', async () => {
+    delete globalThis.indexedDB;
+    delete window.playHistoryInstance;
+    history = PlayHistory.getInstance();
+
+    await history.recordSession({
+      track: TRACKS[0],
+      listenedSeconds: 60,
+      duration: 100,
+    });
+    await history.recordSession({
+      track: TRACKS[0],
+      listenedSeconds: 60,
+      duration: 100,
+    });
+
+    expect((await history.getTrackStats(TRACKS[0])).playCount).toBe(2);
+    expect((await history.getPlays()).map(play => play.id)).toEqual([1, 2]);
+  });
+});
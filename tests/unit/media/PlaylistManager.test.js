@@ -0,0 +1,542 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for PlaylistManager queue editing and user playlists
+ * Tests queue edits through EnhancedAudioPlayer, drag/keyboard reordering,
+ * persistence across reloads, M3U8/XSPF import/export, the listening
+ * history views and saving albums and playlists for offline
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+const ALBUMS = {
+  ogod: {
+    id: 'ogod',
+    title: 'OGOD',
+    artist: 'ET CETER4',
+    tracks: [
+      { id: 'ogod-01', title: 'Invocation', duration: '2:45' },
+      { id: 'ogod-02', title: 'Descent', duration: '3:10' },
+    ],
+  },
+  progression: {
+    id: 'progression',
+    title: 'Progression',
+    artist: 'ET CETER4',
+    tracks: [{ id: 'progression-01', title: 'Ascent', duration: '4:00' }],
+  },
+};
+
+describe('PlaylistManager (queue and playlists)', () => {
+  let EnhancedAudioPlayer;
+  let PlaylistManager;
+  let PlaylistStore;
+  let originalConfig;
+  let container;
+  let player;
+  let manager;
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+  const titles = () => manager.queue.map(t => t.title);
+  const queueRow = index =>
+    container.querySelector(`[data-queue-index="${index}"]`);
+
+  const createManager = async (options = {}) => {
+    player = new EnhancedAudioPlayer({ gapless: false });
+    manager = new PlaylistManager({ container, player, ...options });
+    await manager.initialize();
+    await flush();
+  };
+
+  beforeAll(async () => {
+    originalConfig = globalThis.ETCETER4_CONFIG;
+    globalThis.ETCETER4_CONFIG = {
+      ...originalConfig,
+      media: { albums: ALBUMS },
+    };
+    window.MediaURLResolver = {
+      resolveAlbumTrack: (albumId, number) =>
+        `/media/audio/albums/${albumId}/0${number}.mp3`,
+      resolveWaveform: (albumId, number) =>
+        `/media/audio/albums/${albumId}/0${number}-waveform.json`,
+      resolveCoverArt: (albumId, size) =>
+        `/media/covers/${albumId}-${size}.jpg`,
+      resolveAlbumMetadataFile: albumId =>
+        `/media/audio/albums/${albumId}/metadata.json`,
+    };
+
+    await import('../../../js/media/audio/EnhancedAudioPlayer.js');
+    await import('../../../js/modules/IDBStore.js');
+    await import('../../../js/media/audio/PlaylistStore.js');
+    await import('../../../js/media/audio/PlayHistory.js');
+    await import('../../../js/media/cache/OfflineMedia.js');
+    await import('../../../js/media/audio/PlaylistManager.js');
+    EnhancedAudioPlayer = window.EnhancedAudioPlayer;
+    PlaylistStore = window.PlaylistStore;
+    PlaylistManager = window.PlaylistManager;
+  });
+
+  afterAll(() => {
+    globalThis.ETCETER4_CONFIG = originalConfig;
+    delete window.MediaURLResolver;
+  });
+
+  beforeEach(async () => {
+    globalThis.indexedDB = new IDBFactory();
+    delete window.playlistStoreInstance;
+    delete window.playHistoryInstance;
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    await createManager();
+  });
+
+  afterEach(() => {
+    manager.dispose();
+    player.dispose();
+    window.playHistoryInstance.dispose();
+    container.remove();
+    delete globalThis.indexedDB;
+  });
+
+  describe('Queue', () => {
+    it('should build a queue across albums with the + buttons', async () => {
+      manager.selectAlbum(0);
+      player.clearQueue();
+      container
+        .querySelector('[data-track-index="1"] [data-action="enqueue"]')
+        .click();
+      manager.selectAlbum(1);
+      container
+        .querySelector('[data-track-index="0"] [data-action="enqueue"]')
+        .click();
+      await flush();
+
+      expect(titles()).toEqual(['Descent', 'Ascent']);
+      expect(player.getQueue().map(t => t.url)).toEqual([
+        '/media/audio/albums/ogod/02.mp3',
+        '/media/audio/albums/progression/01.mp3',
+      ]);
+      expect(container.querySelectorAll('.odeion-queue-row')).toHaveLength(2);
+    });
+
+    it('should replace the queue with the album when a track row is clicked', async () => {
+      manager.selectAlbum(1);
+      manager.selectAlbum(0);
+      container.querySelector('[data-track-index="1"]').click();
+      await flush();
+
+      expect(titles()).toEqual(['Invocation', 'Descent']);
+      expect(player.currentTrackIndex).toBe(1);
+      expect(queueRow(1).hasAttribute('aria-current')).toBe(true);
+    });
+
+    it('should reorder by drag and drop and keep the current track', async () => {
+      manager.playAlbum(manager.albums[0]);
+      manager.enqueue(manager._albumTrack(manager.albums[1], 0));
+      await flush();
+
+      queueRow(0).dispatchEvent(new Event('dragstart', { bubbles: true }));
+      const dragover = new Event('dragover', {
+        bubbles: true,
+        cancelable: true,
+      });
+      queueRow(2).dispatchEvent(dragover);
+      queueRow(2).dispatchEvent(
+        new Event('drop', { bubbles: true, cancelable: true })
+      );
+      await flush();
+
+      expect(dragover.defaultPrevented).toBe(true);
+      expect(titles()).toEqual(['Descent', 'Ascent', 'Invocation']);
+      expect(player.currentTrackIndex).toBe(2);
+    });
+
+    it('should reorder and remove from the keyboard', async () => {
+      manager.playAlbum(manager.albums[0]);
+      manager.enqueue(manager._albumTrack(manager.albums[1], 0));
+      await flush();
+
+      queueRow(2).dispatchEvent(
+        new KeyboardEvent('keydown', {
+          key: 'ArrowUp',
+          altKey: true,
+          bubbles: true,
+        })
+      );
+      await flush();
+      expect(titles()).toEqual(['Invocation', 'Ascent', 'Descent']);
+      expect(document.activeElement).toBe(queueRow(1));
+
+      queueRow(0).dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'Delete', bubbles: true })
+      );
+      await flush();
+      expect(titles()).toEqual(['Ascent', 'Descent']);
+    });
+
+    it('should restore the queue after a reload', async () => {
+      manager.playAlbum(manager.albums[0], 1);
+      manager.enqueue(manager._albumTrack(manager.albums[1], 0));
+      await flush();
+      await flush();
+      manager.dispose();
+      player.dispose();
+
+      await createManager();
+
+      expect(titles()).toEqual(['Invocation', 'Descent', 'Ascent']);
+      expect(player.currentTrackIndex).toBe(1);
+      expect(player.getQueue()[2].url).toBe(
+        '/media/audio/albums/progression/01.mp3'
+      );
+    });
+  });
+
+  describe('Playlists', () => {
+    it('should save the queue as a playlist without resolved URLs', async () => {
+      manager.playAlbum(manager.albums[1]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+
+      expect(playlist.tracks).toEqual([
+        {
+          id: 'progression-01',
+          title: 'Ascent',
+          artist: 'ET CETER4',
+          albumId: 'progression',
+          albumTitle: 'Progression',
+          duration: '4:00',
+        },
+      ]);
+      expect(
+        container.querySelector('[data-playlist-id]').textContent
+      ).toContain('Mix');
+    });
+
+    it('should update the loaded playlist when saved under the same name', async () => {
+      manager.playAlbum(manager.albums[1]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+      await manager.loadPlaylist(playlist.id, { autoplay: false });
+      manager.enqueue(manager._albumTrack(manager.albums[0], 0));
+      await flush();
+
+      await manager.saveQueueAsPlaylist('Mix');
+
+      expect(manager.playlists).toHaveLength(1);
+      expect(manager.playlists[0].tracks).toHaveLength(2);
+    });
+
+    it('should load a playlist from its Play button', async () => {
+      manager.playAlbum(manager.albums[1]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+      player.clearQueue();
+
+      container
+        .querySelector(
+          `[data-playlist-id="${playlist.id}"] [data-action="load"]`
+        )
+        .click();
+
+      await vi.waitFor(() => expect(titles()).toEqual(['Ascent']));
+      expect(manager.currentPlaylistId).toBe(playlist.id);
+    });
+
+    it('should delete a playlist after confirmation', async () => {
+      manager.playAlbum(manager.albums[1]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+      container.querySelector('[data-action="delete"]').click();
+
+      await vi.waitFor(() => expect(manager.playlists).toHaveLength(0));
+      expect(
+        await PlaylistStore.getInstance().getPlaylist(playlist.id)
+      ).toBeNull();
+      expect(manager.currentPlaylistId).toBeNull();
+      window.confirm.mockRestore();
+    });
+
+    it('should export M3U8 and XSPF with resolved URLs', async () => {
+      manager.playAlbum(manager.albums[0]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+
+      const m3u8 = await manager.exportPlaylist(playlist.id, 'm3u8');
+      const xspf = await manager.exportPlaylist(playlist.id, 'xspf');
+
+      expect(m3u8).toContain(
+        '#EXTINF:165,ET CETER4 - Invocation\n/media/audio/albums/ogod/01.mp3'
+      );
+      expect(xspf).toContain(
+        '<location>/media/audio/albums/ogod/02.mp3</location>'
+      );
+    });
+
+    it('should map imported entries back to album tracks', async () => {
+      const m3u8 = [
+        '#EXTM3U',
+        '#EXTINF:190,Descent',
+        '/media/audio/albums/ogod/02.mp3',
+        '#EXTINF:200,Guest - Elsewhere',
+        'https://example.com/elsewhere.mp3',
+      ].join('\n');
+
+      const playlist = await manager.importPlaylist(m3u8, 'Imported.m3u8');
+
+      expect(playlist.name).toBe('Imported');
+      expect(playlist.tracks[0]).toMatchObject({
+        id: 'ogod-02',
+        albumId: 'ogod',
+      });
+      expect(playlist.tracks[0].url).toBeUndefined();
+      expect(playlist.tracks[1]).toEqual({
+        id: 'https://example.com/elsewhere.mp3',
+        title: 'Elsewhere',
+        artist: 'Guest',
+        duration: '3:20',
+        url: 'https://example.com/elsewhere.mp3',
+      });
+    });
+
+    it('should match XSPF identifiers and escape imported names', async () => {
+      const xspf = PlaylistStore.toXSPF({
+        name: '<img src=x>',
+        tracks: [
+          {
+            ...manager._albumTrack(manager.albums[1], 0),
+            url: 'https://cdn.example.com/a.mp3',
+          },
+        ],
+      });
+
+      const playlist = await manager.importPlaylist(xspf, 'mix.xspf');
+
+      expect(playlist.tracks[0]).toMatchObject({
+        id: 'progression-01',
+        albumId: 'progression',
+      });
+      expect(container.querySelector('img')).toBeNull();
+      expect(
+        container.querySelector('[data-playlist-id]').textContent
+      ).toContain('<img src=x>');
+    });
+  });
+
+  describe('History', () => {
+    const historyTitles = () =>
+      [...container.querySelectorAll('.odeion-history-row .flex-auto')].map(
+        el => el.textContent
+      );
+
+    const listen = (album, index, seconds) =>
+      manager.history.recordSession({
+        track: manager._albumTrack(album, index),
+        listenedSeconds: seconds,
+      });
+
+    it('should record what the player plays', async () => {
+      manager.playAlbum(manager.albums[1]);
+      // The Howl mock does not call back, so play through the player's events
+      player.emit('play', { track: player.getCurrentTrack() });
+      for (let position = 1; position <= 40; position++) {
+        player.emit('progress', { position, duration: 240 });
+      }
+      player.emit('stop', { track: player.getCurrentTrack() });
+
+      await vi.waitFor(() => expect(historyTitles()).toEqual(['Ascent']));
+      expect(container.querySelector('.odeion-history').textContent).toContain(
+        '1 play'
+      );
+    });
+
+    it('should switch between most played, recently played and never heard', async () => {
+      await listen(manager.albums[0], 1, 60);
+      await listen(manager.albums[0], 1, 60);
+      await listen(manager.albums[1], 0, 60);
+      await vi.waitFor(() =>
+        expect(historyTitles()).toEqual(['Descent', 'Ascent'])
+      );
+
+      container.querySelector('[data-history-view="recent"]').click();
+      await vi.waitFor(() =>
+        expect(historyTitles()).toEqual(['Ascent', 'Descent'])
+      );
+
+      container.querySelector('[data-history-view="never"]').click();
+      await vi.waitFor(() => expect(historyTitles()).toEqual(['Invocation']));
+      expect(
+        container
+          .querySelector('[data-history-view="never"]')
+          .getAttribute('aria-selected')
+      ).toBe('true');
+    });
+
+    it('should play a history view from the chosen track', async () => {
+      await manager.setHistoryView('never');
+
+      container.querySelector('[data-history-index="1"]').click();
+      await flush();
+
+      expect(titles()).toEqual(['Invocation', 'Descent', 'Ascent']);
+      expect(player.currentTrackIndex).toBe(1);
+      expect(player.getQueue()[1].url).toBe('/media/audio/albums/ogod/02.mp3');
+    });
+
+    it('should download the history as JSON and clear it after confirmation', async () => {
+      await listen(manager.albums[1], 0, 60);
+      const download = vi
+        .spyOn(manager, '_downloadFile')
+        .mockImplementation(() => {});
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+      container.querySelector('[data-action="export-history"]').click();
+      await vi.waitFor(() => expect(download).toHaveBeenCalledOnce());
+      const [content, fileName, type] = download.mock.calls[0];
+      expect(JSON.parse(content).tracks[0].key).toBe(
+        'progression/progression-01'
+      );
+      expect(fileName).toMatch(
+        /^etceter4-listening-history-\d{4}-\d{2}-\d{2}\.json$/
+      );
+      expect(type).toBe('application/json');
+
+      container.querySelector('[data-action="clear-history"]').click();
+      await vi.waitFor(() => expect(historyTitles()).toEqual([]));
+      window.confirm.mockRestore();
+    });
+  });
+
+  describe('Offline', () => {
+    let offline;
+    let saved;
+
+    const offlineButton = () =>
+      container.querySelector('.odeion-track-list [data-action="offline"]');
+    const offlineTitles = () =>
+      [
+        ...container.querySelectorAll(
+          '.odeion-offline [data-offline-id] .flex-auto'
+        ),
+      ].map(el => el.textContent);
+
+    beforeEach(async () => {
+      // A real OfflineMedia talking to an in-memory worker
+      saved = {};
+      offline = new window.OfflineMedia();
+      vi.spyOn(offline, '_send').mockImplementation(async (type, payload) => {
+        switch (type) {
+          case 'SAVE_OFFLINE':
+            saved[payload.id] = {
+              ...payload,
+              bytes: 2048,
+              missing: [],
+              savedAt: Date.now(),
+            };
+            return { success: true, item: saved[payload.id] };
+          case 'REMOVE_OFFLINE':
+            delete saved[payload.id];
+            return { success: true };
+          case 'GET_OFFLINE_ITEMS':
+            return { items: Object.values(saved) };
+          case 'GET_STORAGE_ESTIMATE':
+            return { usage: 5242880, quota: 1073741824, offlineBytes: 2048 };
+        }
+      });
+
+      manager.dispose();
+      player.dispose();
+      await createManager({ offline });
+    });
+
+    it('should save the selected album for offline with progress', async () => {
+      let finish;
+      offline._send.mockImplementationOnce(
+        () => new Promise(resolve => (finish = resolve))
+      );
+      manager.selectAlbum(0);
+      expect(offlineButton().textContent).toBe('Save offline');
+
+      offlineButton().click();
+      expect(offlineButton().textContent).toBe('Saving 0%');
+      expect(offline._send).toHaveBeenCalledWith(
+        'SAVE_OFFLINE',
+        expect.objectContaining({ id: 'album:ogod' })
+      );
+      const { files } = offline._send.mock.calls.at(-1)[1];
+      expect(files.map(file => file.url)).toContain(
+        '/media/audio/albums/ogod/02-waveform.json'
+      );
+
+      offline._onMessage({
+        data: {
+          type: 'OFFLINE_PROGRESS',
+          id: 'album:ogod',
+          completed: 4,
+          total: 8,
+          bytes: 10,
+        },
+      });
+      expect(offlineButton().textContent).toBe('Saving 50%');
+      expect(offlineButton().getAttribute('aria-busy')).toBe('true');
+
+      saved['album:ogod'] = {
+        id: 'album:ogod',
+        title: 'OGOD',
+        bytes: 2048,
+        missing: [],
+        savedAt: 1,
+      };
+      finish({ success: true, item: saved['album:ogod'] });
+      await vi.waitFor(() =>
+        expect(offlineButton().textContent).toBe('Saved offline')
+      );
+      expect(offlineTitles()).toEqual(['OGOD']);
+      expect(container.querySelector('.odeion-offline').textContent).toContain(
+        '2.0 KB'
+      );
+    });
+
+    it('should save a playlist and remove it from the offline panel', async () => {
+      manager.playAlbum(manager.albums[1]);
+      const playlist = await manager.saveQueueAsPlaylist('Mix');
+      container
+        .querySelector(
+          `[data-playlist-id="${playlist.id}"] [data-action="offline"]`
+        )
+        .click();
+      await vi.waitFor(() => expect(offlineTitles()).toEqual(['Mix']));
+
+      const { files } = offline._send.mock.calls.find(
+        ([type]) => type === 'SAVE_OFFLINE'
+      )[1];
+      expect(files.map(file => file.url)).toContain(
+        '/media/audio/albums/progression/01.mp3'
+      );
+
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      container.querySelector('[data-action="remove-offline"]').click();
+      await vi.waitFor(() => expect(offlineTitles()).toEqual([]));
+      expect(offline._send).toHaveBeenCalledWith('REMOVE_OFFLINE', {
+        id: `playlist:${playlist.id}`,
+      });
+      window.confirm.mockRestore();
+    });
+
+    it('should show storage use against the quota', async () => {
+      const meter = container.querySelector('.odeion-offline meter');
+
+      expect(meter.getAttribute('max')).toBe('1073741824');
+      expect(meter.getAttribute('value')).toBe('5242880');
+      expect(container.querySelector('.odeion-offline').textContent).toContain(
+        '5.0 MB of 1.0 GB used · 2.0 KB saved for offline'
+      );
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for PlaylistStore
+ * Tests IndexedDB persistence, the memory fallback and M3U8/XSPF round-trips
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+const TRACKS = [
+  {
+    id: 'ogod-01',
+    title: 'Invocation',
+    artist: 'ET CETER4',
+    albumId: 'ogod',
+    albumTitle: 'OGOD',
+    duration: '2:45',
+    url: 'https://media.example.com/audio/albums/ogod/01.mp3',
+  },
+  {
+    id: 'https://example.com/b&b.mp3',
+    title: 'Rock & <Roll>',
+    artist: 'Someone, Else',
+    duration: '',
+    url: 'https://example.com/b&b.mp3',
+  },
+];
+
+describe('PlaylistStore', () => {
+  let PlaylistStore;
+  let store;
+
+  beforeAll(async () => {
+    await import('../../../js/modules/IDBStore.js');
+    await import('../../../js/media/audio/PlaylistStore.js');
+    PlaylistStore = window.PlaylistStore;
+  });
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    delete window.playlistStoreInstance;
+    store = PlaylistStore.getInstance();
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDB;
+  });
+
+  describe('Persistence', () => {
+    it('should save and list playlists, newest first', async () => {
+      const first = await store.savePlaylist({
+        name: 'First',
+        tracks: [TRACKS[0]],
+      });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await store.savePlaylist({ name: '  ', tracks: [] });
+
+      const playlists = await store.getPlaylists();
+      expect(playlists.map(p => p.name)).toEqual([
+        'Untitled playlist',
+        'First',
+      ]);
+      expect(await store.getPlaylist(first.id)).toEqual(first);
+    });
+
+    it('should keep the creation time when updating a playlist', async () => {
+      const created = await store.savePlaylist({ name: 'Mix', tracks: [] });
+      const updated = await store.savePlaylist({
+        id: created.id,
+        name: 'Mix 2',
+        tracks: TRACKS,
+      });
+
+      expect(updated.createdAt).toBe(created.createdAt);
+      expect(await store.getPlaylists()).toHaveLength(1);
+      expect((await store.getPlaylist(created.id)).tracks).toHaveLength(2);
+    });
+
+    it('should delete playlists', async () => {
+      const playlist = await store.savePlaylist({ name: 'Gone', tracks: [] });
+      await store.deletePlaylist(playlist.id);
+
+      expect(await store.getPlaylist(playlist.id)).toBeNull();
+    });
+
+    it('should save and load the queue', async () => {
+      expect(await store.loadQueue()).toBeNull();
+
+      await store.saveQueue({
+        tracks: TRACKS,
+        currentIndex: 1,
+        playlistId: 'pl-1',
+      });
+
+      expect(await store.loadQueue()).toEqual({
+        tracks: TRACKS,
+        currentIndex: 1,
+        playlistId: 'pl-1',
+      });
+    });
+
+    it('should persist across instances', async () => {
+      await store.savePlaylist({ name: 'Kept', tracks: [] });
+      delete window.playlistStoreInstance;
+
+      const playlists = await PlaylistStore.getInstance().getPlaylists();
+      expect(playlists.map(p => p.name)).toEqual(['Kept']);
+    });
+
+    it('should fall back to memory without IndexedDB', async () => {
+      delete globalThis.indexedDB;
+      delete window.playlistStoreInstance;
+      store = PlaylistStore.getInstance();
+
+      const playlist = await store.savePlaylist({
+        name: 'Session',
+        tracks: TRACKS,
+      });
+      playlist.tracks.pop();
+
+      expect((await store.getPlaylist(playlist.id)).tracks).toHaveLength(2);
+      await store.saveQueue({ tracks: [TRACKS[0]], currentIndex: 0 });
+      expect((await store.loadQueue()).tracks).toEqual([TRACKS[0]]);
+    });
+  });
+
+  describe('Formats', () => {
+    const playlist = { name: 'Night & Day', tracks: TRACKS };
+
+    it('should convert durations', () => {
+      expect(PlaylistStore.parseDuration('2:45')).toBe(165);
+      expect(PlaylistStore.parseDuration('1:02:03')).toBe(3723);
+      expect(PlaylistStore.parseDuration('')).toBe(-1);
+      expect(PlaylistStore.formatDuration(65.4)).toBe('1:05');
+      expect(PlaylistStore.formatDuration(-1)).toBe('');
+    });
+
+    it('should write extended M3U', () => {
+      expect(PlaylistStore.toM3U8(playlist)).toBe(
+        '#EXTM3U\n' +
+          '#PLAYLIST:Night & Day\n' +
+          '#EXTINF:165,ET CETER4 - Invocation\n' +
+          'https://media.example.com/audio/albums/ogod/01.mp3\n' +
+          '#EXTINF:-1,Someone, Else - Rock & <Roll>\n' +
+          'https://example.com/b&b.mp3\n'
+      );
+    });
+
+    it('should round-trip M3U8', () => {
+      const parsed = PlaylistStore.parseM3U8(PlaylistStore.toM3U8(playlist));
+
+      expect(parsed.name).toBe('Night & Day');
+      expect(parsed.tracks).toEqual([
+        {
+          title: 'Invocation',
+          artist: 'ET CETER4',
+          duration: '2:45',
+          url: TRACKS[0].url,
+        },
+        {
+          title: 'Rock & <Roll>',
+          artist: 'Someone, Else',
+          duration: '',
+          url: TRACKS[1].url,
+        },
+      ]);
+    });
+
+    it('should name plain M3U entries after their file', () => {
+      const parsed = PlaylistStore.parse(
+        '\uFEFF/music/My%20Song.mp3\r\n',
+        'old.m3u'
+      );
+
+      expect(parsed).toEqual({
+        name: 'old',
+        tracks: [
+          {
+            title: 'My Song.mp3',
+            artist: '',
+            duration: '',
+            url: '/music/My%20Song.mp3',
+          },
+        ],
+      });
+    });
+
+    it('should round-trip XSPF with escaping and site identifiers', () => {
+      const xspf = PlaylistStore.toXSPF(playlist);
+
+      expect(xspf).toContain(
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">'
+      );
+      expect(xspf).toContain('<identifier>etceter4:ogod/ogod-01</identifier>');
+      expect(xspf).toContain('<title>Rock &amp; &lt;Roll&gt;</title>');
+
+      const parsed = PlaylistStore.parse(xspf);
+      expect(parsed.name).toBe('Night & Day');
+      expect(parsed.tracks).toEqual([
+        {
+          title: 'Invocation',
+          artist: 'ET CETER4',
+          albumTitle: 'OGOD',
+          duration: '2:45',
+          url: TRACKS[0].url,
+          identifier: 'etceter4:ogod/ogod-01',
+        },
+        {
+          title: 'Rock & <Roll>',
+          artist: 'Someone, Else',
+          albumTitle: '',
+          duration: '',
+          url: TRACKS[1].url,
+          identifier: '',
+        },
+      ]);
+    });
+
+    it('should reject malformed XSPF', () => {
+      expect(() =>
+        PlaylistStore.parse('<playlist><trackList>', 'bad.xspf')
+      ).toThrow(/Invalid XSPF/);
+    });
+  });
+});
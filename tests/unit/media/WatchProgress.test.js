@@ -0,0 +1,165 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for WatchProgress
+ * Tests saving positions from player events, resume positions, watched and
+ * in-progress statuses and pruning of old entries
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const VIDEO = 'performances/electronica-2015';
+
+/** Minimal stand-in for EnhancedVideoPlayer's event surface */
+class FakePlayer {
+  constructor() {
+    this.currentTime = 0;
+    this.duration = 2700;
+    this.listeners = new Map();
+  }
+
+  on(event, callback) {
+    this.listeners.set(event, [...(this.listeners.get(event) || []), callback]);
+  }
+
+  off(event, callback) {
+    this.listeners.set(
+      event,
+      (this.listeners.get(event) || []).filter(cb => cb !== callback)
+    );
+  }
+
+  emit(event, data = {}) {
+    (this.listeners.get(event) || []).forEach(cb => cb(data));
+  }
+
+  /** Play up to a position in one-second timeupdates */
+  playTo(seconds) {
+    while (this.currentTime < seconds) {
+      this.currentTime += 1;
+      this.emit('timeupdate', {
+        currentTime: this.currentTime,
+        duration: this.duration,
+      });
+    }
+  }
+}
+
+describe('WatchProgress', () => {
+  let WatchProgress;
+  let progress;
+  let player;
+
+  beforeAll(async () => {
+    await import('../../../js/media/video/WatchProgress.js');
+    WatchProgress = window.WatchProgress;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    delete window.watchProgressInstance;
+    progress = WatchProgress.getInstance();
+    player = new FakePlayer();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save the position every saveInterval seconds of playback', () => {
+    const setItem = vi.spyOn(localStorage, 'setItem');
+    progress.attach(player, VIDEO);
+    player.playTo(12);
+
+    // At 1s, 6s and 11s
+    expect(setItem).toHaveBeenCalledTimes(3);
+    expect(progress.get(VIDEO)).toMatchObject({
+      position: 11,
+      duration: 2700,
+      watched: false,
+    });
+    setItem.mockRestore();
+  });
+
+  it('should save on pause and when detached', () => {
+    const detach = progress.attach(player, VIDEO);
+    player.playTo(754);
+    player.emit('pause');
+    expect(progress.getResumePosition(VIDEO)).toBe(754);
+
+    player.currentTime = 800;
+    detach();
+    expect(progress.getResumePosition(VIDEO)).toBe(800);
+
+    player.playTo(900);
+    expect(progress.getResumePosition(VIDEO)).toBe(800);
+  });
+
+  it('should not offer to resume near the start', () => {
+    progress.save(VIDEO, 8, 2700);
+
+    expect(progress.getResumePosition(VIDEO)).toBeNull();
+    expect(progress.getStatus(VIDEO)).toBeNull();
+  });
+
+  it('should report in-progress videos with their share watched', () => {
+    progress.save(VIDEO, 1350, 2700);
+
+    expect(progress.getStatus(VIDEO)).toBe(WatchProgress.IN_PROGRESS);
+    expect(progress.getPercent(VIDEO)).toBe(0.5);
+  });
+
+  it('should mark videos watched near the end and start them over', () => {
+    progress.attach(player, VIDEO);
+    player.playTo(2600);
+
+    expect(progress.get(VIDEO)).toMatchObject({ position: 0, watched: true });
+    expect(progress.getResumePosition(VIDEO)).toBeNull();
+    expect(progress.getStatus(VIDEO)).toBe(WatchProgress.WATCHED);
+    expect(progress.getPercent(VIDEO)).toBe(1);
+
+    // Rewatching shows progress again, and stays watched
+    progress.save(VIDEO, 600, 2700);
+    expect(progress.getStatus(VIDEO)).toBe(WatchProgress.IN_PROGRESS);
+    expect(progress.get(VIDEO).watched).toBe(true);
+  });
+
+  it('should mark videos watched when they end', () => {
+    progress.attach(player, VIDEO);
+    player.emit('ended');
+
+    expect(progress.getStatus(VIDEO)).toBe(WatchProgress.WATCHED);
+  });
+
+  it('should keep only the most recently updated videos', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    progress.config.maxEntries = 2;
+    ['a', 'b', 'c'].forEach((id, i) => {
+      vi.setSystemTime(1000 * (i + 1));
+      progress.save(id, 60, 100);
+    });
+
+    expect(progress.get('a')).toBeNull();
+    expect(progress.get('c').position).toBe(60);
+  });
+
+  it('should emit changes and clear progress', () => {
+    const onChange = vi.fn();
+    progress.on('change', onChange);
+    progress.save(VIDEO, 60, 2700);
+    progress.clear(VIDEO);
+
+    expect(onChange).toHaveBeenLastCalledWith({
+      videoId: VIDEO,
+      progress: null,
+    });
+    expect(progress.get(VIDEO)).toBeNull();
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for WaveformGenerator and the WaveformVisualizer fallback
+ * Tests peak computation, IndexedDB caching, the worker round-trip and
+ * generating a waveform when the precomputed JSON is missing
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+/** Decoded audio: 1s at 1kHz, left channel a rising ramp, right silent */
+const createAudioBuffer = () => {
+  const left = Float32Array.from({ length: 1000 }, (_, i) => i / 2000);
+  return {
+    sampleRate: 1000,
+    numberOfChannels: 2,
+    getChannelData: channel => (channel === 0 ? left : new Float32Array(1000)),
+  };
+};
+
+class MockOfflineAudioContext {
+  constructor(channels, length, sampleRate) {
+    this.sampleRate = sampleRate;
+  }
+
+  decodeAudioData() {
+    return Promise.resolve(createAudioBuffer());
+  }
+}
+
+const audioResponse = () => ({
+  ok: true,
+  arrayBuffer: async () => new ArrayBuffer(8),
+});
+const notFound = () => ({ ok: false, status: 404, statusText: 'Not Found' });
+
+describe('WaveformGenerator', () => {
+  let WaveformGenerator;
+  let generator;
+
+  beforeAll(async () => {
+    await import('../../../js/modules/IDBStore.js');
+    await import('../../../js/media/audio/WaveformGenerator.js');
+    await import('../../../js/media/audio/WaveformVisualizer.js');
+    WaveformGenerator = window.WaveformGenerator;
+  });
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    window.OfflineAudioContext = MockOfflineAudioContext;
+    delete window.waveformGeneratorInstance;
+    generator = WaveformGenerator.getInstance();
+    generator.config.samplesPerPixel = 10;
+    generator.config.minLevelLength = 20;
+    generator.config.pixels = 40;
+    fetch.mockReset();
+  });
+
+  afterEach(() => {
+    generator.dispose();
+    delete globalThis.indexedDB;
+    delete window.OfflineAudioContext;
+  });
+
+  describe('computeWaveform', () => {
+    it('should mix down, normalize and build the pyramid', () => {
+      const buffer = createAudioBuffer();
+      const waveform = WaveformGenerator.computeWaveform(
+        [buffer.getChannelData(0), buffer.getChannelData(1)],
+        1000,
+        { samplesPerPixel: 10, minLevelLength: 20, pixels: 40 }
+      );
+
+      expect(waveform).toMatchObject({
+        channels: 2,
+        sampleRate: 1000,
+        samplesPerPixel: 10,
+        duration: 1,
+      });
+      expect(
+        waveform.levels.map(level => [level.samplesPerPixel, level.length])
+      ).toEqual([
+        [10, 100],
+        [20, 50],
+        [40, 25],
+        [80, 13],
+      ]);
+      expect(waveform.levels[0].data.slice(-2)).toEqual([0.991, 1]);
+      expect(waveform.levels[3].data.slice(-2)).toEqual([0.961, 1]);
+
+      // Flat peaks come from the coarsest level with at least 40 pairs
+      expect(waveform.length).toBe(50);
+      expect(waveform.peaks[49]).toBe(1);
+    });
+
+    it('should reject empty audio', () => {
+      expect(() =>
+        WaveformGenerator.computeWaveform([new Float32Array(0)], 1000)
+      ).toThrow(/No audio samples/);
+    });
+  });
+
+  describe('getWaveform', () => {
+    it('should generate once and serve later requests from IndexedDB', async () => {
+      fetch.mockResolvedValue(audioResponse());
+
+      const [first, concurrent] = await Promise.all([
+        generator.getWaveform('/media/new.mp3'),
+        generator.getWaveform('/media/new.mp3'),
+      ]);
+      expect(concurrent).toBe(first);
+
+      delete window.waveformGeneratorInstance;
+      const reloaded = WaveformGenerator.getInstance();
+      reloaded.config.samplesPerPixel = 10;
+
+      expect(await reloaded.getWaveform('/media/new.mp3')).toEqual(first);
+      expect(fetch).toHaveBeenCalledOnce();
+    });
+
+    it('should regenerate when the resolution setting changed', async () => {
+      fetch.mockResolvedValue(audioResponse());
+      await generator.getWaveform('/media/new.mp3');
+
+      generator.config.samplesPerPixel = 20;
+
+      expect(await generator.getCached('/media/new.mp3')).toBeNull();
+      expect(
+        (await generator.getWaveform('/media/new.mp3')).samplesPerPixel
+      ).toBe(20);
+    });
+
+    it('should fail for missing audio', async () => {
+      fetch.mockResolvedValue(notFound());
+
+      await expect(generator.getWaveform('/media/missing.mp3')).rejects.toThrow(
+        'HTTP 404'
+      );
+    });
+
+    it('should compute in a worker and transfer the samples', async () => {
+      const posted = [];
+      window.Worker = class {
+        constructor(url) {
+          this.url = url;
+        }
+
+        postMessage(message, transfer) {
+          posted.push({ url: this.url, message, transfer });
+          const { id, channels, sampleRate, options } = message;
+          const waveform = WaveformGenerator.computeWaveform(
+            channels,
+            sampleRate,
+            options
+          );
+          queueMicrotask(() => this.onmessage({ data: { id, waveform } }));
+        }
+
+        terminate() {}
+      };
+      generator.config.workerUrl = '/js/media/audio/WaveformWorker.js';
+      fetch.mockResolvedValue(audioResponse());
+
+      const waveform = await generator.getWaveform('/media/new.mp3');
+
+      expect(posted[0].url).toBe('/js/media/audio/WaveformWorker.js');
+      expect(posted[0].transfer).toEqual(
+        posted[0].message.channels.map(channel => channel.buffer)
+      );
+      expect(waveform.levels[0].length).toBe(100);
+      delete window.Worker;
+    });
+  });
+
+  describe('WaveformVisualizer fallback', () => {
+    let visualizer;
+
+    beforeEach(() => {
+      visualizer = new window.WaveformVisualizer({ config: { height: 80 } });
+    });
+
+    afterEach(() => {
+      visualizer.dispose();
+    });
+
+    it('should generate a waveform when the JSON is missing', async () => {
+      const onLoaded = vi.fn();
+      visualizer.on('waveformLoaded', onLoaded);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      fetch.mockImplementation(async url =>
+        url.endsWith('.json') ? notFound() : audioResponse()
+      );
+
+      await visualizer.loadWaveformFromUrl('/media/03-waveform.json', {
+        audioUrl: '/media/03.mp3',
+      });
+
+      expect(onLoaded).toHaveBeenCalledWith({ duration: 1, generated: true });
+      expect(visualizer.levels[0].min).toHaveLength(100);
+      console.warn.mockRestore();
+    });
+
+    it('should report the error without an audio URL', async () => {
+      const onError = vi.fn();
+      visualizer.on('error', onError);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      fetch.mockResolvedValue(notFound());
+
+      await visualizer.loadWaveformFromUrl('/media/03-waveform.json');
+
+      expect(onError).toHaveBeenCalledOnce();
+      expect(visualizer.levels).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('should drop a generated waveform when the track changed meanwhile', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      fetch.mockImplementation(async url =>
+        url.endsWith('.json') ? notFound() : audioResponse()
+      );
+
+      const loading = visualizer.loadWaveformFromUrl(
+        '/media/03-waveform.json',
+        {
+          audioUrl: '/media/03.mp3',
+        }
+      );
+      visualizer.loadId++;
+      await loading;
+
+      expect(visualizer.levels).toBeNull();
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for WaveformVisualizer peaks pyramid and zoom
+ * Tests level building, level selection, zoom/pan maths, wheel and pinch
+ * gestures and seeking through a zoomed view
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+
+const CONFIG = {
+  height: 80,
+  barWidth: 2,
+  barGap: 1,
+  primaryColor: '#00FFFF',
+  progressColor: '#FFFFFF',
+  backgroundColor: 'transparent',
+  maxZoom: 64,
+};
+
+/** Pyramid as written by scripts/generate-waveforms.js */
+const createPyramid = length => {
+  const levels = [];
+  for (
+    let samplesPerPixel = 256;
+    length >= 1;
+    samplesPerPixel *= 2, length = Math.floor(length / 2)
+  ) {
+    const data = [];
+    for (let i = 0; i < length; i++) {
+      data.push(-i / length, i / length);
+    }
+    levels.push({ samplesPerPixel, length, data });
+  }
+  return { version: 2, duration: 600, levels };
+};
+
+const createContext = () => ({
+  fillRect: vi.fn(),
+  clearRect: vi.fn(),
+  beginPath: vi.fn(),
+  moveTo: vi.fn(),
+  lineTo: vi.fn(),
+  stroke: vi.fn(),
+  scale: vi.fn(),
+});
+
+const touchList = (...xs) => xs.map(clientX => ({ clientX }));
+
+describe('WaveformVisualizer', () => {
+  let WaveformVisualizer;
+  let visualizer;
+  let canvas;
+  let ctx;
+
+  beforeAll(async () => {
+    await import('../../../js/media/audio/WaveformVisualizer.js');
+    WaveformVisualizer = window.WaveformVisualizer;
+  });
+
+  beforeEach(() => {
+    ctx = createContext();
+    canvas = document.createElement('canvas');
+    canvas.getContext = () => ctx;
+    canvas.getBoundingClientRect = () => ({
+      left: 0,
+      top: 0,
+      width: 300,
+      height: 80,
+    });
+    visualizer = new WaveformVisualizer({
+      canvasElement: canvas,
+      config: CONFIG,
+    });
+  });
+
+  afterEach(() => {
+    visualizer.dispose();
+  });
+
+  describe('Peaks pyramid', () => {
+    it('should build min/max levels from flat peaks', () => {
+      const levels = WaveformVisualizer.buildLevels(
+        Array.from({ length: 256 }, () => 0.5)
+      );
+
+      expect(levels.map(level => level.min.length)).toEqual([256, 128, 64]);
+      expect(levels[0].min[0]).toBe(-0.5);
+      expect(levels[2].samplesPerPixel).toBe(4);
+    });
+
+    it('should read generator levels finest first and merge pairs', () => {
+      const levels = WaveformVisualizer.buildLevels({
+        levels: [
+          { samplesPerPixel: 512, data: [-0.4, 0.9] },
+          { samplesPerPixel: 256, data: [-0.1, 0.9, -0.4, 0.2, -0.3, 0.3] },
+        ],
+      });
+
+      expect(levels.map(level => level.samplesPerPixel)).toEqual([256, 512]);
+      expect(levels[0].max).toEqual([0.9, 0.2, 0.3]);
+    });
+
+    it('should reject empty data', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      visualizer.loadWaveform([]);
+      visualizer.loadWaveform({ levels: [] });
+
+      expect(visualizer.levels).toBeNull();
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+
+    it('should load pyramid JSON and its duration from a URL', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => createPyramid(4096),
+      });
+
+      await visualizer.loadWaveformFromUrl('/waveforms/song.json');
+
+      expect(visualizer.levels[0].samplesPerPixel).toBe(256);
+      expect(visualizer.duration).toBe(600);
+    });
+
+    it('should load flat peaks from generator JSON', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ peaks: [0.2, 0.4] }),
+      });
+
+      await visualizer.loadWaveformFromUrl('/waveforms/song.json');
+
+      expect(visualizer.levels[0].max).toEqual([0.2, 0.4]);
+    });
+  });
+
+  describe('Zoom', () => {
+    beforeEach(() => {
+      visualizer.loadWaveform(createPyramid(4096));
+    });
+
+    it('should pick the coarsest level with a pair per bar', () => {
+      expect(visualizer.selectLevel(100).min.length).toBe(128);
+
+      visualizer.setZoom(16);
+      expect(visualizer.selectLevel(100).min.length).toBe(2048);
+
+      visualizer.setZoom(64);
+      expect(visualizer.selectLevel(100).min.length).toBe(4096);
+    });
+
+    it('should keep the anchor fixed and clamp to the track', () => {
+      visualizer.setZoom(4, 0.5);
+      expect(visualizer.getVisibleRange()).toEqual({
+        start: 0.375,
+        end: 0.625,
+      });
+
+      visualizer.pan(-10);
+      expect(visualizer.getVisibleRange().start).toBe(0);
+
+      visualizer.setZoom(1000);
+      expect(visualizer.zoom).toBe(64);
+
+      visualizer.resetZoom();
+      expect(visualizer.getVisibleRange()).toEqual({ start: 0, end: 1 });
+    });
+
+    it('should seek through the zoomed view', () => {
+      const onSeek = vi.fn();
+      visualizer.on('seek', onSeek);
+      visualizer.duration = 600;
+      visualizer.setZoom(4, 0.5);
+
+      canvas.dispatchEvent(new MouseEvent('click', { clientX: 150 }));
+
+      expect(onSeek).toHaveBeenCalledWith({ percent: 0.5, time: 300 });
+    });
+
+    it('should zoom around the pointer on scroll and pan on shift-scroll', () => {
+      const wheel = new WheelEvent('wheel', {
+        deltaY: -500,
+        clientX: 75,
+        cancelable: true,
+      });
+      canvas.dispatchEvent(wheel);
+
+      expect(wheel.defaultPrevented).toBe(true);
+      expect(visualizer.zoom).toBeCloseTo(Math.E);
+      expect(visualizer.positionFromClientX(75)).toBeCloseTo(0.25);
+
+      const { start } = visualizer.getVisibleRange();
+      canvas.dispatchEvent(
+        new WheelEvent('wheel', { deltaY: 150, shiftKey: true })
+      );
+      expect(visualizer.getVisibleRange().start).toBeCloseTo(
+        start + 0.5 / Math.E
+      );
+    });
+
+    it('should pinch to zoom and pan without seeking', () => {
+      const onSeek = vi.fn();
+      visualizer.on('seek', onSeek);
+
+      visualizer.handleTouchStart({
+        touches: touchList(100, 200),
+        preventDefault: vi.fn(),
+      });
+      visualizer.handleTouchMove({
+        touches: touchList(0, 200),
+        preventDefault: vi.fn(),
+      });
+
+      // Fingers twice as far apart, centre moved to x=100 (a third of the view)
+      expect(visualizer.zoom).toBe(2);
+      expect(visualizer.positionFromClientX(100)).toBeCloseTo(0.5);
+
+      visualizer.handleTouchEnd({
+        touches: touchList(200),
+        changedTouches: touchList(0),
+      });
+      expect(visualizer.pinch).toBeNull();
+      expect(onSeek).not.toHaveBeenCalled();
+    });
+
+    it('should draw only the visible range with min/max bars', () => {
+      visualizer.setZoom(2, 1);
+      visualizer.setProgress(0.25);
+      visualizer.drawWaveform();
+
+      // Second half of the track: the first bar spans -0.5..0.5 (of 36px)
+      const [, top, , barHeight] = ctx.fillRect.mock.calls[0];
+      expect(top).toBeCloseTo(40 - 0.5 * 36, 0);
+      expect(barHeight).toBeCloseTo(36, 0);
+      expect(ctx.moveTo).not.toHaveBeenCalled();
+    });
+
+    it('should draw chapter markers inside the visible range', () => {
+      visualizer.setMarkers(
+        [
+          { title: 'Intro', time: 0 },
+          { title: 'Bridge', time: 150 },
+          { title: 'Outro', time: 450 },
+        ],
+        600
+      );
+      visualizer.setZoom(2, 0);
+      ctx.fillRect.mockClear();
+      visualizer.drawMarkers(0, 0.5);
+
+      // 300px across the first half: Intro at 0, Bridge at 150px, Outro out of view
+      const lines = ctx.fillRect.mock.calls.filter(
+        ([, y, width]) => y === 0 && width === 1
+      );
+      expect(lines.map(([x]) => x)).toEqual([0, 150]);
+      expect(lines[0][3]).toBe(80);
+    });
+
+    it('should follow the playhead unless the view was just moved', () => {
+      visualizer.setZoom(4, 0);
+      visualizer.setProgress(0.6);
+
+      visualizer.lastViewChange = Date.now();
+      visualizer.followProgress();
+      expect(visualizer.getVisibleRange().start).toBe(0);
+
+      visualizer.lastViewChange = 0;
+      visualizer.followProgress();
+      expect(visualizer.getVisibleRange().start).toBe(0.6);
+    });
+  });
+});
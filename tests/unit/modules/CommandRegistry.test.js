@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+describe('CommandRegistry', () => {
+  let CommandRegistry;
+  let registry;
+  const srcPath = path.resolve(
+    __dirname,
+    '../../../js/modules/CommandRegistry.js'
+  );
+  const source = fs.readFileSync(srcPath, 'utf-8');
+
+  // Strip 'use strict' for eval
+  const cleanSource = source.replace(/^'use strict';\s*/, '');
+
+  const consoleMock = { warn: vi.fn(), error: vi.fn() };
+
+  beforeEach(() => {
+    const evalScript = new Function(
+      'console',
+      cleanSource + '\nreturn CommandRegistry;'
+    );
+    CommandRegistry = evalScript(consoleMock);
+    CommandRegistry._instance = null;
+    registry = CommandRegistry.getInstance();
+    consoleMock.warn.mockClear();
+    consoleMock.error.mockClear();
+  });
+
+  it('should be a singleton', () => {
+    expect(CommandRegistry.getInstance()).toBe(registry);
+  });
+
+  it('should register and list commands in order', () => {
+    registry.register({ id: 'a', title: 'Go to Menu', run: () => {} });
+    registry.register([
+      { id: 'b', title: 'Mute UI sounds', run: () => {} },
+      { id: 'c', title: 'Toggle Living Pantheon', run: () => {} },
+    ]);
+
+    expect(registry.getAll().map(c => c.id)).toEqual(['a', 'b', 'c']);
+    expect(registry.has('b')).toBe(true);
+  });
+
+  it('should reject incomplete commands', () => {
+    expect(() => registry.register({ id: 'x', title: 'No run' })).toThrow(
+      /run function/
+    );
+    expect(() => registry.register({ title: 'No id', run: () => {} })).toThrow(
+      /an id/
+    );
+  });
+
+  it('should replace a command registered with the same id', () => {
+    registry.register({ id: 'a', title: 'Old', run: () => {} });
+    registry.register({ id: 'a', title: 'New', run: () => {} });
+
+    expect(registry.getAll()).toHaveLength(1);
+    expect(registry.getAll()[0].title).toBe('New');
+  });
+
+  it('should unregister via the returned function', () => {
+    const unregister = registry.register([
+      { id: 'a', title: 'A', run: () => {} },
+      { id: 'b', title: 'B', run: () => {} },
+    ]);
+    registry.register({ id: 'c', title: 'C', run: () => {} });
+
+    unregister();
+
+    expect(registry.getAll().map(c => c.id)).toEqual(['c']);
+  });
+
+  it('should hide unavailable commands', () => {
+    let muted = false;
+    registry.register([
+      { id: 'mute', title: 'Mute', isAvailable: () => !muted, run: () => {} },
+      {
+        id: 'unmute',
+        title: 'Unmute',
+        isAvailable: () => muted,
+        run: () => {},
+      },
+    ]);
+
+    expect(registry.getAll().map(c => c.id)).toEqual(['mute']);
+    muted = true;
+    expect(registry.getAll().map(c => c.id)).toEqual(['unmute']);
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      registry.register([
+        {
+          id: 'nav.akademia',
+          title: 'Go to Akademia - Scholarship',
+          category: 'Navigate',
+          run: () => {},
+        },
+        {
+          id: 'nav.odeion',
+          title: 'Go to Odeion - Music Hall',
+          category: 'Navigate',
+          run: () => {},
+        },
+        {
+          id: 'sounds.mute',
+          title: 'Mute UI sounds',
+          category: 'Sound',
+          keywords: ['audio', 'silence'],
+          run: () => {},
+        },
+        {
+          id: 'ogod.mode',
+          title: 'OGOD: Switch to Generative render mode',
+          category: 'OGOD',
+          run: () => {},
+        },
+      ]);
+    });
+
+    it('should list everything for an empty query', () => {
+      expect(registry.search('')).toHaveLength(4);
+      expect(registry.search('  ', 2)).toHaveLength(2);
+    });
+
+    it('should require every word to match', () => {
+      expect(registry.search('go music').map(c => c.id)).toEqual([
+        'nav.odeion',
+      ]);
+      expect(registry.search('go nowhere')).toEqual([]);
+    });
+
+    it('should match categories and keywords', () => {
+      expect(registry.search('silence').map(c => c.id)).toEqual([
+        'sounds.mute',
+      ]);
+      expect(registry.search('navigate').map(c => c.id)).toEqual([
+        'nav.akademia',
+        'nav.odeion',
+      ]);
+    });
+
+    it('should rank title matches above keyword matches', () => {
+      registry.register({
+        id: 'audio.player',
+        title: 'Open audio player',
+        run: () => {},
+      });
+
+      expect(registry.search('audio').map(c => c.id)).toEqual([
+        'audio.player',
+        'sounds.mute',
+      ]);
+    });
+
+    it('should be case-insensitive and match word prefixes', () => {
+      expect(registry.search('GEN').map(c => c.id)).toEqual(['ogod.mode']);
+    });
+  });
+
+  describe('execute', () => {
+    it('should run a command', async () => {
+      const run = vi.fn();
+      registry.register({ id: 'a', title: 'A', run });
+
+      expect(await registry.execute('a')).toBe(true);
+      expect(run).toHaveBeenCalledOnce();
+    });
+
+    it('should not run unknown or unavailable commands', async () => {
+      const run = vi.fn();
+      registry.register({ id: 'a', title: 'A', isAvailable: () => false, run });
+
+      expect(await registry.execute('a')).toBe(false);
+      expect(await registry.execute('missing')).toBe(false);
+      expect(run).not.toHaveBeenCalled();
+    });
+
+    it('should report failing commands', async () => {
+      registry.register({
+        id: 'a',
+        title: 'A',
+        run: () => {
+          throw new Error('boom');
+        },
+      });
+
+      expect(await registry.execute('a')).toBe(false);
+      expect(consoleMock.error).toHaveBeenCalled();
+    });
+  });
+
+  it('should notify listeners on change', () => {
+    const listener = vi.fn();
+    registry.onChange(listener);
+
+    const unregister = registry.register({
+      id: 'a',
+      title: 'A',
+      run: () => {},
+    });
+    unregister();
+    registry.unregister('missing');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
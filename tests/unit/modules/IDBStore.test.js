@@ -0,0 +1,132 @@
+/**
+ * @vitest-environment jsdom
+ * Unit tests for IDBStore
+ * Tests the shared IndexedDB wrapper, its in-memory fallback and failed
+ * transactions
+ */
+
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterEach,
+  vi,
+} from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+const STORES = {
+  plays: { keyPath: 'id', autoIncrement: true },
+  stats: { keyPath: 'key' },
+};
+
+describe('IDBStore', () => {
+  let IDBStore;
+  let db;
+
+  beforeAll(async () => {
+    await import('../../../js/modules/IDBStore.js');
+    IDBStore = window.IDBStore;
+  });
+
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    db = new IDBStore({ name: 'test', label: 'Test', stores: STORES });
+  });
+
+  afterEach(() => {
+    db.close();
+    delete globalThis.indexedDB;
+  });
+
+  /** Run the same behaviour against IndexedDB and memory */
+  const bothBackends = (name, test) => {
+    it(`${name} (IndexedDB)`, () => test());
+    it(`${name} (memory)`, async () => {
+      delete globalThis.indexedDB;
+      expect(await db.open()).toBeNull();
+      await test();
+    });
+  };
+
+  bothBackends(
+    'should generate keys and read records back in key order',
+    async () => {
+      expect(await db.put('plays', { track: 'a' })).toBe(1);
+      expect(await db.put('plays', { track: 'b' })).toBe(2);
+      await db.put('stats', { key: 'z', count: 1 });
+      await db.put('stats', { key: 'm', count: 2 });
+
+      expect(await db.getAll('plays')).toEqual([
+        { id: 1, track: 'a' },
+        { id: 2, track: 'b' },
+      ]);
+      expect(await db.get('stats', 'z')).toEqual({ key: 'z', count: 1 });
+      expect(await db.get('stats', 'missing')).toBeUndefined();
+      expect(await db.getAllKeys('stats')).toEqual(['m', 'z']);
+      expect(await db.count('plays')).toBe(2);
+    }
+  );
+
+  bothBackends('should replace, delete and clear records', async () => {
+    await db.put('plays', { track: 'a' });
+    await db.put('plays', { track: 'b' });
+    await db.put('plays', { track: 'c' });
+    await db.put('plays', { id: 2, track: 'b2' });
+
+    await db.delete('plays', [1, 3]);
+    expect(await db.getAll('plays')).toEqual([{ id: 2, track: 'b2' }]);
+
+    await db.clear('plays');
+    expect(await db.count('plays')).toBe(0);
+  });
+
+  it('should not share stored objects in memory', async () => {
+    delete globalThis.indexedDB;
+    const record = { key: 'a', tags: ['x'] };
+    await db.put('stats', record);
+    record.tags.push('y');
+
+    const stored = await db.get('stats', 'a');
+    stored.tags.push('z');
+    expect(await db.get('stats', 'a')).toEqual({ key: 'a', tags: ['x'] });
+  });
+
+  it('should fall back to memory when the database cannot be opened', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    globalThis.indexedDB = {
+      open: () => {
+        const request = {};
+        setTimeout(() => request.onerror());
+        return request;
+      },
+    };
+
+    expect(await db.put('stats', { key: 'a' })).toBe('a');
+    expect(await db.getAll('stats')).toEqual([{ key: 'a' }]);
+    expect(warn).toHaveBeenCalledWith(
+      'Test: IndexedDB unavailable, keeping data in memory'
+    );
+    warn.mockRestore();
+  });
+
+  it('should reject when a transaction aborts without a failed request', async () => {
+    // Like a commit that exceeds the storage quota: only 'abort' fires
+    await expect(
+      db.request('stats', 'readwrite', store => {
+        store.transaction.abort();
+        return null;
+      })
+    ).rejects.toThrow('Transaction aborted');
+    expect(await db.count('stats')).toBe(0);
+  });
+
+  it('should reject when a request fails', async () => {
+    await db.put('stats', { key: 'a' });
+
+    await expect(
+      db.request('stats', 'readwrite', store => store.add({ key: 'a' }))
+    ).rejects.toThrow();
+  });
+});
@@ -144,6 +144,14 @@ describe('JourneyTracker', () => {
     expect(akademiaIdx).toBeGreaterThan(bibliothekeIdx);
   });
 
+  it('should count visits per chamber', () => {
+    const tracker = JourneyTracker.getInstance();
+    tracker.recordVisit('akademia');
+    tracker.recordVisit('#akademia');
+    tracker.recordVisit('odeion');
+    expect(tracker.getVisitCounts()).toEqual({ akademia: 2, odeion: 1 });
+  });
+
   it('should count interactions per chamber', () => {
     const tracker = JourneyTracker.getInstance();
     tracker.recordInteraction('bibliotheke', 'poem_generated');